@@ -0,0 +1,252 @@
+/**
+ * Benchmark the admin analytics (`/admin/best-profession` and `/admin/best-clients`) against the implementation they
+ * replaced, which loaded every paid job into Node and added them up there.
+ * Seeds a large synthetic dataset, checks both implementations give the same results and reports how long each takes.
+ *
+ *   npm run benchmark -- --jobs 50000 --clients 2000 --contractors 500 --runs 3
+ *
+ * WARNING THIS WILL DROP THE DATABASE IT RUNS AGAINST (the test database, through `npm run benchmark`)
+ */
+const assert = require('assert');
+const { Op } = require('sequelize');
+const { Profile, Contract, Job, ExchangeRate } = require('../src/model');
+const { resetDatabase } = require('../src/migrator');
+const { getBestProfessions, getBestClients } = require('../src/analytics');
+const { convertCurrency } = require('../src/exchangeRates');
+const { Money } = require('../src/money');
+
+const PROFESSIONS = ['Programmer', 'Designer', 'Musician', 'Writer', 'Translator', 'Accountant', 'Lawyer', 'Fighter'];
+const FIRST_PAYMENT = Date.UTC(2022, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+const PAYMENT_DAYS = 730;
+const INSERT_BATCH_SIZE = 1000;
+
+const parseArguments = () => {
+  const options = { jobs: 20000, clients: 1000, contractors: 250, runs: 3 };
+
+  const args = process.argv.slice(2);
+  for (let index = 0; index < args.length; index += 2) {
+    const name = args[index].replace(/^--/, '');
+    const value = Number(args[index + 1]);
+    if (!(name in options) || !Number.isSafeInteger(value) || value <= 0) {
+      throw new Error(`Unknown option or invalid value: ${args[index]} ${args[index + 1]}`);
+    }
+    options[name] = value;
+  }
+
+  return options;
+};
+
+// A seeded generator, so every run benchmarks the same data
+let randomState = 42;
+const random = () => {
+  randomState = (randomState * 1103515245 + 12345) % 2147483648;
+  return randomState / 2147483648;
+};
+const randomInteger = (max) => Math.floor(random() * max);
+
+const bulkInsert = async (Model, rows) => {
+  for (let index = 0; index < rows.length; index += INSERT_BATCH_SIZE) {
+    await Model.bulkCreate(rows.slice(index, index + INSERT_BATCH_SIZE), { hooks: false, validate: false });
+  }
+};
+
+async function seed({ jobs, clients, contractors }) {
+  await resetDatabase();
+
+  const profiles = [];
+  for (let id = 1; id <= clients + contractors; id++) {
+    const isClient = id <= clients;
+    profiles.push({
+      id,
+      firstName: isClient ? 'Client' : 'Contractor',
+      lastName: String(id),
+      profession: PROFESSIONS[randomInteger(PROFESSIONS.length)],
+      balance: 0,
+      type: isClient ? 'client' : 'contractor',
+    });
+  }
+  await bulkInsert(Profile, profiles);
+
+  // One in ten contracts is in euros, so their jobs are converted at the rate in effect when they were paid
+  const contractCount = Math.max(1, Math.floor(jobs / 10));
+  const contracts = [];
+  for (let id = 1; id <= contractCount; id++) {
+    contracts.push({
+      id,
+      terms: 'benchmark',
+      status: 'in_progress',
+      currency: random() < 0.1 ? 'EUR' : 'USD',
+      ClientId: 1 + randomInteger(clients),
+      ContractorId: clients + 1 + randomInteger(contractors),
+    });
+  }
+  await bulkInsert(Contract, contracts);
+
+  const jobRows = [];
+  for (let id = 1; id <= jobs; id++) {
+    const price = Money.of(randomInteger(500000) / 100).toNumber();
+    const paid = random() < 0.9;
+    jobRows.push({
+      id,
+      description: 'benchmark',
+      price,
+      status: 'approved',
+      paid,
+      amountPaid: paid ? price : 0,
+      paymentDate: paid ? new Date(FIRST_PAYMENT + randomInteger(PAYMENT_DAYS * DAY)) : null,
+      ContractId: 1 + randomInteger(contractCount),
+    });
+  }
+  await bulkInsert(Job, jobRows);
+
+  // A new rate every month
+  const rates = [];
+  for (let month = 0; month * 30 <= PAYMENT_DAYS; month++) {
+    rates.push({
+      baseCurrency: 'USD',
+      quoteCurrency: 'EUR',
+      rate: Number((0.85 + random() / 10).toFixed(8)),
+      effectiveFrom: new Date(Date.UTC(2022, month, 1)),
+    });
+  }
+  await bulkInsert(ExchangeRate, rates);
+}
+
+const getPaidJobsQuery = ({ start, end }) => {
+  const paymentDate = {};
+  if (start) {
+    paymentDate[Op.gte] = start;
+  }
+  if (end) {
+    paymentDate[Op.lte] = end;
+  }
+
+  return { paid: true, ...(start || end ? { paymentDate } : {}) };
+};
+
+// The totals of each contract, as the endpoints added them up before they were done by the database
+const getLegacyContractTotals = async ({ currency, start, end }) => {
+  const jobsPaidInTimeRange = await Job.findAll({
+    attributes: ['ContractId', 'price', 'paymentDate'],
+    where: getPaidJobsQuery({ start, end }),
+    include: [{ model: Contract, attributes: ['currency'] }],
+  });
+
+  const contractJobPriceMap = {};
+  for (const job of jobsPaidInTimeRange) {
+    const { amount } = await convertCurrency(job.price, job.Contract.currency, currency, job.paymentDate);
+    contractJobPriceMap[job.ContractId] = contractJobPriceMap[job.ContractId]
+      ? contractJobPriceMap[job.ContractId].plus(amount)
+      : Money.of(amount);
+  }
+
+  return contractJobPriceMap;
+};
+
+async function getLegacyBestProfessions(filters) {
+  const contractJobPriceMap = await getLegacyContractTotals(filters);
+
+  const relevantContracts = await Contract.findAll({ attributes: ['id', 'ContractorId'], where: { id: { [Op.in]: Object.keys(contractJobPriceMap) } } });
+  const contractorPaymentMap = relevantContracts.reduce((map, contract) => {
+    map[contract.ContractorId] = (map[contract.ContractorId] || Money.zero()).plus(contractJobPriceMap[contract.id]);
+    return map;
+  }, {});
+
+  const relevantContractors = await Profile.findAll({ attributes: ['id', 'profession'], where: { id: { [Op.in]: Object.keys(contractorPaymentMap) } } });
+  const professionPaymentMap = relevantContractors.reduce((map, contractor) => {
+    map[contractor.profession] = (map[contractor.profession] || Money.zero()).plus(contractorPaymentMap[contractor.id]);
+    return map;
+  }, {});
+
+  let highestEarningProfessions = [];
+  let professionPaymentCounter = Money.zero();
+  for (const [profession, totalAmountPaid] of Object.entries(professionPaymentMap)) {
+    if (totalAmountPaid.isGreaterThan(professionPaymentCounter)) {
+      professionPaymentCounter = totalAmountPaid;
+      highestEarningProfessions = [profession];
+    } else if (totalAmountPaid.equals(professionPaymentCounter)) {
+      highestEarningProfessions.push(profession);
+    }
+  }
+
+  return highestEarningProfessions;
+}
+
+async function getLegacyBestClients(filters) {
+  const contractJobPriceMap = await getLegacyContractTotals(filters);
+
+  const relevantContracts = await Contract.findAll({ attributes: ['id', 'ClientId'], where: { id: { [Op.in]: Object.keys(contractJobPriceMap) } } });
+  const clientPaymentMap = relevantContracts.reduce((map, contract) => {
+    map[contract.ClientId] = (map[contract.ClientId] || Money.zero()).plus(contractJobPriceMap[contract.id]);
+    return map;
+  }, {});
+
+  const clientIds = Object.keys(clientPaymentMap).map(Number)
+    .sort((a, b) => clientPaymentMap[b].compare(clientPaymentMap[a]) || a - b)
+    .slice(0, filters.limit);
+
+  const relevantClients = await Profile.findAll({ attributes: ['id', 'firstName', 'lastName'], where: { id: { [Op.in]: clientIds } } });
+  const clientsById = new Map(relevantClients.map((client) => [client.id, client]));
+
+  return clientIds.map((id) => ({
+    id,
+    fullName: `${clientsById.get(id).firstName} ${clientsById.get(id).lastName}`,
+    paid: clientPaymentMap[id].toNumber(),
+  }));
+}
+
+// The fastest of several runs, in milliseconds
+const time = async (runs, fn) => {
+  let result;
+  let fastest = Infinity;
+  for (let run = 0; run < runs; run++) {
+    const started = process.hrtime.bigint();
+    result = await fn();
+    fastest = Math.min(fastest, Number(process.hrtime.bigint() - started) / 1e6);
+  }
+
+  return { result, milliseconds: fastest };
+};
+
+async function benchmark() {
+  const options = parseArguments();
+
+  console.log(`Seeding ${options.jobs} jobs for ${options.clients} clients and ${options.contractors} contractors...`);
+  await seed(options);
+
+  const scenarios = [
+    ['best-profession, all time, USD', () => getLegacyBestProfessions({ currency: 'USD' }), () => getBestProfessions({ currency: 'USD' })],
+    ['best-profession, all time, EUR', () => getLegacyBestProfessions({ currency: 'EUR' }), () => getBestProfessions({ currency: 'EUR' })],
+    ['best-profession, one month', () => getLegacyBestProfessions({ currency: 'USD', start: new Date('2023-03-01'), end: new Date('2023-03-31') }),
+      () => getBestProfessions({ currency: 'USD', start: new Date('2023-03-01'), end: new Date('2023-03-31') })],
+    ['best-clients, top 2, USD', () => getLegacyBestClients({ currency: 'USD', limit: 2 }),
+      async () => (await getBestClients({ currency: 'USD', limit: 2 })).clients],
+    ['best-clients, top 100, EUR', () => getLegacyBestClients({ currency: 'EUR', limit: 100 }),
+      async () => (await getBestClients({ currency: 'EUR', limit: 100 })).clients],
+    ['best-clients, one month', () => getLegacyBestClients({ currency: 'USD', start: new Date('2023-03-01'), end: new Date('2023-03-31'), limit: 10 }),
+      async () => (await getBestClients({ currency: 'USD', start: new Date('2023-03-01'), end: new Date('2023-03-31'), limit: 10 })).clients],
+  ];
+
+  const results = [];
+  for (const [name, legacy, current] of scenarios) {
+    const before = await time(options.runs, legacy);
+    const after = await time(options.runs, current);
+
+    assert.deepStrictEqual(after.result, before.result, `${name} gave different results`);
+
+    results.push({
+      scenario: name,
+      'in Node (ms)': Math.round(before.milliseconds),
+      'in SQL (ms)': Math.round(after.milliseconds),
+      speedup: `${(before.milliseconds / after.milliseconds).toFixed(1)}x`,
+    });
+  }
+
+  console.table(results);
+}
+
+benchmark().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,56 @@
+/**
+ * Apply, revert and list the schema migrations in src/migrations.
+ *
+ *   npm run migrate                          apply every pending migration
+ *   npm run migrate -- up --to 0003          apply pending migrations up to and including 0003
+ *   npm run migrate:rollback                 revert the latest migration
+ *   npm run migrate:rollback -- --steps 2    revert the latest two migrations
+ *   npm run migrate:rollback -- --to 0001    revert every migration after 0001 (`--to 0` reverts them all)
+ *   npm run migrate:status                   list every migration and whether it has been applied
+ */
+const { migrate, rollback, getMigrationStatus } = require('../src/migrator');
+
+const parseOptions = (args) => {
+  const options = {};
+  for (let index = 0; index < args.length; index += 2) {
+    const name = args[index].replace(/^--/, '');
+    const value = args[index + 1];
+    if (!['to', 'steps'].includes(name) || value === undefined) {
+      throw new Error(`Unknown option: ${args[index]}`);
+    }
+    options[name] = name === 'steps' ? Number(value) : value;
+  }
+
+  if (options.steps !== undefined && (!Number.isSafeInteger(options.steps) || options.steps < 1)) {
+    throw new Error('--steps must be a positive whole number');
+  }
+
+  return options;
+};
+
+async function run() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const options = parseOptions(args);
+
+  if (command === 'up') {
+    const applied = await migrate(options);
+    console.log(applied.length ? `Applied ${applied.join(', ')}` : 'The database is up to date');
+  } else if (command === 'down') {
+    const reverted = await rollback(options);
+    console.log(reverted.length ? `Reverted ${reverted.join(', ')}` : 'There are no migrations to revert');
+  } else if (command === 'status') {
+    const status = await getMigrationStatus();
+    console.table(status.map(({ version, name, appliedAt }) => ({
+      version,
+      name,
+      applied: appliedAt ? appliedAt.toISOString() : 'pending',
+    })));
+  } else {
+    throw new Error(`Unknown command: ${command}, expected up, down or status`);
+  }
+}
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
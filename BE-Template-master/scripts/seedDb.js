@@ -1,13 +1,16 @@
-const { Profile, Contract, Job } = require('../src/model');
+const { Profile, Contract, Job, ExchangeRate } = require('../src/model');
+const { resetDatabase } = require('../src/migrator');
+const { hashPassword } = require('../src/auth');
 
 /* WARNING THIS WILL DROP THE CURRENT DATABASE */
 seed();
 
 async function seed() {
   // Create tables
-  await Profile.sync({ force: true });
-  await Contract.sync({ force: true });
-  await Job.sync({ force: true });
+  await resetDatabase();
+
+  // Every seeded profile can log in with its email and this password
+  const passwordHash = await hashPassword('password123');
 
   // Insert data
   await Promise.all([
@@ -17,7 +20,9 @@ async function seed() {
       lastName: 'Potter',
       profession: 'Wizard',
       balance: 1150,
-      type:'client'
+      type:'client',
+      email: 'harry.potter@example.com',
+      passwordHash,
     }),
     Profile.create({
       id: 2,
@@ -25,7 +30,9 @@ async function seed() {
       lastName: 'Robot',
       profession: 'Hacker',
       balance: 231.11,
-      type:'client'
+      type:'client',
+      email: 'mr.robot@example.com',
+      passwordHash,
     }),
     Profile.create({
       id: 3,
@@ -33,7 +40,9 @@ async function seed() {
       lastName: 'Snow',
       profession: 'Knows nothing',
       balance: 451.3,
-      type:'client'
+      type:'client',
+      email: 'john.snow@example.com',
+      passwordHash,
     }),
     Profile.create({
       id: 4,
@@ -41,7 +50,9 @@ async function seed() {
       lastName: 'Ketchum',
       profession: 'Pokemon master',
       balance: 1.3,
-      type:'client'
+      type:'client',
+      email: 'ash.ketchum@example.com',
+      passwordHash,
     }),
     Profile.create({
       id: 5,
@@ -49,7 +60,9 @@ async function seed() {
       lastName: 'Lenon',
       profession: 'Musician',
       balance: 64,
-      type:'contractor'
+      type:'contractor',
+      email: 'john.lenon@example.com',
+      passwordHash,
     }),
     Profile.create({
       id: 6,
@@ -57,7 +70,9 @@ async function seed() {
       lastName: 'Torvalds',
       profession: 'Programmer',
       balance: 1214,
-      type:'contractor'
+      type:'contractor',
+      email: 'linus.torvalds@example.com',
+      passwordHash,
     }),
     Profile.create({
       id: 7,
@@ -65,7 +80,9 @@ async function seed() {
       lastName: 'Turing',
       profession: 'Programmer',
       balance: 22,
-      type:'contractor'
+      type:'contractor',
+      email: 'alan.turing@example.com',
+      passwordHash,
     }),
     Profile.create({
       id: 8,
@@ -73,14 +90,18 @@ async function seed() {
       lastName: 'II Elessar Telcontarvalds',
       profession: 'Fighter',
       balance: 314,
-      type:'contractor'
+      type:'contractor',
+      email: 'aragorn.telcontarvalds@example.com',
+      passwordHash,
     }),
     Profile.create({
       id: 9,
       firstName: 'Luke',
       lastName: 'Skywalker',
       profession: 'Jedi',
-      type:'admin'
+      type:'admin',
+      email: 'luke.skywalker@example.com',
+      passwordHash,
     }),
     Contract.create({
       id:1,
@@ -148,90 +169,125 @@ async function seed() {
     Job.create({
       description: 'work',
       price: 200,
+      status: 'approved',
       ContractId: 1,
     }),
     Job.create({
       description: 'work',
       price: 201,
+      status: 'approved',
       ContractId: 2,
     }),
     Job.create({
       description: 'work',
       price: 202,
+      status: 'approved',
       ContractId: 3,
     }),
     Job.create({
       description: 'work',
       price: 200,
+      status: 'approved',
       ContractId: 4,
     }),
     Job.create({
       description: 'work',
       price: 200,
+      status: 'approved',
       ContractId: 7,
     }),
     Job.create({
       description: 'work',
       price: 2020,
       paid:true,
+      amountPaid:2020,
       paymentDate:'2020-08-15T19:11:26.737Z',
+      status: 'approved',
       ContractId: 7,
     }),
     Job.create({
       description: 'work',
       price: 200,
       paid:true,
+      amountPaid:200,
       paymentDate:'2020-08-15T19:11:26.737Z',
+      status: 'approved',
       ContractId: 2,
     }),
     Job.create({
       description: 'work',
       price: 200,
       paid:true,
+      amountPaid:200,
       paymentDate:'2020-08-16T19:11:26.737Z',
+      status: 'approved',
       ContractId: 3,
     }),
     Job.create({
       description: 'work',
       price: 200,
       paid:true,
+      amountPaid:200,
       paymentDate:'2020-08-17T19:11:26.737Z',
+      status: 'approved',
       ContractId: 1,
     }),
     Job.create({
       description: 'work',
       price: 200,
       paid:true,
+      amountPaid:200,
       paymentDate:'2020-08-17T19:11:26.737Z',
+      status: 'approved',
       ContractId: 5,
     }),
     Job.create({
       description: 'work',
       price: 21,
       paid:true,
+      amountPaid:21,
       paymentDate:'2020-08-10T19:11:26.737Z',
+      status: 'approved',
       ContractId: 1,
     }),
     Job.create({
       description: 'work',
       price: 21,
       paid:true,
+      amountPaid:21,
       paymentDate:'2020-08-15T19:11:26.737Z',
+      status: 'approved',
       ContractId: 2,
     }),
     Job.create({
       description: 'work',
       price: 121,
       paid:true,
+      amountPaid:121,
       paymentDate:'2020-08-15T19:11:26.737Z',
+      status: 'approved',
       ContractId: 3,
     }),
     Job.create({
       description: 'work',
       price: 121,
       paid:true,
+      amountPaid:121,
       paymentDate:'2020-08-14T23:11:26.737Z',
+      status: 'approved',
       ContractId: 3,
     }),
+    ExchangeRate.create({
+      baseCurrency: 'USD',
+      quoteCurrency: 'EUR',
+      rate: 0.92,
+      effectiveFrom:'2020-01-01T00:00:00.000Z',
+    }),
+    ExchangeRate.create({
+      baseCurrency: 'GBP',
+      quoteCurrency: 'USD',
+      rate: 1.27,
+      effectiveFrom:'2020-01-01T00:00:00.000Z',
+    }),
   ]);
 }
@@ -0,0 +1,191 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize, Contract, Job } = require('./model');
+const { convertCurrency } = require('./exchangeRates');
+const { Money } = require('./money');
+
+/**
+ * Exchange rates are held to 8 decimal places, so the database multiplies by them as whole numbers at this scale.
+ */
+const RATE_SCALE = 100000000;
+
+/**
+ * SQL for the rate from one currency into another in effect at the time `at`, scaled by RATE_SCALE.
+ *
+ * @returns string
+ */
+const rateInEffectSql = (baseCurrency, quoteCurrency, at) => `(
+            SELECT CAST(ROUND("ExchangeRate"."rate" * ${RATE_SCALE}) AS INTEGER)
+            FROM "ExchangeRates" AS "ExchangeRate"
+            WHERE "ExchangeRate"."baseCurrency" = ${baseCurrency}
+                AND "ExchangeRate"."quoteCurrency" = ${quoteCurrency}
+                AND "ExchangeRate"."effectiveFrom" <= ${at}
+            ORDER BY "ExchangeRate"."effectiveFrom" DESC
+            LIMIT 1
+        )`;
+
+/**
+ * SQL selecting the `"rate"` and `"inverseRate"` columns which convertedAmountSql converts with: the rate from
+ * `currency` into the reporting currency (`:currency`) in effect at the time `at`, or else the opposite rate.
+ *
+ * @returns string
+ */
+const conversionRatesSql = (currency, at) => `
+            CASE WHEN ${currency} = :currency THEN ${RATE_SCALE} ELSE ${rateInEffectSql(currency, ':currency', at)} END AS "rate",
+            CASE WHEN ${currency} = :currency THEN NULL ELSE ${rateInEffectSql(':currency', currency, at)} END AS "inverseRate"`;
+
+/**
+ * SQL converting an amount in cents into cents of the reporting currency, as `convertCurrency` converts it: multiplied
+ * by the direct rate or else divided by the opposite rate, in the columns selected by conversionRatesSql, and rounded
+ * half away from zero to the cent. The arithmetic is done on whole numbers, so totals match those added up with Money
+ * exactly. An amount with no rate in effect converts to NULL.
+ *
+ * @returns string
+ */
+const convertedAmountSql = (amountInCents) => `CASE
+                WHEN "rate" IS NOT NULL THEN (${amountInCents} * "rate" + ${RATE_SCALE / 2}) / ${RATE_SCALE}
+                WHEN "inverseRate" IS NOT NULL THEN (2 * ${amountInCents} * ${RATE_SCALE} + "inverseRate") / (2 * "inverseRate")
+            END`;
+
+/**
+ * SQL for the `"Payments"` common table: every job paid within the range, with its client, its contractor and its
+ * price in cents of the reporting currency (`:currency`), converted at the rates in effect when the job was paid.
+ * A job with no rate in effect has a NULL amount.
+ *
+ * @returns string
+ */
+const paymentsSql = ({ start, end }) => `
+    WITH "PaidJobs" AS (
+        SELECT
+            "Job"."id",
+            "Contract"."ClientId",
+            "Contract"."ContractorId",
+            CAST(ROUND("Job"."price" * 100) AS INTEGER) AS "priceInCents",${conversionRatesSql('"Contract"."currency"', '"Job"."paymentDate"')}
+        FROM "Jobs" AS "Job"
+        INNER JOIN "Contracts" AS "Contract" ON "Contract"."id" = "Job"."ContractId"
+        WHERE "Job"."paid" = :paid${start ? ' AND "Job"."paymentDate" >= :start' : ''}${end ? ' AND "Job"."paymentDate" <= :end' : ''}
+    ),
+    "Payments" AS (
+        SELECT
+            "id",
+            "ClientId",
+            "ContractorId",
+            ${convertedAmountSql('"priceInCents"')} AS "amount"
+        FROM "PaidJobs"
+    )`;
+
+/**
+ * SQL selecting the first paid job which could not be converted into the reporting currency, if any.
+ */
+const UNCONVERTED_JOB_SQL = '(SELECT MIN("id") FROM "Payments" WHERE "amount" IS NULL)';
+
+/**
+ * Throws the ExchangeRateNotFoundError `convertCurrency` raises if any paid job had no rate in effect.
+ */
+const checkConverted = async (rows, currency) => {
+    const unconvertedJobId = rows.length ? rows[0].unconvertedJobId : null;
+    if (!unconvertedJobId) {
+        return;
+    }
+
+    const job = await Job.findOne({
+        attributes: ['price', 'paymentDate'],
+        where: { id: unconvertedJobId },
+        include: [{ model: Contract, attributes: ['currency'] }],
+    });
+
+    await convertCurrency(job.price, job.Contract.currency, currency, job.paymentDate);
+};
+
+/**
+ * Find the professions which earned the most from jobs paid between `start` and `end` (either may be omitted),
+ * totalled in the reporting currency. Every profession tied for the highest total is returned, in the order of the
+ * first contractor of each.
+ * Throws an ExchangeRateNotFoundError if a job cannot be converted into the reporting currency.
+ *
+ * @returns string[]
+ */
+const getBestProfessions = async ({ currency, start, end }) => {
+    const rows = await sequelize.query(`${paymentsSql({ start, end })},
+    "ProfessionTotals" AS (
+        SELECT
+            "Contractor"."profession",
+            COALESCE(SUM("Payments"."amount"), 0) AS "paid",
+            MIN("Contractor"."id") AS "firstContractorId"
+        FROM "Payments"
+        INNER JOIN "Profiles" AS "Contractor" ON "Contractor"."id" = "Payments"."ContractorId"
+        GROUP BY "Contractor"."profession"
+    )
+    SELECT "profession", ${UNCONVERTED_JOB_SQL} AS "unconvertedJobId"
+    FROM "ProfessionTotals"
+    WHERE "paid" = (SELECT MAX("paid") FROM "ProfessionTotals")
+    ORDER BY "firstContractorId" ASC`, {
+        replacements: { currency, start, end, paid: true },
+        type: QueryTypes.SELECT,
+    });
+
+    await checkConverted(rows, currency);
+
+    return rows.map((row) => row.profession);
+};
+
+/**
+ * Rank the clients by how much they paid for jobs paid between `start` and `end` (either may be omitted), totalled
+ * in the reporting currency, highest first with the client id as a tie breaker.
+ * Only clients ranked after `after` (`{ paid, id }`, the last client of the previous page) are returned, at most
+ * `limit` of them.
+ * Throws an ExchangeRateNotFoundError if a job cannot be converted into the reporting currency.
+ *
+ * @returns {
+ *     clients: { id: number, fullName: string, paid: number }[],
+ *     hasMore: boolean
+ * }
+ */
+const getBestClients = async ({ currency, start, end, after = null, limit = Infinity }) => {
+    const rows = await sequelize.query(`${paymentsSql({ start, end })},
+    "ClientTotals" AS (
+        SELECT "ClientId", COALESCE(SUM("amount"), 0) AS "paid"
+        FROM "Payments"
+        GROUP BY "ClientId"
+    )
+    SELECT
+        "Client"."id",
+        "Client"."firstName",
+        "Client"."lastName",
+        "ClientTotals"."paid",
+        ${UNCONVERTED_JOB_SQL} AS "unconvertedJobId"
+    FROM "ClientTotals"
+    INNER JOIN "Profiles" AS "Client" ON "Client"."id" = "ClientTotals"."ClientId"
+    ${after ? 'WHERE "ClientTotals"."paid" < :afterPaid OR ("ClientTotals"."paid" = :afterPaid AND "Client"."id" > :afterId)' : ''}
+    ORDER BY "ClientTotals"."paid" DESC, "Client"."id" ASC
+    ${limit === Infinity ? '' : 'LIMIT :fetchLimit'}`, {
+        replacements: {
+            currency,
+            start,
+            end,
+            paid: true,
+            afterPaid: after ? Money.of(after.paid).minorUnits : null,
+            afterId: after ? after.id : null,
+            // One more than the limit, to tell whether there is another page
+            fetchLimit: limit + 1,
+        },
+        type: QueryTypes.SELECT,
+    });
+
+    await checkConverted(rows, currency);
+
+    return {
+        clients: rows.slice(0, limit).map((row) => ({
+            id: row.id,
+            fullName: `${row.firstName} ${row.lastName}`,
+            paid: Money.fromMinorUnits(row.paid).toNumber(),
+        })),
+        hasMore: rows.length > limit,
+    };
+};
+
+module.exports = {
+    conversionRatesSql,
+    convertedAmountSql,
+    getBestProfessions,
+    getBestClients,
+};
@@ -1,451 +1,1983 @@
 const express = require('express');
 const bodyParser = require('body-parser');
+const { config } = require('./config');
 const { sequelize } = require('./model')
 const { Op } = require("sequelize");
 const { getProfile } = require('./middleware/getProfile')
+const { asyncHandler, notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { idempotent } = require('./middleware/idempotency');
+const { recordAuditTrail, captureAuditChanges } = require('./middleware/auditTrail');
+const { authorize } = require('./middleware/authorize');
+const { ROLES, OWNERSHIP_RULES, withOwnership } = require('./policy');
+const { NEXT_CURSOR_HEADER, parseSingleValue, parsePageSize, parseSort, encodeCursor, decodeCursor, paginate } = require('./pagination');
+const { CONTRACT_TRANSITIONS, getContractTransitionError, applyContractTransition } = require('./contractLifecycle');
+const { JOB_TRANSITIONS, EDITABLE_JOB_STATUSES, getJobTransitionError, applyJobTransition } = require('./jobLifecycle');
+const { SYSTEM_ACCOUNTS, transferFunds, getBalanceHistory, readBalanceHistory } = require('./ledger');
+const { parseExportFormat, findInBatches, streamExport, mapRows } = require('./exports');
+const { SimulatedPayoutProvider } = require('./payoutProvider');
+const { createPayout, processPayout } = require('./payouts');
+const { parseInvoiceFormat, getDocumentTitle, renderInvoiceHtml, renderInvoicePdf } = require('./invoices');
+const { getJobPaymentError, getDefaultPaymentAmount, payJob, payJobs, scheduleInstallments, getPaymentSummary, paidJobIdsSql } = require('./jobPayments');
+const { DEFAULT_CURRENCY, isValidCurrency, Money } = require('./money');
+const { RECURRENCE_INTERVALS, getNextOccurrenceDate, createDueJobsForRule } = require('./recurringJobs');
+const { COMPLETION_POLICIES, TERMINATION_REASONS, getCompletionPolicyError, completeContractIfDue } = require('./contractCompletion');
+const { isValidDateOnly, isValidTimeZone, parseDateRange } = require('./dates');
+const { REPORT_INTERVALS, REPORT_GROUPINGS, getEarningsReport } = require('./reports');
+const { getBestProfessions, getBestClients } = require('./analytics');
+const { findDepositingClient, getDepositPolicy, parsePolicyOverride, enforceDepositPolicy } = require('./depositPolicy');
+const { DISPUTE_OUTCOMES, DISPUTE_STATUSES, UNRESOLVED_DISPUTE_STATUSES, openDispute, respondToDispute, resolveDispute } = require('./disputes');
+const { WEBHOOK_EVENT_TYPES, resolveWebhookUrl, generateWebhookSecret, recordEvent, recordContractStatusChange, retryDelivery } = require('./webhooks');
+const { AUDIT_OUTCOMES, verifyAuditChain } = require('./audit');
+const { hashPassword, verifyPassword, issueToken, generateApiKey } = require('./auth');
+const {
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    InvalidTransitionError,
+    JobAlreadyPaidError,
+    JobNotApprovedError,
+    NotContractPartyError,
+    CounterpartyNotFoundError,
+    PaymentExceedsOutstandingError,
+    BatchPaymentRejectedError,
+    InsufficientBalanceError,
+} = require('./errors');
 const app = express();
+app.use(recordAuditTrail);
 app.use(bodyParser.json());
+app.use(captureAuditChanges);
 app.set('sequelize', sequelize)
 app.set('models', sequelize.models)
+app.set('payoutProvider', new SimulatedPayoutProvider())
+app.set('authTokenSecret', config.auth.tokenSecret)
+// Trusting the bare `profile_id` header is only ever meant for tests and must be turned on explicitly
+app.set('allowProfileIdHeader', config.auth.allowProfileIdHeader)
+// Webhooks may only be sent to public addresses unless this is turned on, e.g. to receive them on a local machine
+app.set('allowPrivateWebhookUrls', config.webhooks.allowPrivateUrls)
+app.set('limits', config.limits)
 
 /**
- * Fetch a single contract for a client or contractor by id.
+ * Exchange a profile's email and password for a signed, expiring token.
+ * The token authenticates subsequent requests through the `Authorization: Bearer <token>` header.
  *
- * @returns Contract
+ * @returns {
+ *     token: string,
+ *     expiresAt: Date,
+ *     profile: Profile
+ * }
  */
-app.get('/contracts/:id', getProfile, async (req, res) => {
-    const { Contract } = req.app.get('models');
-    const { id } = req.params;
+app.post('/auth/login', asyncHandler(async (req, res) => {
+    const { Profile } = req.app.get('models');
+
+    const { email, password } = req.body;
 
-    if (!id) {
-        return res.status(404).end();
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+        throw new ValidationError('An email and password must be provided');
     }
 
-    const query = { id };
-    if (req.profile.type === 'client') {
-        query.ClientId = req.profile.id;
-    } else if (req.profile.type === 'contractor') {
-        query.ContractorId = req.profile.id;
-    } else {
-        return res.status(403).end();
+    const profile = await Profile.findOne({ where: { email: email.toLowerCase() } });
+
+    // The same response is given for unknown emails and wrong passwords so valid emails cannot be discovered
+    if (!profile || !(await verifyPassword(password, profile.passwordHash))) {
+        throw new AuthenticationError('Invalid email or password');
+    }
+
+    const { token, expiresAt } = issueToken(profile, req.app.get('authTokenSecret'));
+
+    res.json({ token, expiresAt, profile });
+}));
+
+/**
+ * Set the password of the authenticated profile.
+ * The current password must be given if the profile already has one.
+ *
+ * @returns Profile
+ */
+app.put('/auth/password', getProfile, authorize(), asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword || typeof newPassword !== 'string' || newPassword.length < 8) {
+        throw new ValidationError('The new password must be at least 8 characters long', { field: 'newPassword' });
+    }
+
+    if (req.profile.passwordHash && !(await verifyPassword(currentPassword || '', req.profile.passwordHash))) {
+        throw new ForbiddenError('The current password is incorrect');
     }
 
+    req.profile.passwordHash = await hashPassword(newPassword);
+    await req.profile.save();
+
+    res.json(req.profile);
+}));
+
+/**
+ * Fetch a single contract for a client or contractor by id.
+ *
+ * @returns Contract
+ */
+app.get('/contracts/:id', getProfile, authorize({ roles: [ROLES.CLIENT, ROLES.CONTRACTOR], resource: 'Contract' }), asyncHandler(async (req, res) => {
+    const { Contract } = req.app.get('models');
+    const { id } = req.params;
+
     // The contract must belong to the requesting user whether they are a client of contractor
-    const contract = await Contract.findOne({ where: query });
+    const contract = await Contract.findOne(withOwnership('Contract', req.profile, { where: { id } }));
 
     if (!contract) {
-        return res.status(404).end();
+        throw new NotFoundError('Contract not found', { id });
     }
 
     res.json(contract);
-});
+}));
 
 /**
- * Fetch all active, non-terminated contracts for a client or contractor.
+ * Fetch a page of the active, non-terminated contracts for a client or contractor.
+ *
+ * Query parameters:
+ * - `status` - comma separated list of `new` and/or `in_progress`
+ * - `counterpartyId` - only contracts with this contractor (for clients) or client (for contractors)
+ * - `start` / `end` - only contracts with a payment towards one of their jobs made within this range; calendar dates
+ *   (`YYYY-MM-DD`) cover whole days in UTC
+ * - `sort` - `id` or `createdAt`, prefixed with `-` for descending order (default `id`)
+ * - `limit` - page size (default 20, at most 100)
+ * - `cursor` - the `X-Next-Cursor` header of the previous page
  *
  * @returns Contract[]
  */
-app.get('/contracts', getProfile, async (req, res) => {
+app.get('/contracts', getProfile, authorize({ roles: [ROLES.CLIENT, ROLES.CONTRACTOR] }), asyncHandler(async (req, res) => {
     const { Contract } = req.app.get('models');
 
+    const { cursor } = req.query;
+    const status = parseSingleValue(req.query.status, 'status');
+    const counterpartyId = parseSingleValue(req.query.counterpartyId, 'counterpartyId');
+
+    const pageSize = parsePageSize(req.query.limit);
+
+    const sort = parseSort(req.query.sort, ['id', 'createdAt']);
+
+    const paymentRange = parseDateRange(req.query);
+
     const query = { status: { [Op.ne]: 'terminated' } };
-    if (req.profile.type === 'client') {
-        query.ClientId = req.profile.id;
-    } else if (req.profile.type === 'contractor') {
-        query.ContractorId = req.profile.id;
-    } else {
-        return res.status(403).end();
+
+    if (status) {
+        const statuses = status.split(',');
+        if (statuses.some((contractStatus) => !['new', 'in_progress'].includes(contractStatus))) {
+            throw new ValidationError('status may only include new and in_progress', { parameter: 'status' });
+        }
+
+        query.status = { [Op.in]: statuses };
+    }
+
+    if (counterpartyId) {
+        if (isNaN(counterpartyId)) {
+            throw new ValidationError('counterpartyId must be a profile id', { parameter: 'counterpartyId' });
+        }
+
+        query[req.profile.type === ROLES.CLIENT ? 'ContractorId' : 'ClientId'] = counterpartyId;
+    }
+
+    if (paymentRange.start || paymentRange.end) {
+        query.id = { [Op.in]: sequelize.literal(`(SELECT "Job"."ContractId" FROM "Jobs" AS "Job" WHERE "Job"."id" IN (${paidJobIdsSql(paymentRange)}))`) };
+    }
+
+    const page = await paginate(Contract, withOwnership('Contract', req.profile, { where: query }), { sort, pageSize, cursor });
+
+    if (page.nextCursor) {
+        res.set(NEXT_CURSOR_HEADER, page.nextCursor);
+    }
+
+    res.json(page.rows);
+}));
+
+/**
+ * As a client, propose a new contract to a contractor.
+ * The contract is created with status `new` and must be accepted by the contractor before it can be started.
+ * Its jobs are priced in the given `currency`, which defaults to the client's currency.
+ * The `completionPolicy` decides how the contract ends (see contractCompletion.js): `manual` (the default),
+ * `all_jobs_paid` or `end_date`, which requires an `endDate`.
+ *
+ * @returns Contract
+ */
+app.post('/contracts', getProfile, authorize({ roles: [ROLES.CLIENT] }), asyncHandler(async (req, res) => {
+    const { Contract } = req.app.get('models');
+    const { Profile } = req.app.get('models');
+
+    const { contractorId, terms, currency = req.profile.currency, completionPolicy = COMPLETION_POLICIES.MANUAL, endDate = null } = req.body;
+
+    if (!terms || typeof terms !== 'string') {
+        throw new ValidationError('Contract terms must be provided', { field: 'terms' });
+    }
+
+    if (!isValidCurrency(currency)) {
+        throw new ValidationError('currency must be an ISO 4217 currency code', { field: 'currency' });
+    }
+
+    const completionPolicyError = getCompletionPolicyError(completionPolicy, endDate);
+    if (completionPolicyError) {
+        throw completionPolicyError;
     }
 
-    const contracts = await Contract.findAll({ where: query});
+    if (!contractorId || isNaN(contractorId)) {
+        throw new ValidationError('A valid contractor id must be provided', { field: 'contractorId' });
+    }
+
+    const contractor = await Profile.findOne({ where: { id: contractorId, type: 'contractor' } });
+
+    if (!contractor) {
+        throw new ValidationError('Contractor not found', { field: 'contractorId' });
+    }
+
+    const contract = await Contract.create({
+        terms,
+        currency,
+        completionPolicy,
+        endDate,
+        status: 'new',
+        ClientId: req.profile.id,
+        ContractorId: contractor.id,
+    });
+
+    res.status(201).json(contract);
+}));
+
+/**
+ * Move a contract through its lifecycle: `accept`, `start` or `terminate`.
+ * Only the parties to the contract may transition it and only along the legal transitions (see contractLifecycle.js).
+ *
+ * @returns Contract
+ */
+for (const transitionName of Object.keys(CONTRACT_TRANSITIONS)) {
+    app.post(`/contracts/:id/${transitionName}`, getProfile, authorize({ roles: [ROLES.CLIENT, ROLES.CONTRACTOR], resource: 'Contract' }), asyncHandler(async (req, res) => {
+        const { Contract } = req.app.get('models');
+        const { id } = req.params;
+
+        const contract = await Contract.findOne(withOwnership('Contract', req.profile, { where: { id } }));
+
+        if (!contract) {
+            throw new NotFoundError('Contract not found', { id });
+        }
+
+        const transitionError = getContractTransitionError(contract, transitionName, req.profile);
+        if (transitionError) {
+            throw new InvalidTransitionError(transitionError, { transition: transitionName, status: contract.status });
+        }
+
+        const previousStatus = contract.status;
+        applyContractTransition(contract, transitionName);
+
+        if (transitionName === 'terminate') {
+            contract.terminationReason = TERMINATION_REASONS.MANUAL;
+        }
+
+        await sequelize.transaction(async (transaction) => {
+            // Contracts are versioned so a concurrent transition of the same contract will fail here rather than be overwritten
+            await contract.save({ transaction });
+
+            if (contract.status !== previousStatus) {
+                await recordContractStatusChange(contract, previousStatus, transaction);
+            }
+        });
+
+        res.json(contract);
+    }));
+}
+
+/**
+ * Change how a contract which has not been terminated ends (see contractCompletion.js). Either party may change it.
+ * The new policy takes effect straight away, so a contract in progress whose jobs are all paid, or whose end date has
+ * passed, is terminated by this request.
+ *
+ * @returns Contract
+ */
+app.put('/contracts/:id/completion-policy', getProfile, authorize({ roles: [ROLES.CLIENT, ROLES.CONTRACTOR], resource: 'Contract' }), asyncHandler(async (req, res) => {
+    const { Contract } = req.app.get('models');
+
+    const { id } = req.params;
+    const { completionPolicy, endDate = null } = req.body;
+
+    const completionPolicyError = getCompletionPolicyError(completionPolicy, endDate);
+    if (completionPolicyError) {
+        throw completionPolicyError;
+    }
+
+    const updatedContract = await sequelize.transaction(async (transaction) => {
+        const contract = await Contract.findOne(withOwnership('Contract', req.profile, { where: { id }, lock: true, transaction }));
+
+        if (contract.status === 'terminated') {
+            throw new ConflictError('Cannot change the completion policy of a terminated contract', { status: contract.status }, 'CONTRACT_TERMINATED');
+        }
+
+        contract.completionPolicy = completionPolicy;
+        contract.endDate = endDate;
+        await contract.save({ transaction });
+
+        return (await completeContractIfDue(contract, new Date(), transaction)) || contract;
+    });
 
-    res.json(contracts);
-});
+    res.json(updatedContract);
+}));
 
 /**
- * Fetch all unpaid jobs for a client or contractor.
+ * Fetch a page of the unpaid jobs for a client or contractor.
  * Only jobs which are part of active contracts are considered.
  *
+ * Query parameters:
+ * - `minPrice` / `maxPrice` - inclusive job price range
+ * - `counterpartyId` - only jobs on contracts with this contractor (for clients) or client (for contractors)
+ * - `start` / `end` - only jobs partly paid by a payment made within this range; calendar dates (`YYYY-MM-DD`) cover
+ *   whole days in UTC
+ * - `sort` - `id`, `price` or `createdAt`, prefixed with `-` for descending order (default `id`)
+ * - `limit` - page size (default 20, at most 100)
+ * - `cursor` - the `X-Next-Cursor` header of the previous page
+ *
  * @returns Job[]
  */
-app.get('/jobs/unpaid', getProfile, async (req, res) => {
+app.get('/jobs/unpaid', getProfile, authorize({ roles: [ROLES.CLIENT, ROLES.CONTRACTOR] }), asyncHandler(async (req, res) => {
     const { Contract } = req.app.get('models');
     const { Job } = req.app.get('models');
 
-    const query = { status: { [Op.ne]: 'terminated' } };
-    if (req.profile.type === 'client') {
-        query.ClientId = req.profile.id;
-    } else if (req.profile.type === 'contractor') {
-        query.ContractorId = req.profile.id;
-    } else {
-        return res.status(403).end();
+    const { cursor } = req.query;
+    const minPrice = parseSingleValue(req.query.minPrice, 'minPrice');
+    const maxPrice = parseSingleValue(req.query.maxPrice, 'maxPrice');
+    const counterpartyId = parseSingleValue(req.query.counterpartyId, 'counterpartyId');
+
+    const pageSize = parsePageSize(req.query.limit);
+
+    const sort = parseSort(req.query.sort, ['id', 'price', 'createdAt']);
+
+    const paymentRange = parseDateRange(req.query);
+
+    if ((minPrice !== undefined && isNaN(minPrice)) || (maxPrice !== undefined && isNaN(maxPrice))) {
+        throw new ValidationError('minPrice and maxPrice must be numbers');
     }
 
-    const activeContracts = await Contract.findAll({ attributes: ['id'], where: query });
+    if (counterpartyId !== undefined && isNaN(counterpartyId)) {
+        throw new ValidationError('counterpartyId must be a profile id', { parameter: 'counterpartyId' });
+    }
+
+    const contractQuery = { status: { [Op.ne]: 'terminated' } };
+    if (counterpartyId !== undefined) {
+        contractQuery[req.profile.type === ROLES.CLIENT ? 'ContractorId' : 'ClientId'] = counterpartyId;
+    }
+
+    const activeContracts = await Contract.findAll(withOwnership('Contract', req.profile, { attributes: ['id'], where: contractQuery }));
 
-    const unpaidJobs = await Job.findAll({ where: {
+    const jobQuery = {
         ContractId: { [Op.in]: activeContracts.map((ac) => ac.id) },
+        status: { [Op.ne]: 'withdrawn' },
         [Op.or]: [
             { paid: null },
             { paid: false },
         ],
-    }});
+    };
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        jobQuery.price = {};
+        if (minPrice !== undefined) {
+            jobQuery.price[Op.gte] = Number(minPrice);
+        }
+        if (maxPrice !== undefined) {
+            jobQuery.price[Op.lte] = Number(maxPrice);
+        }
+    }
 
-    res.json(unpaidJobs);
-});
+    if (paymentRange.start || paymentRange.end) {
+        jobQuery.id = { [Op.in]: sequelize.literal(`(${paidJobIdsSql(paymentRange)})`) };
+    }
+
+    const page = await paginate(Job, { where: jobQuery }, { sort, pageSize, cursor });
+
+    if (page.nextCursor) {
+        res.set(NEXT_CURSOR_HEADER, page.nextCursor);
+    }
+
+    res.json(page.rows);
+}));
 
 /**
- * As a client, pay a contractor for one of your outstanding jobs.
+ * As a contractor, add a job to one of your in progress contracts.
+ * The job is created with status `open`.
  *
  * @returns Job
  */
-app.post('/jobs/:job_id/pay', getProfile, async (req, res) => {
-    const { Job } = req.app.get('models');
+app.post('/contracts/:id/jobs', getProfile, authorize({ roles: [ROLES.CONTRACTOR], resource: 'Contract' }), asyncHandler(async (req, res) => {
     const { Contract } = req.app.get('models');
-    const { Profile } = req.app.get('models');
+    const { Job } = req.app.get('models');
 
-    const { job_id } = req.params;
+    const { id } = req.params;
+    const { description, price } = req.body;
 
-    if (!job_id) {
-        return res.status(404).end();
+    if (!description || typeof description !== 'string') {
+        throw new ValidationError('A job description must be provided', { field: 'description' });
     }
 
-    if (req.profile.type !== 'client') {
-        return res.status(403).end();
+    if (!Money.isValid(price) || Money.of(price).isNegative()) {
+        throw new ValidationError('A valid, non-negative job price must be provided', { field: 'price' });
     }
 
-    try {
-        const updatedJob = await sequelize.transaction(async (transaction) => {
-            const jobToPay = await Job.findOne({ where: { id: job_id } }, { lock: true, transaction });
+    const contract = await Contract.findOne(withOwnership('Contract', req.profile, { where: { id } }));
 
-            // Can't find the job, it is already paid, or it has an invalid price
-            if (!jobToPay || jobToPay.paid || jobToPay.price < 0) {
-                throw Error();
-            }
+    if (!contract) {
+        throw new NotFoundError('Contract not found', { id });
+    }
 
-            const associatedContract = await Contract.findOne({ attributes: ['ClientId', 'ContractorId'], where: { id: jobToPay.ContractId } }, { transaction });
+    if (contract.status !== 'in_progress') {
+        throw new ConflictError(`Cannot add jobs to a contract with status '${contract.status}'`, { status: contract.status }, 'CONTRACT_NOT_IN_PROGRESS');
+    }
 
-            // Can't find the associated contract or the contract is not owned by the requesting client user
-            if (!associatedContract || associatedContract.ClientId !== req.profile.id) {
-                throw new Error();
-            }
+    const job = await Job.create({
+        description,
+        price,
+        status: 'open',
+        ContractId: contract.id,
+    });
 
-            const contractor = await Profile.findOne({ where: { id: associatedContract.ContractorId } }, { lock: true, transaction });
+    res.status(201).json(job);
+}));
 
-            // Catch find the contractor to pay
-            if (!contractor) {
-                throw Error();
-            }
+/**
+ * Fetch the recurrence rules of a contract.
+ *
+ * @returns RecurrenceRule[]
+ */
+app.get('/contracts/:id/recurrence-rules', getProfile, authorize({ roles: [ROLES.CLIENT, ROLES.CONTRACTOR], resource: 'Contract' }), asyncHandler(async (req, res) => {
+    const { RecurrenceRule } = req.app.get('models');
 
-            const client = await Profile.findOne({ where: { id: req.profile.id } }, { lock: true, transaction });
+    const { id } = req.params;
 
-            // Can't find the client or the client does not have enough money to pay for the job
-            if (!client || client.balance < jobToPay.price) {
-                throw Error()
-            }
+    const rules = await RecurrenceRule.findAll({ where: { ContractId: id }, order: [['id', 'ASC']] });
 
-            // Transfer the amount of the job price from the client's balance to the contractor's balance and record the action on the job
-            client.balance -= jobToPay.price;
-            contractor.balance += jobToPay.price;
-            jobToPay.paid = true;
-            jobToPay.paymentDate = new Date();
+    res.json(rules);
+}));
 
-            // TODO - if all jobs for a given contact are now paid, does this mean the contract is over and can be marked as terminated?
+/**
+ * As a contractor, add a rule creating a job on one of your in progress contracts every week or month, from the start
+ * date until the optional end date. `{date}` in the description template is replaced with the date of each job.
+ * Jobs are created in status `open` by the scheduler as they fall due, starting with any which are due already.
+ *
+ * @returns RecurrenceRule
+ */
+app.post('/contracts/:id/recurrence-rules', getProfile, authorize({ roles: [ROLES.CONTRACTOR], resource: 'Contract' }), asyncHandler(async (req, res) => {
+    const { Contract } = req.app.get('models');
+    const { RecurrenceRule } = req.app.get('models');
 
-            // Update all affected entities
-            await Promise.all([
-                client.save({ transaction }),
-                contractor.save({ transaction }),
-                jobToPay.save({ transaction }),
-            ])
+    const { id } = req.params;
+    const { amount, descriptionTemplate, interval, startDate, endDate = null } = req.body;
 
-            // Return the update job
-            return jobToPay;
-        });
+    if (!Money.isValid(amount) || Money.of(amount).isNegative()) {
+        throw new ValidationError('A valid, non-negative amount must be provided', { field: 'amount' });
+    }
 
-        res.json(updatedJob);
-    } catch (error) {
-        return res.status(400).end();
+    if (!descriptionTemplate || typeof descriptionTemplate !== 'string') {
+        throw new ValidationError('A description template must be provided', { field: 'descriptionTemplate' });
+    }
+
+    if (!RECURRENCE_INTERVALS.includes(interval)) {
+        throw new ValidationError(`interval must be one of ${RECURRENCE_INTERVALS.join(', ')}`, { field: 'interval' });
+    }
+
+    if (!isValidDateOnly(startDate)) {
+        throw new ValidationError('startDate must be a date of the form YYYY-MM-DD', { field: 'startDate' });
+    }
+
+    if (endDate !== null && (!isValidDateOnly(endDate) || endDate < startDate)) {
+        throw new ValidationError('endDate must be a date of the form YYYY-MM-DD no earlier than startDate', { field: 'endDate' });
+    }
+
+    const contract = await Contract.findOne(withOwnership('Contract', req.profile, { where: { id } }));
+
+    if (contract.status !== 'in_progress') {
+        throw new ConflictError(`Cannot add recurring jobs to a contract with status '${contract.status}'`, { status: contract.status }, 'CONTRACT_NOT_IN_PROGRESS');
     }
-});
+
+    const rule = RecurrenceRule.build({
+        amount,
+        descriptionTemplate,
+        interval,
+        startDate,
+        endDate,
+        ContractId: contract.id,
+    });
+    rule.nextOccurrenceDate = getNextOccurrenceDate(rule);
+    await rule.save();
+
+    await createDueJobsForRule(rule.id);
+
+    res.status(201).json(await rule.reload());
+}));
 
 /**
- * As a client, deposit funds into your balance.
- * A client can deposit, at most, an amount equal to 25% of the total cost of their outstanding jobs.
- * Clients without jobs may not deposit funds.
+ * As a contractor, change the amount, description template or end date of one of your recurrence rules.
+ * The changes apply to the jobs created from then on. An end date of null lets the rule run until the contract ends.
  *
- * @returns Profile
+ * @returns RecurrenceRule
  */
-app.post('/balances/deposit/:userId', getProfile, async (req, res) => {
-    const { Job } = req.app.get('models');
-    const { Contract } = req.app.get('models');
-    const { Profile } = req.app.get('models');
+app.patch('/contracts/:id/recurrence-rules/:rule_id', getProfile, authorize({ roles: [ROLES.CONTRACTOR], resource: 'Contract' }), asyncHandler(async (req, res) => {
+    const { RecurrenceRule } = req.app.get('models');
 
-    const { userId } = req.params;
-    const { depositAmount } = req.body;
+    const { id, rule_id } = req.params;
+    const { amount, descriptionTemplate, endDate } = req.body;
 
-    if (!userId) {
-        return res.status(404).end();
+    if (amount !== undefined && (!Money.isValid(amount) || Money.of(amount).isNegative())) {
+        throw new ValidationError('The amount must be a valid, non-negative number', { field: 'amount' });
     }
 
-    if (!depositAmount || isNaN(depositAmount)) {
-        return res.status(400).end();
+    if (descriptionTemplate !== undefined && (!descriptionTemplate || typeof descriptionTemplate !== 'string')) {
+        throw new ValidationError('The description template must be a non-empty string', { field: 'descriptionTemplate' });
     }
 
-    // TODO - do we need the "userId" param if the client is simply depositing into their own account?
-    if (userId !== `${req.profile.id}`) {
-        return res.status(403).end();
+    const rule = await RecurrenceRule.findOne({ where: { id: rule_id, ContractId: id } });
+
+    if (!rule) {
+        throw new NotFoundError('Recurrence rule not found', { rule_id });
     }
 
-    if (req.profile.type !== 'client') {
-        return res.status(403).end();
+    if (endDate !== undefined && endDate !== null && (!isValidDateOnly(endDate) || endDate < rule.startDate)) {
+        throw new ValidationError('endDate must be a date of the form YYYY-MM-DD no earlier than startDate', { field: 'endDate' });
     }
 
-    try {
-        const updatedClientProfile = await sequelize.transaction(async (transaction) => {
-            const clientContracts = await Contract.findAll({ attributes: ['id'], where: { ClientId: req.profile.id } }, { transaction });
+    if (amount !== undefined) {
+        rule.amount = amount;
+    }
 
-            // No contracts mean no jobs which means this client cannot make a deposit
-            if (!clientContracts.length) {
-                throw new Error();
-            }
+    if (descriptionTemplate !== undefined) {
+        rule.descriptionTemplate = descriptionTemplate;
+    }
 
-            const outstandingClientJobs = await Job.findAll({ attributes: ['price'], where: {
-                ContractId: { [Op.in]: clientContracts.map((contract) => contract.id) },
-                [Op.or]: [
-                    { paid: null },
-                    { paid: false },
-                ],
-            } }, { transaction });
-
-            // No jobs mean this client cannot make a deposit
-            if (!outstandingClientJobs.length) {
-                throw new Error();
-            }
+    if (endDate !== undefined) {
+        rule.endDate = endDate;
+        rule.nextOccurrenceDate = getNextOccurrenceDate(rule);
+    }
 
-            // This is the maximum amount that the client can deposit at any one time (25% of their total outstanding job costs)
-            const maximumDeposit = Object.values(outstandingClientJobs).reduce((totalPrice, job) => totalPrice + job.price, 0) * 0.25;
+    // Rules are versioned so this fails rather than overwriting jobs the scheduler is creating at the same time
+    await rule.save();
 
-            // The client is attempting to deposit an illegally high amount
-            if (maximumDeposit < depositAmount) {
-                throw new Error();
-            }
+    await createDueJobsForRule(rule.id);
 
-            const client = await Profile.findOne({ where: { id: req.profile.id } }, { lock: true, transaction });
+    res.json(await rule.reload());
+}));
 
-            client.balance += depositAmount;
+/**
+ * As a contractor, delete one of your recurrence rules. No further jobs are created; jobs already created are kept.
+ */
+app.delete('/contracts/:id/recurrence-rules/:rule_id', getProfile, authorize({ roles: [ROLES.CONTRACTOR], resource: 'Contract' }), asyncHandler(async (req, res) => {
+    const { RecurrenceRule } = req.app.get('models');
 
-            await client.save({ transaction });
+    const { id, rule_id } = req.params;
 
-            return client;
-        });
+    const rule = await RecurrenceRule.findOne({ where: { id: rule_id, ContractId: id } });
 
-        res.json(updatedClientProfile);
-    } catch (error) {
-        return res.status(400).end();
+    if (!rule) {
+        throw new NotFoundError('Recurrence rule not found', { rule_id });
     }
-});
+
+    await rule.destroy();
+
+    res.status(204).end();
+}));
 
 /**
- * Computes the highest earning profession(s) for the given date range.
- * Admin only endpoint;
+ * As a contractor, edit the description and/or price of one of your unpaid jobs.
+ * Only jobs which are `open` or have been `rejected` by the client can be edited.
  *
- * @returns string[]
+ * @returns Job
  */
-app.get('/admin/best-profession', getProfile, async (req, res) => {
-    const { Contract } = req.app.get('models');
+app.patch('/jobs/:job_id', getProfile, authorize({ roles: [ROLES.CONTRACTOR], resource: 'Job', param: 'job_id' }), asyncHandler(async (req, res) => {
     const { Job } = req.app.get('models');
-    const { Profile } = req.app.get('models');
 
-    if (req.profile.type !== 'admin') {
-        return res.status(403).end();
+    const { job_id } = req.params;
+    const { description, price } = req.body;
+
+    if (description !== undefined && (!description || typeof description !== 'string')) {
+        throw new ValidationError('A job description must be a non-empty string', { field: 'description' });
     }
 
-    const { start, end } = req.query;
+    if (price !== undefined && (!Money.isValid(price) || Money.of(price).isNegative())) {
+        throw new ValidationError('A job price must be a non-negative number', { field: 'price' });
+    }
 
-    const jobquery = { paid: true };
+    const job = await Job.findOne(withOwnership('Job', req.profile, { where: { id: job_id } }));
 
-    let startDate;
-    if (start) {
-        const startDate = new Date(start);
-        if (startDate.toString() === 'Invalid Date') {
-            return res.status(400).end();
-        }
+    if (!job) {
+        throw new NotFoundError('Job not found', { job_id });
+    }
 
-        jobquery.paymentDate = { [Op.gte]: startDate };
+    if (job.paid || !EDITABLE_JOB_STATUSES.includes(job.status)) {
+        throw new ConflictError(`Cannot edit a ${job.paid ? 'paid' : job.status} job`, { status: job.status, paid: !!job.paid }, 'JOB_NOT_EDITABLE');
     }
 
-    if (end) {
-        const endDate = new Date(end);
-        if (endDate.toString() === 'Invalid Date') {
-            return res.status(400).end();
-        }
+    if (description !== undefined) {
+        job.description = description;
+    }
 
-        if (startDate) {
-            jobquery.paymentDate = {
-                [Op.gte]: startDate,
-                [Op.lte]: endDate,
-            }
-        } else {
-            jobquery.paymentDate = { [Op.lte]: endDate };
-        }
+    if (price !== undefined) {
+        job.price = price;
     }
 
-    const jobsPaidInTimeRange = await Job.findAll({ attributes: ['ContractId', 'price'], where: jobquery });
+    // Jobs are versioned so a concurrent change to the same job will fail here rather than be overwritten
+    await job.save();
 
-    if (!jobsPaidInTimeRange.length) {
-        return res.json([]);
-    }
+    res.json(job);
+}));
+
+/**
+ * Move a job through its approval workflow: `deliver`, `approve`, `reject` or `withdraw`.
+ * Only the parties to the job's contract may transition it and only along the legal transitions (see jobLifecycle.js).
+ * A `reason` may be given in the body when rejecting a job.
+ *
+ * @returns Job
+ */
+for (const transitionName of Object.keys(JOB_TRANSITIONS)) {
+    app.post(`/jobs/:job_id/${transitionName}`, getProfile, authorize({ roles: [ROLES.CLIENT, ROLES.CONTRACTOR], resource: 'Job', param: 'job_id' }), asyncHandler(async (req, res) => {
+        const { Job } = req.app.get('models');
 
-    // Make a map of the contracts and how much, in total has been paid for each one across all its jobs.
-    const contractIds = [];
-    const contractJobPriceMap = jobsPaidInTimeRange.reduce((map, job) => {
-        contractIds.push(job.ContractId);
-        map[job.ContractId] = map[job.ContractId]
-            ? map[job.ContractId] + job.price
-            : job.price;
-        return map;
-    }, {});
+        const { job_id } = req.params;
 
-    const relevantContracts = await Contract.findAll({ attributes: ['id', 'ContractorId'], where: { id: { [Op.in]: Array.from(new Set(contractIds)) } } });
+        const job = await Job.findOne(withOwnership('Job', req.profile, { where: { id: job_id } }));
 
-    // Make a map of the contractors and how much each of them got paid across all of their contracts.
-    const contractorIds = [];
-    const contractorPaymentMap = relevantContracts.reduce((map, contract) => {
-        contractorIds.push(contract.ContractorId);
-        map[contract.ContractorId] = map[contract.ContractorId]
-            ? map[contract.ContractorId] + contractJobPriceMap[contract.id]
-            : contractJobPriceMap[contract.id];
-        return map;
-    }, {});
+        if (!job) {
+            throw new NotFoundError('Job not found', { job_id });
+        }
 
-    const relevantContractors = await Profile.findAll({ attributes: ['id', 'profession'], where: { id: {[Op.in]: Array.from(new Set(contractorIds)) } } })
+        const transitionError = getJobTransitionError(job, transitionName, req.profile);
+        if (transitionError) {
+            throw new InvalidTransitionError(transitionError, { transition: transitionName, status: job.status });
+        }
 
-    // Make a map of the professions and how much each earned across all the associated contractors.
-    const professionPaymentMap = relevantContractors.reduce((map, contractor) => {
-        map[contractor.profession] = map[contractor.profession]
-            ? map[contractor.profession] + contractorPaymentMap[contractor.id]
-            : contractorPaymentMap[contractor.id];
-        return map;
-    }, {});
+        applyJobTransition(job, transitionName);
 
-    let highestEarningProfessions = [];
-    let professionPaymentCounter = 0;
-    for (const [profession, totalAmountPaid] of Object.entries(professionPaymentMap)) {
-        if (totalAmountPaid > professionPaymentCounter) {
-            professionPaymentCounter = totalAmountPaid;
-            highestEarningProfessions = [profession];
-        } else if (totalAmountPaid === professionPaymentCounter) {
-            highestEarningProfessions.push(profession);
+        if (transitionName === 'reject') {
+            job.rejectionReason = req.body.reason || null;
         }
-    }
 
-    res.json(highestEarningProfessions);
-});
+        // Jobs are versioned so a concurrent transition of the same job will fail here rather than be overwritten
+        await job.save();
+
+        res.json(job);
+    }));
+}
 
 /**
- * Fetch the highest paying clients for the given date range and limit filter.
- * Results are sorted by total payment amount.
- * Admin only endpoint.
+ * As a client, pay a contractor for one of your outstanding jobs.
+ * Only jobs which the client has approved can be paid.
+ * An `amount` up to the amount outstanding may be given to pay the job in tranches. Without one, the next installment
+ * due is paid if the job has an installment plan, otherwise everything that is outstanding.
+ * Supports the `Idempotency-Key` header so payments can be safely retried.
  *
- * @returns {
- *     id: number,
- *     fullName: string,
- *     paid: number
- * }
+ * @returns Job
  */
-app.get('/admin/best-clients', getProfile, async (req, res) => {
-    const { Contract } = req.app.get('models');
+app.post('/jobs/:job_id/pay', getProfile, authorize({ roles: [ROLES.CLIENT], resource: 'Job', param: 'job_id' }), idempotent, asyncHandler(async (req, res) => {
     const { Job } = req.app.get('models');
+    const { Contract } = req.app.get('models');
     const { Profile } = req.app.get('models');
 
-    if (req.profile.type !== 'admin') {
-        return res.status(403).end();
+    const { job_id } = req.params;
+    const { amount } = req.body;
+
+    if (amount !== undefined && (!Money.isValid(amount) || !Money.of(amount).isPositive())) {
+        throw new ValidationError('A payment amount must be a positive number', { field: 'amount' });
     }
 
-    const { start, end } = req.query;
+    const updatedJob = await sequelize.transaction(async (transaction) => {
+        const jobToPay = await Job.findOne({ where: { id: job_id }, lock: true, transaction });
 
-    const jobquery = { paid: true };
+        if (!jobToPay) {
+            throw new NotFoundError('Job not found', { job_id });
+        }
 
-    let startDate;
-    if (start) {
-        startDate = new Date(start);
-        if (startDate.toString() === 'Invalid Date') {
-            return res.status(400).end();
+        const paymentError = getJobPaymentError(jobToPay);
+        if (paymentError) {
+            throw paymentError;
         }
 
-        jobquery.paymentDate = { [Op.gte]: startDate };
-    }
+        const associatedContract = await Contract.findOne({ attributes: ['id', 'ClientId', 'ContractorId', 'currency'], where: { id: jobToPay.ContractId }, transaction });
 
-    if (end) {
-        const endDate = new Date(end);
-        if (endDate.toString() === 'Invalid Date') {
-            return res.status(400).end();
+        if (!associatedContract) {
+            throw new NotFoundError('Contract not found', { id: jobToPay.ContractId });
         }
 
-        if (startDate) {
-            jobquery.paymentDate = {
-                [Op.gte]: startDate,
-                [Op.lte]: endDate,
-            }
-        } else {
-            jobquery.paymentDate = { [Op.lte]: endDate };
+        // The contract is not owned by the requesting client user
+        if (associatedContract.ClientId !== req.profile.id) {
+            throw new NotContractPartyError(associatedContract.id);
         }
-    }
 
-    const clientFetchLimit = req.query.limit;
-    if (clientFetchLimit && isNaN(clientFetchLimit) || clientFetchLimit < 0) {
-        return res.status(400).end();
-    } else if (clientFetchLimit === 0) {
-        return res.json([]);
-    }
+        const contractor = await Profile.findOne({ where: { id: associatedContract.ContractorId }, lock: true, transaction });
+
+        // Can't find the contractor to pay
+        if (!contractor) {
+            throw new CounterpartyNotFoundError(associatedContract.ContractorId);
+        }
+
+        const paymentAmount = Money.of(amount === undefined ? await getDefaultPaymentAmount(jobToPay, transaction) : amount);
+
+        if (paymentAmount.isGreaterThan(jobToPay.amountOutstanding)) {
+            throw new PaymentExceedsOutstandingError(jobToPay.id, paymentAmount.toNumber(), jobToPay.amountOutstanding);
+        }
+
+        const client = await Profile.findOne({ where: { id: req.profile.id }, lock: true, transaction });
+
+        // Transfer the payment from the client's balance to the contractor's balance and record it against the job
+        return payJob({ job: jobToPay, currency: associatedContract.currency, client, contractor, amount: paymentAmount.toNumber() }, transaction);
+    });
+
+    res.json(updatedJob);
+}));
 
-    const jobsPaidInTimeRange = await Job.findAll({ attributes: ['ContractId', 'price'], where: jobquery });
+/**
+ * Pay several of the client's jobs in one go: either every job is paid or none is.
+ * Each job is paid what `POST /jobs/:job_id/pay` pays without an amount: the next installment due, or everything
+ * outstanding. The client's balance is checked once against the total and each contractor is credited once with the
+ * combined amount of their jobs.
+ * If any job cannot be paid, the whole batch is rejected and the error lists every job which failed and why.
+ *
+ * @returns Job[]
+ */
+app.post('/jobs/pay-batch', getProfile, authorize({ roles: [ROLES.CLIENT] }), idempotent, asyncHandler(async (req, res) => {
+    const { Job } = req.app.get('models');
+    const { Contract } = req.app.get('models');
+    const { Profile } = req.app.get('models');
+
+    const { maxBatchPaymentSize } = req.app.get('limits');
 
-    if (!jobsPaidInTimeRange.length) {
-        return res.json([]);
+    const { jobIds } = req.body;
+
+    if (!Array.isArray(jobIds) || !jobIds.length || jobIds.length > maxBatchPaymentSize
+        || !jobIds.every((jobId) => Number.isInteger(jobId) && jobId > 0)) {
+        throw new ValidationError(`jobIds must be a list of between 1 and ${maxBatchPaymentSize} job ids`, { field: 'jobIds' });
     }
 
-    // Make a map of the contracts and how much, in total has been paid for each one across all its jobs.
-    const contractIds = [];
-    const contractJobPriceMap = jobsPaidInTimeRange.reduce((map, job) => {
-        contractIds.push(job.ContractId);
-        map[job.ContractId] = map[job.ContractId]
-            ? map[job.ContractId] + job.price
-            : job.price;
-        return map;
-    }, {});
+    if (new Set(jobIds).size !== jobIds.length) {
+        throw new ValidationError('jobIds must not contain the same job more than once', { field: 'jobIds' });
+    }
 
-    const relevantContracts = await Contract.findAll({ attributes: ['id', 'ClientId'], where: { id: { [Op.in]: Array.from(new Set(contractIds)) } } });
+    const updatedJobs = await sequelize.transaction(async (transaction) => {
+        const jobs = await Job.findAll(withOwnership('Job', req.profile, { where: { id: { [Op.in]: jobIds } }, lock: true, transaction }));
+        const contracts = await Contract.findAll({
+            attributes: ['id', 'ContractorId', 'currency'],
+            where: { id: { [Op.in]: jobs.map((job) => job.ContractId) } },
+            transaction,
+        });
+        const contractors = await Profile.findAll({
+            where: { id: { [Op.in]: contracts.map((contract) => contract.ContractorId) } },
+            lock: true,
+            transaction,
+        });
 
-    // Make a map of the contractors and how much each of them got paid across all of their contracts.
-    let clientIds = [];
-    const clientPaymentMap = relevantContracts.reduce((map, contract) => {
-        clientIds.push(contract.ClientId);
-        map[contract.ClientId] = map[contract.ClientId]
-            ? map[contract.ClientId] + contractJobPriceMap[contract.id]
-            : contractJobPriceMap[contract.id];
-        return map;
-    }, {});
+        const jobsById = new Map(jobs.map((job) => [job.id, job]));
+        const contractsById = new Map(contracts.map((contract) => [contract.id, contract]));
+        const contractorsById = new Map(contractors.map((contractor) => [contractor.id, contractor]));
+
+        const payments = [];
+        const failures = [];
+        for (const jobId of jobIds) {
+            const job = jobsById.get(jobId);
+            const contract = job && contractsById.get(job.ContractId);
+            const contractor = contract && contractorsById.get(contract.ContractorId);
+
+            let paymentError = null;
+            if (!job) {
+                paymentError = new NotFoundError('Job not found', { job_id: jobId });
+            } else if (!contractor) {
+                // Can't find the contractor to pay
+                paymentError = new CounterpartyNotFoundError(contract.ContractorId);
+            } else {
+                paymentError = getJobPaymentError(job);
+            }
 
-    clientIds.sort((a, b) => clientPaymentMap[a] > clientPaymentMap[b] ? -1 : clientPaymentMap[a] < clientPaymentMap[b] ? 1 : 0);
+            if (paymentError) {
+                failures.push({ jobId, code: paymentError.code, message: paymentError.message, details: paymentError.details });
+                continue;
+            }
 
-    const relevantClients = await Profile.findAll({
-        attributes: ['id', 'firstName', 'lastName'],
-        where: { id: {[Op.in]: Array.from(new Set(clientIds)).slice(0, clientFetchLimit) } }
-    });
+            payments.push({ job, currency: contract.currency, contractor, amount: await getDefaultPaymentAmount(job, transaction) });
+        }
+
+        if (failures.length) {
+            throw new BatchPaymentRejectedError(failures);
+        }
+
+        const client = await Profile.findOne({ where: { id: req.profile.id }, lock: true, transaction });
+
+        return payJobs({ client, payments }, transaction);
+    });
+
+    res.json(updatedJobs);
+}));
+
+/**
+ * Fetch how much has been paid towards a job and how much is left, with every payment made and the job's installment plan.
+ *
+ * @returns {
+ *     jobId: number,
+ *     price: number,
+ *     amountPaid: number,
+ *     amountOutstanding: number,
+ *     paid: boolean,
+ *     payments: { transferId: string, amount: number, createdAt: Date }[],
+ *     installments: JobInstallment[]
+ * }
+ */
+app.get('/jobs/:job_id/payments', getProfile, authorize({ roles: [ROLES.CLIENT, ROLES.CONTRACTOR], resource: 'Job', param: 'job_id' }), asyncHandler(async (req, res) => {
+    const { Job } = req.app.get('models');
+
+    const { job_id } = req.params;
+
+    const job = await Job.findOne(withOwnership('Job', req.profile, { where: { id: job_id } }));
+
+    if (!job) {
+        throw new NotFoundError('Job not found', { job_id });
+    }
+
+    res.json(await getPaymentSummary(job));
+}));
+
+/**
+ * Fetch the invoices issued for a job, one for each payment towards it, in the order they were issued.
+ *
+ * @returns Invoice[]
+ */
+app.get('/jobs/:job_id/invoices', getProfile, authorize({ resource: 'Job', param: 'job_id' }), asyncHandler(async (req, res) => {
+    const { Invoice } = req.app.get('models');
+
+    const { job_id } = req.params;
+
+    const invoices = await Invoice.findAll({ where: { JobId: job_id }, order: [['number', 'ASC']] });
+
+    res.json(invoices);
+}));
+
+/**
+ * Download an invoice for a payment you made or received. To the contractor who was paid it is titled as a receipt.
+ *
+ * Query parameters:
+ * - `format` - `html` (the default) to view it in a browser, `pdf` to download it, or `json`
+ *
+ * @returns string|Buffer|Invoice
+ */
+app.get('/invoices/:id', getProfile, authorize({ resource: 'Invoice' }), asyncHandler(async (req, res) => {
+    const { Invoice } = req.app.get('models');
+
+    const { id } = req.params;
+
+    const format = parseInvoiceFormat(req.query.format);
+
+    const invoice = await Invoice.findOne({ where: { id } });
+
+    if (format === 'json') {
+        res.json(invoice);
+    } else if (format === 'pdf') {
+        res.set('Content-Disposition', `attachment; filename="${getDocumentTitle(req.profile).toLowerCase()}-${invoice.invoiceNumber}.pdf"`);
+        res.type('application/pdf').send(renderInvoicePdf(invoice, req.profile));
+    } else {
+        res.type('html').send(renderInvoiceHtml(invoice, req.profile));
+    }
+}));
+
+/**
+ * As a client, dispute one of your jobs within `limits.disputeWindowDays` of paying it in full. The body is
+ * `{ reason }` and the dispute covers everything paid towards the job which earlier disputes did not refund. A job
+ * may only have one unresolved dispute at a time.
+ *
+ * @returns Dispute
+ */
+app.post('/jobs/:job_id/disputes', getProfile, authorize({ roles: [ROLES.CLIENT], resource: 'Job', param: 'job_id' }), asyncHandler(async (req, res) => {
+    const { Job } = req.app.get('models');
+    const { Contract } = req.app.get('models');
+
+    const { job_id } = req.params;
+    const { reason } = req.body;
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+        throw new ValidationError('A dispute must give a reason', { field: 'reason' });
+    }
+
+    const dispute = await sequelize.transaction(async (transaction) => {
+        const job = await Job.findOne({ where: { id: job_id }, lock: true, transaction });
+
+        const contract = await Contract.findOne({ attributes: ['id', 'currency'], where: { id: job.ContractId }, transaction });
+
+        return openDispute({ job, currency: contract.currency, reason: reason.trim(), windowDays: req.app.get('limits').disputeWindowDays }, transaction);
+    });
+
+    res.status(201).json(dispute);
+}));
+
+/**
+ * Fetch the dispute history of a job, oldest first, including the contractor's response and how each dispute was
+ * resolved.
+ *
+ * @returns Dispute[]
+ */
+app.get('/jobs/:job_id/disputes', getProfile, authorize({ resource: 'Job', param: 'job_id' }), asyncHandler(async (req, res) => {
+    const { Dispute } = req.app.get('models');
+
+    const { job_id } = req.params;
+
+    const disputes = await Dispute.findAll({ where: { JobId: job_id }, order: [['id', 'ASC']] });
+
+    res.json(disputes);
+}));
+
+/**
+ * As a contractor, respond to a dispute of one of your jobs. The body is `{ response }`. A dispute may only be
+ * responded to once, before an admin resolves it.
+ *
+ * @returns Dispute
+ */
+app.post('/disputes/:id/respond', getProfile, authorize({ roles: [ROLES.CONTRACTOR], resource: 'Dispute' }), asyncHandler(async (req, res) => {
+    const { Dispute } = req.app.get('models');
+
+    const { id } = req.params;
+    const { response } = req.body;
+
+    if (typeof response !== 'string' || !response.trim()) {
+        throw new ValidationError('A response must not be empty', { field: 'response' });
+    }
+
+    const dispute = await Dispute.findOne({ where: { id } });
+
+    respondToDispute(dispute, response.trim());
+    await dispute.save();
+
+    res.json(dispute);
+}));
+
+/**
+ * As a client, set up an installment plan for one of your approved jobs.
+ * The body is `{ installments: [{ amount, dueDate }] }` and the installment amounts must add up to exactly the amount
+ * outstanding on the job. Any existing installments which have not been fully paid are replaced.
+ *
+ * @returns JobInstallment[]
+ */
+app.put('/jobs/:job_id/installments', getProfile, authorize({ roles: [ROLES.CLIENT], resource: 'Job', param: 'job_id' }), asyncHandler(async (req, res) => {
+    const { Job } = req.app.get('models');
+
+    const { job_id } = req.params;
+    const { installments } = req.body;
+
+    if (!Array.isArray(installments) || !installments.length) {
+        throw new ValidationError('At least one installment must be provided', { field: 'installments' });
+    }
+
+    installments.forEach(({ amount, dueDate } = {}, index) => {
+        if (!Money.isValid(amount) || !Money.of(amount).isPositive()) {
+            throw new ValidationError('Each installment amount must be a positive number', { field: `installments[${index}].amount` });
+        }
+
+        if (!dueDate || new Date(dueDate).toString() === 'Invalid Date') {
+            throw new ValidationError('Each installment must have a valid due date', { field: `installments[${index}].dueDate` });
+        }
+    });
+
+    const schedule = await sequelize.transaction(async (transaction) => {
+        const job = await Job.findOne({ where: { id: job_id }, lock: true, transaction });
+
+        if (job.paid) {
+            throw new JobAlreadyPaidError(job.id);
+        }
+
+        // The price of a job is only settled once it has been approved
+        if (job.status !== 'approved') {
+            throw new JobNotApprovedError(job.id, job.status);
+        }
+
+        const scheduledAmount = Money.sum(installments.map(({ amount }) => amount));
+        if (!scheduledAmount.equals(job.amountOutstanding)) {
+            throw new ValidationError('The installments must add up to the amount outstanding on the job', {
+                scheduledAmount: scheduledAmount.toNumber(),
+                amountOutstanding: job.amountOutstanding,
+            });
+        }
+
+        return scheduleInstallments(job, installments, transaction);
+    });
+
+    res.json(schedule);
+}));
+
+/**
+ * As a client, deposit funds into your balance. `userId` must be your own profile id, as `authorize` checks; it is
+ * kept so the endpoint's path names the balance it changes.
+ * Deposits must keep to the client's deposit policy (src/depositPolicy.js): the limits in the configuration, as
+ * overridden for the client by an admin. By default the deposits made within any 24 hours may add up to, at most, 25%
+ * of the total still outstanding on the client's jobs. A rejected deposit names the rule it broke and how much the
+ * client may still deposit.
+ * Clients without jobs may not deposit funds.
+ * Supports the `Idempotency-Key` header so deposits can be safely retried.
+ *
+ * @returns Profile
+ */
+app.post('/balances/deposit/:userId', getProfile, authorize({ roles: [ROLES.CLIENT], resource: 'Profile', param: 'userId' }), idempotent, asyncHandler(async (req, res) => {
+    const { Profile } = req.app.get('models');
+
+    const { depositAmount } = req.body;
+
+    if (!Money.isValid(depositAmount) || !Money.of(depositAmount).isPositive()) {
+        throw new ValidationError('A valid, positive deposit amount must be provided', { field: 'depositAmount' });
+    }
+
+    const updatedClientProfile = await sequelize.transaction(async (transaction) => {
+        const client = await Profile.findOne({ where: { id: req.profile.id }, lock: true, transaction });
+
+        await enforceDepositPolicy({ client, amount: depositAmount, limits: req.app.get('limits') }, transaction);
+
+        await transferFunds({ debit: SYSTEM_ACCOUNTS.DEPOSITS, credit: client, amount: depositAmount, kind: 'deposit' }, transaction);
+
+        await recordEvent(WEBHOOK_EVENT_TYPES.BALANCE_DEPOSITED, {
+            profileId: client.id,
+            amount: Money.of(depositAmount).toNumber(),
+            currency: client.currency,
+            balance: client.balance,
+        }, [client.id], transaction);
+
+        return client;
+    });
+
+    res.json(updatedClientProfile);
+}));
+
+/**
+ * Fetch the ledger of every movement of a profile's balance, oldest first, with the running balance after each entry.
+ * Profiles may only fetch their own history; admins may fetch any profile's history.
+ *
+ * Query parameters:
+ * - `start` / `end` - only movements within this range; calendar dates (`YYYY-MM-DD`) cover whole days in UTC. Earlier
+ *   movements still count towards the running balance.
+ *
+ * @returns {
+ *     balance: number,
+ *     entries: LedgerEntry[]
+ * }
+ */
+app.get('/balances/:userId/history', getProfile, authorize({ resource: 'Profile', param: 'userId' }), asyncHandler(async (req, res) => {
+    const { Profile } = req.app.get('models');
+
+    const { userId } = req.params;
+
+    const range = parseDateRange(req.query);
+
+    const profile = await Profile.findOne(withOwnership('Profile', req.profile, { where: { id: userId } }));
+
+    if (!profile) {
+        throw new NotFoundError('Profile not found', { userId });
+    }
+
+    res.json(await getBalanceHistory(profile, range));
+}));
+
+/**
+ * Export a profile's statement of paid jobs between `start` and `end`, in the order they were paid, as a CSV (the
+ * default) or JSON download. Each job is listed with the counterparty of its contract and its price in the contract's
+ * currency. Calendar dates cover whole days in UTC.
+ * Profiles may only export their own statement; admins may export any profile's statement.
+ *
+ * Query parameters:
+ * - `format` - `csv` or `json`
+ * - `start` / `end` - only jobs paid within this range
+ */
+app.get('/exports/statement/:userId/jobs', getProfile, authorize({ resource: 'Profile', param: 'userId' }), asyncHandler(async (req, res) => {
+    const { Contract } = req.app.get('models');
+    const { Job } = req.app.get('models');
+    const { Profile } = req.app.get('models');
+
+    const { userId } = req.params;
+
+    const format = parseExportFormat(req.query.format);
+
+    const { start, end } = parseDateRange(req.query);
+
+    const paymentDate = {};
+    if (start) {
+        paymentDate[Op.gte] = start;
+    }
+    if (end) {
+        paymentDate[Op.lte] = end;
+    }
+
+    const profile = await Profile.findOne(withOwnership('Profile', req.profile, { where: { id: userId } }));
+
+    if (!profile) {
+        throw new NotFoundError('Profile not found', { userId });
+    }
+
+    const isClient = profile.type === ROLES.CLIENT;
+    const paidJobs = findInBatches(Job, {
+        where: { paid: true, ...(start || end ? { paymentDate } : {}) },
+        include: [{
+            model: Contract,
+            attributes: ['currency', 'ClientId', 'ContractorId'],
+            where: isClient ? { ClientId: profile.id } : { ContractorId: profile.id },
+        }],
+    }, { field: 'paymentDate', direction: 'ASC' });
+
+    await streamExport(res, {
+        format,
+        filename: `statement-${profile.id}-jobs`,
+        columns: ['id', 'paymentDate', 'ContractId', 'counterpartyId', 'description', 'price', 'amountPaid', 'currency'],
+        rows: mapRows(paidJobs, (job) => ({
+            ...job.toJSON(),
+            counterpartyId: isClient ? job.Contract.ContractorId : job.Contract.ClientId,
+            currency: job.Contract.currency,
+        })),
+    });
+}));
+
+/**
+ * Export the movements of a profile's balance between `start` and `end`, oldest first, with the running balance after
+ * each one, as a CSV (the default) or JSON download. Calendar dates cover whole days in UTC.
+ * Profiles may only export their own statement; admins may export any profile's statement.
+ *
+ * Query parameters:
+ * - `format` - `csv` or `json`
+ * - `start` / `end` - only movements within this range
+ */
+app.get('/exports/statement/:userId/balance', getProfile, authorize({ resource: 'Profile', param: 'userId' }), asyncHandler(async (req, res) => {
+    const { Profile } = req.app.get('models');
+
+    const { userId } = req.params;
+
+    const format = parseExportFormat(req.query.format);
+
+    const { start: startDate, end: endDate } = parseDateRange(req.query);
+
+    const profile = await Profile.findOne(withOwnership('Profile', req.profile, { where: { id: userId } }));
+
+    if (!profile) {
+        throw new NotFoundError('Profile not found', { userId });
+    }
+
+    await streamExport(res, {
+        format,
+        filename: `statement-${profile.id}-balance`,
+        columns: ['id', 'createdAt', 'kind', 'direction', 'amount', 'currency', 'runningBalance', 'JobId', 'transferId'],
+        rows: readBalanceHistory(profile, { start: startDate, end: endDate }),
+    });
+}));
+
+/**
+ * Export your contracts, or every contract as an admin, oldest first, as a CSV (the default) or JSON download.
+ *
+ * Query parameters:
+ * - `format` - `csv` or `json`
+ * - `status` - only contracts with this status: `new`, `in_progress` or `terminated`
+ */
+app.get('/exports/contracts', getProfile, authorize(), asyncHandler(async (req, res) => {
+    const { Contract } = req.app.get('models');
+
+    const { status } = req.query;
+
+    const format = parseExportFormat(req.query.format);
+
+    const query = {};
+    if (status) {
+        const statuses = Contract.rawAttributes.status.values;
+        if (!statuses.includes(status)) {
+            throw new ValidationError(`status must be one of ${statuses.join(', ')}`, { parameter: 'status' });
+        }
+
+        query.status = status;
+    }
+
+    await streamExport(res, {
+        format,
+        filename: 'contracts',
+        columns: [
+            'id',
+            'status',
+            'terms',
+            'currency',
+            'ClientId',
+            'ContractorId',
+            'completionPolicy',
+            'endDate',
+            'terminationReason',
+            'createdAt',
+            'acceptedAt',
+            'startedAt',
+            'terminatedAt',
+        ],
+        rows: findInBatches(Contract, withOwnership('Contract', req.profile, { where: query })),
+    });
+}));
+
+/**
+ * Export the jobs of your contracts, or every job as an admin, oldest first, as a CSV (the default) or JSON download.
+ * Prices are in the currency of each job's contract.
+ *
+ * Query parameters:
+ * - `format` - `csv` or `json`
+ * - `status` - only jobs with this status: `open`, `delivered`, `approved`, `rejected` or `withdrawn`
+ * - `paid` - `true` or `false` for only paid or unpaid jobs
+ */
+app.get('/exports/jobs', getProfile, authorize(), asyncHandler(async (req, res) => {
+    const { Contract } = req.app.get('models');
+    const { Job } = req.app.get('models');
+
+    const { status, paid } = req.query;
+
+    const format = parseExportFormat(req.query.format);
+
+    const query = {};
+    if (status) {
+        const statuses = Job.rawAttributes.status.values;
+        if (!statuses.includes(status)) {
+            throw new ValidationError(`status must be one of ${statuses.join(', ')}`, { parameter: 'status' });
+        }
+
+        query.status = status;
+    }
+    if (paid !== undefined) {
+        if (paid !== 'true' && paid !== 'false') {
+            throw new ValidationError('paid must be true or false', { parameter: 'paid' });
+        }
+
+        query[Op.or] = paid === 'true' ? [{ paid: true }] : [{ paid: null }, { paid: false }];
+    }
+
+    // The job's contract is fetched for its currency, restricted to the contracts the caller owns
+    const jobs = findInBatches(Job, {
+        where: query,
+        include: [{ model: Contract, attributes: ['currency'], ...OWNERSHIP_RULES.Contract(req.profile) }],
+    });
+
+    await streamExport(res, {
+        format,
+        filename: 'jobs',
+        columns: [
+            'id',
+            'ContractId',
+            'description',
+            'price',
+            'amountPaid',
+            'amountOutstanding',
+            'currency',
+            'paid',
+            'paymentDate',
+            'status',
+            'createdAt',
+        ],
+        rows: mapRows(jobs, (job) => ({ ...job.toJSON(), paid: !!job.paid, currency: job.Contract.currency })),
+    });
+}));
+
+/**
+ * As a contractor, withdraw funds from your balance.
+ * The amount is moved into a pending payout which is handed to the payout provider and then settled or failed.
+ * A failed payout returns the funds to the contractor's balance. A payout the provider leaves pending is settled or
+ * failed later by `reconcilePendingPayouts`.
+ *
+ * @returns Payout
+ */
+app.post('/balances/withdraw', getProfile, authorize({ roles: [ROLES.CONTRACTOR] }), asyncHandler(async (req, res) => {
+    const { Profile } = req.app.get('models');
+    const payoutProvider = req.app.get('payoutProvider');
+
+    const { amount } = req.body;
+
+    if (!Money.isValid(amount) || !Money.of(amount).isPositive()) {
+        throw new ValidationError('A valid, positive withdrawal amount must be provided', { field: 'amount' });
+    }
+
+    const pendingPayout = await sequelize.transaction(async (transaction) => {
+        const contractor = await Profile.findOne({ where: { id: req.profile.id }, lock: true, transaction });
+
+        if (Money.of(contractor.balance).isLessThan(amount)) {
+            throw new InsufficientBalanceError(contractor.balance, Money.of(amount).toNumber());
+        }
+
+        return createPayout(contractor, Money.of(amount).toNumber(), payoutProvider, transaction);
+    });
+
+    res.json(await processPayout(pendingPayout, payoutProvider));
+}));
+
+/**
+ * As a contractor, fetch a page of your payouts, most recent first.
+ *
+ * Query parameters:
+ * - `status` - only payouts with this status: `pending`, `settled` or `failed`
+ * - `limit` - page size (default 20, at most 100)
+ * - `cursor` - the `X-Next-Cursor` header of the previous page
+ *
+ * @returns Payout[]
+ */
+app.get('/payouts', getProfile, authorize({ roles: [ROLES.CONTRACTOR] }), asyncHandler(async (req, res) => {
+    const { Payout } = req.app.get('models');
+
+    const { status, cursor } = req.query;
+
+    const pageSize = parsePageSize(req.query.limit);
+
+    const query = {};
+    if (status) {
+        const statuses = Payout.rawAttributes.status.values;
+        if (!statuses.includes(status)) {
+            throw new ValidationError(`status must be one of ${statuses.join(', ')}`, { parameter: 'status' });
+        }
+
+        query.status = status;
+    }
+
+    const page = await paginate(Payout, withOwnership('Payout', req.profile, { where: query }), { sort: parseSort('-id', ['id']), pageSize, cursor });
+
+    if (page.nextCursor) {
+        res.set(NEXT_CURSOR_HEADER, page.nextCursor);
+    }
+
+    res.json(page.rows);
+}));
+
+/**
+ * As a contractor, fetch a single one of your payouts by id.
+ *
+ * @returns Payout
+ */
+app.get('/payouts/:id', getProfile, authorize({ roles: [ROLES.CONTRACTOR], resource: 'Payout' }), asyncHandler(async (req, res) => {
+    const { Payout } = req.app.get('models');
+
+    const { id } = req.params;
+
+    const payout = await Payout.findOne(withOwnership('Payout', req.profile, { where: { id } }));
+
+    if (!payout) {
+        throw new NotFoundError('Payout not found', { id });
+    }
+
+    res.json(payout);
+}));
+
+/**
+ * Register an endpoint URL to be sent the given types of event (`job.paid`, `balance.deposited` and/or
+ * `contract.status_changed`) as they happen. Profiles are sent the events which concern them; admins are sent every event.
+ * The URL's host must resolve to public addresses only; loopback, private and link-local addresses, such as a cloud
+ * metadata service, are rejected.
+ * The response includes the secret which signs each request to the endpoint. It is only shown once.
+ *
+ * @returns WebhookEndpoint & { secret: string }
+ */
+app.post('/webhooks', getProfile, authorize(), asyncHandler(async (req, res) => {
+    const { WebhookEndpoint } = req.app.get('models');
+
+    const { url, eventTypes } = req.body;
+
+    let parsedUrl = null;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        // Reported below
+    }
+
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new ValidationError('An http or https URL must be provided', { field: 'url' });
+    }
+
+    await resolveWebhookUrl(url, req.app.get('allowPrivateWebhookUrls'));
+
+    const allEventTypes = Object.values(WEBHOOK_EVENT_TYPES);
+    if (!Array.isArray(eventTypes) || !eventTypes.length || eventTypes.some((eventType) => !allEventTypes.includes(eventType))) {
+        throw new ValidationError(`eventTypes must be a list of ${allEventTypes.join(', ')}`, { field: 'eventTypes' });
+    }
+
+    const secret = generateWebhookSecret();
+    const endpoint = await WebhookEndpoint.create({ url, eventTypes: [...new Set(eventTypes)], secret, ProfileId: req.profile.id });
+
+    res.status(201).json({ ...endpoint.toJSON(), secret });
+}));
+
+/**
+ * Fetch all of your webhook endpoints.
+ *
+ * @returns WebhookEndpoint[]
+ */
+app.get('/webhooks', getProfile, authorize(), asyncHandler(async (req, res) => {
+    const { WebhookEndpoint } = req.app.get('models');
+
+    const endpoints = await WebhookEndpoint.findAll(withOwnership('WebhookEndpoint', req.profile, { order: [['id', 'ASC']] }));
+
+    res.json(endpoints);
+}));
+
+/**
+ * Fetch the deliveries to your endpoints which failed every attempt, most recent first, with their events.
+ *
+ * @returns WebhookDelivery[]
+ */
+app.get('/webhooks/dead-letters', getProfile, authorize(), asyncHandler(async (req, res) => {
+    const { WebhookDelivery } = req.app.get('models');
+    const { WebhookEvent } = req.app.get('models');
+
+    const deliveries = await WebhookDelivery.findAll(withOwnership('WebhookDelivery', req.profile, {
+        where: { status: 'dead_lettered' },
+        include: [WebhookEvent],
+        order: [['id', 'DESC']],
+    }));
+
+    res.json(deliveries);
+}));
+
+/**
+ * Send a dead lettered delivery to its endpoint again, with a fresh set of attempts.
+ *
+ * @returns WebhookDelivery
+ */
+app.post('/webhooks/deliveries/:id/retry', getProfile, authorize({ resource: 'WebhookDelivery' }), asyncHandler(async (req, res) => {
+    const { WebhookDelivery } = req.app.get('models');
+
+    const { id } = req.params;
+
+    const delivery = await WebhookDelivery.findOne({ where: { id } });
+
+    if (delivery.status !== 'dead_lettered') {
+        throw new ConflictError('Only dead lettered deliveries can be retried', { status: delivery.status }, 'DELIVERY_NOT_DEAD_LETTERED');
+    }
+
+    res.json(await retryDelivery(delivery));
+}));
+
+/**
+ * Delete one of your webhook endpoints and its deliveries. Deliveries which have not been sent yet never will be.
+ */
+app.delete('/webhooks/:id', getProfile, authorize({ resource: 'WebhookEndpoint' }), asyncHandler(async (req, res) => {
+    const { WebhookEndpoint } = req.app.get('models');
+
+    const { id } = req.params;
+
+    await WebhookEndpoint.destroy({ where: { id } });
+
+    res.status(204).end();
+}));
+
+/**
+ * Computes the highest earning profession(s) for the given date range, from `start` to `end`. Calendar dates
+ * (`YYYY-MM-DD`) cover whole days in UTC.
+ * Earnings are compared in the reporting `currency` (default USD), and totalled by the database in a single query.
+ * Pass `format=csv` or `format=json` to download the result as a file.
+ * Admin only endpoint;
+ *
+ * @returns string[]
+ */
+app.get('/admin/best-profession', getProfile, authorize({ roles: [ROLES.ADMIN] }), asyncHandler(async (req, res) => {
+    const { currency = DEFAULT_CURRENCY } = req.query;
+
+    if (!isValidCurrency(currency)) {
+        throw new ValidationError('currency must be an ISO 4217 currency code', { parameter: 'currency' });
+    }
+
+    // With a `format` the result is downloaded as a CSV or JSON file instead
+    const format = req.query.format === undefined ? null : parseExportFormat(req.query.format);
+
+    const { start: startDate, end: endDate } = parseDateRange(req.query);
+
+    const highestEarningProfessions = await getBestProfessions({ currency, start: startDate, end: endDate });
+
+    if (format) {
+        await streamExport(res, {
+            format,
+            filename: 'best-profession',
+            columns: ['profession'],
+            rows: highestEarningProfessions.map((profession) => ({ profession })),
+        });
+    } else {
+        res.json(highestEarningProfessions);
+    }
+}));
+
+/**
+ * Fetch the highest paying clients for the given date range, from `start` to `end`, and limit filter. Calendar dates
+ * (`YYYY-MM-DD`) cover whole days in UTC.
+ * Results are sorted by total payment amount.
+ * `limit` clients (default 2) are returned per page; pass the `X-Next-Cursor` header back as `cursor` for the next page.
+ * Totals are reported in the reporting `currency` (default USD), and ranked by the database in a single query.
+ * Pass `format=csv` or `format=json` to download every client as a file.
+ * Admin only endpoint.
+ *
+ * @returns {
+ *     id: number,
+ *     fullName: string,
+ *     paid: number,
+ *     currency: string
+ * }
+ */
+app.get('/admin/best-clients', getProfile, authorize({ roles: [ROLES.ADMIN] }), asyncHandler(async (req, res) => {
+    const { currency = DEFAULT_CURRENCY } = req.query;
+
+    if (!isValidCurrency(currency)) {
+        throw new ValidationError('currency must be an ISO 4217 currency code', { parameter: 'currency' });
+    }
+
+    // With a `format` every client (unless `limit` is given) is downloaded as a CSV or JSON file instead
+    const format = req.query.format === undefined ? null : parseExportFormat(req.query.format);
+    const sendClients = (clients) => format
+        ? streamExport(res, { format, filename: 'best-clients', columns: ['id', 'fullName', 'paid', 'currency'], rows: clients })
+        : res.json(clients);
+
+    const { start: startDate, end: endDate } = parseDateRange(req.query);
+
+    if (req.query.limit === '0') {
+        return sendClients([]);
+    }
+
+    const clientFetchLimit = format && req.query.limit === undefined ? Infinity : parsePageSize(req.query.limit, 2);
+
+    // Clients are ranked by the amount paid, highest first, with the client id as a tie breaker
+    let cursorPosition;
+    if (req.query.cursor) {
+        cursorPosition = decodeCursor(req.query.cursor);
+        if (!cursorPosition || cursorPosition.sort !== '-paid' || cursorPosition.currency !== currency) {
+            throw new ValidationError('cursor is invalid for this sort', { parameter: 'cursor' });
+        }
+    }
+
+    const { clients, hasMore } = await getBestClients({
+        currency,
+        start: startDate,
+        end: endDate,
+        after: cursorPosition ? { paid: cursorPosition.value, id: cursorPosition.id } : null,
+        limit: clientFetchLimit,
+    });
+
+    if (hasMore) {
+        const lastClient = clients[clients.length - 1];
+        res.set(NEXT_CURSOR_HEADER, encodeCursor({ sort: '-paid', currency, value: lastClient.paid, id: lastClient.id }));
+    }
+
+    await sendClients(clients.map((client) => ({ ...client, currency })));
+}));
+
+/**
+ * Report the earnings from payments towards jobs over time: the total, number and average of payments, partial ones
+ * included, in each day, week or month they were made in.
+ * Every period in the range is listed, with zeros where nothing was paid.
+ * Admin only endpoint.
+ *
+ * Query parameters:
+ * - `interval` - `day`, `week` (starting on Monday) or `month` (default)
+ * - `groupBy` - also break each period down by `profession`, `client` or `contractor`
+ * - `start` / `end` - only payments within this range; calendar dates (`YYYY-MM-DD`) cover whole days in `timeZone`
+ * - `timeZone` - the IANA time zone in which periods begin and end (default UTC)
+ * - `currency` - the reporting currency (default USD); each payment is converted at the rate in effect when it was made
+ * - `format` - `csv` or `json` to download the report as a file, with a row per period (and group)
+ *
+ * @returns {
+ *     interval: string,
+ *     timeZone: string,
+ *     currency: string,
+ *     groupBy: string | null,
+ *     total: number,
+ *     count: number,
+ *     average: number,
+ *     periods: {
+ *         period: string,
+ *         total: number,
+ *         count: number,
+ *         average: number,
+ *         groups?: object[]
+ *     }[]
+ * }
+ */
+app.get('/admin/reports/earnings', getProfile, authorize({ roles: [ROLES.ADMIN] }), asyncHandler(async (req, res) => {
+    const { interval = 'month', groupBy, start, end, timeZone = 'UTC', currency = DEFAULT_CURRENCY } = req.query;
+
+    if (!REPORT_INTERVALS.includes(interval)) {
+        throw new ValidationError(`interval must be one of ${REPORT_INTERVALS.join(', ')}`, { parameter: 'interval' });
+    }
+
+    if (groupBy !== undefined && !REPORT_GROUPINGS.includes(groupBy)) {
+        throw new ValidationError(`groupBy must be one of ${REPORT_GROUPINGS.join(', ')}`, { parameter: 'groupBy' });
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+        throw new ValidationError('timeZone must be an IANA time zone, e.g. Europe/London', { parameter: 'timeZone' });
+    }
+
+    if (!isValidCurrency(currency)) {
+        throw new ValidationError('currency must be an ISO 4217 currency code', { parameter: 'currency' });
+    }
+
+    const { start: startDate, end: endDate } = parseDateRange({ start, end }, timeZone);
+
+    // With a `format` the report is downloaded as a CSV or JSON file instead, with a row per period (and group)
+    const format = req.query.format === undefined ? null : parseExportFormat(req.query.format);
+
+    const report = await getEarningsReport({ interval, groupBy, currency, timeZone, start: startDate, end: endDate });
+
+    if (!format) {
+        return res.json(report);
+    }
+
+    const groupColumns = { profession: ['profession'], client: ['id', 'fullName'], contractor: ['id', 'fullName'] }[groupBy] || [];
+    const rows = report.periods.flatMap(({ groups, ...period }) => groups
+        ? groups.map((group) => ({ ...group, period: period.period, currency }))
+        : [{ ...period, currency }]);
+
+    await streamExport(res, {
+        format,
+        filename: `earnings-by-${interval}`,
+        columns: ['period', ...groupColumns, 'total', 'count', 'average', 'currency'],
+        rows,
+    });
+}));
+
+/**
+ * Record the exchange rate between two currencies from the given date onwards.
+ * The body is `{ baseCurrency, quoteCurrency, rate, effectiveFrom }` where `rate` is the number of units of the quote
+ * currency one unit of the base currency buys, to at most 8 decimal places. `effectiveFrom` defaults to now.
+ * Admin only endpoint.
+ *
+ * @returns ExchangeRate
+ */
+app.post('/admin/exchange-rates', getProfile, authorize({ roles: [ROLES.ADMIN] }), asyncHandler(async (req, res) => {
+    const { ExchangeRate } = req.app.get('models');
+
+    const { baseCurrency, quoteCurrency, rate, effectiveFrom = new Date().toISOString() } = req.body;
+
+    if (!isValidCurrency(baseCurrency) || !isValidCurrency(quoteCurrency) || baseCurrency === quoteCurrency) {
+        throw new ValidationError('baseCurrency and quoteCurrency must be two different ISO 4217 currency codes');
+    }
+
+    // Rates are stored, and multiplied by in the analytics queries, to 8 decimal places
+    if (!['number', 'string'].includes(typeof rate) || !/^\d{1,10}(\.\d{1,8})?$/.test(String(rate).trim()) || Number(rate) <= 0) {
+        throw new ValidationError('rate must be a positive number with at most 8 decimal places', { field: 'rate' });
+    }
+
+    const effectiveFromDate = new Date(effectiveFrom);
+    if (effectiveFromDate.toString() === 'Invalid Date') {
+        throw new ValidationError('effectiveFrom must be a valid date', { field: 'effectiveFrom' });
+    }
+
+    const existingRate = await ExchangeRate.findOne({ where: { baseCurrency, quoteCurrency, effectiveFrom: effectiveFromDate } });
+
+    if (existingRate) {
+        throw new ConflictError('A rate between these currencies already takes effect at this time', { id: existingRate.id }, 'EXCHANGE_RATE_EXISTS');
+    }
+
+    const exchangeRate = await ExchangeRate.create({ baseCurrency, quoteCurrency, rate, effectiveFrom: effectiveFromDate });
+
+    res.status(201).json(exchangeRate);
+}));
+
+/**
+ * Fetch the history of exchange rates, most recent first, optionally only between the given `baseCurrency` and
+ * `quoteCurrency`.
+ * Admin only endpoint.
+ *
+ * @returns ExchangeRate[]
+ */
+app.get('/admin/exchange-rates', getProfile, authorize({ roles: [ROLES.ADMIN] }), asyncHandler(async (req, res) => {
+    const { ExchangeRate } = req.app.get('models');
+
+    const { baseCurrency, quoteCurrency } = req.query;
+
+    const query = {};
+    if (baseCurrency) {
+        if (!isValidCurrency(baseCurrency)) {
+            throw new ValidationError('baseCurrency must be an ISO 4217 currency code', { parameter: 'baseCurrency' });
+        }
+
+        query.baseCurrency = baseCurrency;
+    }
+    if (quoteCurrency) {
+        if (!isValidCurrency(quoteCurrency)) {
+            throw new ValidationError('quoteCurrency must be an ISO 4217 currency code', { parameter: 'quoteCurrency' });
+        }
+
+        query.quoteCurrency = quoteCurrency;
+    }
+
+    const exchangeRates = await ExchangeRate.findAll({ where: query, order: [['effectiveFrom', 'DESC'], ['id', 'DESC']] });
+
+    res.json(exchangeRates);
+}));
+
+/**
+ * Create a long-lived API key for the calling admin.
+ * The key is only ever returned in this response; it authenticates requests through the `X-API-Key` header.
+ * Admin only endpoint.
+ *
+ * @returns ApiKey & { key: string }
+ */
+app.post('/admin/api-keys', getProfile, authorize({ roles: [ROLES.ADMIN] }), asyncHandler(async (req, res) => {
+    const { ApiKey } = req.app.get('models');
+
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string') {
+        throw new ValidationError('A name must be provided for the API key', { field: 'name' });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({ name, prefix, keyHash, ProfileId: req.profile.id });
+
+    res.status(201).json({ ...apiKey.toJSON(), key });
+}));
+
+/**
+ * Fetch all API keys of the calling admin, including revoked ones.
+ * Admin only endpoint.
+ *
+ * @returns ApiKey[]
+ */
+app.get('/admin/api-keys', getProfile, authorize({ roles: [ROLES.ADMIN] }), asyncHandler(async (req, res) => {
+    const { ApiKey } = req.app.get('models');
+
+    const apiKeys = await ApiKey.findAll(withOwnership('ApiKey', req.profile, { order: [['id', 'ASC']] }));
+
+    res.json(apiKeys);
+}));
+
+/**
+ * Revoke one of the calling admin's API keys. Revoked keys are rejected immediately.
+ * Admin only endpoint.
+ *
+ * @returns ApiKey
+ */
+app.post('/admin/api-keys/:id/revoke', getProfile, authorize({ roles: [ROLES.ADMIN], resource: 'ApiKey' }), asyncHandler(async (req, res) => {
+    const { ApiKey } = req.app.get('models');
+
+    const { id } = req.params;
+
+    const apiKey = await ApiKey.findOne(withOwnership('ApiKey', req.profile, { where: { id } }));
+
+    if (!apiKey) {
+        throw new NotFoundError('API key not found', { id });
+    }
+
+    if (!apiKey.revokedAt) {
+        apiKey.revokedAt = new Date();
+        await apiKey.save();
+    }
+
+    res.json(apiKey);
+}));
+
+/**
+ * Fetch the deposit policy which applies to a client: the admin's `override` of the configured limits, if any, and
+ * the effective `policy`, which falls back to the configured default for each setting not overridden.
+ * Admin only endpoint.
+ *
+ * @returns {
+ *     ProfileId: number,
+ *     override: DepositPolicy | null,
+ *     policy: {
+ *         depositLimitRatio: number,
+ *         depositWindowHours: number,
+ *         minimumDeposit: number | null,
+ *         maximumDeposit: number | null,
+ *         depositWindowLimit: number | null
+ *     }
+ * }
+ */
+app.get('/admin/deposit-policies/:userId', getProfile, authorize({ roles: [ROLES.ADMIN], resource: 'Profile', param: 'userId' }), asyncHandler(async (req, res) => {
+    const client = await findDepositingClient(req.params.userId);
+
+    res.json(await getDepositPolicy(client, req.app.get('limits')));
+}));
+
+/**
+ * Override the configured deposit limits for a client.
+ * The body may set any of `depositLimitRatio`, `depositWindowHours`, `minimumDeposit`, `maximumDeposit` and
+ * `depositWindowLimit`, validated as they are in the configuration, along with a `reason`. Settings which are not
+ * given keep their current override, and a setting given as null goes back to the configured default.
+ * Admin only endpoint.
+ *
+ * @returns the client's deposit policy, as `GET /admin/deposit-policies/:userId`
+ */
+app.put('/admin/deposit-policies/:userId', getProfile, authorize({ roles: [ROLES.ADMIN], resource: 'Profile', param: 'userId' }), asyncHandler(async (req, res) => {
+    const { DepositPolicy } = req.app.get('models');
+
+    const changes = parsePolicyOverride(req.body);
+
+    const client = await findDepositingClient(req.params.userId);
+
+    const depositPolicy = await sequelize.transaction(async (transaction) => {
+        const [override] = await DepositPolicy.findOrBuild({ where: { ProfileId: client.id }, transaction });
+
+        override.set(changes);
+        await override.save({ transaction });
+
+        return getDepositPolicy(client, req.app.get('limits'), transaction);
+    });
+
+    res.json(depositPolicy);
+}));
+
+/**
+ * Remove a client's override of the deposit limits, so the configured defaults apply to them again.
+ * Admin only endpoint.
+ *
+ * @returns the client's deposit policy, as `GET /admin/deposit-policies/:userId`
+ */
+app.delete('/admin/deposit-policies/:userId', getProfile, authorize({ roles: [ROLES.ADMIN], resource: 'Profile', param: 'userId' }), asyncHandler(async (req, res) => {
+    const { DepositPolicy } = req.app.get('models');
+
+    const client = await findDepositingClient(req.params.userId);
+
+    await DepositPolicy.destroy({ where: { ProfileId: client.id } });
+
+    res.json(await getDepositPolicy(client, req.app.get('limits')));
+}));
+
+/**
+ * Fetch a page of the queue of disputes awaiting resolution, oldest first.
+ * Admin only endpoint.
+ *
+ * Query parameters:
+ * - `status` - only disputes with this status: `open`, `responded` or `resolved` (default: every unresolved dispute)
+ * - `limit` - page size (default 20, at most 100)
+ * - `cursor` - the `X-Next-Cursor` header of the previous page
+ *
+ * @returns Dispute[]
+ */
+app.get('/admin/disputes', getProfile, authorize({ roles: [ROLES.ADMIN] }), asyncHandler(async (req, res) => {
+    const { Dispute } = req.app.get('models');
+
+    const { status, cursor } = req.query;
+
+    if (status !== undefined && !DISPUTE_STATUSES.includes(status)) {
+        throw new ValidationError(`status must be one of: ${DISPUTE_STATUSES.join(', ')}`, { field: 'status' });
+    }
+
+    const pageSize = parsePageSize(req.query.limit);
+
+    const query = { status: status === undefined ? { [Op.in]: UNRESOLVED_DISPUTE_STATUSES } : status };
+
+    const page = await paginate(Dispute, { where: query }, { sort: parseSort('id', ['id']), pageSize, cursor });
+
+    if (page.nextCursor) {
+        res.set(NEXT_CURSOR_HEADER, page.nextCursor);
+    }
+
+    res.json(page.rows);
+}));
+
+/**
+ * Resolve a dispute. The body is `{ outcome, refundAmount, note }` where `outcome` is:
+ * - `client` - everything disputed is refunded to the client
+ * - `contractor` - the contractor keeps the payment
+ * - `split` - `refundAmount`, more than 0 and less than the amount disputed, is refunded to the client
+ * Refunds are moved from the contractor's balance to the client's, in the currency of the dispute, and fail if the
+ * contractor's balance does not cover them.
+ * Admin only endpoint.
+ *
+ * @returns Dispute
+ */
+app.post('/admin/disputes/:id/resolve', getProfile, authorize({ roles: [ROLES.ADMIN], resource: 'Dispute' }), asyncHandler(async (req, res) => {
+    const { Dispute } = req.app.get('models');
+
+    const { id } = req.params;
+    const { outcome, refundAmount, note } = req.body;
+
+    if (!Object.values(DISPUTE_OUTCOMES).includes(outcome)) {
+        throw new ValidationError(`outcome must be one of: ${Object.values(DISPUTE_OUTCOMES).join(', ')}`, { field: 'outcome' });
+    }
+
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+        throw new ValidationError('note must be a string', { field: 'note' });
+    }
+
+    const dispute = await sequelize.transaction(async (transaction) => {
+        const disputeToResolve = await Dispute.findOne({ where: { id }, lock: true, transaction });
+
+        return resolveDispute({ dispute: disputeToResolve, outcome, refundAmount, note, admin: req.profile }, transaction);
+    });
+
+    res.json(dispute);
+}));
+
+/**
+ * Fetch a page of the audit log of mutating requests, most recent first.
+ * Each entry records the actor, the action (`<method> <route>`), its target, the before and after values of every row
+ * the request changed, the outcome and the request's id, IP address and user agent.
+ * Admin only endpoint.
+ *
+ * Query parameters:
+ * - `actorId` - only requests made by this profile
+ * - `action` - only this action, e.g. `POST /jobs/:job_id/pay`
+ * - `targetType` / `targetId` - only requests acting on this resource, e.g. `Job` and `1`
+ * - `outcome` - `succeeded` or `failed`
+ * - `start` / `end` - only requests recorded within this range; calendar dates (`YYYY-MM-DD`) cover whole days in UTC
+ * - `limit` - page size (default 20, at most 100)
+ * - `cursor` - the `X-Next-Cursor` header of the previous page
+ *
+ * @returns AuditEntry[]
+ */
+app.get('/admin/audit', getProfile, authorize({ roles: [ROLES.ADMIN] }), asyncHandler(async (req, res) => {
+    const { AuditEntry } = req.app.get('models');
+
+    const { outcome, cursor } = req.query;
+    const actorId = parseSingleValue(req.query.actorId, 'actorId');
+    const action = parseSingleValue(req.query.action, 'action');
+    const targetType = parseSingleValue(req.query.targetType, 'targetType');
+    const targetId = parseSingleValue(req.query.targetId, 'targetId');
+
+    const pageSize = parsePageSize(req.query.limit);
+
+    const query = {};
+    if (actorId) {
+        if (!/^\d+$/.test(actorId)) {
+            throw new ValidationError('actorId must be a profile id', { parameter: 'actorId' });
+        }
+
+        query.actorId = actorId;
+    }
+    if (action) {
+        query.action = action;
+    }
+    if (targetType) {
+        query.targetType = targetType;
+    }
+    if (targetId) {
+        query.targetId = targetId;
+    }
+    if (outcome) {
+        if (!AUDIT_OUTCOMES.includes(outcome)) {
+            throw new ValidationError(`outcome must be one of ${AUDIT_OUTCOMES.join(', ')}`, { parameter: 'outcome' });
+        }
+
+        query.outcome = outcome;
+    }
+
+    const { start, end } = parseDateRange(req.query);
+
+    const recordedAt = {};
+    if (start) {
+        recordedAt[Op.gte] = start;
+    }
+    if (end) {
+        recordedAt[Op.lte] = end;
+    }
+    if (start || end) {
+        query.recordedAt = recordedAt;
+    }
+
+    const page = await paginate(AuditEntry, { where: query }, { sort: parseSort('-id', ['id']), pageSize, cursor });
+
+    if (page.nextCursor) {
+        res.set(NEXT_CURSOR_HEADER, page.nextCursor);
+    }
+
+    res.json(page.rows);
+}));
+
+/**
+ * Check that no entry of the audit log has been altered, removed or inserted since it was written.
+ * Keep `latestHash` somewhere safe to also detect entries removed from the end of the log.
+ * Admin only endpoint.
+ *
+ * @returns {
+ *     valid: boolean,
+ *     entriesChecked: number,
+ *     latestHash: string,
+ *     invalidEntryId: number | null,
+ *     reason: string | null
+ * }
+ */
+app.get('/admin/audit/verify', getProfile, authorize({ roles: [ROLES.ADMIN] }), asyncHandler(async (req, res) => {
+    res.json(await verifyAuditChain());
+}));
 
-    res.json(
-        relevantClients
-            .sort((a, b) => clientPaymentMap[a.id] > clientPaymentMap[b.id] ? -1 : clientPaymentMap[a.id] < clientPaymentMap[b.id] ? 1 : 0)
-            .map((rc) => {
-                return {
-                    id: rc.id,
-                    fullName: `${rc.firstName} ${rc.lastName}`,
-                    paid: clientPaymentMap[rc.id],
-                }
-            })
-    );
-});
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 module.exports = app;
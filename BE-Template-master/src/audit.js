@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, AuditEntry } = require('./model');
+
+/**
+ * The previous hash of the first entry in the log.
+ */
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+const AUDIT_OUTCOMES = ['succeeded', 'failed'];
+
+/**
+ * Attributes whose values are never written to the audit log.
+ */
+const REDACTED_ATTRIBUTES = ['passwordHash', 'keyHash', 'secret'];
+
+/**
+ * Models whose changes are not audited: the log itself, and bookkeeping which is not a change made by the caller.
+ */
+const UNAUDITED_MODELS = ['AuditEntry', 'IdempotencyKey'];
+
+/**
+ * Attempts at appending an entry before giving up, should other processes keep appending to the same entry first.
+ */
+const MAX_APPEND_ATTEMPTS = 3;
+
+/**
+ * Holds `{ changes }` for the request being handled, so model hooks can record what the request changes.
+ */
+const auditContext = new AsyncLocalStorage();
+
+/**
+ * The attributes covered by an entry's hash, in the order they are hashed after the previous hash.
+ */
+const HASHED_ATTRIBUTES = [
+    'requestId',
+    'actorId',
+    'actorType',
+    'action',
+    'method',
+    'path',
+    'targetType',
+    'targetId',
+    'changes',
+    'outcome',
+    'statusCode',
+    'errorCode',
+    'ip',
+    'userAgent',
+    'recordedAt',
+];
+
+/**
+ * @returns string - the hex SHA-256 of the entry's previous hash and attributes, as stored
+ */
+const hashAuditEntry = (entry) => {
+    const values = HASHED_ATTRIBUTES.map((attribute) => {
+        const value = entry.getDataValue(attribute);
+        return value instanceof Date ? value.toISOString() : value;
+    });
+
+    return crypto.createHash('sha256').update(JSON.stringify([entry.previousHash, ...values])).digest('hex');
+};
+
+/**
+ * @returns object - the stored values of an instance's attributes, with credentials redacted
+ */
+const getAuditedValues = (instance, attributes = Object.keys(instance.constructor.rawAttributes)) => {
+    const values = {};
+    for (const attribute of attributes) {
+        values[attribute] = REDACTED_ATTRIBUTES.includes(attribute) ? '[REDACTED]' : instance.getDataValue(attribute);
+    }
+
+    return values;
+};
+
+/**
+ * @returns object - the values the changed attributes of an instance had when it was loaded, with credentials redacted
+ */
+const getPreviousAuditedValues = (instance, attributes) => {
+    const values = {};
+    for (const attribute of attributes) {
+        values[attribute] = REDACTED_ATTRIBUTES.includes(attribute) ? '[REDACTED]' : instance.previous(attribute);
+    }
+
+    return values;
+};
+
+const recordChange = (operation, instance, { before = null, after = null }) => {
+    const store = auditContext.getStore();
+
+    if (!store || UNAUDITED_MODELS.includes(instance.constructor.name)) {
+        return;
+    }
+
+    store.changes.push({ model: instance.constructor.name, id: instance.id, operation, before, after });
+};
+
+sequelize.addHook('afterCreate', (instance) => recordChange('create', instance, { after: getAuditedValues(instance) }));
+sequelize.addHook('afterBulkCreate', (instances) => instances.forEach((instance) => recordChange('create', instance, { after: getAuditedValues(instance) })));
+sequelize.addHook('afterUpdate', (instance) => {
+    const changedAttributes = instance.changed() || [];
+
+    recordChange('update', instance, {
+        before: getPreviousAuditedValues(instance, changedAttributes),
+        after: getAuditedValues(instance, changedAttributes),
+    });
+});
+sequelize.addHook('afterDestroy', (instance) => recordChange('destroy', instance, { before: getAuditedValues(instance) }));
+
+// Bulk updates and destroys only tell the per row hooks above which rows they change
+const auditBulkChange = (options) => {
+    if (auditContext.getStore()) {
+        options.individualHooks = true;
+    }
+};
+sequelize.addHook('beforeBulkUpdate', auditBulkChange);
+sequelize.addHook('beforeBulkDestroy', auditBulkChange);
+
+const writeAuditEntry = async (values, attempt = 1) => {
+    const [latestEntry] = await AuditEntry.findAll({ attributes: ['hash'], order: [['id', 'DESC']], limit: 1 });
+
+    const entry = AuditEntry.build({ ...values, previousHash: latestEntry ? latestEntry.hash : AUDIT_GENESIS_HASH });
+    entry.hash = hashAuditEntry(entry);
+
+    try {
+        return await entry.save();
+    } catch (error) {
+        // Another process appended an entry after the same latest entry first
+        if (error instanceof UniqueConstraintError && attempt < MAX_APPEND_ATTEMPTS) {
+            return writeAuditEntry(values, attempt + 1);
+        }
+
+        throw error;
+    }
+};
+
+let pendingAppend = Promise.resolve();
+
+/**
+ * Append an entry to the audit log, chained to the latest entry.
+ * Appends are made one at a time so concurrent requests never chain to the same entry.
+ *
+ * @returns AuditEntry
+ */
+const appendAuditEntry = (values) => {
+    const append = pendingAppend.then(() => writeAuditEntry({ ...values, recordedAt: values.recordedAt || new Date() }));
+    pendingAppend = append.catch(() => {});
+
+    return append;
+};
+
+/**
+ * Check every entry of the audit log, oldest first: each must chain to the hash of the entry before it and its own
+ * hash must match its contents. Any entry altered, removed or inserted out of order breaks the chain from that point.
+ * Entries removed from the end leave a valid chain, so `latestHash` should also be compared with a copy kept elsewhere.
+ *
+ * @returns {
+ *     valid: boolean,
+ *     entriesChecked: number,
+ *     latestHash: string,
+ *     invalidEntryId: number | null,
+ *     reason: string | null
+ * }
+ */
+const verifyAuditChain = async (batchSize = 500) => {
+    let previousHash = AUDIT_GENESIS_HASH;
+    let entriesChecked = 0;
+    let lastId = 0;
+
+    for (;;) {
+        const entries = await AuditEntry.findAll({ where: { id: { [Op.gt]: lastId } }, order: [['id', 'ASC']], limit: batchSize });
+
+        if (!entries.length) {
+            return { valid: true, entriesChecked, latestHash: previousHash, invalidEntryId: null, reason: null };
+        }
+
+        for (const entry of entries) {
+            let reason = null;
+            if (entry.previousHash !== previousHash) {
+                reason = 'The entry does not chain to the hash of the entry before it';
+            } else if (hashAuditEntry(entry) !== entry.hash) {
+                reason = 'The entry does not match its hash';
+            }
+
+            if (reason) {
+                return { valid: false, entriesChecked, latestHash: previousHash, invalidEntryId: entry.id, reason };
+            }
+
+            previousHash = entry.hash;
+            lastId = entry.id;
+            entriesChecked += 1;
+        }
+    }
+};
+
+module.exports = {
+    AUDIT_GENESIS_HASH,
+    AUDIT_OUTCOMES,
+    auditContext,
+    hashAuditEntry,
+    appendAuditEntry,
+    verifyAuditChain,
+};
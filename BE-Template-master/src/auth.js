@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+
+/**
+ * How long a token issued by the login endpoint remains valid for.
+ */
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const base64url = (value) => Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+const sign = (value, secret) => base64url(crypto.createHmac('sha256', secret).update(value).digest());
+
+/**
+ * Compare two strings in constant time. Their bytes are compared, since multibyte characters can make strings of the
+ * same length differ in byte length.
+ *
+ * @returns boolean
+ */
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Hash a password for storage on a profile.
+ *
+ * @returns string - `scrypt$<salt>$<hash>`
+ */
+const hashPassword = (password) => new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+        if (error) {
+            return reject(error);
+        }
+        resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+});
+
+/**
+ * Check a password against a hash produced by hashPassword.
+ *
+ * @returns boolean
+ */
+const verifyPassword = (password, passwordHash) => new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = (passwordHash || '').split('$');
+
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return resolve(false);
+    }
+
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+        if (error) {
+            return reject(error);
+        }
+        resolve(safeEqual(derivedKey.toString('hex'), hash));
+    });
+});
+
+/**
+ * Issue a signed, expiring token (HMAC-SHA256, JWT compatible) identifying the given profile.
+ *
+ * @returns {
+ *     token: string,
+ *     expiresAt: Date
+ * }
+ */
+const issueToken = (profile, secret, ttlSeconds = TOKEN_TTL_SECONDS) => {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ sub: profile.id, type: profile.type, iat: issuedAt, exp: issuedAt + ttlSeconds }));
+
+    return {
+        token: `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`,
+        expiresAt: new Date((issuedAt + ttlSeconds) * 1000),
+    };
+};
+
+/**
+ * Verify the signature and expiry of a token produced by issueToken.
+ *
+ * @returns object|null - the token's claims, or null if the token is invalid or expired
+ */
+const verifyToken = (token, secret) => {
+    const [header, payload, signature] = (token || '').split('.');
+
+    if (!header || !payload || !signature || !safeEqual(signature, sign(`${header}.${payload}`, secret))) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64').toString());
+    } catch (error) {
+        return null;
+    }
+
+    if (!claims.sub || !claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+        return null;
+    }
+
+    return claims;
+};
+
+/**
+ * Generate a new API key. Only the hash of the key is stored; the key itself is shown to the admin once.
+ *
+ * @returns {
+ *     key: string,
+ *     prefix: string,
+ *     keyHash: string
+ * }
+ */
+const generateApiKey = () => {
+    const key = `ak_${crypto.randomBytes(24).toString('hex')}`;
+
+    return { key, prefix: key.slice(0, 10), keyHash: hashApiKey(key) };
+};
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+module.exports = {
+    TOKEN_TTL_SECONDS,
+    hashPassword,
+    verifyPassword,
+    issueToken,
+    verifyToken,
+    generateApiKey,
+    hashApiKey,
+};
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const { Money } = require('./money');
+
+/**
+ * Read when it exists and no other file is given with `CONFIG_FILE`.
+ */
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+/**
+ * Only ever used outside production, where `auth.tokenSecret` must be set.
+ */
+const DEVELOPMENT_TOKEN_SECRET = 'insecure-development-secret';
+
+/**
+ * A setting's value when neither the config file nor the environment gives one.
+ */
+const DEFAULTS = {
+    database: {
+        storage: './database.sqlite3',
+        logging: true,
+    },
+    server: {
+        port: 3001,
+    },
+    auth: {
+        tokenSecret: null,
+        allowProfileIdHeader: false,
+    },
+    webhooks: {
+        allowPrivateUrls: false,
+    },
+    limits: {
+        depositLimitRatio: '0.25',
+        depositWindowHours: 24,
+        minimumDeposit: null,
+        maximumDeposit: null,
+        depositWindowLimit: null,
+        maxBatchPaymentSize: 100,
+        disputeWindowDays: 30,
+    },
+};
+
+/**
+ * Defaults which differ by `NODE_ENV`. The tests keep a database of their own, do not log every query and receive
+ * webhooks on the loopback address.
+ */
+const ENVIRONMENT_DEFAULTS = {
+    test: {
+        database: {
+            storage: './test/tmp/test-database.sqlite3',
+            logging: false,
+        },
+        webhooks: {
+            allowPrivateUrls: true,
+        },
+    },
+};
+
+const parseWholeNumber = (value) => {
+    if (typeof value === 'number' || (typeof value === 'string' && /^\s*\d+\s*$/.test(value))) {
+        const number = Number(value);
+        return Number.isSafeInteger(number) ? number : undefined;
+    }
+
+    return undefined;
+};
+
+/**
+ * The kinds of value a setting may hold. `parse` takes a value from the config file, or the text of an environment
+ * variable, and returns the value to use or `undefined` if it is not valid.
+ */
+const SETTING_TYPES = {
+    path: {
+        description: 'a file path',
+        parse: (value) => (typeof value === 'string' && value.trim() ? value : undefined),
+    },
+    secret: {
+        description: 'a string of at least 16 characters',
+        parse: (value) => (typeof value === 'string' && value.length >= 16 ? value : undefined),
+    },
+    boolean: {
+        description: 'true or false',
+        parse: (value) => {
+            const text = typeof value === 'boolean' || typeof value === 'string' ? String(value).trim() : '';
+            return text === 'true' || (text === 'false' ? false : undefined);
+        },
+    },
+    port: {
+        description: 'a whole number between 1 and 65535',
+        parse: (value) => {
+            const port = parseWholeNumber(value);
+            return port >= 1 && port <= 65535 ? port : undefined;
+        },
+    },
+    count: {
+        description: 'a whole number of at least 1',
+        parse: (value) => {
+            const count = parseWholeNumber(value);
+            return count >= 1 ? count : undefined;
+        },
+    },
+    ratio: {
+        description: 'a decimal number greater than 0 and at most 1, with at most 4 decimal places',
+        parse: (value) => {
+            const text = typeof value === 'number' || typeof value === 'string' ? String(value).trim() : '';
+            return /^\d+(\.\d{1,4})?$/.test(text) && Number(text) > 0 && Number(text) <= 1 ? text : undefined;
+        },
+    },
+    amount: {
+        description: 'a positive amount of money',
+        parse: (value) => (Money.isValid(value) && Money.of(value).isPositive() ? Money.of(value).toNumber() : undefined),
+    },
+};
+
+/**
+ * Every setting, by its path in the config file, with its type and the environment variable which overrides it.
+ */
+const SETTINGS = {
+    'database.storage': { type: 'path', env: 'DATABASE_STORAGE' },
+    'database.logging': { type: 'boolean', env: 'DATABASE_LOGGING' },
+    'server.port': { type: 'port', env: 'PORT' },
+    'auth.tokenSecret': { type: 'secret', env: 'AUTH_TOKEN_SECRET' },
+    'auth.allowProfileIdHeader': { type: 'boolean', env: 'ALLOW_PROFILE_ID_HEADER' },
+    'webhooks.allowPrivateUrls': { type: 'boolean', env: 'ALLOW_PRIVATE_WEBHOOK_URLS' },
+    'limits.depositLimitRatio': { type: 'ratio', env: 'DEPOSIT_LIMIT_RATIO' },
+    'limits.depositWindowHours': { type: 'count', env: 'DEPOSIT_WINDOW_HOURS' },
+    'limits.minimumDeposit': { type: 'amount', env: 'MINIMUM_DEPOSIT' },
+    'limits.maximumDeposit': { type: 'amount', env: 'MAXIMUM_DEPOSIT' },
+    'limits.depositWindowLimit': { type: 'amount', env: 'DEPOSIT_WINDOW_LIMIT' },
+    'limits.maxBatchPaymentSize': { type: 'count', env: 'MAX_BATCH_PAYMENT_SIZE' },
+    'limits.disputeWindowDays': { type: 'count', env: 'DISPUTE_WINDOW_DAYS' },
+};
+
+/**
+ * Thrown when the configuration cannot be loaded, listing every problem found so they can all be fixed at once.
+ */
+class ConfigurationError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+        this.name = this.constructor.name;
+        this.problems = problems;
+    }
+}
+
+const getSetting = (values, settingPath) => settingPath.split('.').reduce((section, key) => (section ? section[key] : undefined), values);
+
+const setSetting = (values, settingPath, value) => {
+    const [section, key] = settingPath.split('.');
+    values[section] = { ...values[section], [key]: value };
+};
+
+/**
+ * Read the settings in a config file, which mirrors the shape of the configuration, e.g.
+ * `{ "server": { "port": 8080 }, "limits": { "depositLimitRatio": "0.5" } }`.
+ *
+ * @returns { values: object, problems: string[] }
+ */
+const readConfigFile = (file) => {
+    let contents;
+    try {
+        contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return { values: {}, problems: [`The config file ${file} could not be read: ${error.message}`] };
+    }
+
+    if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+        return { values: {}, problems: [`The config file ${file} must contain a JSON object`] };
+    }
+
+    const values = {};
+    const problems = [];
+    for (const [section, settings] of Object.entries(contents)) {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            problems.push(`${section} in the config file must be an object of settings`);
+            continue;
+        }
+
+        for (const [key, value] of Object.entries(settings)) {
+            if (SETTINGS[`${section}.${key}`]) {
+                setSetting(values, `${section}.${key}`, value);
+            } else {
+                problems.push(`${section}.${key} in the config file is not a known setting`);
+            }
+        }
+    }
+
+    return { values, problems };
+};
+
+const freeze = (values) => Object.freeze(Object.fromEntries(Object.entries(values)
+    .map(([key, value]) => [key, value && typeof value === 'object' ? freeze(value) : value])));
+
+/**
+ * Load the configuration from, in increasing order of precedence, the defaults, the config file (`CONFIG_FILE`, or
+ * config.json in the repo root when it exists) and the environment variables in `SETTINGS`.
+ * Throws a ConfigurationError listing every setting which is invalid.
+ *
+ * @returns {
+ *     environment: string,
+ *     database: { storage: string, logging: boolean },
+ *     server: { port: number },
+ *     auth: { tokenSecret: string, allowProfileIdHeader: boolean },
+ *     webhooks: { allowPrivateUrls: boolean },
+ *     limits: {
+ *         depositLimitRatio: string,
+ *         depositWindowHours: number,
+ *         minimumDeposit: number | null,
+ *         maximumDeposit: number | null,
+ *         depositWindowLimit: number | null,
+ *         maxBatchPaymentSize: number,
+ *         disputeWindowDays: number
+ *     }
+ * } - frozen
+ */
+const loadConfig = ({ env = process.env, file = env.CONFIG_FILE } = {}) => {
+    const environment = env.NODE_ENV || 'development';
+
+    const problems = [];
+    let fileValues = {};
+    if (file || fs.existsSync(DEFAULT_CONFIG_FILE)) {
+        const { values, problems: fileProblems } = readConfigFile(file || DEFAULT_CONFIG_FILE);
+        fileValues = values;
+        problems.push(...fileProblems);
+    }
+
+    const environmentDefaults = ENVIRONMENT_DEFAULTS[environment] || {};
+    const values = {};
+    for (const [settingPath, { type, env: variable }] of Object.entries(SETTINGS)) {
+        const [value, source] = [
+            [env[variable], variable],
+            [getSetting(fileValues, settingPath), `${settingPath} in the config file`],
+            [getSetting(environmentDefaults, settingPath), null],
+            [getSetting(DEFAULTS, settingPath), null],
+        ].find(([candidate]) => candidate !== undefined);
+
+        // Only a default may leave a setting unset
+        const parsed = value === null && source === null ? null : SETTING_TYPES[type].parse(value);
+        if (parsed === undefined) {
+            problems.push(`${source} must be ${SETTING_TYPES[type].description}, but is ${JSON.stringify(value)}`);
+        }
+        setSetting(values, settingPath, parsed);
+    }
+
+    if (environment === 'production' && values.auth.tokenSecret === null) {
+        problems.push(`${SETTINGS['auth.tokenSecret'].env} must be set in production`);
+    }
+
+    if (problems.length) {
+        throw new ConfigurationError(problems);
+    }
+
+    values.auth.tokenSecret = values.auth.tokenSecret || DEVELOPMENT_TOKEN_SECRET;
+
+    return freeze({ environment, ...values });
+};
+
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    // Nothing can run without its configuration, so stop straight away with a message saying what to fix
+    if (error instanceof ConfigurationError) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    throw error;
+}
+
+module.exports = {
+    DEFAULTS,
+    SETTING_TYPES,
+    SETTINGS,
+    ConfigurationError,
+    loadConfig,
+    config,
+};
@@ -0,0 +1,144 @@
+const { Op, OptimisticLockError } = require('sequelize');
+const { sequelize, Contract, Job, RecurrenceRule } = require('./model');
+const { applyContractTransition } = require('./contractLifecycle');
+const { toDateOnly, isValidDateOnly } = require('./dates');
+const { ValidationError } = require('./errors');
+const { recordContractStatusChange } = require('./webhooks');
+
+/**
+ * How often the scheduler looks for contracts whose completion policy ends them.
+ */
+const CONTRACT_COMPLETION_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * The rules a contract may choose for how it ends.
+ *
+ * - `manual` - only when a party terminates it
+ * - `all_jobs_paid` - once it has jobs, all of them are paid and no recurrence rule will add more
+ * - `end_date` - on its `endDate`
+ *
+ * Whatever the policy, either party may still terminate the contract by hand.
+ */
+const COMPLETION_POLICIES = {
+    MANUAL: 'manual',
+    ALL_JOBS_PAID: 'all_jobs_paid',
+    END_DATE: 'end_date',
+};
+
+/**
+ * Recorded on a terminated contract to say what ended it.
+ */
+const TERMINATION_REASONS = {
+    MANUAL: 'manual',
+    ALL_JOBS_PAID: 'all_jobs_paid',
+    END_DATE_REACHED: 'end_date_reached',
+};
+
+/**
+ * Validates a completion policy and the end date which goes with it.
+ *
+ * @returns ValidationError|null
+ */
+const getCompletionPolicyError = (completionPolicy, endDate) => {
+    if (!Object.values(COMPLETION_POLICIES).includes(completionPolicy)) {
+        return new ValidationError(`completionPolicy must be one of ${Object.values(COMPLETION_POLICIES).join(', ')}`, { field: 'completionPolicy' });
+    }
+
+    if (completionPolicy === COMPLETION_POLICIES.END_DATE ? !isValidDateOnly(endDate) : endDate !== null) {
+        return new ValidationError('endDate must be a date of the form YYYY-MM-DD for the end_date policy and is not allowed otherwise', { field: 'endDate' });
+    }
+
+    return null;
+};
+
+/**
+ * Checks whether the contract's completion policy ends it at the given time.
+ * Only contracts in progress are ended by their policy.
+ *
+ * @returns string|null - the reason the contract ends, or null if it carries on
+ */
+const getCompletionReason = async (contract, now = new Date(), transaction) => {
+    if (contract.status !== 'in_progress') {
+        return null;
+    }
+
+    if (contract.completionPolicy === COMPLETION_POLICIES.END_DATE) {
+        return contract.endDate && contract.endDate <= toDateOnly(now) ? TERMINATION_REASONS.END_DATE_REACHED : null;
+    }
+
+    if (contract.completionPolicy === COMPLETION_POLICIES.ALL_JOBS_PAID) {
+        // A recurrence rule will add more jobs
+        const activeRuleCount = await RecurrenceRule.count({ where: { ContractId: contract.id, nextOccurrenceDate: { [Op.ne]: null } }, transaction });
+        if (activeRuleCount) {
+            return null;
+        }
+
+        const jobs = await Job.findAll({ attributes: ['paid'], where: { ContractId: contract.id, status: { [Op.ne]: 'withdrawn' } }, transaction });
+
+        return jobs.length && jobs.every((job) => job.paid) ? TERMINATION_REASONS.ALL_JOBS_PAID : null;
+    }
+
+    return null;
+};
+
+/**
+ * Terminate the contract if its completion policy ends it, recording the reason.
+ *
+ * @returns Contract|null - the terminated contract, or null if it carries on
+ */
+const completeContractIfDue = async (contract, now = new Date(), transaction) => {
+    const reason = await getCompletionReason(contract, now, transaction);
+
+    if (!reason) {
+        return null;
+    }
+
+    const previousStatus = contract.status;
+    applyContractTransition(contract, 'terminate');
+    contract.terminationReason = reason;
+    await contract.save({ transaction });
+
+    await recordContractStatusChange(contract, previousStatus, transaction);
+
+    return contract;
+};
+
+/**
+ * Terminate every contract in progress whose completion policy ends it.
+ * Run by the scheduler to end contracts on their end date, and safe to run at any time.
+ *
+ * @returns Contract[] - the contracts terminated
+ */
+const completeDueContracts = async (now = new Date()) => {
+    const contracts = await Contract.findAll({
+        where: { status: 'in_progress', completionPolicy: { [Op.ne]: COMPLETION_POLICIES.MANUAL } },
+    });
+
+    const completedContracts = [];
+    for (const contract of contracts) {
+        try {
+            const completedContract = await sequelize.transaction((transaction) => completeContractIfDue(contract, now, transaction));
+
+            if (completedContract) {
+                completedContracts.push(completedContract);
+            }
+        } catch (error) {
+            // The contract changed in the meantime and will be checked again on the next run
+            if (!(error instanceof OptimisticLockError)) {
+                throw error;
+            }
+        }
+    }
+
+    return completedContracts;
+};
+
+module.exports = {
+    CONTRACT_COMPLETION_INTERVAL_MS,
+    COMPLETION_POLICIES,
+    TERMINATION_REASONS,
+    getCompletionPolicyError,
+    getCompletionReason,
+    completeContractIfDue,
+    completeDueContracts,
+};
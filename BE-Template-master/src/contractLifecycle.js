@@ -0,0 +1,81 @@
+/**
+ * The legal transitions of a contract through its statuses.
+ *
+ * A contract is proposed by a client in status `new`.
+ * The contractor must accept it before the client can start it, which moves it to `in_progress`.
+ * Either party can terminate a contract which has not already been terminated.
+ */
+const CONTRACT_TRANSITIONS = {
+    accept: {
+        from: ['new'],
+        to: 'new',
+        parties: ['contractor'],
+        timestamp: 'acceptedAt',
+    },
+    start: {
+        from: ['new'],
+        to: 'in_progress',
+        parties: ['client'],
+        timestamp: 'startedAt',
+        requiresAcceptance: true,
+    },
+    terminate: {
+        from: ['new', 'in_progress'],
+        to: 'terminated',
+        parties: ['client', 'contractor'],
+        timestamp: 'terminatedAt',
+    },
+};
+
+/**
+ * Validates that the given transition may be applied to the contract by the given profile.
+ * The profile is expected to already be a party to the contract.
+ *
+ * @returns string|null - a description of why the transition is illegal, or null if it is legal
+ */
+const getContractTransitionError = (contract, transitionName, profile) => {
+    const transition = CONTRACT_TRANSITIONS[transitionName];
+
+    if (!transition) {
+        return `Unknown contract transition '${transitionName}'`;
+    }
+
+    if (!transition.parties.includes(profile.type)) {
+        return `A ${profile.type} cannot ${transitionName} a contract`;
+    }
+
+    if (!transition.from.includes(contract.status)) {
+        return `Cannot ${transitionName} a contract with status '${contract.status}'`;
+    }
+
+    if (transition.timestamp && contract[transition.timestamp]) {
+        return `Contract has already been subject to '${transitionName}'`;
+    }
+
+    if (transition.requiresAcceptance && !contract.acceptedAt) {
+        return `Cannot ${transitionName} a contract which has not been accepted by the contractor`;
+    }
+
+    return null;
+};
+
+/**
+ * Applies a transition to the contract, setting its new status and stamping the time of the transition.
+ * The contract is not saved.
+ *
+ * @returns Contract
+ */
+const applyContractTransition = (contract, transitionName) => {
+    const transition = CONTRACT_TRANSITIONS[transitionName];
+
+    contract.status = transition.to;
+    contract[transition.timestamp] = new Date();
+
+    return contract;
+};
+
+module.exports = {
+    CONTRACT_TRANSITIONS,
+    getContractTransitionError,
+    applyContractTransition,
+};
@@ -0,0 +1,143 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * Calendar dates without a time of day, such as due dates and end dates, are written as `YYYY-MM-DD` in UTC.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @returns string - the UTC date of the given time, e.g. `2024-01-31`
+ */
+const toDateOnly = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * @returns boolean - whether the value is a real calendar date written as `YYYY-MM-DD`
+ */
+const isValidDateOnly = (value) => typeof value === 'string'
+    && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    && !Number.isNaN(Date.parse(value))
+    && toDateOnly(new Date(value)) === value;
+
+/**
+ * @returns string - the date the given number of days after (or, if negative, before) a date
+ */
+const addDays = (dateOnly, days) => toDateOnly(new Date(Date.parse(dateOnly) + days * DAY_MS));
+
+/**
+ * @returns boolean - whether the value is an IANA time zone, e.g. `Europe/London` or `UTC`
+ */
+const isValidTimeZone = (value) => {
+    if (typeof value !== 'string' || !value) {
+        return false;
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * @returns number - how far ahead of UTC the clocks of a time zone are at the given time, in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    });
+    for (const { type, value } of format.formatToParts(date)) {
+        parts[type] = Number(value);
+    }
+
+    const localTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    return localTime - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * @returns string - the calendar date of the given time in a time zone, e.g. `2024-01-31`
+ */
+const toLocalDateOnly = (date, timeZone) => toDateOnly(new Date(date.getTime() + getTimeZoneOffset(date, timeZone)));
+
+/**
+ * @returns Date - the time at which a calendar date begins in a time zone
+ */
+const startOfLocalDay = (dateOnly, timeZone) => {
+    const utcMidnight = Date.parse(dateOnly);
+    const estimate = new Date(utcMidnight - getTimeZoneOffset(new Date(utcMidnight), timeZone));
+
+    // The offset at midnight itself may differ from the offset at UTC midnight when the clocks change in between
+    return new Date(utcMidnight - getTimeZoneOffset(estimate, timeZone));
+};
+
+/**
+ * Read the `start` or `end` of a date range. A calendar date (`YYYY-MM-DD`) is taken in the given time zone, from the
+ * start of the day for `start` and to the end of the day for `end`; anything else must be a valid date and time.
+ *
+ * @returns Date|null - null if the value is not a valid date
+ */
+const parseDateBoundary = (value, timeZone = 'UTC', { endOfDay = false } = {}) => {
+    if (isValidDateOnly(value)) {
+        return endOfDay
+            ? new Date(startOfLocalDay(addDays(value, 1), timeZone).getTime() - 1)
+            : startOfLocalDay(value, timeZone);
+    }
+
+    const date = new Date(value);
+
+    return date.toString() === 'Invalid Date' ? null : date;
+};
+
+/**
+ * Parse the `start` and `end` query parameters of a date range with parseDateBoundary. Either may be omitted.
+ * Throws a ValidationError if either is not a valid date or `start` is after `end`.
+ *
+ * @returns {
+ *     start: Date | undefined,
+ *     end: Date | undefined
+ * }
+ */
+const parseDateRange = ({ start, end }, timeZone = 'UTC') => {
+    let startDate;
+    if (start) {
+        startDate = typeof start === 'string' && parseDateBoundary(start, timeZone);
+        if (!startDate) {
+            throw new ValidationError('start must be a valid date', { parameter: 'start' });
+        }
+    }
+
+    let endDate;
+    if (end) {
+        endDate = typeof end === 'string' && parseDateBoundary(end, timeZone, { endOfDay: true });
+        if (!endDate) {
+            throw new ValidationError('end must be a valid date', { parameter: 'end' });
+        }
+    }
+
+    if (startDate && endDate && startDate > endDate) {
+        throw new ValidationError('start must not be after end', { parameter: 'start' });
+    }
+
+    return { start: startDate, end: endDate };
+};
+
+module.exports = {
+    toDateOnly,
+    isValidDateOnly,
+    addDays,
+    isValidTimeZone,
+    toLocalDateOnly,
+    startOfLocalDay,
+    parseDateBoundary,
+    parseDateRange,
+};
@@ -0,0 +1,245 @@
+const { Op } = require('sequelize');
+const { Profile, Contract, Job, LedgerEntry, DepositPolicy } = require('./model');
+const { SETTING_TYPES, SETTINGS } = require('./config');
+const { convertCurrency } = require('./exchangeRates');
+const { Money } = require('./money');
+const { ROLES } = require('./policy');
+const { ValidationError, NotFoundError, DepositNotAllowedError, DepositLimitExceededError } = require('./errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * The rules a deposit must keep to, in the order they are checked. A rejected deposit names the first one it breaks.
+ *
+ * - `minimum_deposit` - a single deposit must be at least `minimumDeposit`
+ * - `maximum_deposit` - a single deposit must be at most `maximumDeposit`
+ * - `outstanding_share` - the deposits made within the last `depositWindowHours` must add up to at most
+ *   `depositLimitRatio` of the total still outstanding on the client's jobs
+ * - `window_limit` - the deposits made within the last `depositWindowHours` must add up to at most `depositWindowLimit`
+ */
+const DEPOSIT_RULES = {
+    MINIMUM_DEPOSIT: 'minimum_deposit',
+    MAXIMUM_DEPOSIT: 'maximum_deposit',
+    OUTSTANDING_SHARE: 'outstanding_share',
+    WINDOW_LIMIT: 'window_limit',
+};
+
+/**
+ * The settings of a deposit policy. Each defaults to the setting of the same name in `config.limits` and may be
+ * overridden for a client. Amounts are in the client's currency.
+ */
+const POLICY_SETTINGS = ['depositLimitRatio', 'depositWindowHours', 'minimumDeposit', 'maximumDeposit', 'depositWindowLimit'];
+
+/**
+ * Fetch the client whose deposit policy is being managed.
+ * Throws a NotFoundError if the profile is not a client, since only clients make deposits.
+ *
+ * @returns Profile
+ */
+const findDepositingClient = async (userId, transaction) => {
+    const client = await Profile.findOne({ where: { id: userId, type: ROLES.CLIENT }, transaction });
+
+    if (!client) {
+        throw new NotFoundError('Client not found', { userId });
+    }
+
+    return client;
+};
+
+/**
+ * The policy which applies to a client: their override of each setting if they have one, otherwise the configured
+ * default.
+ *
+ * @returns {
+ *     depositLimitRatio: number,
+ *     depositWindowHours: number,
+ *     minimumDeposit: number | null,
+ *     maximumDeposit: number | null,
+ *     depositWindowLimit: number | null
+ * }
+ */
+const getEffectivePolicy = (limits, override) => Object.fromEntries(POLICY_SETTINGS.map((setting) => {
+    const value = override && override[setting] !== null ? override[setting] : limits[setting];
+
+    return [setting, setting === 'depositLimitRatio' ? Number(value) : value];
+}));
+
+/**
+ * Fetch a client's override of the deposit limits, if they have one, along with the policy which applies to them.
+ *
+ * @returns {
+ *     ProfileId: number,
+ *     override: DepositPolicy | null,
+ *     policy: object - see getEffectivePolicy
+ * }
+ */
+const getDepositPolicy = async (client, limits, transaction) => {
+    const override = await DepositPolicy.findOne({ where: { ProfileId: client.id }, transaction });
+
+    return { ProfileId: client.id, override, policy: getEffectivePolicy(limits, override) };
+};
+
+/**
+ * Validate the body of `PUT /admin/deposit-policies/:userId`. Each setting is validated exactly as its configured
+ * default is; a setting given as null drops the override so the default applies again, and one which is not given is
+ * left as it is.
+ *
+ * @returns object - the changes to make to the client's override
+ */
+const parsePolicyOverride = (body) => {
+    const changes = {};
+    for (const setting of POLICY_SETTINGS) {
+        if (body[setting] === undefined) {
+            continue;
+        }
+
+        if (body[setting] === null) {
+            changes[setting] = null;
+            continue;
+        }
+
+        const { description, parse } = SETTING_TYPES[SETTINGS[`limits.${setting}`].type];
+        const value = parse(body[setting]);
+        if (value === undefined) {
+            throw new ValidationError(`${setting} must be ${description}, or null to use the default`, { field: setting });
+        }
+        changes[setting] = value;
+    }
+
+    if (body.reason !== undefined) {
+        if (body.reason !== null && typeof body.reason !== 'string') {
+            throw new ValidationError('reason must be a string', { field: 'reason' });
+        }
+        changes.reason = body.reason;
+    }
+
+    if (!Object.keys(changes).length) {
+        throw new ValidationError(`At least one of ${POLICY_SETTINGS.join(', ')} or reason must be given`);
+    }
+
+    return changes;
+};
+
+/**
+ * The total still outstanding on a client's jobs which have not been withdrawn, converted into the client's currency.
+ * Throws a DepositNotAllowedError if the client has no outstanding jobs.
+ *
+ * @returns Money
+ */
+const getOutstandingTotal = async (client, at, transaction) => {
+    const clientContracts = await Contract.findAll({ attributes: ['id', 'currency'], where: { ClientId: client.id }, transaction });
+
+    // No contracts mean no jobs which means this client cannot make a deposit
+    if (!clientContracts.length) {
+        throw new DepositNotAllowedError();
+    }
+
+    const outstandingClientJobs = await Job.findAll({ attributes: ['ContractId', 'price', 'amountPaid', 'paid'], where: {
+        ContractId: { [Op.in]: clientContracts.map((contract) => contract.id) },
+        status: { [Op.ne]: 'withdrawn' },
+        [Op.or]: [
+            { paid: null },
+            { paid: false },
+        ],
+    }, transaction });
+
+    // No jobs mean this client cannot make a deposit
+    if (!outstandingClientJobs.length) {
+        throw new DepositNotAllowedError();
+    }
+
+    // Jobs are priced in the currencies of their contracts and deposits are made in the client's currency
+    const contractCurrencies = Object.fromEntries(clientContracts.map((contract) => [contract.id, contract.currency]));
+    let totalOutstanding = Money.zero();
+    for (const job of outstandingClientJobs) {
+        const { amount } = await convertCurrency(job.amountOutstanding, contractCurrencies[job.ContractId], client.currency, at, transaction);
+        totalOutstanding = totalOutstanding.plus(amount);
+    }
+
+    return totalOutstanding;
+};
+
+/**
+ * The total a client has deposited since the given time.
+ *
+ * @returns Money
+ */
+const getDepositedSince = async (client, since, transaction) => {
+    const deposits = await LedgerEntry.findAll({
+        attributes: ['amount'],
+        where: { ProfileId: client.id, kind: 'deposit', direction: 'credit', createdAt: { [Op.gte]: since } },
+        transaction,
+    });
+
+    return Money.sum(deposits.map((deposit) => deposit.amount));
+};
+
+/**
+ * Check a deposit against each of the DEPOSIT_RULES in turn. `outstanding` is the total still outstanding on the
+ * client's jobs and `depositedInWindow` the total they have deposited within the policy's window.
+ *
+ * @returns {
+ *     rule: string | null - the first rule the deposit breaks, or null if it keeps to them all,
+ *     limit: number | null - the limit the rule sets,
+ *     maximumDeposit: number - the most the client may deposit now
+ * }
+ */
+const checkDeposit = (policy, { amount, outstanding, depositedInWindow }) => {
+    const deposit = Money.of(amount);
+    const depositedAfter = depositedInWindow.plus(deposit);
+    const outstandingShare = outstanding.times(policy.depositLimitRatio);
+
+    const remaining = [
+        policy.maximumDeposit === null ? null : Money.of(policy.maximumDeposit),
+        outstandingShare.minus(depositedInWindow),
+        policy.depositWindowLimit === null ? null : Money.of(policy.depositWindowLimit).minus(depositedInWindow),
+    ].filter(Boolean).reduce((lowest, limit) => lowest.min(limit));
+    const maximumDeposit = (remaining.isNegative() ? Money.zero() : remaining).toNumber();
+
+    const rules = [
+        [DEPOSIT_RULES.MINIMUM_DEPOSIT, policy.minimumDeposit, () => deposit.isLessThan(policy.minimumDeposit)],
+        [DEPOSIT_RULES.MAXIMUM_DEPOSIT, policy.maximumDeposit, () => deposit.isGreaterThan(policy.maximumDeposit)],
+        [DEPOSIT_RULES.OUTSTANDING_SHARE, outstandingShare.toNumber(), () => depositedAfter.isGreaterThan(outstandingShare)],
+        [DEPOSIT_RULES.WINDOW_LIMIT, policy.depositWindowLimit, () => depositedAfter.isGreaterThan(policy.depositWindowLimit)],
+    ];
+
+    // A rule without a limit does not apply
+    const [rule = null, limit = null] = rules.find(([, ruleLimit, isBroken]) => ruleLimit !== null && isBroken()) || [];
+
+    return { rule, limit, maximumDeposit };
+};
+
+/**
+ * Check a client's deposit against the deposit policy which applies to them: the limits configured in `limits`, as
+ * overridden for the client by an admin.
+ * Throws a DepositNotAllowedError if the client has no outstanding jobs, and a DepositLimitExceededError naming the
+ * rule the deposit breaks and how much the client may deposit if it breaks one.
+ */
+const enforceDepositPolicy = async ({ client, amount, limits, at = new Date() }, transaction) => {
+    const { policy } = await getDepositPolicy(client, limits, transaction);
+
+    const outstanding = await getOutstandingTotal(client, at, transaction);
+    const depositedInWindow = await getDepositedSince(client, new Date(at.getTime() - policy.depositWindowHours * HOUR_MS), transaction);
+
+    const { rule, limit, maximumDeposit } = checkDeposit(policy, { amount, outstanding, depositedInWindow });
+
+    if (rule) {
+        throw new DepositLimitExceededError(rule, {
+            limit,
+            depositedInWindow: depositedInWindow.toNumber(),
+            maximumDeposit,
+            depositAmount: Money.of(amount).toNumber(),
+        });
+    }
+};
+
+module.exports = {
+    DEPOSIT_RULES,
+    POLICY_SETTINGS,
+    findDepositingClient,
+    getEffectivePolicy,
+    getDepositPolicy,
+    parsePolicyOverride,
+    checkDeposit,
+    enforceDepositPolicy,
+};
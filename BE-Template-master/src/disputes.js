@@ -0,0 +1,255 @@
+const { Op } = require('sequelize');
+const { Profile, Contract, Job, JobPayment, Dispute } = require('./model');
+const { SYSTEM_ACCOUNTS, transferFunds } = require('./ledger');
+const { convertCurrency } = require('./exchangeRates');
+const { Money } = require('./money');
+const {
+    ValidationError,
+    ConflictError,
+    InvalidTransitionError,
+    InsufficientBalanceError,
+    JobNotPaidError,
+    DisputeWindowClosedError,
+} = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The ways an admin may resolve a dispute:
+ * - `client` - everything disputed is refunded to the client
+ * - `contractor` - the contractor keeps the payment
+ * - `split` - the `refundAmount` given, part of what was disputed, is refunded to the client
+ */
+const DISPUTE_OUTCOMES = {
+    CLIENT: 'client',
+    CONTRACTOR: 'contractor',
+    SPLIT: 'split',
+};
+
+/**
+ * A dispute is `open` until the contractor responds to it and `resolved` once an admin decides it. An admin may resolve
+ * a dispute whether or not the contractor has responded.
+ */
+const DISPUTE_STATUSES = ['open', 'responded', 'resolved'];
+
+const UNRESOLVED_DISPUTE_STATUSES = ['open', 'responded'];
+
+/**
+ * The last moment a job may be disputed: `windowDays` after it was paid in full.
+ *
+ * @returns Date
+ */
+const getDisputeDeadline = (job, windowDays) => new Date(new Date(job.paymentDate).getTime() + windowDays * DAY_MS);
+
+/**
+ * The total refunded to the client by the resolved disputes of a job.
+ *
+ * @returns Money
+ */
+const getRefundedAmount = async (jobId, transaction) => {
+    const resolvedDisputes = await Dispute.findAll({ attributes: ['refundAmount'], where: { JobId: jobId, status: 'resolved' }, transaction });
+
+    return Money.sum(resolvedDisputes.map((dispute) => dispute.refundAmount));
+};
+
+/**
+ * Open a dispute of a job the client has paid, for everything paid towards it which earlier disputes have not
+ * refunded.
+ * Throws a JobNotPaidError unless the job has been paid in full, a DisputeWindowClosedError once its dispute deadline
+ * has passed, and a ConflictError if the job already has an unresolved dispute or has been refunded in full.
+ * The job must already be locked within the given transaction.
+ *
+ * @returns Dispute
+ */
+const openDispute = async ({ job, currency, reason, windowDays, at = new Date() }, transaction) => {
+    if (!job.paid) {
+        throw new JobNotPaidError(job.id);
+    }
+
+    const disputeDeadline = getDisputeDeadline(job, windowDays);
+    if (at > disputeDeadline) {
+        throw new DisputeWindowClosedError(job.id, job.paymentDate, disputeDeadline);
+    }
+
+    const unresolvedDispute = await Dispute.findOne({
+        attributes: ['id'],
+        where: { JobId: job.id, status: { [Op.in]: UNRESOLVED_DISPUTE_STATUSES } },
+        transaction,
+    });
+    if (unresolvedDispute) {
+        throw new ConflictError('The job already has an unresolved dispute', { disputeId: unresolvedDispute.id }, 'DISPUTE_EXISTS');
+    }
+
+    // Jobs paid before partial payments existed were settled in full without recording amountPaid
+    const amountPaid = Money.of(job.amountPaid).isZero() ? job.price : job.amountPaid;
+    const amount = Money.of(amountPaid).minus(await getRefundedAmount(job.id, transaction));
+    if (!amount.isPositive()) {
+        throw new ConflictError('Everything paid for the job has already been refunded', { jobId: job.id }, 'JOB_FULLY_REFUNDED');
+    }
+
+    return Dispute.create({ reason, amount: amount.toNumber(), currency, JobId: job.id, ContractId: job.ContractId }, { transaction });
+};
+
+/**
+ * Record the contractor's response to an open dispute. A dispute may only be responded to once, before it is resolved.
+ * The dispute is not saved.
+ *
+ * @returns Dispute
+ */
+const respondToDispute = (dispute, response, at = new Date()) => {
+    if (dispute.status !== 'open') {
+        throw new InvalidTransitionError(`Cannot respond to a dispute with status '${dispute.status}'`, { status: dispute.status });
+    }
+
+    dispute.set({ status: 'responded', response, respondedAt: at });
+
+    return dispute;
+};
+
+/**
+ * The amount an outcome refunds to the client, in the currency of the dispute.
+ * Throws a ValidationError if a split does not refund part, and only part, of what was disputed.
+ *
+ * @returns Money
+ */
+const getRefundAmount = (dispute, outcome, refundAmount) => {
+    if (outcome === DISPUTE_OUTCOMES.CLIENT) {
+        return Money.of(dispute.amount);
+    }
+
+    if (outcome === DISPUTE_OUTCOMES.CONTRACTOR) {
+        return Money.zero();
+    }
+
+    if (!Money.isValid(refundAmount) || !Money.of(refundAmount).isPositive() || !Money.of(refundAmount).isLessThan(dispute.amount)) {
+        throw new ValidationError(`A split must refund more than 0 and less than the ${dispute.amount} disputed`, { field: 'refundAmount' });
+    }
+
+    return Money.of(refundAmount);
+};
+
+/**
+ * Convert a refund into the client's and the contractor's currencies at the rates recorded on the payments it gives
+ * back. Refunds give back the latest payments first, after those earlier refunds gave back. Part of a payment is
+ * converted in proportion to the amounts it moved, so that a payment given back in full, at once or over several
+ * refunds, returns exactly those amounts.
+ * Jobs paid before their payments were recorded are converted at the rates in effect when they were paid.
+ *
+ * @returns {
+ *     clientAmount: Money,
+ *     contractorAmount: Money
+ * }
+ */
+const convertRefund = async ({ dispute, refund, client, contractor }, transaction) => {
+    const payments = await JobPayment.findAll({ where: { JobId: dispute.JobId }, order: [['id', 'DESC']], transaction });
+
+    if (!payments.length) {
+        const job = await Job.findOne({ attributes: ['id', 'paymentDate'], where: { id: dispute.JobId }, transaction });
+        const { amount: clientAmount } = await convertCurrency(refund.toNumber(), dispute.currency, client.currency, job.paymentDate, transaction);
+        const { amount: contractorAmount } = await convertCurrency(refund.toNumber(), dispute.currency, contractor.currency, job.paymentDate, transaction);
+
+        return { clientAmount: Money.of(clientAmount), contractorAmount: Money.of(contractorAmount) };
+    }
+
+    let alreadyRefunded = await getRefundedAmount(dispute.JobId, transaction);
+    let remaining = refund;
+    let clientAmount = Money.zero();
+    let contractorAmount = Money.zero();
+    for (const payment of payments) {
+        if (!remaining.isPositive()) {
+            break;
+        }
+
+        const refundedFromPayment = alreadyRefunded.min(payment.amount);
+        alreadyRefunded = alreadyRefunded.minus(refundedFromPayment);
+
+        const portion = remaining.min(Money.of(payment.amount).minus(refundedFromPayment));
+        if (!portion.isPositive()) {
+            continue;
+        }
+        remaining = remaining.minus(portion);
+
+        // Converting what the payment has given back in total, less what earlier refunds already converted, keeps its
+        // refunds adding up to exactly the amounts it moved, never more
+        const refundedAfter = refundedFromPayment.plus(portion);
+        const refundShare = (convertedAmount) => Money.of(convertedAmount).timesRatio(refundedAfter, payment.amount)
+            .minus(Money.of(convertedAmount).timesRatio(refundedFromPayment, payment.amount));
+        clientAmount = clientAmount.plus(refundShare(payment.clientAmount));
+        contractorAmount = contractorAmount.plus(refundShare(payment.contractorAmount));
+    }
+
+    return { clientAmount, contractorAmount };
+};
+
+/**
+ * Move a refund from the contractor's balance to the client's, through the foreign exchange account if their balances
+ * are in different currencies.
+ */
+const transferRefund = async ({ contractor, client, contractorAmount, clientAmount, JobId }, transaction) => {
+    if (client.currency === contractor.currency) {
+        await transferFunds({ debit: contractor, credit: client, amount: clientAmount, kind: 'dispute_refund', JobId }, transaction);
+        return;
+    }
+
+    await transferFunds({ debit: contractor, credit: SYSTEM_ACCOUNTS.FOREIGN_EXCHANGE, amount: contractorAmount, kind: 'dispute_refund', JobId }, transaction);
+    await transferFunds({ debit: SYSTEM_ACCOUNTS.FOREIGN_EXCHANGE, credit: client, amount: clientAmount, kind: 'dispute_refund', JobId }, transaction);
+};
+
+/**
+ * Resolve a dispute with one of the DISPUTE_OUTCOMES, refunding the client from the contractor's balance. The refund is
+ * converted from the currency of the dispute into the contractor's and the client's currencies at the rates the job was
+ * paid at.
+ * Throws an InvalidTransitionError if the dispute has already been resolved and an InsufficientBalanceError if the
+ * contractor's balance does not cover the refund, in which case nothing is changed.
+ * The dispute must already be locked within the given transaction.
+ *
+ * @returns Dispute
+ */
+const resolveDispute = async ({ dispute, outcome, refundAmount, note, admin, at = new Date() }, transaction) => {
+    if (!UNRESOLVED_DISPUTE_STATUSES.includes(dispute.status)) {
+        throw new InvalidTransitionError(`Cannot resolve a dispute with status '${dispute.status}'`, { status: dispute.status });
+    }
+
+    const refund = getRefundAmount(dispute, outcome, refundAmount);
+
+    if (refund.isPositive()) {
+        const contract = await Contract.findOne({ where: { id: dispute.ContractId }, transaction });
+        const client = await Profile.findOne({ where: { id: contract.ClientId }, lock: true, transaction });
+        const contractor = await Profile.findOne({ where: { id: contract.ContractorId }, lock: true, transaction });
+
+        const { clientAmount, contractorAmount } = await convertRefund({ dispute, refund, client, contractor }, transaction);
+
+        if (Money.of(contractor.balance).isLessThan(contractorAmount)) {
+            throw new InsufficientBalanceError(contractor.balance, contractorAmount.toNumber(), "The contractor's balance does not cover the refund");
+        }
+
+        await transferRefund({
+            contractor,
+            client,
+            contractorAmount: contractorAmount.toNumber(),
+            clientAmount: clientAmount.toNumber(),
+            JobId: dispute.JobId,
+        }, transaction);
+    }
+
+    dispute.set({
+        status: 'resolved',
+        outcome,
+        refundAmount: refund.toNumber(),
+        resolutionNote: note || null,
+        resolvedAt: at,
+        ResolvedById: admin.id,
+    });
+
+    return dispute.save({ transaction });
+};
+
+module.exports = {
+    DISPUTE_OUTCOMES,
+    DISPUTE_STATUSES,
+    UNRESOLVED_DISPUTE_STATUSES,
+    getDisputeDeadline,
+    openDispute,
+    respondToDispute,
+    resolveDispute,
+};
@@ -0,0 +1,179 @@
+/**
+ * Base class of every error which is reported to API callers.
+ * The central error handler turns these into `{ error: { code, message, details } }` responses with the error's status.
+ */
+class ApiError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/*
+ * Generic errors
+ */
+
+class ValidationError extends ApiError {
+    constructor(message, details) {
+        super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+    }
+}
+
+class AuthenticationError extends ApiError {
+    constructor(message = 'Authentication is required', details) {
+        super(message, { status: 401, code: 'UNAUTHENTICATED', details });
+    }
+}
+
+class ForbiddenError extends ApiError {
+    constructor(message = 'You are not allowed to perform this action', details) {
+        super(message, { status: 403, code: 'FORBIDDEN', details });
+    }
+}
+
+class NotFoundError extends ApiError {
+    constructor(message = 'Resource not found', details) {
+        super(message, { status: 404, code: 'NOT_FOUND', details });
+    }
+}
+
+class ConflictError extends ApiError {
+    constructor(message, details, code = 'CONFLICT') {
+        super(message, { status: 409, code, details });
+    }
+}
+
+class ConcurrentModificationError extends ConflictError {
+    constructor(message = 'The resource was modified concurrently, please retry', details) {
+        super(message, details, 'CONCURRENT_MODIFICATION');
+    }
+}
+
+class InvalidTransitionError extends ConflictError {
+    constructor(message, details) {
+        super(message, details, 'INVALID_TRANSITION');
+    }
+}
+
+/*
+ * Domain errors raised while moving money
+ */
+
+class JobAlreadyPaidError extends ApiError {
+    constructor(jobId) {
+        super('The job has already been paid', { status: 400, code: 'JOB_ALREADY_PAID', details: { jobId } });
+    }
+}
+
+class JobNotApprovedError extends ApiError {
+    constructor(jobId, status) {
+        super('Only jobs approved by the client can be paid', { status: 400, code: 'JOB_NOT_APPROVED', details: { jobId, status } });
+    }
+}
+
+class InvalidJobPriceError extends ApiError {
+    constructor(jobId, price) {
+        super('The job has an invalid price', { status: 400, code: 'INVALID_JOB_PRICE', details: { jobId, price } });
+    }
+}
+
+class NotContractPartyError extends ApiError {
+    constructor(contractId) {
+        super('You are not a party to this contract', { status: 400, code: 'NOT_CONTRACT_PARTY', details: { contractId } });
+    }
+}
+
+class CounterpartyNotFoundError extends ApiError {
+    constructor(profileId) {
+        super('The other party to this contract could not be found', { status: 400, code: 'COUNTERPARTY_NOT_FOUND', details: { profileId } });
+    }
+}
+
+class PaymentExceedsOutstandingError extends ApiError {
+    constructor(jobId, amount, amountOutstanding) {
+        super('The payment exceeds the amount outstanding on the job', { status: 400, code: 'PAYMENT_EXCEEDS_OUTSTANDING', details: { jobId, amount, amountOutstanding } });
+    }
+}
+
+class BatchPaymentRejectedError extends ApiError {
+    constructor(failures) {
+        super('No jobs were paid because some of the jobs in the batch cannot be paid', { status: 400, code: 'BATCH_PAYMENT_REJECTED', details: { failures } });
+    }
+}
+
+class ExchangeRateNotFoundError extends ApiError {
+    constructor(fromCurrency, toCurrency, at) {
+        super(`No exchange rate from ${fromCurrency} to ${toCurrency} is in effect`, { status: 400, code: 'EXCHANGE_RATE_NOT_FOUND', details: { fromCurrency, toCurrency, at } });
+    }
+}
+
+class InsufficientBalanceError extends ApiError {
+    constructor(balance, required, message = 'Your balance is insufficient for this operation') {
+        super(message, { status: 400, code: 'INSUFFICIENT_BALANCE', details: { balance, required } });
+    }
+}
+
+class DepositNotAllowedError extends ApiError {
+    constructor(message = 'Deposits are only allowed while you have outstanding jobs', details) {
+        super(message, { status: 400, code: 'DEPOSIT_NOT_ALLOWED', details });
+    }
+}
+
+const DEPOSIT_RULE_MESSAGES = {
+    minimum_deposit: 'The deposit is less than the minimum you may deposit at once',
+    maximum_deposit: 'The deposit exceeds the maximum you may deposit at once',
+    outstanding_share: 'The deposit would take your recent deposits over their share of your outstanding jobs',
+    window_limit: 'The deposit would take your recent deposits over the most you may deposit in the period',
+};
+
+/**
+ * `rule` is the deposit rule which was broken and `maximumDeposit` how much the client may still deposit.
+ */
+class DepositLimitExceededError extends ApiError {
+    constructor(rule, { limit, depositedInWindow, maximumDeposit, depositAmount }) {
+        super(DEPOSIT_RULE_MESSAGES[rule], { status: 400, code: 'DEPOSIT_LIMIT_EXCEEDED', details: { rule, limit, depositedInWindow, maximumDeposit, depositAmount } });
+    }
+}
+
+/*
+ * Domain errors raised by disputes
+ */
+
+class JobNotPaidError extends ApiError {
+    constructor(jobId) {
+        super('Only jobs which have been paid in full can be disputed', { status: 400, code: 'JOB_NOT_PAID', details: { jobId } });
+    }
+}
+
+class DisputeWindowClosedError extends ApiError {
+    constructor(jobId, paymentDate, disputeDeadline) {
+        super('The job can no longer be disputed', { status: 400, code: 'DISPUTE_WINDOW_CLOSED', details: { jobId, paymentDate, disputeDeadline } });
+    }
+}
+
+module.exports = {
+    ApiError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    ConcurrentModificationError,
+    InvalidTransitionError,
+    JobAlreadyPaidError,
+    JobNotApprovedError,
+    InvalidJobPriceError,
+    NotContractPartyError,
+    CounterpartyNotFoundError,
+    PaymentExceedsOutstandingError,
+    BatchPaymentRejectedError,
+    ExchangeRateNotFoundError,
+    InsufficientBalanceError,
+    DepositNotAllowedError,
+    DepositLimitExceededError,
+    JobNotPaidError,
+    DisputeWindowClosedError,
+};
@@ -0,0 +1,76 @@
+const { Op } = require('sequelize');
+const { ExchangeRate } = require('./model');
+const { Money } = require('./money');
+const { ExchangeRateNotFoundError } = require('./errors');
+
+const findRateInEffect = (baseCurrency, quoteCurrency, at, transaction) => ExchangeRate.findOne({
+    where: { baseCurrency, quoteCurrency, effectiveFrom: { [Op.lte]: at } },
+    order: [['effectiveFrom', 'DESC']],
+    transaction,
+});
+
+/**
+ * Find the recorded rate between two currencies in effect at the given time: the direct rate, or else the rate
+ * recorded in the opposite direction, which converts by dividing by it.
+ * Throws an ExchangeRateNotFoundError if no rate between the currencies was in effect.
+ *
+ * @returns {
+ *     rate: number,
+ *     inverse: boolean
+ * }
+ */
+const findConversion = async (fromCurrency, toCurrency, at, transaction) => {
+    if (fromCurrency === toCurrency) {
+        return { rate: 1, inverse: false };
+    }
+
+    const directRate = await findRateInEffect(fromCurrency, toCurrency, at, transaction);
+    if (directRate) {
+        return { rate: Number(directRate.rate), inverse: false };
+    }
+
+    const inverseRate = await findRateInEffect(toCurrency, fromCurrency, at, transaction);
+    if (inverseRate) {
+        return { rate: Number(inverseRate.rate), inverse: true };
+    }
+
+    throw new ExchangeRateNotFoundError(fromCurrency, toCurrency, at);
+};
+
+/**
+ * Find the rate converting one unit of `fromCurrency` into `toCurrency` in effect at the given time.
+ * A rate recorded in the opposite direction is inverted if there is no direct rate.
+ * Throws an ExchangeRateNotFoundError if no rate between the currencies was in effect.
+ *
+ * @returns number
+ */
+const getExchangeRate = async (fromCurrency, toCurrency, at = new Date(), transaction) => {
+    const { rate, inverse } = await findConversion(fromCurrency, toCurrency, at, transaction);
+
+    return inverse ? 1 / rate : rate;
+};
+
+/**
+ * Convert an amount of money between currencies at the rate in effect at the given time. An amount converted through
+ * the opposite rate is divided by it exactly, as the analytics queries in analytics.js divide, and `rate` is its
+ * inverse.
+ *
+ * @returns {
+ *     amount: number,
+ *     rate: number
+ * }
+ */
+const convertCurrency = async (amount, fromCurrency, toCurrency, at = new Date(), transaction) => {
+    const { rate, inverse } = await findConversion(fromCurrency, toCurrency, at, transaction);
+
+    if (inverse) {
+        return { amount: Money.of(amount).dividedByFactor(rate).toNumber(), rate: 1 / rate };
+    }
+
+    return { amount: Money.of(amount).times(rate).toNumber(), rate };
+};
+
+module.exports = {
+    getExchangeRate,
+    convertCurrency,
+};
@@ -0,0 +1,154 @@
+const { paginate } = require('./pagination');
+const { ValidationError } = require('./errors');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+};
+
+/**
+ * How many rows are read from the database at a time while exporting.
+ */
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Output is written to the response in chunks of about this many bytes.
+ */
+const EXPORT_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Parse the `format` query parameter of an export.
+ * Throws a ValidationError if the format is not supported.
+ *
+ * @returns string
+ */
+const parseExportFormat = (value, defaultFormat = 'csv') => {
+    const format = value === undefined ? defaultFormat : value;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new ValidationError(`format must be one of ${EXPORT_FORMATS.join(', ')}`, { parameter: 'format' });
+    }
+
+    return format;
+};
+
+/**
+ * Write a value as a CSV field.
+ * Text which a spreadsheet would run as a formula is prefixed with `'`, and fields containing separators, quotes or
+ * line breaks are quoted.
+ *
+ * @returns string
+ */
+const toCsvField = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Fetch every row of a model matching the find options, EXPORT_BATCH_SIZE rows at a time, so only one batch is ever
+ * held in memory. Batches are read with keyset pagination, so the sort field must not be nullable.
+ *
+ * @returns AsyncIterable<Model>
+ */
+async function* findInBatches(Model, findOptions, sort = { field: 'id', direction: 'ASC' }) {
+    let cursor = null;
+
+    do {
+        const page = await paginate(Model, findOptions, { sort, pageSize: EXPORT_BATCH_SIZE, cursor });
+        yield* page.rows;
+        cursor = page.nextCursor;
+    } while (cursor);
+}
+
+/**
+ * Wait until the response can take more output, or the client has gone away.
+ */
+const waitForDrain = (res) => new Promise((resolve) => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+/**
+ * Stream rows to the response as a CSV or JSON file download.
+ * Rows may be any iterable or async iterable, such as `findInBatches`, and are written as they are read. Each row is
+ * written with the given columns in order: a CSV header line then one line per row, or a JSON array of objects.
+ * Writing waits whenever the client is slower to read than the rows are produced, and stops if the client goes away.
+ */
+const streamExport = async (res, { format, filename, columns, rows }) => {
+    res.status(200);
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    let chunk = format === 'csv' ? `${columns.map(toCsvField).join(',')}\r\n` : '[';
+    let rowCount = 0;
+
+    const flush = async () => {
+        if (!res.write(chunk)) {
+            await waitForDrain(res);
+        }
+
+        chunk = '';
+    };
+
+    for await (const row of rows) {
+        if (format === 'csv') {
+            chunk += `${columns.map((column) => toCsvField(row[column])).join(',')}\r\n`;
+        } else {
+            chunk += `${rowCount ? ',' : ''}${JSON.stringify(Object.fromEntries(columns.map((column) => [column, row[column] === undefined ? null : row[column]])))}`;
+        }
+        rowCount += 1;
+
+        if (chunk.length >= EXPORT_CHUNK_SIZE) {
+            await flush();
+
+            if (res.destroyed) {
+                return;
+            }
+        }
+    }
+
+    if (format === 'json') {
+        chunk += ']';
+    }
+
+    res.end(chunk);
+};
+
+/**
+ * @returns AsyncIterable - the rows transformed one at a time as they are read
+ */
+async function* mapRows(rows, transform) {
+    for await (const row of rows) {
+        yield transform(row);
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_BATCH_SIZE,
+    parseExportFormat,
+    toCsvField,
+    findInBatches,
+    streamExport,
+    mapRows,
+};
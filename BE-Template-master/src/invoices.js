@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { Invoice } = require('./model');
+const { ROLES } = require('./policy');
+const { renderPdf } = require('./pdf');
+const { Money } = require('./money');
+const { ValidationError } = require('./errors');
+
+const INVOICE_FORMATS = ['html', 'pdf', 'json'];
+
+const INVOICE_TEMPLATE = fs.readFileSync(path.join(__dirname, 'templates', 'invoice.html'), 'utf8');
+
+/**
+ * Parse the `format` query parameter of an invoice download.
+ * Throws a ValidationError if the format is not supported.
+ *
+ * @returns string
+ */
+const parseInvoiceFormat = (value) => {
+    const format = value === undefined ? 'html' : value;
+
+    if (!INVOICE_FORMATS.includes(format)) {
+        throw new ValidationError(`format must be one of ${INVOICE_FORMATS.join(', ')}`, { parameter: 'format' });
+    }
+
+    return format;
+};
+
+/**
+ * Issue the invoice for a payment towards a job, with the next number in the sequence.
+ * The number is taken within the given transaction and the unique index on it rejects any invoice which races for
+ * the same number, failing its payment rather than numbering two invoices alike.
+ *
+ * @returns Invoice
+ */
+const issueInvoice = async ({ job, jobPayment, client, contractor, issuedAt = new Date() }, transaction) => {
+    const lastNumber = await Invoice.max('number', { transaction });
+
+    return Invoice.create({
+        number: (lastNumber || 0) + 1,
+        issuedAt,
+        clientName: `${client.firstName} ${client.lastName}`,
+        clientEmail: client.email,
+        contractorName: `${contractor.firstName} ${contractor.lastName}`,
+        contractorProfession: contractor.profession,
+        contractorEmail: contractor.email,
+        description: job.description,
+        amount: jobPayment.amount,
+        currency: jobPayment.currency,
+        jobPrice: job.price,
+        amountOutstanding: job.amountOutstanding,
+        JobId: job.id,
+        JobPaymentId: jobPayment.id,
+        ContractId: job.ContractId,
+    }, { transaction });
+};
+
+/**
+ * An invoice is a receipt to the contractor who was paid, and an invoice to anyone else.
+ *
+ * @returns string
+ */
+const getDocumentTitle = (profile) => profile.type === ROLES.CONTRACTOR ? 'Receipt' : 'Invoice';
+
+/**
+ * @returns string - the amount with its currency, e.g. `"12.30 USD"`
+ */
+const formatAmount = (amount, currency) => `${Money.of(amount).toString()} ${currency}`;
+
+/**
+ * @returns object - the text of each field shown on an invoice
+ */
+const getInvoiceFields = (invoice, title) => ({
+    title,
+    titleLowerCase: title.toLowerCase(),
+    invoiceNumber: invoice.invoiceNumber,
+    issuedAt: invoice.issuedAt.toISOString().slice(0, 10),
+    clientName: invoice.clientName,
+    clientEmail: invoice.clientEmail || '',
+    contractorName: invoice.contractorName,
+    contractorProfession: invoice.contractorProfession,
+    contractorEmail: invoice.contractorEmail || '',
+    contractId: invoice.ContractId,
+    jobId: invoice.JobId,
+    description: invoice.description,
+    amount: formatAmount(invoice.amount, invoice.currency),
+    jobPrice: formatAmount(invoice.jobPrice, invoice.currency),
+    amountOutstanding: formatAmount(invoice.amountOutstanding, invoice.currency),
+});
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+};
+
+/**
+ * @returns string
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (character) => HTML_ESCAPES[character]);
+
+/**
+ * Render an invoice as an HTML page from the invoice template.
+ *
+ * @returns string
+ */
+const renderInvoiceHtml = (invoice, profile) => {
+    const fields = getInvoiceFields(invoice, getDocumentTitle(profile));
+
+    return INVOICE_TEMPLATE.replace(/{{(\w+)}}/g, (placeholder, name) => escapeHtml(fields[name]));
+};
+
+/**
+ * Render an invoice as a PDF document with the same content as its HTML page.
+ *
+ * @returns Buffer
+ */
+const renderInvoicePdf = (invoice, profile) => {
+    const fields = getInvoiceFields(invoice, getDocumentTitle(profile));
+
+    const lines = [
+        { text: `${fields.title} ${fields.invoiceNumber}`, size: 20, bold: true },
+        { text: `Issued ${fields.issuedAt} - Paid` },
+        {},
+        { text: 'Client', bold: true },
+        { text: fields.clientName },
+        { text: fields.clientEmail },
+        {},
+        { text: 'Contractor', bold: true },
+        { text: fields.contractorName },
+        { text: fields.contractorProfession },
+        { text: fields.contractorEmail },
+        {},
+        { text: `Contract #${fields.contractId} - Job #${fields.jobId}` },
+        {},
+        { text: 'Description', bold: true },
+        ...fields.description.split(/\r?\n/).map((text) => ({ text })),
+        {},
+        { text: `Job price: ${fields.jobPrice}` },
+        { text: `Paid with this ${fields.titleLowerCase}: ${fields.amount}`, bold: true },
+        { text: `Outstanding: ${fields.amountOutstanding}` },
+    ];
+
+    return renderPdf(lines, { title: `${fields.title} ${fields.invoiceNumber}` });
+};
+
+module.exports = {
+    INVOICE_FORMATS,
+    parseInvoiceFormat,
+    issueInvoice,
+    getDocumentTitle,
+    renderInvoiceHtml,
+    renderInvoicePdf,
+};
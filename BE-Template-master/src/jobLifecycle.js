@@ -0,0 +1,93 @@
+/**
+ * The legal transitions of a job through its statuses.
+ *
+ * A job is added to a contract by the contractor in status `open`.
+ * The contractor marks it as `delivered` and the client then either approves or rejects it.
+ * A rejected job can be reworked and delivered again.
+ * Only `approved` jobs can be paid and the contractor may withdraw a job at any point until a payment is made towards it.
+ */
+const JOB_TRANSITIONS = {
+    deliver: {
+        from: ['open', 'rejected'],
+        to: 'delivered',
+        parties: ['contractor'],
+        timestamp: 'deliveredAt',
+    },
+    approve: {
+        from: ['delivered'],
+        to: 'approved',
+        parties: ['client'],
+        timestamp: 'approvedAt',
+    },
+    reject: {
+        from: ['delivered'],
+        to: 'rejected',
+        parties: ['client'],
+        timestamp: 'rejectedAt',
+    },
+    withdraw: {
+        from: ['open', 'delivered', 'rejected', 'approved'],
+        to: 'withdrawn',
+        parties: ['contractor'],
+        timestamp: 'withdrawnAt',
+    },
+};
+
+/**
+ * Job statuses in which the contractor may still edit the job's description and price.
+ */
+const EDITABLE_JOB_STATUSES = ['open', 'rejected'];
+
+/**
+ * Validates that the given transition may be applied to the job by the given profile.
+ * The profile is expected to already be a party to the job's contract.
+ *
+ * @returns string|null - a description of why the transition is illegal, or null if it is legal
+ */
+const getJobTransitionError = (job, transitionName, profile) => {
+    const transition = JOB_TRANSITIONS[transitionName];
+
+    if (!transition) {
+        return `Unknown job transition '${transitionName}'`;
+    }
+
+    if (!transition.parties.includes(profile.type)) {
+        return `A ${profile.type} cannot ${transitionName} a job`;
+    }
+
+    if (job.paid) {
+        return `Cannot ${transitionName} a job which has already been paid`;
+    }
+
+    if (job.amountPaid > 0) {
+        return `Cannot ${transitionName} a job which has been partially paid`;
+    }
+
+    if (!transition.from.includes(job.status)) {
+        return `Cannot ${transitionName} a job with status '${job.status}'`;
+    }
+
+    return null;
+};
+
+/**
+ * Applies a transition to the job, setting its new status and stamping the time of the transition.
+ * The job is not saved.
+ *
+ * @returns Job
+ */
+const applyJobTransition = (job, transitionName) => {
+    const transition = JOB_TRANSITIONS[transitionName];
+
+    job.status = transition.to;
+    job[transition.timestamp] = new Date();
+
+    return job;
+};
+
+module.exports = {
+    JOB_TRANSITIONS,
+    EDITABLE_JOB_STATUSES,
+    getJobTransitionError,
+    applyJobTransition,
+};
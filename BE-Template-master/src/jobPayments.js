@@ -0,0 +1,282 @@
+const { sequelize, Contract, JobInstallment, JobPayment } = require('./model');
+const { SYSTEM_ACCOUNTS, transferFunds } = require('./ledger');
+const { convertCurrency } = require('./exchangeRates');
+const { completeContractIfDue } = require('./contractCompletion');
+const { WEBHOOK_EVENT_TYPES, recordEvent } = require('./webhooks');
+const { issueInvoice } = require('./invoices');
+const { Money } = require('./money');
+const { JobAlreadyPaidError, JobNotApprovedError, InvalidJobPriceError, InsufficientBalanceError } = require('./errors');
+
+/**
+ * Fetch the installments of a job which have not been fully paid, earliest due first.
+ *
+ * @returns JobInstallment[]
+ */
+const getUnpaidInstallments = (job, transaction) => JobInstallment.findAll({
+    where: { JobId: job.id, paidAt: null },
+    order: [['dueDate', 'ASC'], ['id', 'ASC']],
+    transaction,
+});
+
+/**
+ * The amount a client pays when no amount is given: the remainder of the next installment due if the job
+ * has an installment plan, otherwise everything that is outstanding.
+ *
+ * @returns number
+ */
+const getDefaultPaymentAmount = async (job, transaction) => {
+    const [nextInstallment] = await getUnpaidInstallments(job, transaction);
+
+    return nextInstallment
+        ? Money.of(nextInstallment.amount).minus(nextInstallment.amountPaid).toNumber()
+        : job.amountOutstanding;
+};
+
+/**
+ * Validates that a job is in a state in which it can be paid.
+ *
+ * @returns ApiError|null - why the job cannot be paid, or null if it can
+ */
+const getJobPaymentError = (job) => {
+    if (job.paid) {
+        return new JobAlreadyPaidError(job.id);
+    }
+
+    if (Money.of(job.price).isNegative()) {
+        return new InvalidJobPriceError(job.id, job.price);
+    }
+
+    // Only jobs which have been approved by the client can be paid
+    if (job.status !== 'approved') {
+        return new JobNotApprovedError(job.id, job.status);
+    }
+
+    return null;
+};
+
+/**
+ * Move a payment from the client's balance to the contractor's, through the foreign exchange account if their
+ * balances are in different currencies.
+ */
+const transferPayment = async ({ client, contractor, clientAmount, contractorAmount, JobId }, transaction) => {
+    if (client.currency === contractor.currency) {
+        await transferFunds({ debit: client, credit: contractor, amount: clientAmount, kind: 'job_payment', JobId }, transaction);
+        return;
+    }
+
+    await transferFunds({ debit: client, credit: SYSTEM_ACCOUNTS.FOREIGN_EXCHANGE, amount: clientAmount, kind: 'job_payment', JobId }, transaction);
+    await transferFunds({ debit: SYSTEM_ACCOUNTS.FOREIGN_EXCHANGE, credit: contractor, amount: contractorAmount, kind: 'job_payment', JobId }, transaction);
+};
+
+/**
+ * Record a payment against a job, filling its unpaid installments in due date order, and issue its invoice.
+ * The job only counts as paid once nothing is left outstanding, which raises a `job.paid` event.
+ *
+ * @returns Job
+ */
+const recordPayment = async ({ job, currency, contractor, amount, client, clientPayment, contractorPayment }, transaction) => {
+    const jobPayment = await JobPayment.create({
+        amount,
+        currency,
+        clientAmount: clientPayment.amount,
+        clientCurrency: client.currency,
+        clientExchangeRate: clientPayment.rate,
+        contractorAmount: contractorPayment.amount,
+        contractorCurrency: contractor.currency,
+        contractorExchangeRate: contractorPayment.rate,
+        JobId: job.id,
+    }, { transaction });
+
+    job.amountPaid = Money.of(job.amountPaid).plus(amount).toNumber();
+
+    if (!Money.of(job.amountOutstanding).isPositive()) {
+        job.paid = true;
+        job.paymentDate = new Date();
+    }
+
+    let unallocatedAmount = Money.of(amount);
+    for (const installment of await getUnpaidInstallments(job, transaction)) {
+        if (!unallocatedAmount.isPositive()) {
+            break;
+        }
+
+        const allocatedAmount = unallocatedAmount.min(Money.of(installment.amount).minus(installment.amountPaid));
+        installment.amountPaid = Money.of(installment.amountPaid).plus(allocatedAmount).toNumber();
+        unallocatedAmount = unallocatedAmount.minus(allocatedAmount);
+
+        if (!Money.of(installment.amountPaid).isLessThan(installment.amount)) {
+            installment.paidAt = new Date();
+        }
+
+        await installment.save({ transaction });
+    }
+
+    await job.save({ transaction });
+
+    await issueInvoice({ job, jobPayment, client, contractor }, transaction);
+
+    if (job.paid) {
+        await recordEvent(WEBHOOK_EVENT_TYPES.JOB_PAID, {
+            jobId: job.id,
+            contractId: job.ContractId,
+            price: job.price,
+            amountPaid: job.amountPaid,
+            currency,
+            paymentDate: job.paymentDate,
+        }, [client.id, contractor.id], transaction);
+    }
+
+    return job;
+};
+
+/**
+ * Pay several jobs of one client together: either every payment is made or, if any fails, none is.
+ * Each payment gives the job, the currency of its contract, the contractor and the amount in that currency. Amounts
+ * are converted into the client's and the contractors' currencies at the rates in effect, which are recorded on the
+ * job payments.
+ * The client's balance is checked once against the total, and each contractor is credited once with the combined
+ * amount of their jobs.
+ * Each contract paid towards is then checked against its completion policy, which may terminate it.
+ * The jobs, client and contractors must already be locked within the given transaction, and each contractor must be
+ * the same instance across all of their payments.
+ *
+ * @returns Job[]
+ */
+const payJobs = async ({ client, payments }, transaction) => {
+    const now = new Date();
+
+    const convertedPayments = [];
+    for (const payment of payments) {
+        convertedPayments.push({
+            ...payment,
+            client,
+            clientPayment: await convertCurrency(payment.amount, payment.currency, client.currency, now, transaction),
+            contractorPayment: await convertCurrency(payment.amount, payment.currency, payment.contractor.currency, now, transaction),
+        });
+    }
+
+    const totalClientAmount = Money.sum(convertedPayments.map(({ clientPayment }) => clientPayment.amount));
+
+    // The client does not have enough money to make the payments
+    if (Money.of(client.balance).isLessThan(totalClientAmount)) {
+        throw new InsufficientBalanceError(client.balance, totalClientAmount.toNumber());
+    }
+
+    for (const contractor of new Set(payments.map((payment) => payment.contractor))) {
+        const contractorPayments = convertedPayments.filter((payment) => payment.contractor === contractor);
+
+        await transferPayment({
+            client,
+            contractor,
+            clientAmount: Money.sum(contractorPayments.map(({ clientPayment }) => clientPayment.amount)),
+            contractorAmount: Money.sum(contractorPayments.map(({ contractorPayment }) => contractorPayment.amount)),
+            // A transfer covering several jobs is tied to them by their job payments instead
+            JobId: contractorPayments.length === 1 ? contractorPayments[0].job.id : null,
+        }, transaction);
+    }
+
+    const paidJobs = [];
+    for (const payment of convertedPayments) {
+        paidJobs.push(await recordPayment(payment, transaction));
+    }
+
+    for (const contractId of new Set(paidJobs.map((job) => job.ContractId))) {
+        const contract = await Contract.findOne({ where: { id: contractId }, lock: true, transaction });
+        await completeContractIfDue(contract, now, transaction);
+    }
+
+    return paidJobs;
+};
+
+/**
+ * Pay part or all of a job's outstanding amount from the client to the contractor.
+ * The amount is in the currency of the job's contract. It is converted into the client's and the contractor's
+ * currencies at the rates in effect, which are recorded on the payment.
+ * The payment fills the job's unpaid installments in due date order and the job only counts as paid once nothing
+ * is left outstanding.
+ * The job, client and contractor must already be locked within the given transaction.
+ *
+ * @returns Job
+ */
+const payJob = async ({ job, currency, client, contractor, amount }, transaction) => {
+    const [paidJob] = await payJobs({ client, payments: [{ job, currency, contractor, amount }] }, transaction);
+
+    return paidJob;
+};
+
+/**
+ * Replace the unpaid installments of a job with a new schedule.
+ * The schedule must cover exactly the amount which is still outstanding; installments which have already been paid
+ * are kept.
+ *
+ * @returns JobInstallment[]
+ */
+const scheduleInstallments = async (job, installments, transaction) => {
+    await JobInstallment.destroy({ where: { JobId: job.id, paidAt: null }, transaction });
+
+    await JobInstallment.bulkCreate(installments.map(({ amount, dueDate }) => ({
+        amount,
+        dueDate,
+        JobId: job.id,
+    })), { transaction });
+
+    return JobInstallment.findAll({ where: { JobId: job.id }, order: [['dueDate', 'ASC'], ['id', 'ASC']], transaction });
+};
+
+/**
+ * Summarise what has been paid towards a job and what is left.
+ *
+ * @returns {
+ *     jobId: number,
+ *     currency: string,
+ *     price: number,
+ *     amountPaid: number,
+ *     amountOutstanding: number,
+ *     paid: boolean,
+ *     payments: JobPayment[],
+ *     installments: JobInstallment[]
+ * }
+ */
+const getPaymentSummary = async (job) => {
+    const { currency } = await job.getContract({ attributes: ['currency'] });
+
+    const payments = await JobPayment.findAll({ where: { JobId: job.id }, order: [['id', 'ASC']] });
+    const installments = await JobInstallment.findAll({ where: { JobId: job.id }, order: [['dueDate', 'ASC'], ['id', 'ASC']] });
+
+    return {
+        jobId: job.id,
+        currency,
+        price: job.price,
+        amountPaid: job.amountPaid,
+        amountOutstanding: job.amountOutstanding,
+        paid: !!job.paid,
+        payments,
+        installments,
+    };
+};
+
+/**
+ * SQL selecting the ids of the jobs with a payment made between `start` and `end` (either may be omitted). Jobs paid in
+ * full before partial payments existed have no recorded payment, only their payment date.
+ *
+ * @returns string
+ */
+const paidJobIdsSql = ({ start, end }) => {
+    const within = (column) => [
+        ...(start ? [`${column} >= ${sequelize.escape(start)}`] : []),
+        ...(end ? [`${column} <= ${sequelize.escape(end)}`] : []),
+    ].join(' AND ') || '1 = 1';
+
+    return `SELECT "JobPayment"."JobId" FROM "JobPayments" AS "JobPayment" WHERE ${within('"JobPayment"."createdAt"')}
+        UNION SELECT "Job"."id" FROM "Jobs" AS "Job" WHERE "Job"."paid" = 1 AND ${within('"Job"."paymentDate"')}`;
+};
+
+module.exports = {
+    getJobPaymentError,
+    getDefaultPaymentAmount,
+    payJob,
+    payJobs,
+    scheduleInstallments,
+    getPaymentSummary,
+    paidJobIdsSql,
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { LedgerEntry } = require('./model');
+const { Money } = require('./money');
+const { findInBatches } = require('./exports');
+
+/**
+ * Accounts which are not backed by a profile balance.
+ * They act as the counterparty for money entering or leaving the platform so every movement still has two sides.
+ */
+const SYSTEM_ACCOUNTS = {
+    DEPOSITS: 'system:deposits',
+    PAYOUTS: 'system:payouts',
+    OPENING_BALANCES: 'system:opening_balances',
+    // Counterparty of both legs of a payment between balances in different currencies
+    FOREIGN_EXCHANGE: 'system:foreign_exchange',
+};
+
+const profileAccount = (profile) => `profile:${profile.id}`;
+
+/**
+ * Build the two sides of a single movement of funds.
+ * A debit decreases the balance of a profile account and a credit increases it.
+ *
+ * @returns LedgerEntry[] (unsaved attributes)
+ */
+const buildEntries = ({ debit, credit, amount, currency, kind, JobId }) => {
+    const transferId = crypto.randomBytes(16).toString('hex');
+
+    return [
+        { direction: 'debit', side: debit },
+        { direction: 'credit', side: credit },
+    ].map(({ direction, side }) => ({
+        transferId,
+        account: typeof side === 'string' ? side : profileAccount(side),
+        ProfileId: typeof side === 'string' ? null : side.id,
+        direction,
+        amount,
+        currency,
+        kind,
+        JobId: JobId || null,
+    }));
+};
+
+/**
+ * Profiles which held a balance before the ledger existed have no entries explaining it.
+ * Record that balance as an opening balance the first time the profile's balance moves so it can be rebuilt from the ledger.
+ */
+const ensureOpeningBalance = async (profile, transaction) => {
+    const existingEntry = await LedgerEntry.findOne({ attributes: ['id'], where: { ProfileId: profile.id }, transaction });
+
+    if (existingEntry || !profile.balance) {
+        return;
+    }
+
+    const balance = Money.of(profile.balance);
+    const isPositive = balance.isPositive();
+    await LedgerEntry.bulkCreate(buildEntries({
+        debit: isPositive ? SYSTEM_ACCOUNTS.OPENING_BALANCES : profile,
+        credit: isPositive ? profile : SYSTEM_ACCOUNTS.OPENING_BALANCES,
+        amount: isPositive ? balance.toNumber() : Money.zero().minus(balance).toNumber(),
+        currency: profile.currency,
+        kind: 'opening_balance',
+    }), { transaction });
+};
+
+/**
+ * Move funds from the debited account to the credited account.
+ * Either side may be a Profile, whose balance is updated and saved, or one of the SYSTEM_ACCOUNTS.
+ * The amount may be a Money, a number or a decimal string.
+ * The amount is in the currency of the profile balances involved, which must match; a transfer between two system
+ * accounts must name its currency.
+ * Both ledger entries and the balance changes are written in the given transaction.
+ *
+ * @returns LedgerEntry[]
+ */
+const transferFunds = async ({ debit, credit, amount, currency, kind, JobId }, transaction) => {
+    const transferAmount = Money.of(amount);
+    const profiles = [debit, credit].filter((side) => typeof side !== 'string');
+    const transferCurrency = currency || profiles[0].currency;
+
+    // Moving money between currencies takes two transfers through the foreign exchange account
+    if (profiles.some((profile) => profile.currency !== transferCurrency)) {
+        throw new Error(`Cannot transfer ${transferCurrency} to or from a balance in another currency`);
+    }
+
+    for (const profile of profiles) {
+        await ensureOpeningBalance(profile, transaction);
+    }
+
+    if (typeof debit !== 'string') {
+        debit.balance = Money.of(debit.balance).minus(transferAmount).toNumber();
+    }
+
+    if (typeof credit !== 'string') {
+        credit.balance = Money.of(credit.balance).plus(transferAmount).toNumber();
+    }
+
+    await Promise.all(profiles.map((profile) => profile.save({ transaction })));
+
+    return LedgerEntry.bulkCreate(buildEntries({ debit, credit, amount: transferAmount.toNumber(), currency: transferCurrency, kind, JobId }), { transaction });
+};
+
+/**
+ * Fetch the ledger entries of a profile written between `start` and `end` (either may be omitted) in the order they
+ * were written, each with the balance of the profile after it.
+ *
+ * @returns {
+ *     balance: number,
+ *     currency: string,
+ *     entries: (LedgerEntry & { runningBalance: number })[]
+ * }
+ */
+const getBalanceHistory = async (profile, { start, end } = {}) => {
+    const entries = [];
+    for await (const entry of readBalanceHistory(profile, { start, end })) {
+        entries.push(entry);
+    }
+
+    return {
+        balance: profile.balance,
+        currency: profile.currency,
+        entries,
+    };
+};
+
+/**
+ * Read the ledger entries of a profile written between `start` and `end` (either may be omitted), oldest first, each
+ * with the balance of the profile after it. Entries are read in batches so a long history is never held in memory.
+ *
+ * @returns AsyncIterable<LedgerEntry & { runningBalance: number }>
+ */
+async function* readBalanceHistory(profile, { start, end } = {}) {
+    let runningBalance = Money.zero();
+
+    // Entries before the range still count towards the running balance
+    for await (const entry of findInBatches(LedgerEntry, { where: { ProfileId: profile.id } })) {
+        runningBalance = entry.direction === 'credit' ? runningBalance.plus(entry.amount) : runningBalance.minus(entry.amount);
+
+        if (end && entry.createdAt > end) {
+            return;
+        }
+
+        if (!start || entry.createdAt >= start) {
+            yield { ...entry.toJSON(), runningBalance: runningBalance.toNumber() };
+        }
+    }
+}
+
+module.exports = {
+    SYSTEM_ACCOUNTS,
+    transferFunds,
+    getBalanceHistory,
+    readBalanceHistory,
+};
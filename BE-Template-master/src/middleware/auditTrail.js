@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { auditContext, appendAuditEntry } = require('../audit');
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Response header carrying the id under which the request was recorded in the audit log.
+ */
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Record every mutating request in the audit log once it has been handled, whether it succeeded or not: the caller,
+ * the route and the resource it acted on, the changes it made, its outcome and where it came from.
+ * The entry is written before the response is sent. Changes are only recorded for requests which succeeded, since
+ * a failed request's transaction is rolled back.
+ * Must run before the body parser so requests rejected for a malformed body are recorded too.
+ */
+const recordAuditTrail = (req, res, next) => {
+    if (!AUDITED_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    const requestId = crypto.randomUUID();
+    req.auditContext = { changes: [] };
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    const originalEnd = res.end.bind(res);
+    res.end = (chunk, ...args) => {
+        const succeeded = res.statusCode < 400;
+
+        appendAuditEntry({
+            requestId,
+            actorId: req.profile ? req.profile.id : null,
+            actorType: req.profile ? req.profile.type : null,
+            // Requests which matched no route are recorded under their path
+            action: `${req.method} ${req.route ? req.route.path : req.path}`,
+            method: req.method,
+            path: req.originalUrl,
+            targetType: req.auditTarget ? req.auditTarget.type : null,
+            targetId: req.auditTarget ? String(req.auditTarget.id) : null,
+            changes: succeeded ? req.auditContext.changes : [],
+            outcome: succeeded ? 'succeeded' : 'failed',
+            statusCode: res.statusCode,
+            errorCode: res.locals.error ? res.locals.error.code : null,
+            ip: req.ip || null,
+            userAgent: req.get('User-Agent') || null,
+        })
+            .catch((error) => console.error(`Failed to record audit entry: ${error.message}`))
+            .then(() => originalEnd(chunk, ...args));
+
+        return res;
+    };
+
+    next();
+};
+
+/**
+ * Collect the changes made while handling a mutating request for its audit entry.
+ * Must run after the body parser, which does not carry the request's async context through to the routes.
+ */
+const captureAuditChanges = (req, res, next) => {
+    if (!req.auditContext) {
+        return next();
+    }
+
+    auditContext.run(req.auditContext, next);
+};
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    recordAuditTrail,
+    captureAuditChanges,
+};
@@ -0,0 +1,36 @@
+const { ALL_ROLES, withOwnership } = require('../policy');
+const { ForbiddenError, NotFoundError } = require('../errors');
+const { asyncHandler } = require('./errorHandler');
+
+/**
+ * Declare who may call a route. Must run after `getProfile`.
+ *
+ * - `roles` - the profile types allowed to call the route at all; any other caller gets a 403
+ * - `resource` / `param` - the model and route param identifying the resource the route acts on; if the resource does
+ *   not exist or is not owned by the caller under the ownership rules in policy.js, the caller gets a 404
+ *
+ * e.g. `authorize({ roles: [ROLES.CLIENT], resource: 'Job', param: 'job_id' })`
+ */
+const authorize = ({ roles = ALL_ROLES, resource, param = 'id' } = {}) => asyncHandler(async (req, res, next) => {
+    if (resource) {
+        // Recorded in the audit log even if the caller turns out not to be allowed to act on it
+        req.auditTarget = { type: resource, id: req.params[param] };
+    }
+
+    if (!roles.includes(req.profile.type)) {
+        throw new ForbiddenError(`A ${req.profile.type} cannot perform this action`);
+    }
+
+    if (resource) {
+        const Model = req.app.get('models')[resource];
+        const ownedCount = await Model.count(withOwnership(resource, req.profile, { where: { id: req.params[param] } }));
+
+        if (!ownedCount) {
+            throw new NotFoundError(`${resource} not found`, { [param]: req.params[param] });
+        }
+    }
+
+    next();
+});
+
+module.exports = { authorize }
@@ -0,0 +1,52 @@
+const { OptimisticLockError } = require('sequelize');
+const { ApiError, ConcurrentModificationError, NotFoundError, ValidationError } = require('../errors');
+
+/**
+ * Wrap an async route handler or middleware so a rejected promise is passed on to the error handler.
+ */
+const asyncHandler = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+/**
+ * Catch-all for requests which matched no route.
+ */
+const notFoundHandler = (req, res, next) => next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+
+/**
+ * Convert any error raised while handling a request into a consistent JSON response:
+ * `{ error: { code, message, details } }`.
+ * Errors which are not ApiErrors are reported as a generic 500 so internals are never leaked.
+ */
+const errorHandler = (error, req, res, next) => {
+    let apiError = error;
+
+    if (error instanceof OptimisticLockError) {
+        // Models are versioned so a concurrent change to the same row surfaces here rather than being overwritten
+        apiError = new ConcurrentModificationError();
+    } else if (error.type === 'entity.parse.failed') {
+        apiError = new ValidationError('The request body is not valid JSON');
+    } else if (!(error instanceof ApiError)) {
+        console.error(error);
+        apiError = new ApiError('An unexpected error occurred');
+    }
+
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    // Read by the audit trail
+    res.locals.error = apiError;
+
+    res.status(apiError.status).json({
+        error: {
+            code: apiError.code,
+            message: apiError.message,
+            details: apiError.details,
+        },
+    });
+};
+
+module.exports = {
+    asyncHandler,
+    notFoundHandler,
+    errorHandler,
+};
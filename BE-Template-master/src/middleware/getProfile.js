@@ -1,18 +1,63 @@
-const getProfile = async (req, res, next) => {
+const { verifyToken, hashApiKey } = require('../auth');
+const { AuthenticationError } = require('../errors');
+const { asyncHandler } = require('./errorHandler');
+
+/**
+ * Authenticate the request and make the calling profile available under `req.profile`.
+ *
+ * Requests are authenticated with either:
+ * - `Authorization: Bearer <token>` - a token issued by `POST /auth/login`
+ * - `X-API-Key: <key>` - a long-lived, revocable API key belonging to an admin
+ * - `profile_id: <id>` - trusted as-is, only when explicitly enabled with `app.set('allowProfileIdHeader', true)` (tests)
+ */
+const getProfile = asyncHandler(async (req, res, next) => {
     const { Profile } = req.app.get('models');
+    const { ApiKey } = req.app.get('models');
+
+    const authorization = req.get('Authorization');
+    const apiKey = req.get('X-API-Key');
+
+    let profileId;
+    let storedApiKey;
+    if (authorization) {
+        const [scheme, token] = authorization.split(' ');
+        const claims = scheme === 'Bearer' ? verifyToken(token, req.app.get('authTokenSecret')) : null;
+
+        if (!claims) {
+            throw new AuthenticationError('The token is invalid or has expired');
+        }
+
+        profileId = claims.sub;
+    } else if (apiKey) {
+        storedApiKey = await ApiKey.findOne({ where: { keyHash: hashApiKey(apiKey), revokedAt: null } });
+
+        if (!storedApiKey) {
+            throw new AuthenticationError('The API key is invalid or has been revoked');
+        }
+
+        profileId = storedApiKey.ProfileId;
+    } else if (req.app.get('allowProfileIdHeader')) {
+        profileId = req.get('profile_id');
+    }
+
+    if (!profileId) {
+        throw new AuthenticationError();
+    }
+    const profile = await Profile.findOne({ where: { id: profileId } });
 
-    if (!req.get('profile_id')) {
-        return res.status(401).end();
+    // API keys are only honoured for admins, even if one was somehow issued to another profile
+    if (!profile || (storedApiKey && profile.type !== 'admin')) {
+        throw new AuthenticationError('The authenticated profile no longer exists');
     }
-    const profile = await Profile.findOne({ where: { id: req.get('profile_id') } });
 
-    if (!profile) {
-        return res.status(401).end();
+    if (storedApiKey) {
+        storedApiKey.lastUsedAt = new Date();
+        await storedApiKey.save();
     }
 
     req.profile = profile;
 
     next();
-}
+});
 
 module.exports = { getProfile }
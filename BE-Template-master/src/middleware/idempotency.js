@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { IdempotencyKey } = require('../model');
+const { ConflictError } = require('../errors');
+const { asyncHandler } = require('./errorHandler');
+
+/**
+ * How long a stored idempotency key, and the response recorded against it, is honoured for.
+ */
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long a key is held for a request which is still being processed. The lease is renewed every third of this for as
+ * long as the request runs, so only a request which will never respond, because the server crashed or was stopped
+ * while handling it, loses its key when the lease runs out and can be retried.
+ */
+const IDEMPOTENCY_KEY_LEASE_MS = 60 * 1000;
+
+/**
+ * The keys held by requests this process is still handling, by profile and key, with the id of the stored key once it
+ * has been claimed. Their leases are never taken over, even if a renewal is late.
+ */
+const keysInProgress = new Map();
+
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+/**
+ * Makes a mutating endpoint safe to retry.
+ * Clients may send an `Idempotency-Key` header; the first response for a key is stored and replayed for any repeat
+ * of the same request with the same key. Reusing a key for a different request, or while the original is still being
+ * processed, is rejected with a 409. A request holds its key on a lease of IDEMPOTENCY_KEY_LEASE_MS which it renews
+ * until it responds, and releases it if it fails with a server error. Must run after `getProfile` since keys are
+ * scoped to the calling profile.
+ */
+const idempotent = asyncHandler(async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+        return next();
+    }
+
+    const requestHash = hashRequest(req);
+    const keyInProgress = `${req.profile.id} ${key}`;
+
+    let storedKey = await IdempotencyKey.findOne({ where: { key, ProfileId: req.profile.id } });
+
+    // Expired keys include those of requests which died before responding and lost their lease. The key is only
+    // taken over if it is still expired, so a lease renewed in the meantime is kept.
+    if (storedKey && storedKey.expiresAt < new Date() && !keysInProgress.has(keyInProgress)) {
+        const expiredKeys = await IdempotencyKey.destroy({ where: { id: storedKey.id, expiresAt: { [Op.lt]: new Date() } } });
+        if (!expiredKeys) {
+            throw new ConflictError('A request with this Idempotency-Key is still being processed', { key }, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+        }
+
+        storedKey = null;
+    }
+
+    if (storedKey) {
+        if (storedKey.requestHash !== requestHash) {
+            throw new ConflictError('Idempotency-Key has already been used for a different request', { key }, 'IDEMPOTENCY_KEY_REUSED');
+        }
+
+        if (storedKey.statusCode === null) {
+            throw new ConflictError('A request with this Idempotency-Key is still being processed', { key }, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        if (storedKey.responseContentType) {
+            res.type(storedKey.responseContentType);
+        }
+        return res.status(storedKey.statusCode).send(storedKey.responseBody || undefined);
+    }
+
+    if (keysInProgress.has(keyInProgress)) {
+        throw new ConflictError('A request with this Idempotency-Key is still being processed', { key }, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+    }
+
+    keysInProgress.set(keyInProgress, null);
+    try {
+        storedKey = await IdempotencyKey.create({
+            key,
+            ProfileId: req.profile.id,
+            requestHash,
+            expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_LEASE_MS),
+        });
+    } catch (error) {
+        keysInProgress.delete(keyInProgress);
+
+        // A concurrent request with the same key claimed it first
+        throw new ConflictError('A request with this Idempotency-Key is still being processed', { key }, 'IDEMPOTENCY_KEY_IN_PROGRESS');
+    }
+
+    keysInProgress.set(keyInProgress, storedKey.id);
+    const leaseRenewal = setInterval(() => {
+        IdempotencyKey.update({ expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_LEASE_MS) }, { where: { id: storedKey.id, statusCode: null } })
+            .catch((error) => console.error(`Failed to renew idempotency key lease: ${error.message}`));
+    }, IDEMPOTENCY_KEY_LEASE_MS / 3);
+    leaseRenewal.unref();
+
+    // Record the response against the key before it is sent so an immediate retry is guaranteed to see it
+    const originalEnd = res.end.bind(res);
+    res.end = (chunk, ...args) => {
+        clearInterval(leaseRenewal);
+        // Server errors are not recorded so the request can be retried with the same key
+        const persistResponse = res.statusCode >= 500
+            ? storedKey.destroy()
+            : storedKey.update({
+                statusCode: res.statusCode,
+                responseBody: chunk ? chunk.toString() : null,
+                responseContentType: res.get('Content-Type') || null,
+                expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_MS),
+            });
+
+        persistResponse
+            .catch((error) => console.error(`Failed to store idempotent response: ${error.message}`))
+            .then(() => {
+                keysInProgress.delete(keyInProgress);
+                originalEnd(chunk, ...args);
+            });
+
+        return res;
+    };
+
+    next();
+});
+
+/**
+ * Remove all idempotency keys which have outlived IDEMPOTENCY_KEY_TTL_MS, or whose request lost its lease, other than
+ * those of requests this process is still handling.
+ *
+ * @returns number - the number of keys removed
+ */
+const purgeExpiredIdempotencyKeys = async () => {
+    return IdempotencyKey.destroy({ where: { expiresAt: { [Op.lt]: new Date() }, id: { [Op.notIn]: Array.from(keysInProgress.values()).filter((id) => id !== null) } } });
+};
+
+module.exports = {
+    IDEMPOTENCY_KEY_TTL_MS,
+    IDEMPOTENCY_KEY_LEASE_MS,
+    idempotent,
+    purgeExpiredIdempotencyKeys,
+};
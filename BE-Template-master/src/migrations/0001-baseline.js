@@ -0,0 +1,314 @@
+/**
+ * The schema as it was when migrations were introduced, previously built by `sync({ force: true })`.
+ * Databases which were built that way are adopted rather than rebuilt: tables and indexes which already exist are left
+ * as they are, with their data. A database built by an older version of the models, whose tables lack columns of this
+ * schema, cannot be adopted and fails the migration without being changed.
+ */
+
+const id = (Sequelize) => ({
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    primaryKey: true,
+    autoIncrement: true,
+});
+
+const money = (Sequelize, options = {}) => ({
+    type: Sequelize.DECIMAL(12,2),
+    ...options,
+});
+
+const timestamps = (Sequelize, { updatedAt = true } = {}) => ({
+    createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+    },
+    ...(updatedAt ? {
+        updatedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+        },
+    } : {}),
+});
+
+const version = (Sequelize) => ({
+    type: Sequelize.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+});
+
+const foreignKey = (Sequelize, table, onDelete = 'SET NULL') => ({
+    type: Sequelize.INTEGER,
+    references: { model: table, key: 'id' },
+    onDelete,
+    onUpdate: 'CASCADE',
+});
+
+/**
+ * Every table in the order they may be created: each one only references the tables before it.
+ */
+const getTables = (Sequelize) => ({
+    Profiles: {
+        id: id(Sequelize),
+        firstName: { type: Sequelize.STRING, allowNull: false },
+        lastName: { type: Sequelize.STRING, allowNull: false },
+        profession: { type: Sequelize.STRING, allowNull: false },
+        balance: money(Sequelize),
+        currency: { type: Sequelize.STRING(3), allowNull: false, defaultValue: 'USD' },
+        type: { type: Sequelize.ENUM('client', 'contractor', 'admin') },
+        email: { type: Sequelize.STRING, unique: true },
+        passwordHash: { type: Sequelize.STRING },
+        ...timestamps(Sequelize),
+        version: version(Sequelize),
+    },
+    Contracts: {
+        id: id(Sequelize),
+        terms: { type: Sequelize.TEXT, allowNull: false },
+        status: { type: Sequelize.ENUM('new', 'in_progress', 'terminated') },
+        currency: { type: Sequelize.STRING(3), allowNull: false, defaultValue: 'USD' },
+        completionPolicy: { type: Sequelize.ENUM('manual', 'all_jobs_paid', 'end_date'), allowNull: false, defaultValue: 'manual' },
+        endDate: { type: Sequelize.DATEONLY },
+        terminationReason: { type: Sequelize.ENUM('manual', 'all_jobs_paid', 'end_date_reached') },
+        acceptedAt: { type: Sequelize.DATE },
+        startedAt: { type: Sequelize.DATE },
+        terminatedAt: { type: Sequelize.DATE },
+        ...timestamps(Sequelize),
+        version: version(Sequelize),
+        ContractorId: foreignKey(Sequelize, 'Profiles'),
+        ClientId: foreignKey(Sequelize, 'Profiles'),
+    },
+    RecurrenceRules: {
+        id: id(Sequelize),
+        amount: money(Sequelize, { allowNull: false }),
+        descriptionTemplate: { type: Sequelize.TEXT, allowNull: false },
+        interval: { type: Sequelize.ENUM('weekly', 'monthly'), allowNull: false },
+        startDate: { type: Sequelize.DATEONLY, allowNull: false },
+        endDate: { type: Sequelize.DATEONLY },
+        occurrencesCreated: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        nextOccurrenceDate: { type: Sequelize.DATEONLY },
+        ...timestamps(Sequelize),
+        version: version(Sequelize),
+        ContractId: foreignKey(Sequelize, 'Contracts'),
+    },
+    Jobs: {
+        id: id(Sequelize),
+        description: { type: Sequelize.TEXT, allowNull: false },
+        price: money(Sequelize, { allowNull: false }),
+        paid: { type: Sequelize.BOOLEAN },
+        amountPaid: money(Sequelize, { allowNull: false, defaultValue: 0 }),
+        paymentDate: { type: Sequelize.DATE },
+        status: { type: Sequelize.ENUM('open', 'delivered', 'approved', 'rejected', 'withdrawn'), allowNull: false, defaultValue: 'open' },
+        rejectionReason: { type: Sequelize.TEXT },
+        deliveredAt: { type: Sequelize.DATE },
+        approvedAt: { type: Sequelize.DATE },
+        rejectedAt: { type: Sequelize.DATE },
+        withdrawnAt: { type: Sequelize.DATE },
+        occurrenceDate: { type: Sequelize.DATEONLY },
+        ...timestamps(Sequelize),
+        version: version(Sequelize),
+        ContractId: foreignKey(Sequelize, 'Contracts'),
+        RecurrenceRuleId: foreignKey(Sequelize, 'RecurrenceRules'),
+    },
+    JobInstallments: {
+        id: id(Sequelize),
+        amount: money(Sequelize, { allowNull: false }),
+        amountPaid: money(Sequelize, { allowNull: false, defaultValue: 0 }),
+        dueDate: { type: Sequelize.DATEONLY, allowNull: false },
+        paidAt: { type: Sequelize.DATE },
+        ...timestamps(Sequelize),
+        JobId: foreignKey(Sequelize, 'Jobs'),
+    },
+    JobPayments: {
+        id: id(Sequelize),
+        amount: money(Sequelize, { allowNull: false }),
+        currency: { type: Sequelize.STRING(3), allowNull: false },
+        clientAmount: money(Sequelize, { allowNull: false }),
+        clientCurrency: { type: Sequelize.STRING(3), allowNull: false },
+        clientExchangeRate: { type: Sequelize.DECIMAL(18,8), allowNull: false },
+        contractorAmount: money(Sequelize, { allowNull: false }),
+        contractorCurrency: { type: Sequelize.STRING(3), allowNull: false },
+        contractorExchangeRate: { type: Sequelize.DECIMAL(18,8), allowNull: false },
+        ...timestamps(Sequelize, { updatedAt: false }),
+        JobId: foreignKey(Sequelize, 'Jobs'),
+    },
+    ExchangeRates: {
+        id: id(Sequelize),
+        baseCurrency: { type: Sequelize.STRING(3), allowNull: false },
+        quoteCurrency: { type: Sequelize.STRING(3), allowNull: false },
+        rate: { type: Sequelize.DECIMAL(18,8), allowNull: false },
+        effectiveFrom: { type: Sequelize.DATE, allowNull: false },
+        ...timestamps(Sequelize),
+    },
+    LedgerEntries: {
+        id: id(Sequelize),
+        transferId: { type: Sequelize.STRING, allowNull: false },
+        account: { type: Sequelize.STRING, allowNull: false },
+        direction: { type: Sequelize.ENUM('debit', 'credit'), allowNull: false },
+        amount: money(Sequelize, { allowNull: false }),
+        currency: { type: Sequelize.STRING(3), allowNull: false },
+        kind: { type: Sequelize.ENUM('opening_balance', 'job_payment', 'deposit', 'withdrawal', 'withdrawal_reversal'), allowNull: false },
+        ...timestamps(Sequelize, { updatedAt: false }),
+        ProfileId: foreignKey(Sequelize, 'Profiles'),
+        JobId: foreignKey(Sequelize, 'Jobs'),
+    },
+    Payouts: {
+        id: id(Sequelize),
+        amount: money(Sequelize, { allowNull: false }),
+        currency: { type: Sequelize.STRING(3), allowNull: false },
+        status: { type: Sequelize.ENUM('pending', 'settled', 'failed'), allowNull: false, defaultValue: 'pending' },
+        provider: { type: Sequelize.STRING, allowNull: false },
+        providerReference: { type: Sequelize.STRING },
+        failureReason: { type: Sequelize.TEXT },
+        settledAt: { type: Sequelize.DATE },
+        failedAt: { type: Sequelize.DATE },
+        ...timestamps(Sequelize),
+        version: version(Sequelize),
+        ProfileId: foreignKey(Sequelize, 'Profiles'),
+    },
+    IdempotencyKeys: {
+        id: id(Sequelize),
+        key: { type: Sequelize.STRING, allowNull: false },
+        requestHash: { type: Sequelize.STRING, allowNull: false },
+        statusCode: { type: Sequelize.INTEGER },
+        responseBody: { type: Sequelize.TEXT },
+        responseContentType: { type: Sequelize.STRING },
+        expiresAt: { type: Sequelize.DATE, allowNull: false },
+        ...timestamps(Sequelize),
+        ProfileId: foreignKey(Sequelize, 'Profiles'),
+    },
+    ApiKeys: {
+        id: id(Sequelize),
+        name: { type: Sequelize.STRING, allowNull: false },
+        prefix: { type: Sequelize.STRING, allowNull: false },
+        keyHash: { type: Sequelize.STRING, allowNull: false, unique: true },
+        lastUsedAt: { type: Sequelize.DATE },
+        revokedAt: { type: Sequelize.DATE },
+        ...timestamps(Sequelize),
+        ProfileId: foreignKey(Sequelize, 'Profiles'),
+    },
+    WebhookEndpoints: {
+        id: id(Sequelize),
+        url: { type: Sequelize.STRING, allowNull: false },
+        eventTypes: { type: Sequelize.TEXT, allowNull: false },
+        secret: { type: Sequelize.STRING, allowNull: false },
+        ...timestamps(Sequelize),
+        ProfileId: foreignKey(Sequelize, 'Profiles'),
+    },
+    WebhookEvents: {
+        id: id(Sequelize),
+        type: { type: Sequelize.STRING, allowNull: false },
+        payload: { type: Sequelize.TEXT, allowNull: false },
+        ...timestamps(Sequelize, { updatedAt: false }),
+    },
+    WebhookDeliveries: {
+        id: id(Sequelize),
+        status: { type: Sequelize.ENUM('pending', 'delivered', 'dead_lettered'), allowNull: false, defaultValue: 'pending' },
+        attempts: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+        nextAttemptAt: { type: Sequelize.DATE },
+        lastAttemptAt: { type: Sequelize.DATE },
+        lastResponseStatus: { type: Sequelize.INTEGER },
+        lastError: { type: Sequelize.TEXT },
+        deliveredAt: { type: Sequelize.DATE },
+        ...timestamps(Sequelize),
+        version: version(Sequelize),
+        WebhookEndpointId: foreignKey(Sequelize, 'WebhookEndpoints', 'CASCADE'),
+        WebhookEventId: foreignKey(Sequelize, 'WebhookEvents'),
+    },
+    Invoices: {
+        id: id(Sequelize),
+        number: { type: Sequelize.INTEGER, allowNull: false, unique: true },
+        issuedAt: { type: Sequelize.DATE, allowNull: false },
+        clientName: { type: Sequelize.STRING, allowNull: false },
+        clientEmail: { type: Sequelize.STRING },
+        contractorName: { type: Sequelize.STRING, allowNull: false },
+        contractorProfession: { type: Sequelize.STRING, allowNull: false },
+        contractorEmail: { type: Sequelize.STRING },
+        description: { type: Sequelize.TEXT, allowNull: false },
+        amount: money(Sequelize, { allowNull: false }),
+        currency: { type: Sequelize.STRING(3), allowNull: false },
+        jobPrice: money(Sequelize, { allowNull: false }),
+        amountOutstanding: money(Sequelize, { allowNull: false }),
+        ...timestamps(Sequelize, { updatedAt: false }),
+        JobId: foreignKey(Sequelize, 'Jobs'),
+        JobPaymentId: foreignKey(Sequelize, 'JobPayments'),
+        ContractId: foreignKey(Sequelize, 'Contracts'),
+    },
+    AuditEntries: {
+        id: id(Sequelize),
+        requestId: { type: Sequelize.STRING, allowNull: false },
+        actorId: { type: Sequelize.INTEGER },
+        actorType: { type: Sequelize.STRING },
+        action: { type: Sequelize.STRING, allowNull: false },
+        method: { type: Sequelize.STRING, allowNull: false },
+        path: { type: Sequelize.TEXT, allowNull: false },
+        targetType: { type: Sequelize.STRING },
+        targetId: { type: Sequelize.STRING },
+        changes: { type: Sequelize.TEXT, allowNull: false },
+        outcome: { type: Sequelize.ENUM('succeeded', 'failed'), allowNull: false },
+        statusCode: { type: Sequelize.INTEGER, allowNull: false },
+        errorCode: { type: Sequelize.STRING },
+        ip: { type: Sequelize.STRING },
+        userAgent: { type: Sequelize.TEXT },
+        recordedAt: { type: Sequelize.DATE, allowNull: false },
+        previousHash: { type: Sequelize.STRING(64), allowNull: false, unique: true },
+        hash: { type: Sequelize.STRING(64), allowNull: false, unique: true },
+    },
+});
+
+const INDEXES = [
+    ['Contracts', ['ClientId']],
+    ['Contracts', ['ContractorId']],
+    ['Jobs', ['RecurrenceRuleId', 'occurrenceDate'], { unique: true }],
+    ['Jobs', ['ContractId']],
+    ['Jobs', ['paid', 'paymentDate']],
+    ['ExchangeRates', ['baseCurrency', 'quoteCurrency', 'effectiveFrom'], { unique: true }],
+    ['IdempotencyKeys', ['ProfileId', 'key'], { unique: true }],
+    ['AuditEntries', ['actorId']],
+    ['AuditEntries', ['targetType', 'targetId']],
+];
+
+/**
+ * Throws if any table which already exists lacks a column of this schema, listing every missing column.
+ */
+const checkExistingColumns = async (queryInterface, tables, existingTables, transaction) => {
+    const missingColumns = [];
+
+    for (const [table, attributes] of Object.entries(tables)) {
+        if (existingTables.includes(table)) {
+            const columns = await queryInterface.describeTable(table, { transaction });
+            missingColumns.push(...Object.keys(attributes).filter((column) => !columns[column]).map((column) => `${table}.${column}`));
+        }
+    }
+
+    if (missingColumns.length) {
+        throw new Error(`The existing database was built by an older version and cannot be adopted; it is missing the columns ${missingColumns.join(', ')}`);
+    }
+};
+
+module.exports = {
+    async up({ queryInterface, Sequelize, transaction }) {
+        const existingTables = await queryInterface.showAllTables({ transaction });
+
+        await checkExistingColumns(queryInterface, getTables(Sequelize), existingTables, transaction);
+
+        for (const [table, attributes] of Object.entries(getTables(Sequelize))) {
+            if (!existingTables.includes(table)) {
+                await queryInterface.createTable(table, attributes, { transaction });
+            }
+        }
+
+        for (const [table, fields, options = {}] of INDEXES) {
+            const existingIndexes = await queryInterface.showIndex(table, { transaction });
+            const exists = existingIndexes.some((index) => index.fields.map((field) => field.attribute).join() === fields.join());
+
+            if (!exists) {
+                await queryInterface.addIndex(table, fields, { ...options, transaction });
+            }
+        }
+    },
+
+    async down({ queryInterface, Sequelize, transaction }) {
+        for (const table of Object.keys(getTables(Sequelize)).reverse()) {
+            await queryInterface.dropTable(table, { transaction });
+        }
+    },
+};
@@ -0,0 +1,38 @@
+/**
+ * Per-client overrides of the deposit limits, and an index for adding up a profile's recent deposits.
+ */
+module.exports = {
+    async up({ queryInterface, Sequelize, transaction }) {
+        await queryInterface.createTable('DepositPolicies', {
+            id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            depositLimitRatio: { type: Sequelize.DECIMAL(5,4) },
+            depositWindowHours: { type: Sequelize.INTEGER },
+            minimumDeposit: { type: Sequelize.DECIMAL(12,2) },
+            maximumDeposit: { type: Sequelize.DECIMAL(12,2) },
+            depositWindowLimit: { type: Sequelize.DECIMAL(12,2) },
+            reason: { type: Sequelize.TEXT },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false },
+            ProfileId: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                unique: true,
+                references: { model: 'Profiles', key: 'id' },
+                onDelete: 'CASCADE',
+                onUpdate: 'CASCADE',
+            },
+        }, { transaction });
+
+        await queryInterface.addIndex('LedgerEntries', ['ProfileId', 'kind', 'createdAt'], { transaction });
+    },
+
+    async down({ queryInterface, transaction }) {
+        await queryInterface.removeIndex('LedgerEntries', ['ProfileId', 'kind', 'createdAt'], { transaction });
+        await queryInterface.dropTable('DepositPolicies', { transaction });
+    },
+};
@@ -0,0 +1,53 @@
+/**
+ * Disputes of paid jobs. Refunds are recorded in the ledger under the new `dispute_refund` kind, which needs no change
+ * to the schema since SQLite stores enums as text.
+ */
+module.exports = {
+    async up({ queryInterface, Sequelize, transaction }) {
+        await queryInterface.createTable('Disputes', {
+            id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                primaryKey: true,
+                autoIncrement: true,
+            },
+            status: { type: Sequelize.ENUM('open', 'responded', 'resolved'), allowNull: false, defaultValue: 'open' },
+            reason: { type: Sequelize.TEXT, allowNull: false },
+            amount: { type: Sequelize.DECIMAL(12,2), allowNull: false },
+            currency: { type: Sequelize.STRING(3), allowNull: false },
+            response: { type: Sequelize.TEXT },
+            respondedAt: { type: Sequelize.DATE },
+            outcome: { type: Sequelize.ENUM('client', 'contractor', 'split') },
+            refundAmount: { type: Sequelize.DECIMAL(12,2) },
+            resolutionNote: { type: Sequelize.TEXT },
+            resolvedAt: { type: Sequelize.DATE },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false },
+            version: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+            JobId: {
+                type: Sequelize.INTEGER,
+                references: { model: 'Jobs', key: 'id' },
+                onDelete: 'SET NULL',
+                onUpdate: 'CASCADE',
+            },
+            ContractId: {
+                type: Sequelize.INTEGER,
+                references: { model: 'Contracts', key: 'id' },
+                onDelete: 'SET NULL',
+                onUpdate: 'CASCADE',
+            },
+            ResolvedById: {
+                type: Sequelize.INTEGER,
+                references: { model: 'Profiles', key: 'id' },
+                onDelete: 'SET NULL',
+                onUpdate: 'CASCADE',
+            },
+        }, { transaction });
+
+        await queryInterface.addIndex('Disputes', ['JobId', 'status'], { transaction });
+    },
+
+    async down({ queryInterface, transaction }) {
+        await queryInterface.dropTable('Disputes', { transaction });
+    },
+};
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const Sequelize = require('sequelize');
+const { sequelize } = require('./model');
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, 'migrations');
+
+/**
+ * Migration files are named `<version>-<name>.js`, e.g. `0002-add-job-tags.js`, and are applied in version order.
+ */
+const MIGRATION_FILENAME = /^(\d+)-([\w-]+)\.js$/;
+
+/**
+ * The migrations which have been applied to the database.
+ */
+class SchemaMigration extends Sequelize.Model {}
+SchemaMigration.init(
+    {
+        version: {
+            type: Sequelize.STRING,
+            primaryKey: true,
+        },
+        name: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        appliedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'SchemaMigration',
+        timestamps: false,
+    },
+);
+
+/**
+ * Read every migration from the migrations directory, in the order they are applied.
+ * Each one exports `up` and `down`, which are passed `{ queryInterface, Sequelize, transaction }`.
+ *
+ * @returns {
+ *     version: string,
+ *     name: string,
+ *     up: function,
+ *     down: function
+ * }[]
+ */
+const loadMigrations = (directory = MIGRATIONS_DIRECTORY) => fs.readdirSync(directory)
+    .map((filename) => MIGRATION_FILENAME.exec(filename))
+    .filter(Boolean)
+    .map(([filename, version, name]) => ({ version, name, ...require(path.join(directory, filename)) }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+/**
+ * @returns Map<string, SchemaMigration> - the applied migrations by version
+ */
+const getAppliedMigrations = async () => {
+    await SchemaMigration.sync();
+
+    const appliedMigrations = await SchemaMigration.findAll();
+
+    return new Map(appliedMigrations.map((migration) => [migration.version, migration]));
+};
+
+/**
+ * Throws if there is no migration with the given version.
+ */
+const checkVersion = (migrations, version) => {
+    if (version !== undefined && version !== '0' && !migrations.some((migration) => migration.version === version)) {
+        throw new Error(`There is no migration with version ${version}`);
+    }
+};
+
+/**
+ * Run one direction of a migration and record it, within a transaction so a migration which fails part way through
+ * leaves the schema as it was.
+ */
+const runMigration = async (migration, direction) => {
+    await sequelize.transaction(async (transaction) => {
+        await migration[direction]({ queryInterface: sequelize.getQueryInterface(), Sequelize, transaction });
+
+        if (direction === 'up') {
+            await SchemaMigration.create({ version: migration.version, name: migration.name, appliedAt: new Date() }, { transaction });
+        } else {
+            await SchemaMigration.destroy({ where: { version: migration.version }, transaction });
+        }
+    });
+
+    // SQLite runs each transaction on a connection of its own. Other connections only notice the schema has changed
+    // when they next read a table, so without this the PRAGMAs behind `showIndex` and `describeTable` would still
+    // describe the old schema
+    await sequelize.query('SELECT COUNT(*) FROM sqlite_master');
+};
+
+/**
+ * Apply every migration which has not been applied yet, in version order, or only those up to and including the
+ * version given as `to`.
+ *
+ * @returns string[] - the versions applied
+ */
+const migrate = async ({ to, migrations = loadMigrations() } = {}) => {
+    checkVersion(migrations, to);
+
+    const appliedMigrations = await getAppliedMigrations();
+    const pendingMigrations = migrations.filter((migration) => !appliedMigrations.has(migration.version)
+        && (to === undefined || Number(migration.version) <= Number(to)));
+
+    for (const migration of pendingMigrations) {
+        await runMigration(migration, 'up');
+    }
+
+    return pendingMigrations.map((migration) => migration.version);
+};
+
+/**
+ * Revert the most recently applied migration, the latest `steps` of them, or every one after the version given as
+ * `to` (`0` reverts them all).
+ *
+ * @returns string[] - the versions reverted
+ */
+const rollback = async ({ to, steps = 1, migrations = loadMigrations() } = {}) => {
+    checkVersion(migrations, to);
+
+    const appliedMigrations = await getAppliedMigrations();
+    const unknownVersions = Array.from(appliedMigrations.keys()).filter((version) => !migrations.some((migration) => migration.version === version));
+    if (unknownVersions.length) {
+        throw new Error(`The database has migrations applied which are not in the migrations directory: ${unknownVersions.join(', ')}`);
+    }
+
+    const revertible = migrations.filter((migration) => appliedMigrations.has(migration.version)).reverse();
+    const revertedMigrations = to === undefined
+        ? revertible.slice(0, steps)
+        : revertible.filter((migration) => Number(migration.version) > Number(to));
+
+    for (const migration of revertedMigrations) {
+        await runMigration(migration, 'down');
+    }
+
+    return revertedMigrations.map((migration) => migration.version);
+};
+
+/**
+ * List every migration and when it was applied, if it has been.
+ *
+ * @returns {
+ *     version: string,
+ *     name: string,
+ *     appliedAt: Date | null
+ * }[]
+ */
+const getMigrationStatus = async ({ migrations = loadMigrations() } = {}) => {
+    const appliedMigrations = await getAppliedMigrations();
+
+    return migrations.map(({ version, name }) => ({
+        version,
+        name,
+        appliedAt: appliedMigrations.has(version) ? appliedMigrations.get(version).appliedAt : null,
+    }));
+};
+
+/**
+ * Drop every table and build the schema again from the migrations.
+ * WARNING THIS DELETES ALL DATA
+ */
+const resetDatabase = async () => {
+    await sequelize.getQueryInterface().dropAllTables();
+    await migrate();
+};
+
+module.exports = {
+    MIGRATIONS_DIRECTORY,
+    SchemaMigration,
+    loadMigrations,
+    migrate,
+    rollback,
+    getMigrationStatus,
+    resetDatabase,
+};
@@ -1,20 +1,21 @@
 const Sequelize = require('sequelize');
+const { config } = require('./config');
+const { DEFAULT_CURRENCY, Money, moneyAttribute } = require('./money');
 
-let sequelize;
-if (process.env.NODE_ENV === 'test') {
-    sequelize = new Sequelize({
-        dialect: 'sqlite',
-        storage: './test/tmp/test-database.sqlite3',
-        logging: false,
-    });
-} else {
-    sequelize = new Sequelize({
-        dialect: 'sqlite',
-        storage: './database.sqlite3'
-    });
-}
+const sequelize = new Sequelize({
+    dialect: 'sqlite',
+    storage: config.database.storage,
+    logging: config.database.logging ? console.log : false,
+});
 
-class Profile extends Sequelize.Model {}
+class Profile extends Sequelize.Model {
+    // Credentials must never be serialised into a response
+    toJSON() {
+        const values = super.toJSON();
+        delete values.passwordHash;
+        return values;
+    }
+}
 Profile.init(
     {
         firstName: {
@@ -29,12 +30,25 @@ Profile.init(
             type: Sequelize.STRING,
             allowNull: false,
         },
-        balance: {
-            type: Sequelize.DECIMAL(12,2),
+        balance: moneyAttribute('balance'),
+        currency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+            defaultValue: DEFAULT_CURRENCY,
         },
         type: {
             type: Sequelize.ENUM('client', 'contractor', 'admin'),
         },
+        email: {
+            type: Sequelize.STRING,
+            unique: true,
+            set(value) {
+                this.setDataValue('email', value ? value.toLowerCase() : value);
+            },
+        },
+        passwordHash: {
+            type: Sequelize.STRING,
+        },
     },
     {
         sequelize,
@@ -53,11 +67,39 @@ Contract.init(
         status: {
             type: Sequelize.ENUM('new', 'in_progress', 'terminated'),
         },
+        // The currency the contract's jobs are priced in
+        currency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+            defaultValue: DEFAULT_CURRENCY,
+        },
+        // How the contract ends, see contractCompletion.js
+        completionPolicy: {
+            type: Sequelize.ENUM('manual', 'all_jobs_paid', 'end_date'),
+            allowNull: false,
+            defaultValue: 'manual',
+        },
+        endDate: {
+            type: Sequelize.DATEONLY,
+        },
+        terminationReason: {
+            type: Sequelize.ENUM('manual', 'all_jobs_paid', 'end_date_reached'),
+        },
+        acceptedAt: {
+            type: Sequelize.DATE,
+        },
+        startedAt: {
+            type: Sequelize.DATE,
+        },
+        terminatedAt: {
+            type: Sequelize.DATE,
+        },
     },
     {
         sequelize,
         modelName: 'Contract',
         version: true,
+        indexes: [{ fields: ['ClientId'] }, { fields: ['ContractorId'] }],
     },
 );
 
@@ -68,22 +110,684 @@ Job.init(
             type: Sequelize.TEXT,
             allowNull: false,
         },
-        price: {
-            type: Sequelize.DECIMAL(12,2),
-            allowNull: false,
-        },
+        price: moneyAttribute('price', { allowNull: false }),
         paid: {
             type: Sequelize.BOOLEAN,
             default: false,
         },
+        amountPaid: moneyAttribute('amountPaid', { allowNull: false, defaultValue: 0 }),
+        amountOutstanding: {
+            type: new Sequelize.VIRTUAL(Sequelize.DECIMAL(12,2), ['price', 'amountPaid', 'paid']),
+            get() {
+                // Jobs paid before partial payments existed were settled in full without recording amountPaid
+                return this.get('paid') ? 0 : Money.of(this.get('price')).minus(this.get('amountPaid')).toNumber();
+            },
+        },
         paymentDate: {
             type: Sequelize.DATE,
         },
+        status: {
+            type: Sequelize.ENUM('open', 'delivered', 'approved', 'rejected', 'withdrawn'),
+            allowNull: false,
+            defaultValue: 'open',
+        },
+        rejectionReason: {
+            type: Sequelize.TEXT,
+        },
+        deliveredAt: {
+            type: Sequelize.DATE,
+        },
+        approvedAt: {
+            type: Sequelize.DATE,
+        },
+        rejectedAt: {
+            type: Sequelize.DATE,
+        },
+        withdrawnAt: {
+            type: Sequelize.DATE,
+        },
+        // The occurrence of the recurrence rule which created the job, if any
+        occurrenceDate: {
+            type: Sequelize.DATEONLY,
+        },
     },
     {
         sequelize,
         modelName: 'Job',
         version: true,
+        indexes: [
+            // A recurrence rule creates at most one job per occurrence
+            { unique: true, fields: ['RecurrenceRuleId', 'occurrenceDate'] },
+            { fields: ['ContractId'] },
+            // For the admin analytics, which only read jobs paid within a date range
+            { fields: ['paid', 'paymentDate'] },
+        ],
+    },
+);
+
+/**
+ * A rule creating a job on a contract every interval, e.g. for a monthly retainer.
+ * The scheduler in recurringJobs.js creates the jobs as they fall due while the contract is in progress.
+ */
+class RecurrenceRule extends Sequelize.Model {}
+RecurrenceRule.init(
+    {
+        amount: moneyAttribute('amount', { allowNull: false }),
+        // `{date}` is replaced with the date of the occurrence
+        descriptionTemplate: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+        },
+        interval: {
+            type: Sequelize.ENUM('weekly', 'monthly'),
+            allowNull: false,
+        },
+        startDate: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+        },
+        endDate: {
+            type: Sequelize.DATEONLY,
+        },
+        occurrencesCreated: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+        // Null once the rule has no occurrences left
+        nextOccurrenceDate: {
+            type: Sequelize.DATEONLY,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'RecurrenceRule',
+        version: true,
+    },
+);
+
+/**
+ * One tranche of a job's installment plan. Payments towards the job fill its installments in due date order.
+ */
+class JobInstallment extends Sequelize.Model {}
+JobInstallment.init(
+    {
+        amount: moneyAttribute('amount', { allowNull: false }),
+        amountPaid: moneyAttribute('amountPaid', { allowNull: false, defaultValue: 0 }),
+        dueDate: {
+            type: Sequelize.DATEONLY,
+            allowNull: false,
+        },
+        paidAt: {
+            type: Sequelize.DATE,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'JobInstallment',
+    },
+);
+
+/**
+ * A payment made towards a job, priced in the currency of the job's contract.
+ * Payments between balances in other currencies are converted at the exchange rates in effect, which are recorded here.
+ */
+class JobPayment extends Sequelize.Model {}
+JobPayment.init(
+    {
+        amount: moneyAttribute('amount', { allowNull: false }),
+        currency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+        },
+        clientAmount: moneyAttribute('clientAmount', { allowNull: false }),
+        clientCurrency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+        },
+        clientExchangeRate: {
+            type: Sequelize.DECIMAL(18,8),
+            allowNull: false,
+        },
+        contractorAmount: moneyAttribute('contractorAmount', { allowNull: false }),
+        contractorCurrency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+        },
+        contractorExchangeRate: {
+            type: Sequelize.DECIMAL(18,8),
+            allowNull: false,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'JobPayment',
+        updatedAt: false,
+    },
+);
+
+/**
+ * The number of units of the quote currency one unit of the base currency buys, from `effectiveFrom` until a later
+ * rate for the same currencies takes effect.
+ */
+class ExchangeRate extends Sequelize.Model {}
+ExchangeRate.init(
+    {
+        baseCurrency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+        },
+        quoteCurrency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+        },
+        rate: {
+            type: Sequelize.DECIMAL(18,8),
+            allowNull: false,
+        },
+        effectiveFrom: {
+            type: Sequelize.DATE,
+            allowNull: false,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'ExchangeRate',
+        indexes: [{ unique: true, fields: ['baseCurrency', 'quoteCurrency', 'effectiveFrom'] }],
+    },
+);
+
+/**
+ * One side of a movement of funds. Every movement is recorded as a debit and a credit sharing a transferId.
+ * Entries are immutable once written.
+ */
+class LedgerEntry extends Sequelize.Model {}
+LedgerEntry.init(
+    {
+        transferId: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        account: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        direction: {
+            type: Sequelize.ENUM('debit', 'credit'),
+            allowNull: false,
+        },
+        amount: moneyAttribute('amount', { allowNull: false }),
+        currency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+        },
+        kind: {
+            type: Sequelize.ENUM('opening_balance', 'job_payment', 'deposit', 'withdrawal', 'withdrawal_reversal', 'dispute_refund'),
+            allowNull: false,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'LedgerEntry',
+        updatedAt: false,
+        // Deposit limits add up a profile's recent deposits
+        indexes: [{ fields: ['ProfileId', 'kind', 'createdAt'] }],
+        hooks: {
+            beforeUpdate: () => { throw new Error('Ledger entries are immutable'); },
+            beforeDestroy: () => { throw new Error('Ledger entries are immutable'); },
+            beforeBulkUpdate: () => { throw new Error('Ledger entries are immutable'); },
+            beforeBulkDestroy: () => { throw new Error('Ledger entries are immutable'); },
+        },
+    },
+);
+
+class Payout extends Sequelize.Model {}
+Payout.init(
+    {
+        amount: moneyAttribute('amount', { allowNull: false }),
+        currency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+        },
+        status: {
+            type: Sequelize.ENUM('pending', 'settled', 'failed'),
+            allowNull: false,
+            defaultValue: 'pending',
+        },
+        provider: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        providerReference: {
+            type: Sequelize.STRING,
+        },
+        failureReason: {
+            type: Sequelize.TEXT,
+        },
+        settledAt: {
+            type: Sequelize.DATE,
+        },
+        failedAt: {
+            type: Sequelize.DATE,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'Payout',
+        version: true,
+    },
+);
+
+/**
+ * A client supplied key identifying a single logical request, along with the response it produced.
+ */
+class IdempotencyKey extends Sequelize.Model {}
+IdempotencyKey.init(
+    {
+        key: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        requestHash: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        statusCode: {
+            type: Sequelize.INTEGER,
+        },
+        responseBody: {
+            type: Sequelize.TEXT,
+        },
+        responseContentType: {
+            type: Sequelize.STRING,
+        },
+        expiresAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'IdempotencyKey',
+        indexes: [{ unique: true, fields: ['ProfileId', 'key'] }],
+    },
+);
+
+/**
+ * A long-lived, revocable credential for an admin. Only a hash of the key is stored.
+ */
+class ApiKey extends Sequelize.Model {
+    toJSON() {
+        const values = super.toJSON();
+        delete values.keyHash;
+        return values;
+    }
+}
+ApiKey.init(
+    {
+        name: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        prefix: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        keyHash: {
+            type: Sequelize.STRING,
+            allowNull: false,
+            unique: true,
+        },
+        lastUsedAt: {
+            type: Sequelize.DATE,
+        },
+        revokedAt: {
+            type: Sequelize.DATE,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'ApiKey',
+    },
+);
+
+/**
+ * A URL registered by a profile to be sent the events it subscribes to. The secret signs every request sent to it.
+ */
+class WebhookEndpoint extends Sequelize.Model {
+    toJSON() {
+        const values = super.toJSON();
+        delete values.secret;
+        return values;
+    }
+}
+WebhookEndpoint.init(
+    {
+        url: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        eventTypes: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+            get() {
+                const value = this.getDataValue('eventTypes');
+                return value === null || value === undefined ? value : JSON.parse(value);
+            },
+            set(value) {
+                this.setDataValue('eventTypes', JSON.stringify(value));
+            },
+        },
+        secret: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'WebhookEndpoint',
+    },
+);
+
+/**
+ * The outbox of events for webhooks, written in the same transaction as the change it describes.
+ */
+class WebhookEvent extends Sequelize.Model {}
+WebhookEvent.init(
+    {
+        type: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        payload: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+            get() {
+                const value = this.getDataValue('payload');
+                return value === null || value === undefined ? value : JSON.parse(value);
+            },
+            set(value) {
+                this.setDataValue('payload', JSON.stringify(value));
+            },
+        },
+    },
+    {
+        sequelize,
+        modelName: 'WebhookEvent',
+        updatedAt: false,
+    },
+);
+
+/**
+ * An event to be sent to one endpoint, retried with backoff until it is delivered or dead lettered.
+ */
+class WebhookDelivery extends Sequelize.Model {}
+WebhookDelivery.init(
+    {
+        status: {
+            type: Sequelize.ENUM('pending', 'delivered', 'dead_lettered'),
+            allowNull: false,
+            defaultValue: 'pending',
+        },
+        attempts: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+        nextAttemptAt: {
+            type: Sequelize.DATE,
+        },
+        lastAttemptAt: {
+            type: Sequelize.DATE,
+        },
+        lastResponseStatus: {
+            type: Sequelize.INTEGER,
+        },
+        lastError: {
+            type: Sequelize.TEXT,
+        },
+        deliveredAt: {
+            type: Sequelize.DATE,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'WebhookDelivery',
+        version: true,
+    },
+);
+
+/**
+ * The document issued for a payment towards a job, numbered sequentially across all invoices.
+ * The parties and the job are copied onto the invoice when it is issued so it never changes afterwards.
+ */
+class Invoice extends Sequelize.Model {}
+Invoice.init(
+    {
+        number: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            unique: true,
+        },
+        invoiceNumber: {
+            type: new Sequelize.VIRTUAL(Sequelize.STRING, ['number']),
+            get() {
+                return `INV-${String(this.get('number')).padStart(6, '0')}`;
+            },
+        },
+        issuedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+        },
+        clientName: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        clientEmail: {
+            type: Sequelize.STRING,
+        },
+        contractorName: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        contractorProfession: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        contractorEmail: {
+            type: Sequelize.STRING,
+        },
+        description: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+        },
+        amount: moneyAttribute('amount', { allowNull: false }),
+        currency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+        },
+        jobPrice: moneyAttribute('jobPrice', { allowNull: false }),
+        // What was left to pay on the job after this payment
+        amountOutstanding: moneyAttribute('amountOutstanding', { allowNull: false }),
+    },
+    {
+        sequelize,
+        modelName: 'Invoice',
+        updatedAt: false,
+        hooks: {
+            beforeUpdate: () => { throw new Error('Invoices are immutable'); },
+            beforeDestroy: () => { throw new Error('Invoices are immutable'); },
+            beforeBulkUpdate: () => { throw new Error('Invoices are immutable'); },
+            beforeBulkDestroy: () => { throw new Error('Invoices are immutable'); },
+        },
+    },
+);
+
+/**
+ * A record of one mutating request: who made it, what it targeted, what it changed and how it ended.
+ * Entries are append-only and each one's hash covers the hash of the entry before it, so altering, removing or
+ * reordering entries breaks the chain.
+ */
+class AuditEntry extends Sequelize.Model {}
+AuditEntry.init(
+    {
+        requestId: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        // Not a foreign key so the trail outlives the profiles it mentions
+        actorId: {
+            type: Sequelize.INTEGER,
+        },
+        actorType: {
+            type: Sequelize.STRING,
+        },
+        action: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        method: {
+            type: Sequelize.STRING,
+            allowNull: false,
+        },
+        path: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+        },
+        targetType: {
+            type: Sequelize.STRING,
+        },
+        targetId: {
+            type: Sequelize.STRING,
+        },
+        changes: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+            get() {
+                const value = this.getDataValue('changes');
+                return value === null || value === undefined ? value : JSON.parse(value);
+            },
+            set(value) {
+                this.setDataValue('changes', JSON.stringify(value));
+            },
+        },
+        outcome: {
+            type: Sequelize.ENUM('succeeded', 'failed'),
+            allowNull: false,
+        },
+        statusCode: {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+        },
+        errorCode: {
+            type: Sequelize.STRING,
+        },
+        ip: {
+            type: Sequelize.STRING,
+        },
+        userAgent: {
+            type: Sequelize.TEXT,
+        },
+        recordedAt: {
+            type: Sequelize.DATE,
+            allowNull: false,
+        },
+        previousHash: {
+            type: Sequelize.STRING(64),
+            allowNull: false,
+            unique: true,
+        },
+        hash: {
+            type: Sequelize.STRING(64),
+            allowNull: false,
+            unique: true,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'AuditEntry',
+        timestamps: false,
+        indexes: [{ fields: ['actorId'] }, { fields: ['targetType', 'targetId'] }],
+        hooks: {
+            beforeUpdate: () => { throw new Error('Audit entries are immutable'); },
+            beforeDestroy: () => { throw new Error('Audit entries are immutable'); },
+            beforeBulkUpdate: () => { throw new Error('Audit entries are immutable'); },
+            beforeBulkDestroy: () => { throw new Error('Audit entries are immutable'); },
+        },
+    },
+);
+
+/**
+ * An admin's override of the configured deposit limits for one client. A setting left null falls back to the
+ * configured default (`config.limits`).
+ */
+class DepositPolicy extends Sequelize.Model {}
+DepositPolicy.init(
+    {
+        depositLimitRatio: {
+            type: Sequelize.DECIMAL(5,4),
+        },
+        depositWindowHours: {
+            type: Sequelize.INTEGER,
+        },
+        minimumDeposit: moneyAttribute('minimumDeposit'),
+        maximumDeposit: moneyAttribute('maximumDeposit'),
+        depositWindowLimit: moneyAttribute('depositWindowLimit'),
+        reason: {
+            type: Sequelize.TEXT,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'DepositPolicy',
+    },
+);
+
+/**
+ * A client's dispute of a job they have paid. The contractor may respond to it and an admin resolves it, refunding the
+ * client all, none or part of the disputed amount. Amounts are in the currency of the job's contract.
+ * A job may be disputed again once its earlier disputes are resolved, for whatever they did not refund.
+ */
+class Dispute extends Sequelize.Model {}
+Dispute.init(
+    {
+        status: {
+            type: Sequelize.ENUM('open', 'responded', 'resolved'),
+            allowNull: false,
+            defaultValue: 'open',
+        },
+        reason: {
+            type: Sequelize.TEXT,
+            allowNull: false,
+        },
+        amount: moneyAttribute('amount', { allowNull: false }),
+        currency: {
+            type: Sequelize.STRING(3),
+            allowNull: false,
+        },
+        response: {
+            type: Sequelize.TEXT,
+        },
+        respondedAt: {
+            type: Sequelize.DATE,
+        },
+        outcome: {
+            type: Sequelize.ENUM('client', 'contractor', 'split'),
+        },
+        refundAmount: moneyAttribute('refundAmount'),
+        resolutionNote: {
+            type: Sequelize.TEXT,
+        },
+        resolvedAt: {
+            type: Sequelize.DATE,
+        },
+    },
+    {
+        sequelize,
+        modelName: 'Dispute',
+        // A contractor's response and an admin's resolution of the same dispute must not overwrite each other
+        version: true,
+        indexes: [{ fields: ['JobId', 'status'] }],
     },
 );
 
@@ -93,10 +797,63 @@ Profile.hasMany(Contract, { as: 'Client', foreignKey: 'ClientId' });
 Contract.belongsTo(Profile, { as: 'Client' });
 Contract.hasMany(Job);
 Job.belongsTo(Contract);
+Contract.hasMany(RecurrenceRule);
+RecurrenceRule.belongsTo(Contract);
+RecurrenceRule.hasMany(Job);
+Job.belongsTo(RecurrenceRule);
+Job.hasMany(JobInstallment);
+JobInstallment.belongsTo(Job);
+Job.hasMany(JobPayment);
+JobPayment.belongsTo(Job);
+Profile.hasMany(LedgerEntry);
+LedgerEntry.belongsTo(Profile);
+Job.hasMany(LedgerEntry);
+LedgerEntry.belongsTo(Job);
+Profile.hasMany(Payout);
+Payout.belongsTo(Profile);
+Profile.hasMany(IdempotencyKey);
+IdempotencyKey.belongsTo(Profile);
+Profile.hasMany(ApiKey);
+ApiKey.belongsTo(Profile);
+Profile.hasMany(WebhookEndpoint);
+WebhookEndpoint.belongsTo(Profile);
+WebhookEndpoint.hasMany(WebhookDelivery, { onDelete: 'CASCADE' });
+WebhookDelivery.belongsTo(WebhookEndpoint);
+WebhookEvent.hasMany(WebhookDelivery);
+WebhookDelivery.belongsTo(WebhookEvent);
+Job.hasMany(Invoice);
+Invoice.belongsTo(Job);
+JobPayment.hasOne(Invoice);
+Invoice.belongsTo(JobPayment);
+Contract.hasMany(Invoice);
+Invoice.belongsTo(Contract);
+Profile.hasOne(DepositPolicy, { foreignKey: { allowNull: false, unique: true }, onDelete: 'CASCADE' });
+DepositPolicy.belongsTo(Profile, { foreignKey: { allowNull: false, unique: true }, onDelete: 'CASCADE' });
+Job.hasMany(Dispute);
+Dispute.belongsTo(Job);
+Contract.hasMany(Dispute);
+Dispute.belongsTo(Contract);
+Profile.hasMany(Dispute, { as: 'ResolvedDispute', foreignKey: 'ResolvedById' });
+Dispute.belongsTo(Profile, { as: 'ResolvedBy' });
 
 module.exports = {
   sequelize,
   Profile,
   Contract,
   Job,
+  RecurrenceRule,
+  JobInstallment,
+  JobPayment,
+  ExchangeRate,
+  LedgerEntry,
+  Payout,
+  IdempotencyKey,
+  ApiKey,
+  WebhookEndpoint,
+  WebhookEvent,
+  WebhookDelivery,
+  Invoice,
+  AuditEntry,
+  DepositPolicy,
+  Dispute,
 };
@@ -0,0 +1,312 @@
+const Sequelize = require('sequelize');
+
+/**
+ * The currency of profiles and contracts which do not specify one, and the default reporting currency.
+ */
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Amounts of money are held to whole cents.
+ */
+const MINOR_UNITS_PER_UNIT = 100;
+const MINOR_UNIT_DIGITS = 2;
+
+/**
+ * The largest amount, in minor units, a money column (DECIMAL(12,2)) can hold: 9,999,999,999.99.
+ */
+const MAX_STORABLE_MINOR_UNITS = 10n ** 12n - 1n;
+
+/**
+ * Currencies are identified by their ISO 4217 code, e.g. `USD`, `EUR` or `GBP`.
+ *
+ * @returns boolean
+ */
+const isValidCurrency = (currency) => typeof currency === 'string' && /^[A-Z]{3}$/.test(currency);
+
+/**
+ * Parse a decimal number exactly, without going through floating point arithmetic.
+ * Numbers are parsed from their shortest decimal representation, so `0.1` is read as exactly one tenth.
+ *
+ * @returns {
+ *     digits: BigInt,
+ *     scale: number
+ * } | null - the value is `digits / 10^scale`, or null if the value is not a finite decimal number
+ */
+const parseDecimal = (value) => {
+    let text = typeof value === 'number' ? String(value) : String(value).trim();
+
+    // Very small or very large numbers are written in exponent notation
+    if (typeof value === 'number' && /e/i.test(text)) {
+        text = value.toFixed(20);
+    }
+
+    const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+    if (!match || (!match[2] && !match[3])) {
+        return null;
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    const digits = BigInt(`${whole || '0'}${fraction}`);
+
+    return { digits: sign === '-' ? -digits : digits, scale: fraction.length };
+};
+
+/**
+ * Divide, rounding half away from zero.
+ *
+ * @returns BigInt
+ */
+const divideAndRound = (dividend, divisor) => {
+    const quotient = dividend / divisor;
+    const remainder = dividend % divisor;
+    const absoluteRemainder = remainder < 0n ? -remainder : remainder;
+
+    if (absoluteRemainder * 2n >= divisor) {
+        return dividend < 0n ? quotient - 1n : quotient + 1n;
+    }
+
+    return quotient;
+};
+
+/**
+ * Round a parsed decimal number to the nearest minor unit.
+ *
+ * @returns BigInt
+ */
+const toMinorUnits = (decimal) => (decimal.scale <= MINOR_UNIT_DIGITS
+    ? decimal.digits * 10n ** BigInt(MINOR_UNIT_DIGITS - decimal.scale)
+    : divideAndRound(decimal.digits, 10n ** BigInt(decimal.scale - MINOR_UNIT_DIGITS)));
+
+/**
+ * An exact amount of money, held as a whole number of minor units (cents).
+ *
+ * Balances, prices and payments must only be added, subtracted, scaled and compared through this type. Values read
+ * from the database, request bodies or floating point calculations may be numbers or decimal strings; `Money.of`
+ * accepts either and rounds them to the nearest cent.
+ */
+class Money {
+    constructor(minorUnits) {
+        if (!Number.isSafeInteger(minorUnits)) {
+            throw new RangeError(`Money must be a whole number of minor units, got ${minorUnits}`);
+        }
+
+        this.minorUnits = minorUnits;
+        Object.freeze(this);
+    }
+
+    /**
+     * @returns Money
+     */
+    static of(value) {
+        if (value instanceof Money) {
+            return value;
+        }
+
+        const decimal = value === null || value === undefined || value === '' ? null : parseDecimal(value);
+        if (!decimal) {
+            throw new TypeError(`'${value}' is not an amount of money`);
+        }
+
+        return new Money(Number(toMinorUnits(decimal)));
+    }
+
+    /**
+     * Amounts given in requests and settings must be checked with this before they are read with `Money.of`.
+     *
+     * @returns boolean - whether the value can be read as an amount of money which fits in a money column
+     */
+    static isValid(value) {
+        if (value === null || value === undefined || value === '' || typeof value === 'boolean') {
+            return false;
+        }
+
+        const decimal = parseDecimal(value);
+        if (!decimal) {
+            return false;
+        }
+
+        const minorUnits = toMinorUnits(decimal);
+
+        return minorUnits <= MAX_STORABLE_MINOR_UNITS && minorUnits >= -MAX_STORABLE_MINOR_UNITS;
+    }
+
+    /**
+     * An amount given as a whole number of minor units, such as a total calculated by the database in cents.
+     *
+     * @returns Money
+     */
+    static fromMinorUnits(minorUnits) {
+        return new Money(Number(minorUnits));
+    }
+
+    /**
+     * @returns Money
+     */
+    static zero() {
+        return new Money(0);
+    }
+
+    /**
+     * @returns Money
+     */
+    static sum(values) {
+        return values.reduce((total, value) => total.plus(value), Money.zero());
+    }
+
+    /**
+     * @returns Money
+     */
+    plus(other) {
+        return new Money(this.minorUnits + Money.of(other).minorUnits);
+    }
+
+    /**
+     * @returns Money
+     */
+    minus(other) {
+        return new Money(this.minorUnits - Money.of(other).minorUnits);
+    }
+
+    /**
+     * Scale by a decimal factor, such as a percentage or an exchange rate, rounding to the nearest cent.
+     *
+     * @returns Money
+     */
+    times(factor) {
+        const decimal = parseDecimal(factor);
+        if (!decimal) {
+            throw new TypeError(`'${factor}' is not a number`);
+        }
+
+        return new Money(Number(divideAndRound(BigInt(this.minorUnits) * decimal.digits, 10n ** BigInt(decimal.scale))));
+    }
+
+    /**
+     * Divide by a decimal factor, such as to convert at the inverse of an exchange rate, rounding to the nearest cent.
+     * Dividing exactly rounds as the database does, where multiplying by the rounded inverse of the factor may not.
+     *
+     * @returns Money
+     */
+    dividedByFactor(factor) {
+        const decimal = parseDecimal(factor);
+        if (!decimal || decimal.digits <= 0n) {
+            throw new RangeError(`Money can only be divided by a positive number, got ${factor}`);
+        }
+
+        return new Money(Number(divideAndRound(BigInt(this.minorUnits) * 10n ** BigInt(decimal.scale), decimal.digits)));
+    }
+
+    /**
+     * Scale by the ratio of two amounts, such as the share of a payment being refunded, rounding to the nearest cent.
+     * The ratio is applied exactly, where multiplying by it as a decimal may round it first.
+     *
+     * @returns Money
+     */
+    timesRatio(numerator, denominator) {
+        const divisor = BigInt(Money.of(denominator).minorUnits);
+        if (divisor <= 0n) {
+            throw new RangeError(`Money can only be scaled by a ratio of a positive amount, got ${denominator}`);
+        }
+
+        return new Money(Number(divideAndRound(BigInt(this.minorUnits) * BigInt(Money.of(numerator).minorUnits), divisor)));
+    }
+
+    /**
+     * Divide into a whole number of equal parts, such as for an average, rounding to the nearest cent.
+     *
+     * @returns Money
+     */
+    dividedBy(divisor) {
+        if (!Number.isSafeInteger(divisor) || divisor <= 0) {
+            throw new RangeError(`Money can only be divided by a positive whole number, got ${divisor}`);
+        }
+
+        return new Money(Number(divideAndRound(BigInt(this.minorUnits), BigInt(divisor))));
+    }
+
+    /**
+     * @returns number - negative, zero or positive as this amount is less than, equal to or greater than the other
+     */
+    compare(other) {
+        return Math.sign(this.minorUnits - Money.of(other).minorUnits);
+    }
+
+    equals(other) {
+        return this.compare(other) === 0;
+    }
+
+    isLessThan(other) {
+        return this.compare(other) < 0;
+    }
+
+    isGreaterThan(other) {
+        return this.compare(other) > 0;
+    }
+
+    isZero() {
+        return this.minorUnits === 0;
+    }
+
+    isNegative() {
+        return this.minorUnits < 0;
+    }
+
+    isPositive() {
+        return this.minorUnits > 0;
+    }
+
+    /**
+     * @returns Money - the smaller of the two amounts
+     */
+    min(other) {
+        return this.isGreaterThan(other) ? Money.of(other) : this;
+    }
+
+    /**
+     * The nearest number to this amount, for storage and JSON responses. Never do arithmetic on the result.
+     *
+     * @returns number
+     */
+    toNumber() {
+        return this.minorUnits / MINOR_UNITS_PER_UNIT;
+    }
+
+    toJSON() {
+        return this.toNumber();
+    }
+
+    /**
+     * @returns string - the amount with exactly two decimal places, e.g. `"12.30"`
+     */
+    toString() {
+        const sign = this.minorUnits < 0 ? '-' : '';
+        const absoluteMinorUnits = Math.abs(this.minorUnits);
+
+        return `${sign}${Math.floor(absoluteMinorUnits / MINOR_UNITS_PER_UNIT)}.${String(absoluteMinorUnits % MINOR_UNITS_PER_UNIT).padStart(MINOR_UNIT_DIGITS, '0')}`;
+    }
+}
+
+/**
+ * Attribute definition for a column holding an amount of money.
+ * Whatever the database driver returns, and whatever is assigned, the attribute always reads as a number of whole cents.
+ *
+ * @returns object - a Sequelize attribute definition
+ */
+const moneyAttribute = (name, options = {}) => ({
+    type: Sequelize.DECIMAL(12,2),
+    ...options,
+    get() {
+        const value = this.getDataValue(name);
+        return value === null || value === undefined ? value : Money.of(value).toNumber();
+    },
+    set(value) {
+        this.setDataValue(name, value === null || value === undefined ? value : Money.of(value).toNumber());
+    },
+});
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    isValidCurrency,
+    Money,
+    moneyAttribute,
+};
@@ -0,0 +1,149 @@
+const { Op, DATE } = require('sequelize');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Response header carrying the cursor of the next page. It is absent on the last page.
+ */
+const NEXT_CURSOR_HEADER = 'X-Next-Cursor';
+
+/**
+ * Read a query parameter which may only be given once. Express parses a repeated parameter (`?a=1&a=2`) into an array
+ * and a bracketed one (`?a[b]=1`) into an object.
+ * Throws a ValidationError if the parameter is not a single value.
+ *
+ * @returns string|undefined
+ */
+const parseSingleValue = (value, parameter) => {
+    if (value !== undefined && typeof value !== 'string') {
+        throw new ValidationError(`${parameter} must be given once`, { parameter });
+    }
+
+    return value;
+};
+
+/**
+ * Parse the `limit` query parameter.
+ *
+ * Throws a ValidationError if the given value is not a whole number between 1 and MAX_PAGE_SIZE.
+ *
+ * @returns number
+ */
+const parsePageSize = (value, defaultPageSize = DEFAULT_PAGE_SIZE) => {
+    if (value === undefined) {
+        return defaultPageSize;
+    }
+
+    const pageSize = Number(parseSingleValue(value, 'limit'));
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new ValidationError(`limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`, { parameter: 'limit' });
+    }
+
+    return pageSize;
+};
+
+/**
+ * Parse the `sort` query parameter, a field name optionally prefixed with `-` for descending order.
+ * Throws a ValidationError if the field is not one of the allowed fields.
+ *
+ * @returns {
+ *     field: string,
+ *     direction: 'ASC' | 'DESC'
+ * }
+ */
+const parseSort = (value, allowedFields, defaultSort = 'id') => {
+    const sort = parseSingleValue(value, 'sort') || defaultSort;
+    const field = sort.startsWith('-') ? sort.slice(1) : sort;
+
+    if (!allowedFields.includes(field)) {
+        throw new ValidationError(`sort must be one of ${allowedFields.join(', ')}, optionally prefixed with -`, { parameter: 'sort' });
+    }
+
+    return { field, direction: sort.startsWith('-') ? 'DESC' : 'ASC' };
+};
+
+/**
+ * Cursors are opaque to callers; they encode the sort and the position of the last row of the previous page.
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64');
+
+/**
+ * @returns object|null - the decoded cursor position, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    if (typeof cursor !== 'string') {
+        return null;
+    }
+
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64').toString());
+        return position && typeof position === 'object' && position.id !== undefined ? position : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Fetch one page of a model using keyset pagination.
+ * Rows are ordered by the sort field with the id as a tie breaker and each page starts strictly after the cursor
+ * position, so rows inserted while a client is paging through never cause rows to be skipped or repeated.
+ * The sort field must not be nullable. Throws a ValidationError if the cursor is malformed or was issued for a different sort.
+ *
+ * @returns {
+ *     rows: Model[],
+ *     nextCursor: string | null
+ * }
+ */
+const paginate = async (Model, findOptions, { sort, pageSize, cursor }) => {
+    const { field, direction } = sort;
+    const comparator = direction === 'ASC' ? Op.gt : Op.lt;
+
+    const where = [findOptions.where || {}];
+    if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position || position.sort !== `${direction === 'DESC' ? '-' : ''}${field}`) {
+            throw new ValidationError('cursor is invalid for this sort', { parameter: 'cursor' });
+        }
+
+        const value = Model.rawAttributes[field].type instanceof DATE ? new Date(position.value) : position.value;
+        where.push(field === 'id'
+            ? { id: { [comparator]: position.id } }
+            : {
+                [Op.or]: [
+                    { [field]: { [comparator]: value } },
+                    { [field]: value, id: { [comparator]: position.id } },
+                ],
+            });
+    }
+
+    const rows = await Model.findAll({
+        ...findOptions,
+        where: { [Op.and]: where },
+        order: [[field, direction], ['id', direction]],
+        limit: pageSize + 1,
+    });
+
+    if (rows.length <= pageSize) {
+        return { rows, nextCursor: null };
+    }
+
+    const lastRow = rows[pageSize - 1];
+    return {
+        rows: rows.slice(0, pageSize),
+        nextCursor: encodeCursor({ sort: `${direction === 'DESC' ? '-' : ''}${field}`, value: lastRow[field], id: lastRow.id }),
+    };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    NEXT_CURSOR_HEADER,
+    parseSingleValue,
+    parsePageSize,
+    parseSort,
+    encodeCursor,
+    decodeCursor,
+    paginate,
+};
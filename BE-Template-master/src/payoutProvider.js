@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+/**
+ * Interface for the external services which move withdrawn funds out of the platform.
+ * Implementations are registered on the app with `app.set('payoutProvider', provider)`.
+ */
+class PayoutProvider {
+    /**
+     * Hand a pending payout to the provider.
+     * Implementations should resolve rather than throw for payouts the provider rejects. A payout whose outcome was
+     * never recorded is sent again, so implementations must send each payout id at most once.
+     *
+     * @returns {
+     *     status: 'settled' | 'failed' | 'pending',
+     *     reference: string | null,
+     *     failureReason: string | null
+     * }
+     */
+    async sendPayout(payout) {
+        throw new Error(`${this.constructor.name} does not implement sendPayout`);
+    }
+
+    /**
+     * Look up the outcome of a payout the provider left pending, by its `providerReference`.
+     *
+     * @returns {
+     *     status: 'settled' | 'failed' | 'pending',
+     *     reference: string | null,
+     *     failureReason: string | null
+     * }
+     */
+    async getPayoutStatus(payout) {
+        throw new Error(`${this.constructor.name} does not implement getPayoutStatus`);
+    }
+}
+
+/**
+ * Local provider for development and tests which settles payouts immediately without moving any real money.
+ * Pass `shouldFail` to simulate the provider rejecting particular payouts, and `shouldDefer` to leave particular
+ * payouts pending for as long as it returns true.
+ */
+class SimulatedPayoutProvider extends PayoutProvider {
+    constructor({ shouldFail, shouldDefer } = {}) {
+        super();
+        this.shouldFail = shouldFail || (() => false);
+        this.shouldDefer = shouldDefer || (() => false);
+        this.sentPayouts = [];
+    }
+
+    async sendPayout(payout) {
+        this.sentPayouts.push(payout.id);
+
+        return this.decide(payout, `sim_${crypto.randomBytes(8).toString('hex')}`);
+    }
+
+    async getPayoutStatus(payout) {
+        return this.decide(payout, payout.providerReference);
+    }
+
+    decide(payout, reference) {
+        if (this.shouldDefer(payout)) {
+            return { status: 'pending', reference, failureReason: null };
+        }
+
+        if (this.shouldFail(payout)) {
+            return { status: 'failed', reference, failureReason: 'Payout rejected by simulated provider' };
+        }
+
+        return { status: 'settled', reference, failureReason: null };
+    }
+}
+
+module.exports = {
+    PayoutProvider,
+    SimulatedPayoutProvider,
+};
@@ -0,0 +1,134 @@
+const { Op } = require('sequelize');
+const { sequelize, Payout } = require('./model');
+const { SYSTEM_ACCOUNTS, transferFunds } = require('./ledger');
+
+/**
+ * How often the scheduler reconciles the payouts which are still pending.
+ */
+const PAYOUT_RECONCILIATION_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * How long a payout may wait to be handed to the provider before it is sent again. Payouts are handed over straight
+ * after they are created, so one still waiting after this was left behind by a process which stopped in between.
+ */
+const PAYOUT_SEND_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Move the given amount, in the contractor's currency, out of their balance into a new pending payout.
+ * The contractor must already be locked within the given transaction.
+ *
+ * @returns Payout
+ */
+const createPayout = async (contractor, amount, provider, transaction) => {
+    await transferFunds({ debit: contractor, credit: SYSTEM_ACCOUNTS.PAYOUTS, amount, kind: 'withdrawal' }, transaction);
+
+    return Payout.create({
+        amount,
+        currency: contractor.currency,
+        status: 'pending',
+        provider: provider.constructor.name,
+        ProfileId: contractor.id,
+    }, { transaction });
+};
+
+/**
+ * Record the provider's outcome for a pending payout.
+ * A failed payout returns its funds to the contractor's balance.
+ * A payout the provider has not yet decided on is left pending with the provider's reference.
+ *
+ * @returns Payout
+ */
+const recordPayoutOutcome = async (payout, result) => {
+    if (result.status === 'pending') {
+        payout.providerReference = result.reference;
+        return payout.save();
+    }
+
+    return sequelize.transaction(async (transaction) => {
+        const lockedPayout = await Payout.findOne({ where: { id: payout.id }, lock: true, transaction });
+
+        // The payout has already been resolved elsewhere
+        if (lockedPayout.status !== 'pending') {
+            return lockedPayout;
+        }
+
+        lockedPayout.providerReference = result.reference;
+
+        if (result.status === 'settled') {
+            lockedPayout.status = 'settled';
+            lockedPayout.settledAt = new Date();
+        } else {
+            const contractor = await lockedPayout.getProfile({ lock: true, transaction });
+
+            await transferFunds({ debit: SYSTEM_ACCOUNTS.PAYOUTS, credit: contractor, amount: lockedPayout.amount, kind: 'withdrawal_reversal' }, transaction);
+
+            lockedPayout.status = 'failed';
+            lockedPayout.failedAt = new Date();
+            lockedPayout.failureReason = result.failureReason;
+        }
+
+        return lockedPayout.save({ transaction });
+    });
+};
+
+/**
+ * Hand a pending payout to the provider and record the outcome.
+ *
+ * @returns Payout
+ */
+const processPayout = async (payout, provider) => {
+    let result;
+    try {
+        result = await provider.sendPayout(payout);
+    } catch (error) {
+        result = { status: 'failed', reference: null, failureReason: error.message || 'Payout provider error' };
+    }
+
+    return recordPayoutOutcome(payout, result);
+};
+
+/**
+ * Settle or fail the payouts of the given provider which are still pending.
+ * Payouts the provider left pending are looked up by their `providerReference`. Payouts which were never handed to the
+ * provider within PAYOUT_SEND_TIMEOUT_MS of being created, because the process stopped in between, are sent again.
+ * Run by the scheduler, and safe to run at any time.
+ *
+ * @returns Payout[] - the payouts reconciled, whether or not they are still pending
+ */
+const reconcilePendingPayouts = async (provider, now = new Date()) => {
+    const pendingPayouts = await Payout.findAll({
+        where: {
+            status: 'pending',
+            provider: provider.constructor.name,
+            [Op.or]: [
+                { providerReference: { [Op.ne]: null } },
+                { createdAt: { [Op.lte]: new Date(now.getTime() - PAYOUT_SEND_TIMEOUT_MS) } },
+            ],
+        },
+        order: [['id', 'ASC']],
+    });
+
+    const reconciledPayouts = [];
+    for (const payout of pendingPayouts) {
+        try {
+            if (payout.providerReference) {
+                reconciledPayouts.push(await recordPayoutOutcome(payout, await provider.getPayoutStatus(payout)));
+            } else {
+                reconciledPayouts.push(await processPayout(payout, provider));
+            }
+        } catch (error) {
+            // Left pending to be tried again on the next run
+            console.error(`Failed to reconcile payout ${payout.id}: ${error.message}`);
+        }
+    }
+
+    return reconciledPayouts;
+};
+
+module.exports = {
+    PAYOUT_RECONCILIATION_INTERVAL_MS,
+    PAYOUT_SEND_TIMEOUT_MS,
+    createPayout,
+    processPayout,
+    reconcilePendingPayouts,
+};
@@ -0,0 +1,125 @@
+/**
+ * A minimal writer of text-only PDF documents, enough for invoices and receipts without a PDF library.
+ * Text is set in the standard Helvetica fonts, which every PDF reader provides, so nothing needs to be embedded.
+ */
+
+// A4, in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const LINE_SPACING = 1.4;
+// Roughly the average width of a Helvetica character relative to the font size, for wrapping long lines
+const AVERAGE_CHARACTER_WIDTH = 0.5;
+
+const FONTS = {
+    regular: 'F1',
+    bold: 'F2',
+};
+
+/**
+ * Escape text for a PDF string literal. The standard fonts are WinAnsi encoded, so characters outside Latin-1 are
+ * replaced with `?`.
+ *
+ * @returns string
+ */
+const escapePdfText = (text) => String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, (character) => `\\${character}`);
+
+/**
+ * Break text into lines which fit across the page, at spaces where possible.
+ *
+ * @returns string[]
+ */
+const wrapText = (text, size, indent) => {
+    const maxLength = Math.floor((PAGE_WIDTH - 2 * MARGIN - indent) / (size * AVERAGE_CHARACTER_WIDTH));
+    const wrapped = [];
+
+    let remaining = text;
+    while (remaining.length > maxLength) {
+        const breakAt = remaining.lastIndexOf(' ', maxLength);
+        const length = breakAt > 0 ? breakAt : maxLength;
+
+        wrapped.push(remaining.slice(0, length));
+        remaining = remaining.slice(length).trimStart();
+    }
+    wrapped.push(remaining);
+
+    return wrapped;
+};
+
+/**
+ * Lay lines of text out top to bottom, wrapping any which are too long and starting a new page whenever one is full.
+ *
+ * @returns string[] - the content stream of each page
+ */
+const layOutPages = (lines) => {
+    const pages = [];
+    let content = [];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    for (const { text = '', size = 11, bold = false, indent = 0 } of lines) {
+        const lineHeight = size * LINE_SPACING;
+
+        for (const wrappedText of wrapText(text, size, indent)) {
+            if (y - lineHeight < MARGIN) {
+                pages.push(content.join('\n'));
+                content = [];
+                y = PAGE_HEIGHT - MARGIN;
+            }
+
+            y -= lineHeight;
+            if (wrappedText) {
+                content.push(`BT /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${MARGIN + indent} ${y.toFixed(2)} Td (${escapePdfText(wrappedText)}) Tj ET`);
+            }
+        }
+    }
+
+    pages.push(content.join('\n'));
+
+    return pages;
+};
+
+/**
+ * Render lines of text as a PDF document.
+ * Each line is `{ text, size, bold, indent }`; an empty line leaves a gap.
+ *
+ * @returns Buffer
+ */
+const renderPdf = (lines, { title } = {}) => {
+    const pages = layOutPages(lines);
+
+    // Objects 1 to 5 are the catalog, page tree, fonts and document information; each page then has its page object
+    // followed by its content stream
+    const pageObjectNumber = (index) => 6 + index * 2;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((page, index) => `${pageObjectNumber(index)} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title (${escapePdfText(title || '')}) /Producer (deel-task) >>`,
+    ];
+    pages.forEach((content, index) => {
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /${FONTS.regular} 3 0 R /${FONTS.bold} 4 0 R >> >> /Contents ${pageObjectNumber(index) + 1} 0 R >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    });
+
+    // Every character is Latin-1, so string lengths are byte offsets
+    let document = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = document.length;
+        document += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = document.length;
+    document += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    document += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    document += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(document, 'latin1');
+};
+
+module.exports = {
+    renderPdf,
+};
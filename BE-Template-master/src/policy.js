@@ -0,0 +1,61 @@
+const { Op } = require('sequelize');
+const { Contract, WebhookEndpoint } = require('./model');
+
+const ROLES = {
+    CLIENT: 'client',
+    CONTRACTOR: 'contractor',
+    ADMIN: 'admin',
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+/**
+ * The resources each profile owns, keyed by model name.
+ * Each rule returns the `where` and `include` find options which restrict the model to the rows the profile may access.
+ * A resource outside of these rules is treated exactly as if it did not exist.
+ */
+const OWNERSHIP_RULES = {
+    Contract: (profile) => {
+        if (profile.type === ROLES.CLIENT) {
+            return { where: { ClientId: profile.id } };
+        } else if (profile.type === ROLES.CONTRACTOR) {
+            return { where: { ContractorId: profile.id } };
+        }
+        return { where: {} };
+    },
+    Job: (profile) => {
+        if (profile.type === ROLES.ADMIN) {
+            return { where: {} };
+        }
+        return { where: {}, include: [{ model: Contract, attributes: [], ...OWNERSHIP_RULES.Contract(profile) }] };
+    },
+    Invoice: (profile) => OWNERSHIP_RULES.Job(profile),
+    Dispute: (profile) => OWNERSHIP_RULES.Job(profile),
+    Profile: (profile) => profile.type === ROLES.ADMIN ? { where: {} } : { where: { id: profile.id } },
+    Payout: (profile) => profile.type === ROLES.ADMIN ? { where: {} } : { where: { ProfileId: profile.id } },
+    ApiKey: (profile) => ({ where: { ProfileId: profile.id } }),
+    WebhookEndpoint: (profile) => ({ where: { ProfileId: profile.id } }),
+    WebhookDelivery: (profile) => ({ where: {}, include: [{ model: WebhookEndpoint, attributes: [], where: { ProfileId: profile.id } }] }),
+};
+
+/**
+ * Restrict find options for the given model to the rows owned by the profile.
+ *
+ * @returns object - find options
+ */
+const withOwnership = (modelName, profile, options = {}) => {
+    const ownership = OWNERSHIP_RULES[modelName](profile);
+
+    return {
+        ...options,
+        where: { [Op.and]: [options.where || {}, ownership.where] },
+        include: [...(options.include || []), ...(ownership.include || [])],
+    };
+};
+
+module.exports = {
+    ROLES,
+    ALL_ROLES,
+    OWNERSHIP_RULES,
+    withOwnership,
+};
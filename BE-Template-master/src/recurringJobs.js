@@ -0,0 +1,133 @@
+const { Op, OptimisticLockError } = require('sequelize');
+const { sequelize, Contract, Job, RecurrenceRule } = require('./model');
+const { toDateOnly } = require('./dates');
+
+/**
+ * How often the scheduler looks for recurrence rules with jobs due.
+ */
+const RECURRING_JOBS_INTERVAL_MS = 60 * 60 * 1000;
+
+const RECURRENCE_INTERVALS = ['weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The date of the nth occurrence of a rule, counting the start date as the 0th.
+ * Months are counted from the start date rather than from the previous occurrence and fall on the last day of shorter
+ * months, so a rule starting on the 31st of January runs on the 29th of February and again on the 31st of March.
+ *
+ * @returns string
+ */
+const getOccurrenceDate = ({ startDate, interval }, index) => {
+    const start = new Date(`${startDate}T00:00:00.000Z`);
+
+    if (interval === 'weekly') {
+        return toDateOnly(new Date(start.getTime() + index * 7 * DAY_MS));
+    }
+
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + index;
+    const lastDayOfMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    return toDateOnly(new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDayOfMonth))));
+};
+
+/**
+ * The date of the first occurrence of a rule for which no job has been created yet.
+ *
+ * @returns string|null - null if the rule's end date has passed
+ */
+const getNextOccurrenceDate = (rule) => {
+    const occurrenceDate = getOccurrenceDate(rule, rule.occurrencesCreated);
+
+    return rule.endDate && occurrenceDate > rule.endDate ? null : occurrenceDate;
+};
+
+/**
+ * @returns string
+ */
+const renderDescription = (descriptionTemplate, occurrenceDate) => descriptionTemplate.replace(/\{date\}/g, occurrenceDate);
+
+/**
+ * Create the jobs of every occurrence of a rule up to and including the given date, catching up on any occurrences
+ * missed while the scheduler was not running. Nothing is created unless the rule's contract is in progress.
+ * Each occurrence creates at most one job, even if the scheduler runs in several processes at once.
+ *
+ * @returns Job[] - the jobs created
+ */
+const createDueJobsForRule = (ruleId, now = new Date()) => sequelize.transaction(async (transaction) => {
+    const today = toDateOnly(now);
+    const rule = await RecurrenceRule.findOne({
+        where: { id: ruleId },
+        include: [{ model: Contract, attributes: ['status'] }],
+        lock: true,
+        transaction,
+    });
+
+    if (!rule || rule.Contract.status !== 'in_progress') {
+        return [];
+    }
+
+    const createdJobs = [];
+    while (rule.nextOccurrenceDate && rule.nextOccurrenceDate <= today) {
+        const [job, created] = await Job.findOrCreate({
+            where: { RecurrenceRuleId: rule.id, occurrenceDate: rule.nextOccurrenceDate },
+            defaults: {
+                description: renderDescription(rule.descriptionTemplate, rule.nextOccurrenceDate),
+                price: rule.amount,
+                status: 'open',
+                ContractId: rule.ContractId,
+            },
+            transaction,
+        });
+
+        if (created) {
+            createdJobs.push(job);
+        }
+
+        rule.occurrencesCreated += 1;
+        rule.nextOccurrenceDate = getNextOccurrenceDate(rule);
+    }
+
+    if (rule.changed()) {
+        await rule.save({ transaction });
+    }
+
+    return createdJobs;
+});
+
+/**
+ * Create the jobs which have fallen due for every rule of an in progress contract.
+ * Run by the scheduler, and safe to run at any time.
+ *
+ * @returns Job[] - the jobs created
+ */
+const createDueJobs = async (now = new Date()) => {
+    const dueRules = await RecurrenceRule.findAll({
+        attributes: ['id'],
+        where: { nextOccurrenceDate: { [Op.lte]: toDateOnly(now) } },
+        include: [{ model: Contract, attributes: [], where: { status: 'in_progress' } }],
+    });
+
+    const createdJobs = [];
+    for (const { id } of dueRules) {
+        try {
+            createdJobs.push(...await createDueJobsForRule(id, now));
+        } catch (error) {
+            // Another process created the rule's jobs at the same time
+            if (!(error instanceof OptimisticLockError)) {
+                throw error;
+            }
+        }
+    }
+
+    return createdJobs;
+};
+
+module.exports = {
+    RECURRING_JOBS_INTERVAL_MS,
+    RECURRENCE_INTERVALS,
+    getNextOccurrenceDate,
+    createDueJobsForRule,
+    createDueJobs,
+};
@@ -0,0 +1,281 @@
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, Profile } = require('./model');
+const { conversionRatesSql, convertedAmountSql } = require('./analytics');
+const { toDateOnly, addDays, toLocalDateOnly, startOfLocalDay } = require('./dates');
+const { Money } = require('./money');
+const { ValidationError, ExchangeRateNotFoundError } = require('./errors');
+
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+
+/**
+ * What a report's totals may be broken down by: the contractors' profession, the client who paid or the contractor
+ * who was paid.
+ */
+const REPORT_GROUPINGS = ['profession', 'client', 'contractor'];
+
+/**
+ * The most periods a single report may cover, so a long range of days cannot produce an unbounded response.
+ */
+const MAX_REPORT_PERIODS = 1000;
+
+/**
+ * The first day of the period containing a date: the date itself, the Monday of its week or the first of its month.
+ *
+ * @returns string
+ */
+const getPeriodStart = (dateOnly, interval) => {
+    if (interval === 'week') {
+        const dayOfWeek = new Date(dateOnly).getUTCDay();
+        return addDays(dateOnly, -((dayOfWeek + 6) % 7));
+    }
+
+    if (interval === 'month') {
+        return `${dateOnly.slice(0, 7)}-01`;
+    }
+
+    return dateOnly;
+};
+
+/**
+ * @returns string
+ */
+const getNextPeriodStart = (periodStart, interval) => {
+    if (interval === 'week') {
+        return addDays(periodStart, 7);
+    }
+
+    if (interval === 'month') {
+        const date = new Date(periodStart);
+        return toDateOnly(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)));
+    }
+
+    return addDays(periodStart, 1);
+};
+
+/**
+ * Every period from the one containing the first date to the one containing the last.
+ * Throws a ValidationError if there are more than MAX_REPORT_PERIODS of them.
+ *
+ * @returns string[] - the first day of each period
+ */
+const getPeriods = (firstDate, lastDate, interval) => {
+    const periods = [];
+    const lastPeriod = getPeriodStart(lastDate, interval);
+
+    for (let period = getPeriodStart(firstDate, interval); period <= lastPeriod; period = getNextPeriodStart(period, interval)) {
+        if (periods.length === MAX_REPORT_PERIODS) {
+            throw new ValidationError(`A report may cover at most ${MAX_REPORT_PERIODS} periods; narrow the range or use a longer interval`, { parameter: 'interval' });
+        }
+
+        periods.push(period);
+    }
+
+    return periods;
+};
+
+/**
+ * SQL for the group a payment falls into, by REPORT_GROUPINGS, or NULL without a grouping.
+ */
+const GROUP_KEY_SQL = {
+    profession: '"Contractor"."profession"',
+    client: '"Contract"."ClientId"',
+    contractor: '"Contract"."ContractorId"',
+};
+
+/**
+ * SQL for the `"ReportPayments"` common table: every payment made between `:start` and `:end` (either may be omitted)
+ * with the time it was made, its group and its amount in cents of the reporting currency (`:currency`), converted at
+ * the rates in effect when it was made. A payment with no rate in effect has a NULL amount.
+ * Each job payment counts, however many a job was paid in. Jobs paid before partial payments existed were settled in
+ * full without recording a payment, so each counts as one payment of its price when it was paid.
+ *
+ * @returns string
+ */
+const reportPaymentsSql = ({ groupBy, start, end }) => `
+    WITH "Payments" AS (
+        SELECT "JobPayment"."JobId", "JobPayment"."createdAt" AS "paidAt", "JobPayment"."amount", "JobPayment"."currency"
+        FROM "JobPayments" AS "JobPayment"
+        WHERE 1 = 1${start ? ' AND "JobPayment"."createdAt" >= :start' : ''}${end ? ' AND "JobPayment"."createdAt" <= :end' : ''}
+        UNION ALL
+        SELECT "Job"."id", "Job"."paymentDate", "Job"."price", "Contract"."currency"
+        FROM "Jobs" AS "Job"
+        INNER JOIN "Contracts" AS "Contract" ON "Contract"."id" = "Job"."ContractId"
+        WHERE "Job"."paid" = :paid
+            AND NOT EXISTS (SELECT 1 FROM "JobPayments" AS "JobPayment" WHERE "JobPayment"."JobId" = "Job"."id")${start ? ' AND "Job"."paymentDate" >= :start' : ''}${end ? ' AND "Job"."paymentDate" <= :end' : ''}
+    ),
+    "RatedPayments" AS (
+        SELECT
+            "Payments"."paidAt",
+            "Payments"."currency",
+            ${groupBy ? GROUP_KEY_SQL[groupBy] : 'NULL'} AS "groupKey",
+            CAST(ROUND("Payments"."amount" * 100) AS INTEGER) AS "amountInCents",${conversionRatesSql('"Payments"."currency"', '"Payments"."paidAt"')}
+        FROM "Payments"
+        INNER JOIN "Jobs" AS "Job" ON "Job"."id" = "Payments"."JobId"
+        INNER JOIN "Contracts" AS "Contract" ON "Contract"."id" = "Job"."ContractId"
+        INNER JOIN "Profiles" AS "Contractor" ON "Contractor"."id" = "Contract"."ContractorId"
+    ),
+    "ReportPayments" AS (
+        SELECT "paidAt", "currency", "groupKey", ${convertedAmountSql('"amountInCents"')} AS "amount"
+        FROM "RatedPayments"
+    )`;
+
+/**
+ * Throws the ExchangeRateNotFoundError `convertCurrency` raises if any payment had no rate in effect.
+ */
+const checkConverted = async (rows, paymentsSql, replacements) => {
+    if (!rows.some((row) => row.unconverted)) {
+        return;
+    }
+
+    const [payment] = await sequelize.query(`${paymentsSql}
+    SELECT "currency", "paidAt" FROM "ReportPayments" WHERE "amount" IS NULL ORDER BY "paidAt" ASC LIMIT 1`, { replacements, type: QueryTypes.SELECT });
+
+    throw new ExchangeRateNotFoundError(payment.currency, replacements.currency, new Date(payment.paidAt));
+};
+
+/**
+ * @returns {
+ *     total: number,
+ *     count: number,
+ *     average: number
+ * }
+ */
+const summarise = ({ total, count }) => ({
+    total: total.toNumber(),
+    count,
+    average: count ? total.dividedBy(count).toNumber() : 0,
+});
+
+const addTotals = (totals, key, { total, count }) => {
+    const current = totals.get(key) || { total: Money.zero(), count: 0 };
+    totals.set(key, { total: current.total.plus(total), count: current.count + count });
+};
+
+/**
+ * @returns object - how a group is identified in a report: `{ profession }`, or `{ id, fullName }` for profiles
+ */
+const describeGroup = (key, groupBy, profiles) => {
+    if (groupBy === 'profession') {
+        return { profession: key };
+    }
+
+    const profile = profiles.get(key);
+    return { id: key, fullName: `${profile.firstName} ${profile.lastName}` };
+};
+
+/**
+ * Total the payments made between `start` and `end` (either may be omitted) by the period they were made in, in the
+ * database.
+ * Periods are days, weeks starting on Monday or months, with boundaries at midnight in the given time zone. Every
+ * period from `start` (or the first payment) to `end` (or the last payment) is included, with zeros if nothing was paid.
+ * Every payment towards a job counts, converted into the reporting currency at the rate in effect when it was made.
+ * With `groupBy`, each period is also broken down by profession, client or contractor; every group appearing anywhere
+ * in the report is listed in every period, highest earning overall first.
+ * Throws an ExchangeRateNotFoundError if a payment cannot be converted into the reporting currency.
+ *
+ * @returns {
+ *     interval: string,
+ *     timeZone: string,
+ *     currency: string,
+ *     groupBy: string | null,
+ *     total: number,
+ *     count: number,
+ *     average: number,
+ *     periods: {
+ *         period: string,
+ *         total: number,
+ *         count: number,
+ *         average: number,
+ *         groups?: object[]
+ *     }[]
+ * }
+ */
+const getEarningsReport = async ({ interval, groupBy = null, currency, timeZone, start, end }) => {
+    const paymentsSql = reportPaymentsSql({ groupBy, start, end });
+    const replacements = { currency, start, end, paid: true };
+
+    const [{ firstPaidAt, lastPaidAt }] = await sequelize.query(`${paymentsSql}
+    SELECT MIN("paidAt") AS "firstPaidAt", MAX("paidAt") AS "lastPaidAt" FROM "ReportPayments"`, { replacements, type: QueryTypes.SELECT });
+
+    const firstDate = start || (firstPaidAt && new Date(firstPaidAt));
+    const lastDate = end || (lastPaidAt && new Date(lastPaidAt));
+    const periods = firstDate && lastDate ? getPeriods(toLocalDateOnly(firstDate, timeZone), toLocalDateOnly(lastDate, timeZone), interval) : [];
+
+    // Each period runs from midnight on its first day until midnight on the first day of the next, in the time zone
+    const periodReplacements = {};
+    const periodRows = periods.map((period, index) => {
+        periodReplacements[`periodStart${index}`] = startOfLocalDay(period, timeZone);
+        periodReplacements[`periodEnd${index}`] = startOfLocalDay(getNextPeriodStart(period, interval), timeZone);
+        return `(${index}, :periodStart${index}, :periodEnd${index})`;
+    });
+
+    const rows = periods.length ? await sequelize.query(`${paymentsSql},
+    "Periods" ("index", "startsAt", "endsAt") AS (VALUES ${periodRows.join(', ')})
+    SELECT
+        "Periods"."index",
+        "ReportPayments"."groupKey",
+        COALESCE(SUM("ReportPayments"."amount"), 0) AS "total",
+        COUNT(*) AS "count",
+        SUM("ReportPayments"."amount" IS NULL) AS "unconverted"
+    FROM "ReportPayments"
+    INNER JOIN "Periods" ON "ReportPayments"."paidAt" >= "Periods"."startsAt" AND "ReportPayments"."paidAt" < "Periods"."endsAt"
+    GROUP BY "Periods"."index", "ReportPayments"."groupKey"`, {
+        replacements: { ...replacements, ...periodReplacements },
+        type: QueryTypes.SELECT,
+    }) : [];
+
+    await checkConverted(rows, paymentsSql, replacements);
+
+    const overallTotals = new Map();
+    const periodTotals = new Map();
+    const periodGroupTotals = new Map();
+    const groupTotals = new Map();
+    for (const row of rows) {
+        const totals = { total: Money.fromMinorUnits(row.total), count: row.count };
+        const period = periods[row.index];
+
+        addTotals(overallTotals, 'all', totals);
+        addTotals(periodTotals, period, totals);
+
+        if (groupBy) {
+            addTotals(groupTotals, row.groupKey, totals);
+            addTotals(periodGroupTotals, `${period} ${row.groupKey}`, totals);
+        }
+    }
+
+    const groupKeys = Array.from(groupTotals.keys())
+        .sort((a, b) => groupTotals.get(b).total.compare(groupTotals.get(a).total) || String(a).localeCompare(String(b)));
+
+    const profiles = new Map();
+    if (groupBy === 'client' || groupBy === 'contractor') {
+        const groupProfiles = await Profile.findAll({ attributes: ['id', 'firstName', 'lastName'], where: { id: { [Op.in]: groupKeys } } });
+        groupProfiles.forEach((profile) => profiles.set(profile.id, profile));
+    }
+
+    const noPayments = { total: Money.zero(), count: 0 };
+
+    return {
+        interval,
+        timeZone,
+        currency,
+        groupBy,
+        ...summarise(overallTotals.get('all') || noPayments),
+        periods: periods.map((period) => ({
+            period,
+            ...summarise(periodTotals.get(period) || noPayments),
+            ...(groupBy ? {
+                groups: groupKeys.map((groupKey) => ({
+                    ...describeGroup(groupKey, groupBy, profiles),
+                    ...summarise(periodGroupTotals.get(`${period} ${groupKey}`) || noPayments),
+                })),
+            } : {}),
+        })),
+    };
+};
+
+module.exports = {
+    REPORT_INTERVALS,
+    REPORT_GROUPINGS,
+    MAX_REPORT_PERIODS,
+    getEarningsReport,
+};
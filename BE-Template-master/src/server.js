@@ -1,12 +1,61 @@
+const { config } = require('./config');
 const app = require('./app');
+const { IDEMPOTENCY_KEY_TTL_MS, purgeExpiredIdempotencyKeys } = require('./middleware/idempotency');
+const { RECURRING_JOBS_INTERVAL_MS, createDueJobs } = require('./recurringJobs');
+const { CONTRACT_COMPLETION_INTERVAL_MS, completeDueContracts } = require('./contractCompletion');
+const { WEBHOOK_DELIVERY_INTERVAL_MS, deliverDueWebhooks } = require('./webhooks');
+const { PAYOUT_RECONCILIATION_INTERVAL_MS, reconcilePendingPayouts } = require('./payouts');
 
 init();
 
 async function init() {
   try {
-    app.listen(3001, () => {
-      console.log('Express App Listening on Port 3001');
+    app.listen(config.server.port, () => {
+      console.log(`Express App Listening on Port ${config.server.port}`);
     });
+
+    setInterval(() => {
+      purgeExpiredIdempotencyKeys().catch((error) => console.error(`Failed to purge idempotency keys: ${error.message}`));
+    }, IDEMPOTENCY_KEY_TTL_MS).unref();
+
+    // Run straight away to catch up on any recurring jobs which fell due while the server was down
+    const createRecurringJobs = () => {
+      createDueJobs().catch((error) => console.error(`Failed to create recurring jobs: ${error.message}`));
+    };
+    createRecurringJobs();
+    setInterval(createRecurringJobs, RECURRING_JOBS_INTERVAL_MS).unref();
+
+    const completeContracts = () => {
+      completeDueContracts().catch((error) => console.error(`Failed to complete contracts: ${error.message}`));
+    };
+    completeContracts();
+    setInterval(completeContracts, CONTRACT_COMPLETION_INTERVAL_MS).unref();
+
+    // Slow endpoints can hold up a run for longer than the interval, so runs must not overlap
+    let deliveringWebhooks = false;
+    setInterval(() => {
+      if (deliveringWebhooks) {
+        return;
+      }
+
+      deliveringWebhooks = true;
+      deliverDueWebhooks()
+        .catch((error) => console.error(`Failed to deliver webhooks: ${error.message}`))
+        .finally(() => { deliveringWebhooks = false; });
+    }, WEBHOOK_DELIVERY_INTERVAL_MS).unref();
+
+    // Settles payouts the provider left pending and sends those left behind by a process which stopped
+    let reconcilingPayouts = false;
+    setInterval(() => {
+      if (reconcilingPayouts) {
+        return;
+      }
+
+      reconcilingPayouts = true;
+      reconcilePendingPayouts(app.get('payoutProvider'))
+        .catch((error) => console.error(`Failed to reconcile payouts: ${error.message}`))
+        .finally(() => { reconcilingPayouts = false; });
+    }, PAYOUT_RECONCILIATION_INTERVAL_MS).unref();
   } catch (error) {
     console.error(`An error occurred: ${JSON.stringify(error)}`);
     process.exit(1);
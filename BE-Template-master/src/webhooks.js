@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { Op, OptimisticLockError } = require('sequelize');
+const { Profile, WebhookEndpoint, WebhookEvent, WebhookDelivery } = require('./model');
+const { config } = require('./config');
+const { ValidationError } = require('./errors');
+
+const WEBHOOK_EVENT_TYPES = {
+    JOB_PAID: 'job.paid',
+    BALANCE_DEPOSITED: 'balance.deposited',
+    CONTRACT_STATUS_CHANGED: 'contract.status_changed',
+};
+
+/**
+ * How often the delivery worker sends the deliveries which are due.
+ */
+const WEBHOOK_DELIVERY_INTERVAL_MS = 10 * 1000;
+
+/**
+ * How long an endpoint has to respond before the attempt counts as failed.
+ */
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * A delivery which fails this many times is dead lettered. Failed attempts are retried after 30 seconds, then
+ * 1 minute, 2 minutes and so on, doubling each time.
+ */
+const MAX_DELIVERY_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+/**
+ * Addresses webhooks are never sent to, unless `webhooks.allowPrivateUrls` is set: loopback, private, shared and
+ * link-local addresses (which include cloud metadata services such as 169.254.169.254), along with reserved, multicast
+ * and NAT64 ranges. IPv4 addresses written as IPv6, e.g. `::ffff:127.0.0.1`, are checked as IPv4.
+ */
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 3],
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 127],
+    ['64:ff9b::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8],
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Resolve the host of a webhook URL to the addresses a request to it may connect to.
+ * Throws a ValidationError if the host cannot be resolved, or if any of its addresses is private and
+ * `allowPrivateAddresses` is not set.
+ *
+ * @returns { address: string, family: number }[]
+ */
+const resolveWebhookUrl = async (url, allowPrivateAddresses = config.webhooks.allowPrivateUrls) => {
+    // IPv6 hosts are written in brackets
+    const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        throw new ValidationError(`The host ${host} could not be resolved`, { field: 'url' });
+    }
+
+    if (!allowPrivateAddresses && addresses.some(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+        throw new ValidationError('Webhooks cannot be sent to loopback, private or link-local addresses', { field: 'url' });
+    }
+
+    return addresses;
+};
+
+/**
+ * @returns string - a new secret for signing the requests sent to an endpoint
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a request body as `t=<unix timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret>`.
+ * Receivers should recompute the signature and reject requests with an old timestamp so they cannot be replayed.
+ *
+ * @returns string - the value of the X-Webhook-Signature header
+ */
+const signPayload = (secret, body, timestamp) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * @returns number - the delay before retrying a delivery which has failed the given number of times
+ */
+const getRetryDelay = (attempts) => RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+
+/**
+ * Write an event to the outbox, with a delivery to each endpoint subscribed to its type, in the given transaction.
+ * Endpoints of the profiles the event concerns receive it, as do the endpoints of every admin.
+ *
+ * @returns WebhookEvent
+ */
+const recordEvent = async (type, payload, profileIds, transaction) => {
+    const event = await WebhookEvent.create({ type, payload }, { transaction });
+
+    const endpoints = await WebhookEndpoint.findAll({
+        include: [{ model: Profile, attributes: [], where: { [Op.or]: [{ id: { [Op.in]: profileIds } }, { type: 'admin' }] } }],
+        transaction,
+    });
+    const subscribedEndpoints = endpoints.filter((endpoint) => endpoint.eventTypes.includes(type));
+
+    await WebhookDelivery.bulkCreate(subscribedEndpoints.map((endpoint) => ({
+        nextAttemptAt: new Date(),
+        WebhookEventId: event.id,
+        WebhookEndpointId: endpoint.id,
+    })), { transaction });
+
+    return event;
+};
+
+/**
+ * Record that a contract has moved to a new status.
+ *
+ * @returns WebhookEvent
+ */
+const recordContractStatusChange = (contract, previousStatus, transaction) => recordEvent(WEBHOOK_EVENT_TYPES.CONTRACT_STATUS_CHANGED, {
+    contractId: contract.id,
+    previousStatus,
+    status: contract.status,
+    terminationReason: contract.terminationReason || null,
+}, [contract.ClientId, contract.ContractorId], transaction);
+
+/**
+ * POST a JSON body to a URL, connecting only to the given addresses its host resolved to so the host cannot be pointed
+ * somewhere else between checking and connecting.
+ *
+ * @returns number - the response status code; rejects if no response is received
+ */
+const postWebhook = (url, body, headers, addresses) => new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+
+    const request = client.request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        lookup: (hostname, options, callback) => (options.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family)),
+    }, (response) => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`No response within ${WEBHOOK_TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+    request.end(body);
+});
+
+/**
+ * Make one attempt at sending a delivery to its endpoint, signed with the endpoint's secret.
+ * The endpoint's host is resolved and checked again on every attempt, so an attempt to a host which now resolves to a
+ * private address fails.
+ * Any 2xx response delivers it. Otherwise the delivery is scheduled for a retry, or dead lettered once it has failed
+ * MAX_DELIVERY_ATTEMPTS times.
+ * The delivery must be loaded with its WebhookEvent and WebhookEndpoint.
+ *
+ * @returns WebhookDelivery
+ */
+const deliverWebhook = async (delivery, now = new Date(), allowPrivateAddresses = config.webhooks.allowPrivateUrls) => {
+    const { WebhookEvent: event, WebhookEndpoint: endpoint } = delivery;
+
+    const body = JSON.stringify({ id: event.id, type: event.type, createdAt: event.createdAt, data: event.payload });
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = now;
+
+    try {
+        const addresses = await resolveWebhookUrl(endpoint.url, allowPrivateAddresses);
+
+        delivery.lastResponseStatus = await postWebhook(endpoint.url, body, {
+            [SIGNATURE_HEADER]: signPayload(endpoint.secret, body, Math.floor(now.getTime() / 1000)),
+            'X-Webhook-Event': event.type,
+            'X-Webhook-Delivery': String(delivery.id),
+        }, addresses);
+        delivery.lastError = delivery.lastResponseStatus >= 200 && delivery.lastResponseStatus < 300
+            ? null
+            : `The endpoint responded with status ${delivery.lastResponseStatus}`;
+    } catch (error) {
+        delivery.lastResponseStatus = null;
+        delivery.lastError = error.message;
+    }
+
+    if (!delivery.lastError) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = now;
+        delivery.nextAttemptAt = null;
+    } else if (delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+        delivery.status = 'dead_lettered';
+        delivery.nextAttemptAt = null;
+    } else {
+        delivery.nextAttemptAt = new Date(now.getTime() + getRetryDelay(delivery.attempts));
+    }
+
+    return delivery.save();
+};
+
+/**
+ * Send every pending delivery which is due, oldest first.
+ * Run by the delivery worker, and safe to run at any time. Deliveries are sent at least once: if two workers pick up
+ * the same delivery it may be sent twice, so receivers should ignore deliveries they have already processed.
+ *
+ * @returns WebhookDelivery[] - the deliveries attempted
+ */
+const deliverDueWebhooks = async (now = new Date(), limit = 100, allowPrivateAddresses = config.webhooks.allowPrivateUrls) => {
+    const dueDeliveries = await WebhookDelivery.findAll({
+        where: { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+        include: [WebhookEvent, WebhookEndpoint],
+        order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']],
+        limit,
+    });
+
+    const attemptedDeliveries = [];
+    for (const delivery of dueDeliveries) {
+        try {
+            attemptedDeliveries.push(await deliverWebhook(delivery, now, allowPrivateAddresses));
+        } catch (error) {
+            // Another worker attempted the delivery at the same time
+            if (!(error instanceof OptimisticLockError)) {
+                throw error;
+            }
+        }
+    }
+
+    return attemptedDeliveries;
+};
+
+/**
+ * Send a dead lettered delivery again, with a fresh set of attempts.
+ *
+ * @returns WebhookDelivery
+ */
+const retryDelivery = (delivery) => {
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date();
+
+    return delivery.save();
+};
+
+module.exports = {
+    WEBHOOK_EVENT_TYPES,
+    WEBHOOK_DELIVERY_INTERVAL_MS,
+    MAX_DELIVERY_ATTEMPTS,
+    SIGNATURE_HEADER,
+    resolveWebhookUrl,
+    generateWebhookSecret,
+    signPayload,
+    getRetryDelay,
+    recordEvent,
+    recordContractStatusChange,
+    deliverWebhook,
+    deliverDueWebhooks,
+    retryDelivery,
+};
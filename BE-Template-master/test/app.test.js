@@ -1,7 +1,22 @@
+const fs = require('fs');
+const http = require('http');
 const chai = require('chai');
 const request = require('supertest');
-const { Profile, Contract, Job } = require('../src/model');
+const { sequelize, Profile, Contract, RecurrenceRule, Job, JobInstallment, JobPayment, ExchangeRate, LedgerEntry, Payout, IdempotencyKey, ApiKey, WebhookEndpoint, WebhookEvent, WebhookDelivery, Invoice, AuditEntry, DepositPolicy, Dispute } = require('../src/model');
 const app = require('../src/app');
+const { SchemaMigration, loadMigrations, migrate, rollback, getMigrationStatus, resetDatabase } = require('../src/migrator');
+const { SimulatedPayoutProvider } = require('../src/payoutProvider');
+const { hashPassword, issueToken } = require('../src/auth');
+const { Money } = require('../src/money');
+const { transferFunds } = require('../src/ledger');
+const { IDEMPOTENCY_KEY_TTL_MS, IDEMPOTENCY_KEY_LEASE_MS } = require('../src/middleware/idempotency');
+const { convertCurrency } = require('../src/exchangeRates');
+const { createDueJobs } = require('../src/recurringJobs');
+const { completeDueContracts } = require('../src/contractCompletion');
+const { PAYOUT_SEND_TIMEOUT_MS, createPayout, reconcilePendingPayouts } = require('../src/payouts');
+const { MAX_DELIVERY_ATTEMPTS, SIGNATURE_HEADER, signPayload, deliverDueWebhooks } = require('../src/webhooks');
+const { EXPORT_BATCH_SIZE } = require('../src/exports');
+const { ConfigurationError, loadConfig } = require('../src/config');
 
 const expect = chai.expect;
 chai.config.includeStack = true;
@@ -9,14 +24,13 @@ chai.config.includeStack = true;
 
 describe("App Controller Tests", () => {
     before(() => {
+        app.set('allowProfileIdHeader', true);
         app.listen(3001);
     });
 
     beforeEach(async () => {
         // Clean DB
-        await Profile.sync({ force: true });
-        await Contract.sync({ force: true });
-        await Job.sync({ force: true });
+        await resetDatabase();
     });
 
     after(() => {
@@ -227,6 +241,7 @@ describe("App Controller Tests", () => {
             const job = await Job.create({
                 description: 'work',
                 price: 500,
+                status: 'approved',
                 ContractId: contract.id,
             });
 
@@ -307,7 +322,7 @@ describe("App Controller Tests", () => {
             await request(app)
                 .post(`/jobs/12345/pay`)
                 .set(`profile_id`, client.id)
-                .expect(400);
+                .expect(404);
         });
 
         it("should fail and return an error when the job is already paid", async () => {
@@ -342,7 +357,7 @@ describe("App Controller Tests", () => {
             await request(app)
                 .post(`/jobs/${job.id}/pay`)
                 .set(`profile_id`, client.id)
-                .expect(400);
+                .expect(404);
         });
 
         it("should fail and return an error when the authenticated user is not associated with the contract to which the job belongs", async () => {
@@ -360,7 +375,7 @@ describe("App Controller Tests", () => {
             await request(app)
                 .post(`/jobs/${job.id}/pay`)
                 .set(`profile_id`, unassociatedClient.id)
-                .expect(400);
+                .expect(404);
         });
 
         it("should fail and return an error when the associated contractor user cannot be found", async () => {
@@ -374,6 +389,18 @@ describe("App Controller Tests", () => {
                 .expect(400);
         });
 
+        it("should fail and return an error when the job has not been approved by the client", async () => {
+            const { client, job } = await seedTestObjectsForJobPaymentTests();
+
+            job.status = 'delivered';
+            await job.save();
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set(`profile_id`, client.id)
+                .expect(400);
+        });
+
         it("should fail and return an error when the client does not have enough money to pay for the job", async () => {
             const { client, job } = await seedTestObjectsForJobPaymentTests();
 
@@ -386,4 +413,5389 @@ describe("App Controller Tests", () => {
                 .expect(400);
         });
     });
+
+    describe("Contract lifecycle | Propose, accept, start and terminate contracts", () => {
+        const seedTestObjectsForContractLifecycleTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 100,
+                type: 'contractor'
+            });
+
+            return { client, contractor };
+        };
+
+        it("should succeed and move a contract through its whole lifecycle", async () => {
+            const { client, contractor } = await seedTestObjectsForContractLifecycleTests();
+
+            const contractId = await request(app)
+                .post('/contracts')
+                .set('profile_id', client.id)
+                .send({ contractorId: contractor.id, terms: 'bla bla bla' })
+                .expect(201)
+                .then((res) => {
+                    expect(res.body.status).to.eq('new');
+                    expect(res.body.ClientId).to.eq(client.id);
+                    expect(res.body.ContractorId).to.eq(contractor.id);
+                    return res.body.id;
+                });
+
+            await request(app)
+                .post(`/contracts/${contractId}/accept`)
+                .set('profile_id', contractor.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('new');
+                    expect(res.body.acceptedAt).to.be.a('string');
+                });
+
+            await request(app)
+                .post(`/contracts/${contractId}/start`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('in_progress');
+                    expect(res.body.startedAt).to.be.a('string');
+                });
+
+            await request(app)
+                .post(`/contracts/${contractId}/terminate`)
+                .set('profile_id', contractor.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('terminated');
+                    expect(res.body.terminatedAt).to.be.a('string');
+                });
+        });
+
+        it("should fail and return an error when a contractor or an unknown contractor is used to propose a contract", async () => {
+            const { client, contractor } = await seedTestObjectsForContractLifecycleTests();
+
+            await request(app)
+                .post('/contracts')
+                .set('profile_id', contractor.id)
+                .send({ contractorId: contractor.id, terms: 'bla bla bla' })
+                .expect(403);
+
+            await request(app)
+                .post('/contracts')
+                .set('profile_id', client.id)
+                .send({ contractorId: 12345, terms: 'bla bla bla' })
+                .expect(400);
+
+            await request(app)
+                .post('/contracts')
+                .set('profile_id', client.id)
+                .send({ contractorId: contractor.id })
+                .expect(400);
+        });
+
+        it("should fail and return an error when starting a contract which has not been accepted", async () => {
+            const { client, contractor } = await seedTestObjectsForContractLifecycleTests();
+
+            const contract = await Contract.create({
+                terms: 'bla bla bla',
+                status: 'new',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            await request(app)
+                .post(`/contracts/${contract.id}/start`)
+                .set('profile_id', client.id)
+                .expect(409)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('INVALID_TRANSITION');
+                    expect(res.body.error.message).to.be.a('string');
+                    expect(res.body.error.details).to.deep.eq({ transition: 'start', status: 'new' });
+                });
+        });
+
+        it("should fail and return an error when the wrong party attempts a transition", async () => {
+            const { client, contractor } = await seedTestObjectsForContractLifecycleTests();
+
+            const contract = await Contract.create({
+                terms: 'bla bla bla',
+                status: 'new',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            await request(app)
+                .post(`/contracts/${contract.id}/accept`)
+                .set('profile_id', client.id)
+                .expect(409);
+
+            contract.acceptedAt = new Date();
+            await contract.save();
+
+            await request(app)
+                .post(`/contracts/${contract.id}/start`)
+                .set('profile_id', contractor.id)
+                .expect(409);
+        });
+
+        it("should fail and return an error when transitioning a terminated contract", async () => {
+            const { client, contractor } = await seedTestObjectsForContractLifecycleTests();
+
+            const contract = await Contract.create({
+                terms: 'bla bla bla',
+                status: 'terminated',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            await request(app)
+                .post(`/contracts/${contract.id}/terminate`)
+                .set('profile_id', client.id)
+                .expect(409);
+
+            await request(app)
+                .post(`/contracts/${contract.id}/accept`)
+                .set('profile_id', contractor.id)
+                .expect(409);
+        });
+
+        it("should fail and return an error when the contract does not belong to the requesting user", async () => {
+            const { client, contractor } = await seedTestObjectsForContractLifecycleTests();
+
+            const otherContractor = await Profile.create({
+                id: 3,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 100,
+                type: 'contractor'
+            });
+
+            const contract = await Contract.create({
+                terms: 'bla bla bla',
+                status: 'new',
+                ClientId: client.id,
+                ContractorId: otherContractor.id,
+            });
+
+            await request(app)
+                .post(`/contracts/${contract.id}/accept`)
+                .set('profile_id', contractor.id)
+                .expect(404);
+        });
+    });
+
+    describe("Job workflow | Add, edit, deliver, approve, reject and withdraw jobs", () => {
+        const seedTestObjectsForJobWorkflowTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 100,
+                type: 'contractor'
+            });
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            return { client, contractor, contract };
+        };
+
+        it("should succeed and take a job from creation through approval to payment", async () => {
+            const { client, contractor, contract } = await seedTestObjectsForJobWorkflowTests();
+
+            const jobId = await request(app)
+                .post(`/contracts/${contract.id}/jobs`)
+                .set('profile_id', contractor.id)
+                .send({ description: 'work', price: 300 })
+                .expect(201)
+                .then((res) => {
+                    expect(res.body.status).to.eq('open');
+                    expect(res.body.ContractId).to.eq(contract.id);
+                    return res.body.id;
+                });
+
+            await request(app)
+                .patch(`/jobs/${jobId}`)
+                .set('profile_id', contractor.id)
+                .send({ price: 400 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.price).to.eq(400);
+                });
+
+            await request(app)
+                .post(`/jobs/${jobId}/deliver`)
+                .set('profile_id', contractor.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('delivered');
+                });
+
+            await request(app)
+                .post(`/jobs/${jobId}/reject`)
+                .set('profile_id', client.id)
+                .send({ reason: 'not done' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('rejected');
+                    expect(res.body.rejectionReason).to.eq('not done');
+                });
+
+            await request(app)
+                .post(`/jobs/${jobId}/deliver`)
+                .set('profile_id', contractor.id)
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${jobId}/approve`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('approved');
+                    expect(res.body.approvedAt).to.be.a('string');
+                });
+
+            await request(app)
+                .post(`/jobs/${jobId}/pay`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.paid).to.eq(true);
+                });
+        });
+
+        it("should fail and return an error when adding a job to a contract which is not in progress", async () => {
+            const { contractor, contract } = await seedTestObjectsForJobWorkflowTests();
+
+            contract.status = 'new';
+            await contract.save();
+
+            await request(app)
+                .post(`/contracts/${contract.id}/jobs`)
+                .set('profile_id', contractor.id)
+                .send({ description: 'work', price: 300 })
+                .expect(409);
+        });
+
+        it("should fail and return an error when a client adds or edits a job", async () => {
+            const { client, contract } = await seedTestObjectsForJobWorkflowTests();
+
+            const job = await Job.create({ description: 'work', price: 300, ContractId: contract.id });
+
+            await request(app)
+                .post(`/contracts/${contract.id}/jobs`)
+                .set('profile_id', client.id)
+                .send({ description: 'work', price: 300 })
+                .expect(403);
+
+            await request(app)
+                .patch(`/jobs/${job.id}`)
+                .set('profile_id', client.id)
+                .send({ price: 1 })
+                .expect(403);
+        });
+
+        it("should fail and return an error when editing a job which has been delivered", async () => {
+            const { contractor, contract } = await seedTestObjectsForJobWorkflowTests();
+
+            const job = await Job.create({ description: 'work', price: 300, status: 'delivered', ContractId: contract.id });
+
+            await request(app)
+                .patch(`/jobs/${job.id}`)
+                .set('profile_id', contractor.id)
+                .send({ price: 1 })
+                .expect(409);
+        });
+
+        it("should fail and return an error when approving a job which has not been delivered", async () => {
+            const { client, contract } = await seedTestObjectsForJobWorkflowTests();
+
+            const job = await Job.create({ description: 'work', price: 300, ContractId: contract.id });
+
+            await request(app)
+                .post(`/jobs/${job.id}/approve`)
+                .set('profile_id', client.id)
+                .expect(409);
+        });
+
+        it("should succeed and withdraw a job so that it no longer counts as unpaid", async () => {
+            const { contractor, contract } = await seedTestObjectsForJobWorkflowTests();
+
+            const job = await Job.create({ description: 'work', price: 300, ContractId: contract.id });
+
+            await request(app)
+                .post(`/jobs/${job.id}/withdraw`)
+                .set('profile_id', contractor.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('withdrawn');
+                });
+
+            await request(app)
+                .get('/jobs/unpaid')
+                .set('profile_id', contractor.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.have.length(0);
+                });
+        });
+
+        it("should fail and return an error when withdrawing a paid job", async () => {
+            const { contractor, contract } = await seedTestObjectsForJobWorkflowTests();
+
+            const job = await Job.create({ description: 'work', price: 300, status: 'approved', paid: true, ContractId: contract.id });
+
+            await request(app)
+                .post(`/jobs/${job.id}/withdraw`)
+                .set('profile_id', contractor.id)
+                .expect(409);
+        });
+
+        it("should fail and return an error when the job does not belong to the requesting user", async () => {
+            const { contract } = await seedTestObjectsForJobWorkflowTests();
+
+            const otherContractor = await Profile.create({
+                id: 3,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 100,
+                type: 'contractor'
+            });
+
+            const job = await Job.create({ description: 'work', price: 300, ContractId: contract.id });
+
+            await request(app)
+                .post(`/jobs/${job.id}/deliver`)
+                .set('profile_id', otherContractor.id)
+                .expect(404);
+        });
+    });
+
+    describe("Ledger | Record every balance movement and rebuild balances from the ledger", () => {
+        const seedTestObjectsForLedgerTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 100,
+                type: 'contractor'
+            });
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const job1 = await Job.create({
+                description: 'work',
+                price: 200,
+                status: 'approved',
+                ContractId: contract.id,
+            });
+
+            const job2 = await Job.create({
+                description: 'work',
+                price: 400,
+                status: 'approved',
+                ContractId: contract.id,
+            });
+
+            return { client, contractor, contract, job1, job2 };
+        };
+
+        it("should succeed and record a debit and a credit for a job payment", async () => {
+            const { client, contractor, job1 } = await seedTestObjectsForLedgerTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            const paymentEntries = await LedgerEntry.findAll({ where: { kind: 'job_payment' } });
+
+            expect(paymentEntries).to.have.length(2);
+            expect(paymentEntries[0].transferId).to.eq(paymentEntries[1].transferId);
+
+            const debit = paymentEntries.find((entry) => entry.direction === 'debit');
+            const credit = paymentEntries.find((entry) => entry.direction === 'credit');
+            expect(debit.ProfileId).to.eq(client.id);
+            expect(credit.ProfileId).to.eq(contractor.id);
+            expect(debit.amount).to.eq(job1.price).and.to.eq(credit.amount);
+            expect(debit.JobId).to.eq(job1.id);
+        });
+
+        it("should succeed and rebuild the balance from the history after payments and deposits", async () => {
+            const { client, job1 } = await seedTestObjectsForLedgerTests();
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 100 })
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .get(`/balances/${client.id}/history`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.entries.map((entry) => entry.kind)).to.deep.eq(['opening_balance', 'deposit', 'job_payment']);
+                    expect(res.body.entries.map((entry) => entry.runningBalance)).to.deep.eq([1000, 1100, 900]);
+                    expect(res.body.balance).to.eq(900);
+                });
+        });
+
+        it("should succeed and fetch the history within a date range with the running balance of every earlier movement", async () => {
+            const { client, job1 } = await seedTestObjectsForLedgerTests();
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 100 })
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            for (const [kind, createdAt] of [['opening_balance', '2024-01-10'], ['deposit', '2024-02-10'], ['job_payment', '2024-03-10']]) {
+                await sequelize.query('UPDATE "LedgerEntries" SET "createdAt" = :createdAt WHERE "kind" = :kind', { replacements: { createdAt: new Date(createdAt), kind } });
+            }
+
+            await request(app)
+                .get(`/balances/${client.id}/history`)
+                .query({ start: '2024-02-01', end: '2024-02-29' })
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.entries.map((entry) => [entry.kind, entry.runningBalance])).to.deep.eq([['deposit', 1100]]);
+                    expect(res.body.balance).to.eq(900);
+                });
+
+            await request(app)
+                .get(`/balances/${client.id}/history`)
+                .query({ start: 'last month' })
+                .set('profile_id', client.id)
+                .expect(400);
+        });
+
+        it("should fail and return an error when modifying or deleting a ledger entry", async () => {
+            const { client } = await seedTestObjectsForLedgerTests();
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 100 })
+                .expect(200);
+
+            const entry = await LedgerEntry.findOne({ where: { kind: 'deposit' } });
+
+            entry.amount = 1;
+            await entry.save().then(() => expect.fail(), (error) => expect(error.message).to.eq('Ledger entries are immutable'));
+            await entry.destroy().then(() => expect.fail(), (error) => expect(error.message).to.eq('Ledger entries are immutable'));
+        });
+
+        it("should fail and return an error when fetching the history of another profile", async () => {
+            const { client, contractor } = await seedTestObjectsForLedgerTests();
+
+            await request(app)
+                .get(`/balances/${contractor.id}/history`)
+                .set('profile_id', client.id)
+                .expect(404);
+        });
+    });
+
+    describe("POST /balances/withdraw | As a contractor, withdraw funds through the payout provider", () => {
+        const seedTestObjectsForWithdrawalTests = async () => {
+            const contractor = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 500,
+                type: 'contractor'
+            });
+
+            const client = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 500,
+                type: 'client'
+            });
+
+            return { contractor, client };
+        };
+
+        afterEach(() => {
+            app.set('payoutProvider', new SimulatedPayoutProvider());
+        });
+
+        it("should succeed and settle a payout", async () => {
+            const { contractor } = await seedTestObjectsForWithdrawalTests();
+
+            const payoutId = await request(app)
+                .post('/balances/withdraw')
+                .set('profile_id', contractor.id)
+                .send({ amount: 200 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('settled');
+                    expect(res.body.amount).to.eq(200);
+                    expect(res.body.providerReference).to.be.a('string');
+                    return res.body.id;
+                });
+
+            const updatedContractor = await Profile.findOne({ where: { id: contractor.id } });
+            expect(updatedContractor.balance).to.eq(300);
+
+            await request(app)
+                .get('/payouts')
+                .set('profile_id', contractor.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.have.length(1);
+                    expect(res.body[0].id).to.eq(payoutId);
+                });
+
+            await request(app)
+                .get(`/payouts/${payoutId}`)
+                .set('profile_id', contractor.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('settled');
+                });
+        });
+
+        it("should succeed and return the funds to the balance when the payout fails", async () => {
+            const { contractor } = await seedTestObjectsForWithdrawalTests();
+
+            app.set('payoutProvider', new SimulatedPayoutProvider({ shouldFail: () => true }));
+
+            await request(app)
+                .post('/balances/withdraw')
+                .set('profile_id', contractor.id)
+                .send({ amount: 200 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('failed');
+                    expect(res.body.failureReason).to.be.a('string');
+                });
+
+            const updatedContractor = await Profile.findOne({ where: { id: contractor.id } });
+            expect(updatedContractor.balance).to.eq(500);
+
+            const ledgerKinds = (await LedgerEntry.findAll({ where: { ProfileId: contractor.id }, order: [['id', 'ASC']] })).map((entry) => entry.kind);
+            expect(ledgerKinds).to.deep.eq(['opening_balance', 'withdrawal', 'withdrawal_reversal']);
+        });
+
+        it("should succeed and settle or fail the payouts the provider left pending once it decides", async () => {
+            const { contractor } = await seedTestObjectsForWithdrawalTests();
+
+            let providerDeciding = true;
+            const provider = new SimulatedPayoutProvider({ shouldDefer: () => providerDeciding, shouldFail: (payout) => payout.amount === 100 });
+            app.set('payoutProvider', provider);
+
+            for (const amount of [200, 100]) {
+                await request(app)
+                    .post('/balances/withdraw')
+                    .set('profile_id', contractor.id)
+                    .send({ amount })
+                    .expect(200)
+                    .then((res) => {
+                        expect(res.body.status).to.eq('pending');
+                        expect(res.body.providerReference).to.be.a('string');
+                    });
+            }
+
+            await reconcilePendingPayouts(provider);
+            expect((await Payout.findAll()).map((payout) => payout.status)).to.deep.eq(['pending', 'pending']);
+
+            providerDeciding = false;
+            const reconciledPayouts = await reconcilePendingPayouts(provider);
+
+            expect(reconciledPayouts.map((payout) => [payout.amount, payout.status])).to.deep.eq([[200, 'settled'], [100, 'failed']]);
+            expect(provider.sentPayouts).to.have.length(2);
+
+            const updatedContractor = await Profile.findOne({ where: { id: contractor.id } });
+            expect(updatedContractor.balance).to.eq(300);
+            expect(await reconcilePendingPayouts(provider)).to.deep.eq([]);
+        });
+
+        it("should succeed and send a payout again which was never handed to the provider", async () => {
+            const { contractor } = await seedTestObjectsForWithdrawalTests();
+
+            const provider = new SimulatedPayoutProvider();
+            app.set('payoutProvider', provider);
+
+            // As if the process had stopped between taking the funds and calling the provider
+            const payout = await sequelize.transaction(async (transaction) => {
+                const lockedContractor = await Profile.findOne({ where: { id: contractor.id }, lock: true, transaction });
+                return createPayout(lockedContractor, 200, provider, transaction);
+            });
+
+            expect(await reconcilePendingPayouts(provider)).to.deep.eq([]);
+            expect(provider.sentPayouts).to.deep.eq([]);
+
+            const reconciledPayouts = await reconcilePendingPayouts(provider, new Date(Date.now() + PAYOUT_SEND_TIMEOUT_MS));
+
+            expect(reconciledPayouts.map(({ id, status }) => [id, status])).to.deep.eq([[payout.id, 'settled']]);
+            expect(provider.sentPayouts).to.deep.eq([payout.id]);
+
+            const updatedContractor = await Profile.findOne({ where: { id: contractor.id } });
+            expect(updatedContractor.balance).to.eq(300);
+        });
+
+        it("should fail and return an error when withdrawing more than the balance", async () => {
+            const { contractor } = await seedTestObjectsForWithdrawalTests();
+
+            await request(app)
+                .post('/balances/withdraw')
+                .set('profile_id', contractor.id)
+                .send({ amount: 501 })
+                .expect(400);
+
+            expect(await Payout.count()).to.eq(0);
+        });
+
+        it("should fail and return an error when the user is not a contractor or the amount is invalid", async () => {
+            const { contractor, client } = await seedTestObjectsForWithdrawalTests();
+
+            await request(app)
+                .post('/balances/withdraw')
+                .set('profile_id', client.id)
+                .send({ amount: 100 })
+                .expect(403);
+
+            await request(app)
+                .post('/balances/withdraw')
+                .set('profile_id', contractor.id)
+                .send({ amount: -100 })
+                .expect(400);
+        });
+    });
+
+    describe("Idempotency-Key | Safely retry payments and deposits", () => {
+        const seedTestObjectsForIdempotencyTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 100,
+                type: 'contractor'
+            });
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const job = await Job.create({
+                description: 'work',
+                price: 400,
+                status: 'approved',
+                ContractId: contract.id,
+            });
+
+            return { client, contractor, contract, job };
+        };
+
+        it("should succeed and replay the original deposit without moving money twice", async () => {
+            const { client } = await seedTestObjectsForIdempotencyTests();
+
+            const firstResponse = await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'deposit-1')
+                .send({ depositAmount: 50 })
+                .expect(200);
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'deposit-1')
+                .send({ depositAmount: 50 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.headers['idempotent-replayed']).to.eq('true');
+                    expect(res.body).to.deep.eq(firstResponse.body);
+                });
+
+            const updatedClient = await Profile.findOne({ where: { id: client.id } });
+            expect(updatedClient.balance).to.eq(1050);
+        });
+
+        it("should succeed and replay the original payment response", async () => {
+            const { client, job } = await seedTestObjectsForIdempotencyTests();
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'pay-1')
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'pay-1')
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.id).to.eq(job.id);
+                    expect(res.body.paid).to.eq(true);
+                });
+        });
+
+        it("should fail and return a conflict when a key is reused with a different body", async () => {
+            const { client } = await seedTestObjectsForIdempotencyTests();
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'deposit-1')
+                .send({ depositAmount: 50 })
+                .expect(200);
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'deposit-1')
+                .send({ depositAmount: 60 })
+                .expect(409);
+
+            const updatedClient = await Profile.findOne({ where: { id: client.id } });
+            expect(updatedClient.balance).to.eq(1050);
+        });
+
+        it("should succeed and process the request again once the key has expired", async () => {
+            const { client } = await seedTestObjectsForIdempotencyTests();
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'deposit-1')
+                .send({ depositAmount: 50 })
+                .expect(200);
+
+            await IdempotencyKey.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { key: 'deposit-1' } });
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'deposit-1')
+                .send({ depositAmount: 50 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.headers['idempotent-replayed']).to.eq(undefined);
+                });
+
+            const updatedClient = await Profile.findOne({ where: { id: client.id } });
+            expect(updatedClient.balance).to.eq(1100);
+        });
+
+        it("should fail while a key is held and succeed once a request which never responded loses its lease", async () => {
+            const { client } = await seedTestObjectsForIdempotencyTests();
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'deposit-1')
+                .send({ depositAmount: 50 })
+                .expect(200);
+
+            const recordedKey = await IdempotencyKey.findOne({ where: { key: 'deposit-1' } });
+            expect(recordedKey.expiresAt.getTime()).to.be.greaterThan(Date.now() + IDEMPOTENCY_KEY_TTL_MS - 60 * 1000);
+
+            // As if the server had crashed while handling the request
+            await IdempotencyKey.update({ statusCode: null, responseBody: null, expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_LEASE_MS) }, { where: { key: 'deposit-1' } });
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'deposit-1')
+                .send({ depositAmount: 50 })
+                .expect(409)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('IDEMPOTENCY_KEY_IN_PROGRESS');
+                });
+
+            await IdempotencyKey.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { key: 'deposit-1' } });
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'deposit-1')
+                .send({ depositAmount: 50 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.headers['idempotent-replayed']).to.eq(undefined);
+                });
+
+            const updatedClient = await Profile.findOne({ where: { id: client.id } });
+            expect(updatedClient.balance).to.eq(1100);
+        });
+
+        it("should fail and never run the request again while the original is still being processed, even once its lease has expired", async () => {
+            const { client } = await seedTestObjectsForIdempotencyTests();
+
+            // Hold the original request up after it has claimed its key
+            let claimed;
+            const keyClaimed = new Promise((resolve) => { claimed = resolve; });
+            let release;
+            const released = new Promise((resolve) => { release = resolve; });
+            IdempotencyKey.addHook('afterCreate', 'holdFirstRequest', async () => {
+                IdempotencyKey.removeHook('afterCreate', 'holdFirstRequest');
+                claimed();
+                await released;
+            });
+
+            const deposit = () => request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .set('Idempotency-Key', 'deposit-1')
+                .send({ depositAmount: 50 });
+
+            const originalResponse = deposit().then((res) => res);
+            await keyClaimed;
+
+            // As if renewing the lease had fallen behind
+            await IdempotencyKey.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { key: 'deposit-1' } });
+
+            await deposit()
+                .expect(409)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('IDEMPOTENCY_KEY_IN_PROGRESS');
+                });
+
+            release();
+            expect((await originalResponse).status).to.eq(200);
+
+            await deposit()
+                .expect(200)
+                .then((res) => {
+                    expect(res.headers['idempotent-replayed']).to.eq('true');
+                });
+
+            const updatedClient = await Profile.findOne({ where: { id: client.id } });
+            expect(updatedClient.balance).to.eq(1050);
+        });
+
+        it("should succeed and treat the same key from different profiles as different requests", async () => {
+            const { client, contract } = await seedTestObjectsForIdempotencyTests();
+
+            const otherClient = await Profile.create({
+                id: 3,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            await Contract.update({ ClientId: otherClient.id }, { where: { id: contract.id } });
+            await Contract.create({ id: 2, terms: 'bla bla bla', status: 'in_progress', ClientId: client.id, ContractorId: 2 });
+            await Job.create({ description: 'work', price: 400, status: 'approved', ContractId: 2 });
+
+            for (const profile of [client, otherClient]) {
+                await request(app)
+                    .post(`/balances/deposit/${profile.id}`)
+                    .set('profile_id', profile.id)
+                    .set('Idempotency-Key', 'deposit-1')
+                    .send({ depositAmount: 50 })
+                    .expect(200)
+                    .then((res) => {
+                        expect(res.body.id).to.eq(profile.id);
+                    });
+            }
+        });
+    });
+
+    describe("Authentication | Log in with credentials and authenticate with tokens or API keys", () => {
+        const seedTestObjectsForAuthenticationTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client',
+                email: 'client@example.com',
+                passwordHash: await hashPassword('correct horse'),
+            });
+
+            const admin = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                type: 'admin',
+                email: 'admin@example.com',
+                passwordHash: await hashPassword('correct horse'),
+            });
+
+            return { client, admin };
+        };
+
+        afterEach(() => {
+            app.set('allowProfileIdHeader', true);
+        });
+
+        it("should succeed and authenticate with a token issued at login", async () => {
+            const { client } = await seedTestObjectsForAuthenticationTests();
+
+            const token = await request(app)
+                .post('/auth/login')
+                .send({ email: 'client@example.com', password: 'correct horse' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.token).to.be.a('string');
+                    expect(res.body.expiresAt).to.be.a('string');
+                    expect(res.body.profile.id).to.eq(client.id);
+                    expect(res.body.profile.passwordHash).to.eq(undefined);
+                    return res.body.token;
+                });
+
+            app.set('allowProfileIdHeader', false);
+
+            await request(app)
+                .get('/contracts')
+                .set('Authorization', `Bearer ${token}`)
+                .expect(200);
+        });
+
+        it("should fail and return an error when logging in with the wrong password or an unknown email", async () => {
+            await seedTestObjectsForAuthenticationTests();
+
+            await request(app)
+                .post('/auth/login')
+                .send({ email: 'client@example.com', password: 'wrong horse' })
+                .expect(401);
+
+            await request(app)
+                .post('/auth/login')
+                .send({ email: 'nobody@example.com', password: 'correct horse' })
+                .expect(401);
+        });
+
+        it("should fail and return an error for expired or tampered tokens", async () => {
+            const { client, admin } = await seedTestObjectsForAuthenticationTests();
+
+            const { token: expiredToken } = issueToken(client, app.get('authTokenSecret'), -1);
+            await request(app)
+                .get('/contracts')
+                .set('Authorization', `Bearer ${expiredToken}`)
+                .expect(401);
+
+            const { token } = issueToken(client, app.get('authTokenSecret'));
+            const [header, , signature] = token.split('.');
+            const forgedPayload = Buffer.from(JSON.stringify({ sub: admin.id, type: 'admin', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64');
+            await request(app)
+                .get('/contracts')
+                .set('Authorization', `Bearer ${header}.${forgedPayload}.${signature}`)
+                .expect(401);
+
+            const { token: foreignToken } = issueToken(client, 'some other secret');
+            await request(app)
+                .get('/contracts')
+                .set('Authorization', `Bearer ${foreignToken}`)
+                .expect(401);
+
+            // A signature of the right length in characters but not in bytes
+            const multibyteSignature = `${'é'.repeat(signature.length - 1)}a`;
+            await request(app)
+                .get('/contracts')
+                .set('Authorization', `Bearer ${header}.${token.split('.')[1]}.${multibyteSignature}`)
+                .expect(401);
+        });
+
+        it("should fail and return an error for the profile_id header unless it is explicitly enabled", async () => {
+            const { client } = await seedTestObjectsForAuthenticationTests();
+
+            app.set('allowProfileIdHeader', false);
+
+            await request(app)
+                .get('/contracts')
+                .set('profile_id', client.id)
+                .expect(401);
+        });
+
+        it("should succeed and authenticate an admin with an API key until it is revoked", async () => {
+            const { admin } = await seedTestObjectsForAuthenticationTests();
+
+            const { id, key } = await request(app)
+                .post('/admin/api-keys')
+                .set('profile_id', admin.id)
+                .send({ name: 'reporting' })
+                .expect(201)
+                .then((res) => {
+                    expect(res.body.key).to.be.a('string');
+                    expect(res.body.keyHash).to.eq(undefined);
+                    return res.body;
+                });
+
+            app.set('allowProfileIdHeader', false);
+
+            await request(app)
+                .get('/admin/best-profession')
+                .set('X-API-Key', key)
+                .expect(200);
+
+            await request(app)
+                .post(`/admin/api-keys/${id}/revoke`)
+                .set('X-API-Key', key)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.revokedAt).to.be.a('string');
+                });
+
+            await request(app)
+                .get('/admin/best-profession')
+                .set('X-API-Key', key)
+                .expect(401);
+        });
+
+        it("should fail and return an error when a non-admin creates an API key", async () => {
+            const { client } = await seedTestObjectsForAuthenticationTests();
+
+            await request(app)
+                .post('/admin/api-keys')
+                .set('profile_id', client.id)
+                .send({ name: 'reporting' })
+                .expect(403);
+        });
+
+        it("should succeed and change the password only when the current password is given", async () => {
+            const { client } = await seedTestObjectsForAuthenticationTests();
+
+            await request(app)
+                .put('/auth/password')
+                .set('profile_id', client.id)
+                .send({ currentPassword: 'wrong horse', newPassword: 'battery staple' })
+                .expect(403);
+
+            await request(app)
+                .put('/auth/password')
+                .set('profile_id', client.id)
+                .send({ currentPassword: 'correct horse', newPassword: 'battery staple' })
+                .expect(200);
+
+            await request(app)
+                .post('/auth/login')
+                .send({ email: 'client@example.com', password: 'battery staple' })
+                .expect(200);
+        });
+    });
+
+    describe("Authorization | Permission matrix of every endpoint by role and ownership", () => {
+        const ALLOWED = 'allowed';
+
+        const seedTestObjectsForAuthorizationTests = async () => {
+            const profiles = {};
+            for (const [name, id, type] of [
+                ['client', 1, 'client'],
+                ['contractor', 2, 'contractor'],
+                ['admin', 3, 'admin'],
+                ['otherClient', 4, 'client'],
+                ['otherContractor', 5, 'contractor'],
+            ]) {
+                profiles[name] = await Profile.create({
+                    id,
+                    firstName: 'test',
+                    lastName: 'test',
+                    profession: 'test',
+                    balance: 0,
+                    type,
+                });
+            }
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: profiles.client.id,
+                ContractorId: profiles.contractor.id,
+            });
+
+            const job = await Job.create({
+                id: 1,
+                description: 'work',
+                price: 100,
+                status: 'approved',
+                ContractId: contract.id,
+            });
+
+            await Invoice.create({
+                id: 1,
+                number: 1,
+                issuedAt: new Date(),
+                clientName: 'test test',
+                contractorName: 'test test',
+                contractorProfession: 'test',
+                description: 'work',
+                amount: 50,
+                currency: 'USD',
+                jobPrice: 100,
+                amountOutstanding: 50,
+                JobId: job.id,
+                ContractId: contract.id,
+            });
+
+            await Dispute.create({ id: 1, reason: 'not done', amount: 50, currency: 'USD', JobId: job.id, ContractId: contract.id });
+
+            return { profiles, contract, job };
+        };
+
+        // Requests are chosen so that callers who pass authorization are rejected by validation or the workflow rather than changing anything
+        const PERMISSION_MATRIX = [
+            ['get', '/contracts/1', { client: ALLOWED, contractor: ALLOWED, admin: 403, otherClient: 404, otherContractor: 404 }],
+            ['get', '/contracts', { client: ALLOWED, contractor: ALLOWED, admin: 403, otherClient: ALLOWED, otherContractor: ALLOWED }],
+            ['post', '/contracts', { client: ALLOWED, contractor: 403, admin: 403, otherClient: ALLOWED, otherContractor: 403 }],
+            ['post', '/contracts/1/accept', { client: ALLOWED, contractor: ALLOWED, admin: 403, otherClient: 404, otherContractor: 404 }],
+            ['put', '/contracts/1/completion-policy', { client: ALLOWED, contractor: ALLOWED, admin: 403, otherClient: 404, otherContractor: 404 }],
+            ['post', '/contracts/1/jobs', { client: 403, contractor: ALLOWED, admin: 403, otherClient: 403, otherContractor: 404 }],
+            ['get', '/jobs/unpaid', { client: ALLOWED, contractor: ALLOWED, admin: 403, otherClient: ALLOWED, otherContractor: ALLOWED }],
+            ['get', '/contracts/1/recurrence-rules', { client: ALLOWED, contractor: ALLOWED, admin: 403, otherClient: 404, otherContractor: 404 }],
+            ['post', '/contracts/1/recurrence-rules', { client: 403, contractor: ALLOWED, admin: 403, otherClient: 403, otherContractor: 404 }],
+            ['patch', '/jobs/1', { client: 403, contractor: ALLOWED, admin: 403, otherClient: 403, otherContractor: 404 }],
+            ['post', '/jobs/1/approve', { client: ALLOWED, contractor: ALLOWED, admin: 403, otherClient: 404, otherContractor: 404 }],
+            ['post', '/jobs/1/pay', { client: ALLOWED, contractor: 403, admin: 403, otherClient: 404, otherContractor: 403 }],
+            ['post', '/jobs/pay-batch', { client: ALLOWED, contractor: 403, admin: 403, otherClient: ALLOWED, otherContractor: 403 }],
+            ['get', '/jobs/1/payments', { client: ALLOWED, contractor: ALLOWED, admin: 403, otherClient: 404, otherContractor: 404 }],
+            ['get', '/jobs/1/invoices', { client: ALLOWED, contractor: ALLOWED, admin: ALLOWED, otherClient: 404, otherContractor: 404 }],
+            ['get', '/invoices/1', { client: ALLOWED, contractor: ALLOWED, admin: ALLOWED, otherClient: 404, otherContractor: 404 }],
+            ['put', '/jobs/1/installments', { client: ALLOWED, contractor: 403, admin: 403, otherClient: 404, otherContractor: 403 }],
+            ['post', '/balances/deposit/1', { client: ALLOWED, contractor: 403, admin: 403, otherClient: 404, otherContractor: 403 }],
+            ['get', '/balances/1/history', { client: ALLOWED, contractor: 404, admin: ALLOWED, otherClient: 404, otherContractor: 404 }],
+            ['post', '/balances/withdraw', { client: 403, contractor: ALLOWED, admin: 403, otherClient: 403, otherContractor: ALLOWED }],
+            ['get', '/payouts', { client: 403, contractor: ALLOWED, admin: 403, otherClient: 403, otherContractor: ALLOWED }],
+            ['get', '/admin/best-profession', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['get', '/admin/best-clients', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['get', '/admin/reports/earnings', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['get', '/exports/statement/1/jobs', { client: ALLOWED, contractor: 404, admin: ALLOWED, otherClient: 404, otherContractor: 404 }],
+            ['get', '/exports/statement/1/balance', { client: ALLOWED, contractor: 404, admin: ALLOWED, otherClient: 404, otherContractor: 404 }],
+            ['get', '/exports/contracts', { client: ALLOWED, contractor: ALLOWED, admin: ALLOWED, otherClient: ALLOWED, otherContractor: ALLOWED }],
+            ['get', '/exports/jobs', { client: ALLOWED, contractor: ALLOWED, admin: ALLOWED, otherClient: ALLOWED, otherContractor: ALLOWED }],
+            ['get', '/admin/exchange-rates', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['post', '/admin/exchange-rates', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['get', '/admin/api-keys', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['put', '/auth/password', { client: ALLOWED, contractor: ALLOWED, admin: ALLOWED, otherClient: ALLOWED, otherContractor: ALLOWED }],
+            ['post', '/webhooks', { client: ALLOWED, contractor: ALLOWED, admin: ALLOWED, otherClient: ALLOWED, otherContractor: ALLOWED }],
+            ['get', '/webhooks/dead-letters', { client: ALLOWED, contractor: ALLOWED, admin: ALLOWED, otherClient: ALLOWED, otherContractor: ALLOWED }],
+            ['get', '/admin/audit', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['get', '/admin/audit/verify', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['get', '/admin/deposit-policies/1', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['put', '/admin/deposit-policies/1', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['delete', '/admin/deposit-policies/1', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['post', '/jobs/1/disputes', { client: ALLOWED, contractor: 403, admin: 403, otherClient: 404, otherContractor: 403 }],
+            ['get', '/jobs/1/disputes', { client: ALLOWED, contractor: ALLOWED, admin: ALLOWED, otherClient: 404, otherContractor: 404 }],
+            ['post', '/disputes/1/respond', { client: 403, contractor: ALLOWED, admin: 403, otherClient: 403, otherContractor: 404 }],
+            ['get', '/admin/disputes', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+            ['post', '/admin/disputes/1/resolve', { client: 403, contractor: 403, admin: ALLOWED, otherClient: 403, otherContractor: 403 }],
+        ];
+
+        for (const [method, path, expectations] of PERMISSION_MATRIX) {
+            it(`should enforce the permissions of ${method.toUpperCase()} ${path}`, async () => {
+                const { profiles } = await seedTestObjectsForAuthorizationTests();
+
+                for (const [profileName, expected] of Object.entries(expectations)) {
+                    const res = await request(app)[method](path).set('profile_id', profiles[profileName].id);
+
+                    if (expected === ALLOWED) {
+                        expect(res.status, `${profileName} should be allowed`).to.not.be.oneOf([401, 403, 404]);
+                    } else {
+                        expect(res.status, `${profileName} should get a ${expected}`).to.eq(expected);
+                    }
+                }
+            });
+        }
+    });
+
+    describe("Pagination | Page, filter and sort list endpoints", () => {
+        const seedTestObjectsForPaginationTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contractor1 = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 100,
+                type: 'contractor'
+            });
+
+            const contractor2 = await Profile.create({
+                id: 3,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 100,
+                type: 'contractor'
+            });
+
+            const contracts = [];
+            for (let id = 1; id <= 5; id++) {
+                contracts.push(await Contract.create({
+                    id,
+                    terms: 'bla bla bla',
+                    status: id % 2 ? 'in_progress' : 'new',
+                    ClientId: client.id,
+                    ContractorId: id <= 3 ? contractor1.id : contractor2.id,
+                }));
+            }
+
+            const jobs = [];
+            for (const [id, price] of [[1, 300], [2, 100], [3, 500], [4, 100], [5, 200]]) {
+                jobs.push(await Job.create({
+                    id,
+                    description: 'work',
+                    price,
+                    ContractId: contracts[id - 1].id,
+                }));
+            }
+
+            return { client, contractor1, contractor2, contracts, jobs };
+        };
+
+        const fetchAllPages = async (path, profileId) => {
+            const pages = [];
+            let cursor;
+            do {
+                const res = await request(app)
+                    .get(path)
+                    .query(cursor ? { cursor } : {})
+                    .set('profile_id', profileId)
+                    .expect(200);
+                pages.push(res.body.map((row) => row.id));
+                cursor = res.headers['x-next-cursor'];
+            } while (cursor);
+            return pages;
+        };
+
+        it("should succeed and page through contracts with a next cursor", async () => {
+            const { client } = await seedTestObjectsForPaginationTests();
+
+            const pages = await fetchAllPages('/contracts?limit=2', client.id);
+
+            expect(pages).to.deep.eq([[1, 2], [3, 4], [5]]);
+            expect(await fetchAllPages('/contracts?limit=2&sort=-createdAt', client.id)).to.deep.eq([[5, 4], [3, 2], [1]]);
+        });
+
+        it("should succeed and neither skip nor repeat contracts which are created while paging", async () => {
+            const { client, contractor1 } = await seedTestObjectsForPaginationTests();
+
+            const firstPage = await request(app)
+                .get('/contracts?limit=2&sort=-id')
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await Contract.create({ id: 6, terms: 'bla bla bla', status: 'new', ClientId: client.id, ContractorId: contractor1.id });
+
+            await request(app)
+                .get('/contracts?limit=10&sort=-id')
+                .query({ cursor: firstPage.headers['x-next-cursor'] })
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(firstPage.body.map((contract) => contract.id)).to.deep.eq([5, 4]);
+                    expect(res.body.map((contract) => contract.id)).to.deep.eq([3, 2, 1]);
+                    expect(res.headers['x-next-cursor']).to.eq(undefined);
+                });
+        });
+
+        it("should succeed and filter contracts by status and counterparty", async () => {
+            const { client, contractor2 } = await seedTestObjectsForPaginationTests();
+
+            await request(app)
+                .get(`/contracts?status=in_progress&counterpartyId=${contractor2.id}`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((contract) => contract.id)).to.deep.eq([5]);
+                });
+        });
+
+        it("should succeed and filter unpaid jobs by price and page through them sorted by price", async () => {
+            const { client } = await seedTestObjectsForPaginationTests();
+
+            const pages = await fetchAllPages('/jobs/unpaid?limit=2&sort=-price&minPrice=100&maxPrice=300', client.id);
+
+            expect(pages).to.deep.eq([[1, 5], [4, 2]]);
+        });
+
+        it("should succeed and filter contracts and unpaid jobs by the dates of payments towards them", async () => {
+            const { client, contracts, jobs } = await seedTestObjectsForPaginationTests();
+
+            // A job paid in full before partial payments existed, and partial payments towards two unpaid jobs
+            await Job.create({ id: 6, description: 'work', price: 100, amountPaid: 100, paid: true, paymentDate: new Date('2024-01-10T12:00:00.000Z'), ContractId: contracts[2].id });
+            for (const [job, createdAt] of [[jobs[0], '2024-02-10T12:00:00.000Z'], [jobs[1], '2024-03-10T12:00:00.000Z']]) {
+                const payment = await JobPayment.create({ JobId: job.id, amount: 50, currency: 'USD', clientAmount: 50, clientCurrency: 'USD', clientExchangeRate: 1, contractorAmount: 50, contractorCurrency: 'USD', contractorExchangeRate: 1 });
+                await sequelize.query('UPDATE "JobPayments" SET "createdAt" = :createdAt WHERE "id" = :id', { replacements: { createdAt: new Date(createdAt), id: payment.id } });
+            }
+
+            expect(await fetchAllPages('/contracts?start=2024-02-01&end=2024-02-29', client.id)).to.deep.eq([[1]]);
+            expect(await fetchAllPages('/contracts?end=2024-02-10', client.id)).to.deep.eq([[1, 3]]);
+            expect(await fetchAllPages('/contracts?start=2024-02-10T13:00:00.000Z', client.id)).to.deep.eq([[2]]);
+            expect(await fetchAllPages('/jobs/unpaid?start=2024-02-01', client.id)).to.deep.eq([[1, 2]]);
+            expect(await fetchAllPages('/jobs/unpaid?end=2024-02-29', client.id)).to.deep.eq([[1]]);
+
+            for (const path of ['/contracts?start=yesterday', '/jobs/unpaid?end=soon', '/jobs/unpaid?start=2024-02-01&end=2024-01-01']) {
+                await request(app)
+                    .get(path)
+                    .set('profile_id', client.id)
+                    .expect(400)
+                    .then((res) => {
+                        expect(res.body.error.code).to.eq('VALIDATION_ERROR');
+                    });
+            }
+        });
+
+        it("should succeed and page through the best clients", async () => {
+            const { contractor1 } = await seedTestObjectsForPaginationTests();
+
+            const admin = await Profile.create({ id: 10, firstName: 'test', lastName: 'test', profession: 'test', type: 'admin' });
+            for (const [id, paid] of [[11, 100], [12, 300], [13, 200]]) {
+                await Profile.create({ id, firstName: 'test', lastName: 'test', profession: 'test', balance: 0, type: 'client' });
+                await Contract.create({ id, terms: 'bla bla bla', status: 'in_progress', ClientId: id, ContractorId: contractor1.id });
+                await Job.create({ description: 'work', price: paid, paid: true, paymentDate: new Date(), ContractId: id });
+            }
+
+            const pages = await fetchAllPages('/admin/best-clients', admin.id);
+
+            expect(pages).to.deep.eq([[12, 13], [11]]);
+        });
+
+        it("should fail and return an error for a filter given more than once or of the wrong kind", async () => {
+            const { client, contractor1 } = await seedTestObjectsForPaginationTests();
+            const admin = await Profile.create({ id: 10, firstName: 'test', lastName: 'test', profession: 'test', type: 'admin' });
+
+            for (const [path, profile, parameter] of [
+                ['/contracts?sort=id&sort=createdAt', client, 'sort'],
+                ['/contracts?limit=1&limit=2', client, 'limit'],
+                ['/contracts?status=new&status=in_progress', client, 'status'],
+                ['/contracts?status[new]=1', client, 'status'],
+                ['/contracts?counterpartyId=2&counterpartyId=3', client, 'counterpartyId'],
+                ['/contracts?start=2024-01-01&start=2024-02-01', client, 'start'],
+                ['/jobs/unpaid?minPrice=1&minPrice=2', client, 'minPrice'],
+                ['/jobs/unpaid?cursor=a&cursor=b', client, 'cursor'],
+                ['/payouts?status=pending&status=settled', contractor1, 'status'],
+                ['/payouts?status=lost', contractor1, 'status'],
+                ['/admin/audit?actorId=1&actorId=2', admin, 'actorId'],
+                ['/admin/audit?actorId=everyone', admin, 'actorId'],
+                ['/admin/audit?action=a&action=b', admin, 'action'],
+                ['/admin/audit?targetType=Job&targetType=Contract', admin, 'targetType'],
+                ['/admin/audit?targetId=1&targetId=2', admin, 'targetId'],
+                ['/admin/exchange-rates?baseCurrency=USD&baseCurrency=EUR', admin, 'baseCurrency'],
+            ]) {
+                await request(app)
+                    .get(path)
+                    .set('profile_id', profile.id)
+                    .expect(400)
+                    .then((res) => {
+                        expect(res.body.error.code).to.eq('VALIDATION_ERROR');
+                        expect(res.body.error.details.parameter).to.eq(parameter);
+                    });
+            }
+        });
+
+        it("should fail and return an error for an invalid limit, sort or cursor", async () => {
+            const { client } = await seedTestObjectsForPaginationTests();
+
+            await request(app)
+                .get('/contracts?limit=1000')
+                .set('profile_id', client.id)
+                .expect(400);
+
+            await request(app)
+                .get('/contracts?sort=terms')
+                .set('profile_id', client.id)
+                .expect(400);
+
+            await request(app)
+                .get('/contracts?cursor=garbage')
+                .set('profile_id', client.id)
+                .expect(400);
+
+            const firstPage = await request(app)
+                .get('/contracts?limit=2')
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .get('/contracts?limit=2&sort=-createdAt')
+                .query({ cursor: firstPage.headers['x-next-cursor'] })
+                .set('profile_id', client.id)
+                .expect(400);
+        });
+    });
+
+    describe("Errors | Structured, machine-readable error responses", () => {
+        const seedTestObjectsForErrorTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 10,
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 0,
+                type: 'contractor'
+            });
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const paidJob = await Job.create({
+                id: 1,
+                description: 'work',
+                price: 5,
+                paid: true,
+                paymentDate: new Date(),
+                status: 'approved',
+                ContractId: contract.id,
+            });
+
+            const expensiveJob = await Job.create({
+                id: 2,
+                description: 'work',
+                price: 500,
+                status: 'approved',
+                ContractId: contract.id,
+            });
+
+            const openJob = await Job.create({
+                id: 3,
+                description: 'work',
+                price: 5,
+                status: 'open',
+                ContractId: contract.id,
+            });
+
+            return { client, contractor, contract, paidJob, expensiveJob, openJob };
+        };
+
+        const expectError = (res, status, code) => {
+            expect(res.status).to.eq(status);
+            expect(res.body.error.code).to.eq(code);
+            expect(res.body.error.message).to.be.a('string');
+            expect(res.body.error).to.have.property('details');
+        };
+
+        it("should return a distinct error code for each reason a payment fails", async () => {
+            const { client, paidJob, expensiveJob, openJob } = await seedTestObjectsForErrorTests();
+
+            expectError(await request(app).post(`/jobs/${paidJob.id}/pay`).set('profile_id', client.id), 400, 'JOB_ALREADY_PAID');
+            expectError(await request(app).post(`/jobs/${openJob.id}/pay`).set('profile_id', client.id), 400, 'JOB_NOT_APPROVED');
+
+            const res = await request(app).post(`/jobs/${expensiveJob.id}/pay`).set('profile_id', client.id);
+            expectError(res, 400, 'INSUFFICIENT_BALANCE');
+            expect(res.body.error.details).to.deep.eq({ balance: 10, required: 500 });
+        });
+
+        it("should return a distinct error code for each reason a deposit fails", async () => {
+            const { client } = await seedTestObjectsForErrorTests();
+
+            expectError(await request(app).post(`/balances/deposit/${client.id}`).set('profile_id', client.id).send({}), 400, 'VALIDATION_ERROR');
+
+            const res = await request(app).post(`/balances/deposit/${client.id}`).set('profile_id', client.id).send({ depositAmount: 1000 });
+            expectError(res, 400, 'DEPOSIT_LIMIT_EXCEEDED');
+            expect(res.body.error.details).to.deep.eq({ rule: 'outstanding_share', limit: 126.25, depositedInWindow: 0, maximumDeposit: 126.25, depositAmount: 1000 });
+        });
+
+        it("should return authentication, authorization and not found errors", async () => {
+            const { client, contractor } = await seedTestObjectsForErrorTests();
+
+            expectError(await request(app).get('/contracts/1'), 401, 'UNAUTHENTICATED');
+            expectError(await request(app).get('/admin/best-clients').set('profile_id', client.id), 403, 'FORBIDDEN');
+            expectError(await request(app).get('/contracts/99').set('profile_id', contractor.id), 404, 'NOT_FOUND');
+            expectError(await request(app).get('/no/such/route').set('profile_id', client.id), 404, 'NOT_FOUND');
+        });
+
+        it("should return a validation error for malformed input", async () => {
+            const { client } = await seedTestObjectsForErrorTests();
+
+            const res = await request(app)
+                .post('/contracts')
+                .set('profile_id', client.id)
+                .set('Content-Type', 'application/json')
+                .send('{"terms": ');
+            expectError(res, 400, 'VALIDATION_ERROR');
+
+            const limitRes = await request(app).get('/contracts?limit=1000').set('profile_id', client.id);
+            expectError(limitRes, 400, 'VALIDATION_ERROR');
+            expect(limitRes.body.error.details).to.deep.eq({ parameter: 'limit' });
+        });
+
+        it("should return a concurrent modification error when a versioned row changed underneath a request", async () => {
+            const { contractor, openJob } = await seedTestObjectsForErrorTests();
+
+            // Simulate another request changing the job between this request loading and saving it
+            const originalSave = Job.prototype.save;
+            Job.prototype.save = async function (...args) {
+                Job.prototype.save = originalSave;
+                const concurrentCopy = await Job.findOne({ where: { id: this.id } });
+                concurrentCopy.description = 'changed elsewhere';
+                await concurrentCopy.save();
+                return originalSave.apply(this, args);
+            };
+
+            try {
+                expectError(await request(app).post(`/jobs/${openJob.id}/deliver`).set('profile_id', contractor.id), 409, 'CONCURRENT_MODIFICATION');
+            } finally {
+                Job.prototype.save = originalSave;
+            }
+        });
+    });
+
+    describe("Partial payments | Pay jobs in tranches and by installment plan", () => {
+        const seedTestObjectsForPartialPaymentTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 0,
+                type: 'contractor'
+            });
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const job = await Job.create({
+                id: 1,
+                description: 'work',
+                price: 300,
+                status: 'approved',
+                ContractId: contract.id,
+            });
+
+            return { client, contractor, contract, job };
+        };
+
+        it("should succeed and pay a job in tranches, only marking it paid once fully settled", async () => {
+            const { client, contractor, job } = await seedTestObjectsForPartialPaymentTests();
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: 100.1 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.paid).to.not.eq(true);
+                    expect(res.body.amountPaid).to.eq(100.1);
+                    expect(res.body.amountOutstanding).to.eq(199.9);
+                });
+
+            await request(app)
+                .get('/jobs/unpaid')
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((unpaidJob) => unpaidJob.amountOutstanding)).to.deep.eq([199.9]);
+                });
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: 199.9 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.paid).to.eq(true);
+                    expect(res.body.paymentDate).to.be.a('string');
+                    expect(res.body.amountOutstanding).to.eq(0);
+                });
+
+            expect((await Profile.findOne({ where: { id: client.id } })).balance).to.eq(700);
+            expect((await Profile.findOne({ where: { id: contractor.id } })).balance).to.eq(300);
+
+            await request(app)
+                .get(`/jobs/${job.id}/payments`)
+                .set('profile_id', contractor.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.amountPaid).to.eq(300);
+                    expect(res.body.amountOutstanding).to.eq(0);
+                    expect(res.body.payments.map((payment) => payment.amount)).to.deep.eq([100.1, 199.9]);
+                });
+        });
+
+        it("should fail and return an error when paying more than is outstanding", async () => {
+            const { client, job } = await seedTestObjectsForPartialPaymentTests();
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: 200 })
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: 150 })
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('PAYMENT_EXCEEDS_OUTSTANDING');
+                    expect(res.body.error.details.amountOutstanding).to.eq(100);
+                });
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: -5 })
+                .expect(400);
+        });
+
+        it("should succeed and pay a job by installment plan", async () => {
+            const { client, job } = await seedTestObjectsForPartialPaymentTests();
+
+            await request(app)
+                .put(`/jobs/${job.id}/installments`)
+                .set('profile_id', client.id)
+                .send({ installments: [{ amount: 200, dueDate: '2030-02-01' }, { amount: 100, dueDate: '2030-01-01' }] })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((installment) => installment.dueDate)).to.deep.eq(['2030-01-01', '2030-02-01']);
+                });
+
+            // Without an amount the next installment due is paid
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.amountPaid).to.eq(100);
+                });
+
+            // A payment which does not cover an installment leaves it partially paid
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: 50 })
+                .expect(200);
+
+            await request(app)
+                .get(`/jobs/${job.id}/payments`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.installments.map(({ amountPaid, paidAt }) => [amountPaid, !!paidAt])).to.deep.eq([[100, true], [50, false]]);
+                });
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.paid).to.eq(true);
+                    expect(res.body.amountPaid).to.eq(300);
+                });
+        });
+
+        it("should fail and return an error for an installment plan which does not cover the amount outstanding", async () => {
+            const { client, job } = await seedTestObjectsForPartialPaymentTests();
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: 100 })
+                .expect(200);
+
+            await request(app)
+                .put(`/jobs/${job.id}/installments`)
+                .set('profile_id', client.id)
+                .send({ installments: [{ amount: 150, dueDate: '2030-01-01' }, { amount: 150, dueDate: '2030-02-01' }] })
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.details).to.deep.eq({ scheduledAmount: 300, amountOutstanding: 200 });
+                });
+
+            await request(app)
+                .put(`/jobs/${job.id}/installments`)
+                .set('profile_id', client.id)
+                .send({ installments: [{ amount: 200, dueDate: 'soon' }] })
+                .expect(400);
+
+            await request(app)
+                .put(`/jobs/${job.id}/installments`)
+                .set('profile_id', client.id)
+                .send({ installments: [{ amount: 200, dueDate: '2030-01-01' }] })
+                .expect(200);
+        });
+
+        it("should succeed and limit deposits by the amount outstanding rather than the job price", async () => {
+            const { client, job } = await seedTestObjectsForPartialPaymentTests();
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: 200 })
+                .expect(200);
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 30 })
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.details.maximumDeposit).to.eq(25);
+                });
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 25 })
+                .expect(200);
+        });
+
+        it("should fail and return an error when withdrawing a partially paid job", async () => {
+            const { client, contractor, job } = await seedTestObjectsForPartialPaymentTests();
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: 10 })
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${job.id}/withdraw`)
+                .set('profile_id', contractor.id)
+                .expect(409);
+        });
+    });
+
+    describe("Multi-currency | Balances and contracts in different currencies", () => {
+        const seedTestObjectsForMultiCurrencyTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                currency: 'EUR',
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 0,
+                currency: 'GBP',
+                type: 'contractor'
+            });
+
+            const admin = await Profile.create({
+                id: 3,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 0,
+                type: 'admin'
+            });
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                currency: 'USD',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const job = await Job.create({
+                id: 1,
+                description: 'work',
+                price: 100,
+                status: 'approved',
+                ContractId: contract.id,
+            });
+
+            return { client, contractor, admin, contract, job };
+        };
+
+        const seedExchangeRates = () => ExchangeRate.bulkCreate([
+            { baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 0.5, effectiveFrom: new Date('2020-01-01') },
+            { baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 0.9, effectiveFrom: new Date('2021-01-01') },
+            { baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 2, effectiveFrom: new Date('2999-01-01') },
+            // Only the opposite direction is recorded for pounds
+            { baseCurrency: 'GBP', quoteCurrency: 'USD', rate: 1.25, effectiveFrom: new Date('2021-01-01') },
+        ]);
+
+        it("should succeed and convert a payment across currencies at the rates in effect", async () => {
+            const { client, contractor, job } = await seedTestObjectsForMultiCurrencyTests();
+            await seedExchangeRates();
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.paid).to.eq(true);
+                });
+
+            expect((await Profile.findOne({ where: { id: client.id } })).balance).to.eq(910);
+            expect((await Profile.findOne({ where: { id: contractor.id } })).balance).to.eq(80);
+
+            await request(app)
+                .get(`/jobs/${job.id}/payments`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.currency).to.eq('USD');
+                    expect(res.body.payments).to.have.length(1);
+
+                    const [payment] = res.body.payments;
+                    expect(payment).to.include({
+                        amount: 100,
+                        currency: 'USD',
+                        clientAmount: 90,
+                        clientCurrency: 'EUR',
+                        clientExchangeRate: 0.9,
+                        contractorAmount: 80,
+                        contractorCurrency: 'GBP',
+                        contractorExchangeRate: 0.8,
+                    });
+                });
+
+            // Each leg of the payment is recorded in the currency of the balance it moves
+            const paymentEntries = await LedgerEntry.findAll({ where: { kind: 'job_payment' }, order: [['id', 'ASC']] });
+            expect(paymentEntries.map(({ account, amount, currency }) => [account, amount, currency])).to.deep.eq([
+                [`profile:${client.id}`, 90, 'EUR'],
+                ['system:foreign_exchange', 90, 'EUR'],
+                ['system:foreign_exchange', 80, 'GBP'],
+                [`profile:${contractor.id}`, 80, 'GBP'],
+            ]);
+        });
+
+        it("should fail and return an error when no exchange rate is in effect", async () => {
+            const { client, contractor, job } = await seedTestObjectsForMultiCurrencyTests();
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('EXCHANGE_RATE_NOT_FOUND');
+                    expect(res.body.error.details).to.include({ fromCurrency: 'USD', toCurrency: 'EUR' });
+                });
+
+            expect((await Profile.findOne({ where: { id: client.id } })).balance).to.eq(1000);
+            expect((await Profile.findOne({ where: { id: contractor.id } })).balance).to.eq(0);
+            expect((await Job.findOne({ where: { id: job.id } })).amountPaid).to.eq(0);
+        });
+
+        it("should succeed and propose a contract in a chosen currency", async () => {
+            const { client, contractor } = await seedTestObjectsForMultiCurrencyTests();
+
+            await request(app)
+                .post('/contracts')
+                .set('profile_id', client.id)
+                .send({ contractorId: contractor.id, terms: 'bla bla bla' })
+                .expect(201)
+                .then((res) => {
+                    expect(res.body.currency).to.eq('EUR');
+                });
+
+            await request(app)
+                .post('/contracts')
+                .set('profile_id', client.id)
+                .send({ contractorId: contractor.id, terms: 'bla bla bla', currency: 'GBP' })
+                .expect(201)
+                .then((res) => {
+                    expect(res.body.currency).to.eq('GBP');
+                });
+
+            await request(app)
+                .post('/contracts')
+                .set('profile_id', client.id)
+                .send({ contractorId: contractor.id, terms: 'bla bla bla', currency: 'pounds' })
+                .expect(400);
+        });
+
+        it("should succeed and report admin earnings in the chosen currency at the rates in effect when jobs were paid", async () => {
+            const { client, admin, contract } = await seedTestObjectsForMultiCurrencyTests();
+            await seedExchangeRates();
+
+            await Job.create({ description: 'work', price: 100, paid: true, paymentDate: new Date('2020-06-01'), status: 'approved', ContractId: contract.id });
+            await Job.create({ description: 'work', price: 100, paid: true, paymentDate: new Date('2021-06-01'), status: 'approved', ContractId: contract.id });
+
+            await request(app)
+                .get('/admin/best-clients?currency=EUR')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq([{ id: client.id, fullName: 'test test', paid: 140, currency: 'EUR' }]);
+                });
+
+            await request(app)
+                .get('/admin/best-clients')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq([{ id: client.id, fullName: 'test test', paid: 200, currency: 'USD' }]);
+                });
+
+            await request(app)
+                .get('/admin/best-profession?currency=EUR')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq(['test']);
+                });
+
+            await request(app)
+                .get('/admin/best-clients?currency=euro')
+                .set('profile_id', admin.id)
+                .expect(400);
+        });
+
+        it("should succeed and manage exchange rates as an admin", async () => {
+            const { admin } = await seedTestObjectsForMultiCurrencyTests();
+
+            const exchangeRate = { baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 0.92, effectiveFrom: '2022-01-01T00:00:00.000Z' };
+
+            await request(app)
+                .post('/admin/exchange-rates')
+                .set('profile_id', admin.id)
+                .send(exchangeRate)
+                .expect(201);
+
+            await request(app)
+                .post('/admin/exchange-rates')
+                .set('profile_id', admin.id)
+                .send(exchangeRate)
+                .expect(409);
+
+            await request(app)
+                .post('/admin/exchange-rates')
+                .set('profile_id', admin.id)
+                .send({ ...exchangeRate, rate: -1 })
+                .expect(400);
+
+            await request(app)
+                .post('/admin/exchange-rates')
+                .set('profile_id', admin.id)
+                .send({ ...exchangeRate, rate: 0.123456789 })
+                .expect(400);
+
+            await request(app)
+                .get('/admin/exchange-rates?baseCurrency=USD')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map(({ rate }) => rate)).to.deep.eq([0.92]);
+                });
+        });
+    });
+
+    describe("Money | Exact arithmetic on balances, prices and payments", () => {
+        const seedTestObjectsForMoneyTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 0,
+                type: 'contractor'
+            });
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const job = await Job.create({
+                description: 'work',
+                price: 0.3,
+                status: 'approved',
+                ContractId: contract.id,
+            });
+
+            return { client, contractor, contract, job };
+        };
+
+        it("should add, subtract and scale amounts exactly", () => {
+            expect(Money.of(0.1).plus(0.2).toNumber()).to.eq(0.3);
+            expect(Money.of('0.3').minus('0.1').equals(0.2)).to.eq(true);
+            expect(Money.of(10).times('0.333').toNumber()).to.eq(3.33);
+            expect(Money.of(0.05).times('0.5').toNumber()).to.eq(0.03);
+            expect(Money.of(-0.05).times('0.5').toNumber()).to.eq(-0.03);
+            expect(Money.of(10).dividedBy(3).toNumber()).to.eq(3.33);
+            expect(Money.of(0.05).dividedBy(2).toNumber()).to.eq(0.03);
+            expect(() => Money.of(10).dividedBy(0)).to.throw(RangeError);
+            expect(Money.of(1.005).toString()).to.eq('1.01');
+            expect(Money.sum(['19.99', 0.01, Money.of(80)]).toString()).to.eq('100.00');
+            expect(() => Money.of('ten')).to.throw(TypeError);
+            expect(Money.isValid(true)).to.eq(false);
+            expect(Money.isValid('9999999999.99')).to.eq(true);
+            expect(Money.isValid('-9999999999.99')).to.eq(true);
+            expect(Money.isValid('10000000000')).to.eq(false);
+            expect(Money.isValid(1e15)).to.eq(false);
+            expect(Money.isValid(1e300)).to.eq(false);
+        });
+
+        it("should fail with a 400 for amounts too large to store", async () => {
+            const { client, contractor, job } = await seedTestObjectsForMoneyTests();
+
+            for (const amount of [1e15, '10000000000', 1e300]) {
+                await request(app)
+                    .post(`/balances/deposit/${client.id}`)
+                    .set('profile_id', client.id)
+                    .send({ depositAmount: amount })
+                    .expect(400);
+
+                await request(app)
+                    .post(`/jobs/${job.id}/pay`)
+                    .set('profile_id', client.id)
+                    .send({ amount })
+                    .expect(400);
+
+                await request(app)
+                    .post('/balances/withdraw')
+                    .set('profile_id', contractor.id)
+                    .send({ amount })
+                    .expect(400);
+            }
+
+            await client.reload();
+            expect(client.balance).to.eq(1000);
+        });
+
+        it("should not drift over a hundred thousand operations", () => {
+            let total = Money.zero();
+            for (let i = 0; i < 100000; i++) {
+                total = total.plus(0.1);
+            }
+            for (let i = 0; i < 50000; i++) {
+                total = total.minus('0.1');
+            }
+
+            expect(total.toNumber()).to.eq(5000);
+        });
+
+        it("should not drift over thousands of transfers between balances", async function () {
+            this.timeout(60000);
+            const { client, contractor } = await seedTestObjectsForMoneyTests();
+
+            await sequelize.transaction(async (transaction) => {
+                for (let i = 0; i < 2000; i++) {
+                    await transferFunds({ debit: client, credit: contractor, amount: 0.1, kind: 'job_payment' }, transaction);
+                }
+                for (let i = 0; i < 1000; i++) {
+                    await transferFunds({ debit: contractor, credit: client, amount: '0.07', kind: 'job_payment' }, transaction);
+                }
+            });
+
+            await client.reload();
+            await contractor.reload();
+            expect(client.balance).to.eq(870);
+            expect(contractor.balance).to.eq(130);
+
+            await request(app)
+                .get(`/balances/${client.id}/history`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.entries).to.have.length(3001);
+                    expect(res.body.balance).to.eq(870);
+                });
+        });
+
+        it("should succeed and pay in exact cents when paying in tranches", async () => {
+            const { client, contractor, job } = await seedTestObjectsForMoneyTests();
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: 0.1 })
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${job.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: '0.2' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.paid).to.eq(true);
+                    expect(res.body.amountPaid).to.eq(0.3);
+                });
+
+            await client.reload();
+            await contractor.reload();
+            expect(client.balance).to.eq(999.7);
+            expect(contractor.balance).to.eq(0.3);
+        });
+
+        it("should succeed and add a deposit given as a string rather than concatenating it", async () => {
+            const { client, contract } = await seedTestObjectsForMoneyTests();
+            await Job.create({ description: 'work', price: 400, status: 'approved', ContractId: contract.id });
+
+            // 25% of the 400.30 outstanding
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: '100.08' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.balance).to.eq(1100.08);
+                });
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 100.09 })
+                .expect(400);
+        });
+
+        it("should read amounts stored as decimal strings back as numbers", async () => {
+            const { client } = await seedTestObjectsForMoneyTests();
+
+            client.balance = '12.345';
+            await client.save();
+            await client.reload();
+
+            expect(client.balance).to.eq(12.35);
+        });
+    });
+
+    describe("POST /jobs/pay-batch | As a client, pay several jobs at once or none at all", () => {
+        const seedTestObjectsForBatchPaymentTests = async ({ clientBalance = 1000 } = {}) => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: clientBalance,
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 0,
+                type: 'contractor'
+            });
+
+            const otherContractor = await Profile.create({
+                id: 3,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 0,
+                type: 'contractor'
+            });
+
+            const otherClient = await Profile.create({
+                id: 4,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const otherContract = await Contract.create({
+                id: 2,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: client.id,
+                ContractorId: otherContractor.id,
+            });
+
+            const otherClientContract = await Contract.create({
+                id: 3,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: otherClient.id,
+                ContractorId: contractor.id,
+            });
+
+            const job1 = await Job.create({ id: 1, description: 'work', price: 200, status: 'approved', ContractId: contract.id });
+            const job2 = await Job.create({ id: 2, description: 'work', price: 100.1, status: 'approved', ContractId: contract.id });
+            const job3 = await Job.create({ id: 3, description: 'work', price: 300, status: 'approved', ContractId: otherContract.id });
+            const deliveredJob = await Job.create({ id: 4, description: 'work', price: 50, status: 'delivered', ContractId: otherContract.id });
+            const paidJob = await Job.create({ id: 5, description: 'work', price: 50, status: 'approved', paid: true, amountPaid: 50, paymentDate: new Date(), ContractId: contract.id });
+            const otherClientJob = await Job.create({ id: 6, description: 'work', price: 50, status: 'approved', ContractId: otherClientContract.id });
+
+            return { client, contractor, otherContractor, job1, job2, job3, deliveredJob, paidJob, otherClientJob };
+        };
+
+        it("should succeed and pay every job, crediting each contractor once", async () => {
+            const { client, contractor, otherContractor, job1, job2, job3 } = await seedTestObjectsForBatchPaymentTests();
+
+            await request(app)
+                .post('/jobs/pay-batch')
+                .set('profile_id', client.id)
+                .send({ jobIds: [job1.id, job2.id, job3.id] })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((job) => job.id)).to.deep.eq([job1.id, job2.id, job3.id]);
+                    expect(res.body.every((job) => job.paid)).to.eq(true);
+                });
+
+            await client.reload();
+            await contractor.reload();
+            await otherContractor.reload();
+            expect(client.balance).to.eq(399.9);
+            expect(contractor.balance).to.eq(300.1);
+            expect(otherContractor.balance).to.eq(300);
+
+            const clientDebits = await LedgerEntry.findAll({ where: { ProfileId: client.id, kind: 'job_payment' } });
+            expect(clientDebits.map((entry) => entry.amount)).to.have.members([300.1, 300]);
+
+            const contractorCredits = await LedgerEntry.findAll({ where: { ProfileId: contractor.id, kind: 'job_payment' } });
+            expect(contractorCredits).to.have.length(1);
+            expect(contractorCredits[0].amount).to.eq(300.1);
+            expect(contractorCredits[0].JobId).to.eq(null);
+
+            const otherContractorCredits = await LedgerEntry.findAll({ where: { ProfileId: otherContractor.id, kind: 'job_payment' } });
+            expect(otherContractorCredits).to.have.length(1);
+            expect(otherContractorCredits[0].JobId).to.eq(job3.id);
+
+            const payments = await JobPayment.findAll({ order: [['JobId', 'ASC']] });
+            expect(payments.map((payment) => [payment.JobId, payment.amount])).to.deep.eq([[job1.id, 200], [job2.id, 100.1], [job3.id, 300]]);
+        });
+
+        it("should fail and pay nothing, listing every job which cannot be paid", async () => {
+            const { client, contractor, job1, deliveredJob, paidJob, otherClientJob } = await seedTestObjectsForBatchPaymentTests();
+
+            await request(app)
+                .post('/jobs/pay-batch')
+                .set('profile_id', client.id)
+                .send({ jobIds: [job1.id, deliveredJob.id, paidJob.id, otherClientJob.id, 99] })
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('BATCH_PAYMENT_REJECTED');
+                    expect(res.body.error.details.failures.map(({ jobId, code }) => [jobId, code])).to.deep.eq([
+                        [deliveredJob.id, 'JOB_NOT_APPROVED'],
+                        [paidJob.id, 'JOB_ALREADY_PAID'],
+                        [otherClientJob.id, 'NOT_FOUND'],
+                        [99, 'NOT_FOUND'],
+                    ]);
+                    expect(res.body.error.details.failures[0].message).to.be.a('string');
+                });
+
+            await job1.reload();
+            await client.reload();
+            await contractor.reload();
+            expect(job1.paid).to.not.eq(true);
+            expect(client.balance).to.eq(1000);
+            expect(contractor.balance).to.eq(0);
+            expect(await LedgerEntry.count()).to.eq(0);
+            expect(await JobPayment.count()).to.eq(0);
+        });
+
+        it("should fail and pay nothing when the balance does not cover the whole batch", async () => {
+            const { client, job1, job2 } = await seedTestObjectsForBatchPaymentTests({ clientBalance: 250 });
+
+            await request(app)
+                .post('/jobs/pay-batch')
+                .set('profile_id', client.id)
+                .send({ jobIds: [job1.id, job2.id] })
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('INSUFFICIENT_BALANCE');
+                    expect(res.body.error.details).to.deep.eq({ balance: 250, required: 300.1 });
+                });
+
+            await job1.reload();
+            await client.reload();
+            expect(job1.paid).to.not.eq(true);
+            expect(client.balance).to.eq(250);
+        });
+
+        it("should succeed and pay the next installment due of a job with an installment plan", async () => {
+            const { client, job1, job3 } = await seedTestObjectsForBatchPaymentTests();
+
+            await request(app)
+                .put(`/jobs/${job1.id}/installments`)
+                .set('profile_id', client.id)
+                .send({ installments: [{ amount: 50, dueDate: '2030-01-01' }, { amount: 150, dueDate: '2030-02-01' }] })
+                .expect(200);
+
+            await request(app)
+                .post('/jobs/pay-batch')
+                .set('profile_id', client.id)
+                .send({ jobIds: [job1.id, job3.id] })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((job) => [job.amountPaid, !!job.paid])).to.deep.eq([[50, false], [300, true]]);
+                });
+        });
+
+        it("should fail and return an error when the job ids are invalid", async () => {
+            const { client, job1 } = await seedTestObjectsForBatchPaymentTests();
+
+            for (const jobIds of [undefined, [], [job1.id, job1.id], ['1'], [1.5], new Array(101).fill(0).map((_, index) => index + 1)]) {
+                await request(app)
+                    .post('/jobs/pay-batch')
+                    .set('profile_id', client.id)
+                    .send({ jobIds })
+                    .expect(400)
+                    .then((res) => {
+                        expect(res.body.error.code).to.eq('VALIDATION_ERROR');
+                    });
+            }
+        });
+    });
+
+    describe("Recurring jobs | Create jobs on a schedule for retainer contracts", () => {
+        const seedTestObjectsForRecurringJobTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 0,
+                type: 'contractor'
+            });
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const newContract = await Contract.create({
+                id: 2,
+                terms: 'bla bla bla',
+                status: 'new',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const weeklyRule = await RecurrenceRule.create({
+                amount: 100,
+                descriptionTemplate: 'Retainer for the week of {date}',
+                interval: 'weekly',
+                startDate: '2024-01-01',
+                nextOccurrenceDate: '2024-01-01',
+                ContractId: contract.id,
+            });
+
+            return { client, contractor, contract, newContract, weeklyRule };
+        };
+
+        it("should succeed and create every job which has fallen due, catching up on missed occurrences", async () => {
+            const { contract, weeklyRule } = await seedTestObjectsForRecurringJobTests();
+
+            const createdJobs = await createDueJobs(new Date('2024-01-20T12:00:00.000Z'));
+
+            expect(createdJobs.map((job) => job.occurrenceDate)).to.deep.eq(['2024-01-01', '2024-01-08', '2024-01-15']);
+            expect(createdJobs[0].description).to.eq('Retainer for the week of 2024-01-01');
+            expect(createdJobs.every((job) => job.price === 100 && job.status === 'open' && job.ContractId === contract.id)).to.eq(true);
+
+            await weeklyRule.reload();
+            expect(weeklyRule.occurrencesCreated).to.eq(3);
+            expect(weeklyRule.nextOccurrenceDate).to.eq('2024-01-22');
+
+            expect(await createDueJobs(new Date('2024-01-21T12:00:00.000Z'))).to.have.length(0);
+            expect(await createDueJobs(new Date('2024-01-22T00:00:00.000Z'))).to.have.length(1);
+            expect(await Job.count({ where: { RecurrenceRuleId: weeklyRule.id } })).to.eq(4);
+        });
+
+        it("should not create a job twice for the same occurrence", async () => {
+            const { weeklyRule } = await seedTestObjectsForRecurringJobTests();
+
+            await createDueJobs(new Date('2024-01-10T00:00:00.000Z'));
+
+            // Replay the rule as if another process had not seen the jobs being created
+            await RecurrenceRule.update({ occurrencesCreated: 0, nextOccurrenceDate: '2024-01-01' }, { where: { id: weeklyRule.id } });
+
+            expect(await createDueJobs(new Date('2024-01-10T00:00:00.000Z'))).to.have.length(0);
+            expect(await Job.count()).to.eq(2);
+        });
+
+        it("should stop creating jobs once the contract is no longer in progress", async () => {
+            const { contractor, contract } = await seedTestObjectsForRecurringJobTests();
+
+            await createDueJobs(new Date('2024-01-01T00:00:00.000Z'));
+
+            await request(app)
+                .post(`/contracts/${contract.id}/terminate`)
+                .set('profile_id', contractor.id)
+                .expect(200);
+
+            expect(await createDueJobs(new Date('2024-03-01T00:00:00.000Z'))).to.have.length(0);
+            expect(await Job.count()).to.eq(1);
+        });
+
+        it("should succeed and add a monthly rule which runs on the last day of shorter months", async () => {
+            const { client, contractor, contract } = await seedTestObjectsForRecurringJobTests();
+
+            let ruleId;
+            await request(app)
+                .post(`/contracts/${contract.id}/recurrence-rules`)
+                .set('profile_id', contractor.id)
+                .send({ amount: '250.50', descriptionTemplate: 'Retainer {date}', interval: 'monthly', startDate: '2024-01-31', endDate: '2024-04-30' })
+                .expect(201)
+                .then((res) => {
+                    ruleId = res.body.id;
+                    expect(res.body.amount).to.eq(250.5);
+                    expect(res.body.occurrencesCreated).to.eq(4);
+                    expect(res.body.nextOccurrenceDate).to.eq(null);
+                });
+
+            const jobs = await Job.findAll({ where: { RecurrenceRuleId: ruleId }, order: [['occurrenceDate', 'ASC']] });
+            expect(jobs.map((job) => job.occurrenceDate)).to.deep.eq(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+            expect(jobs[1].description).to.eq('Retainer 2024-02-29');
+
+            await request(app)
+                .get(`/contracts/${contract.id}/recurrence-rules`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((rule) => rule.interval)).to.deep.eq(['weekly', 'monthly']);
+                });
+        });
+
+        it("should succeed and edit or delete a rule so that it creates no further jobs", async () => {
+            const { contractor, contract, weeklyRule } = await seedTestObjectsForRecurringJobTests();
+
+            await request(app)
+                .patch(`/contracts/${contract.id}/recurrence-rules/${weeklyRule.id}`)
+                .set('profile_id', contractor.id)
+                .send({ amount: 120, endDate: '2024-01-10' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.amount).to.eq(120);
+                    expect(res.body.occurrencesCreated).to.eq(2);
+                    expect(res.body.nextOccurrenceDate).to.eq(null);
+                });
+
+            expect((await Job.findAll()).map((job) => job.price)).to.deep.eq([120, 120]);
+            expect(await createDueJobs()).to.have.length(0);
+
+            await request(app)
+                .delete(`/contracts/${contract.id}/recurrence-rules/${weeklyRule.id}`)
+                .set('profile_id', contractor.id)
+                .expect(204);
+
+            expect(await RecurrenceRule.count()).to.eq(0);
+            expect(await Job.count()).to.eq(2);
+
+            await request(app)
+                .delete(`/contracts/${contract.id}/recurrence-rules/${weeklyRule.id}`)
+                .set('profile_id', contractor.id)
+                .expect(404);
+        });
+
+        it("should fail and return an error for an invalid rule or a contract which is not in progress", async () => {
+            const { client, contractor, contract, newContract } = await seedTestObjectsForRecurringJobTests();
+
+            const rule = { amount: 100, descriptionTemplate: 'Retainer', interval: 'monthly', startDate: '2024-01-01' };
+
+            await request(app)
+                .post(`/contracts/${contract.id}/recurrence-rules`)
+                .set('profile_id', client.id)
+                .send(rule)
+                .expect(403);
+
+            await request(app)
+                .post(`/contracts/${newContract.id}/recurrence-rules`)
+                .set('profile_id', contractor.id)
+                .send(rule)
+                .expect(409)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('CONTRACT_NOT_IN_PROGRESS');
+                });
+
+            for (const invalidRule of [
+                { ...rule, amount: -1 },
+                { ...rule, descriptionTemplate: '' },
+                { ...rule, interval: 'daily' },
+                { ...rule, startDate: '2024-02-30' },
+                { ...rule, endDate: '2023-12-31' },
+            ]) {
+                await request(app)
+                    .post(`/contracts/${contract.id}/recurrence-rules`)
+                    .set('profile_id', contractor.id)
+                    .send(invalidRule)
+                    .expect(400);
+            }
+        });
+    });
+
+    describe("Contract completion | End contracts automatically by their completion policy", () => {
+        const seedTestObjectsForContractCompletionTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 0,
+                type: 'contractor'
+            });
+
+            const allJobsPaidContract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                completionPolicy: 'all_jobs_paid',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const endDateContract = await Contract.create({
+                id: 2,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                completionPolicy: 'end_date',
+                endDate: '2024-06-30',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const manualContract = await Contract.create({
+                id: 3,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const job1 = await Job.create({ id: 1, description: 'work', price: 100, status: 'approved', ContractId: allJobsPaidContract.id });
+            const job2 = await Job.create({ id: 2, description: 'work', price: 50, status: 'approved', ContractId: allJobsPaidContract.id });
+            const endDateJob = await Job.create({ id: 3, description: 'work', price: 200, status: 'approved', ContractId: endDateContract.id });
+            const manualJob = await Job.create({ id: 4, description: 'work', price: 10, status: 'approved', ContractId: manualContract.id });
+
+            return { client, contractor, allJobsPaidContract, endDateContract, manualContract, job1, job2, endDateJob, manualJob };
+        };
+
+        it("should succeed and terminate a contract once all of its jobs are paid", async () => {
+            const { client, allJobsPaidContract, job1, job2 } = await seedTestObjectsForContractCompletionTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await allJobsPaidContract.reload();
+            expect(allJobsPaidContract.status).to.eq('in_progress');
+
+            await request(app)
+                .post(`/jobs/${job2.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await allJobsPaidContract.reload();
+            expect(allJobsPaidContract.status).to.eq('terminated');
+            expect(allJobsPaidContract.terminationReason).to.eq('all_jobs_paid');
+            expect(allJobsPaidContract.terminatedAt).to.not.eq(null);
+
+            await request(app)
+                .get('/contracts')
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((contract) => contract.id)).to.deep.eq([2, 3]);
+                });
+        });
+
+        it("should succeed and terminate a contract whose jobs are all paid in one batch", async () => {
+            const { client, allJobsPaidContract, job1, job2 } = await seedTestObjectsForContractCompletionTests();
+
+            await request(app)
+                .post('/jobs/pay-batch')
+                .set('profile_id', client.id)
+                .send({ jobIds: [job1.id, job2.id] })
+                .expect(200);
+
+            await allJobsPaidContract.reload();
+            expect(allJobsPaidContract.terminationReason).to.eq('all_jobs_paid');
+        });
+
+        it("should succeed and terminate contracts on the schedule once their end date is reached or their last job is withdrawn", async () => {
+            const { client, contractor, allJobsPaidContract, endDateContract, manualContract, job1, job2 } = await seedTestObjectsForContractCompletionTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${job2.id}/withdraw`)
+                .set('profile_id', contractor.id)
+                .expect(200);
+
+            const completedContracts = await completeDueContracts(new Date('2024-06-29T23:59:59.000Z'));
+            expect(completedContracts.map((contract) => contract.id)).to.deep.eq([allJobsPaidContract.id]);
+
+            await completeDueContracts(new Date('2024-06-30T00:00:00.000Z'));
+
+            await endDateContract.reload();
+            await manualContract.reload();
+            expect(endDateContract.status).to.eq('terminated');
+            expect(endDateContract.terminationReason).to.eq('end_date_reached');
+            expect(manualContract.status).to.eq('in_progress');
+
+            await request(app)
+                .get('/jobs/unpaid')
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((job) => job.ContractId)).to.deep.eq([manualContract.id]);
+                });
+        });
+
+        it("should not terminate a contract whose recurrence rules will add more jobs", async () => {
+            const { client, allJobsPaidContract, job1, job2 } = await seedTestObjectsForContractCompletionTests();
+
+            await RecurrenceRule.create({
+                amount: 100,
+                descriptionTemplate: 'Retainer',
+                interval: 'monthly',
+                startDate: '2999-01-01',
+                nextOccurrenceDate: '2999-01-01',
+                ContractId: allJobsPaidContract.id,
+            });
+
+            await request(app)
+                .post('/jobs/pay-batch')
+                .set('profile_id', client.id)
+                .send({ jobIds: [job1.id, job2.id] })
+                .expect(200);
+
+            await allJobsPaidContract.reload();
+            expect(allJobsPaidContract.status).to.eq('in_progress');
+        });
+
+        it("should succeed and only terminate a manual contract by hand, recording the reason", async () => {
+            const { client, manualContract, manualJob } = await seedTestObjectsForContractCompletionTests();
+
+            await request(app)
+                .post(`/jobs/${manualJob.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await completeDueContracts();
+
+            await manualContract.reload();
+            expect(manualContract.status).to.eq('in_progress');
+
+            await request(app)
+                .post(`/contracts/${manualContract.id}/terminate`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.terminationReason).to.eq('manual');
+                });
+        });
+
+        it("should succeed and apply a changed completion policy straight away", async () => {
+            const { client, contractor, manualContract, manualJob } = await seedTestObjectsForContractCompletionTests();
+
+            await request(app)
+                .post(`/jobs/${manualJob.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .put(`/contracts/${manualContract.id}/completion-policy`)
+                .set('profile_id', contractor.id)
+                .send({ completionPolicy: 'all_jobs_paid' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('terminated');
+                    expect(res.body.terminationReason).to.eq('all_jobs_paid');
+                });
+
+            await request(app)
+                .put(`/contracts/${manualContract.id}/completion-policy`)
+                .set('profile_id', contractor.id)
+                .send({ completionPolicy: 'manual' })
+                .expect(409)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('CONTRACT_TERMINATED');
+                });
+        });
+
+        it("should fail and return an error for an invalid completion policy", async () => {
+            const { client, contractor } = await seedTestObjectsForContractCompletionTests();
+
+            for (const policy of [
+                { completionPolicy: 'when_done' },
+                { completionPolicy: 'end_date' },
+                { completionPolicy: 'end_date', endDate: '30/06/2024' },
+                { completionPolicy: 'manual', endDate: '2024-06-30' },
+            ]) {
+                await request(app)
+                    .post('/contracts')
+                    .set('profile_id', client.id)
+                    .send({ contractorId: contractor.id, terms: 'bla bla bla', ...policy })
+                    .expect(400);
+            }
+
+            await request(app)
+                .post('/contracts')
+                .set('profile_id', client.id)
+                .send({ contractorId: contractor.id, terms: 'bla bla bla', completionPolicy: 'end_date', endDate: '2030-01-01' })
+                .expect(201)
+                .then((res) => {
+                    expect(res.body.completionPolicy).to.eq('end_date');
+                    expect(res.body.endDate).to.eq('2030-01-01');
+                });
+        });
+    });
+
+    describe("Webhooks | Signed, retried delivery of payment and contract events", () => {
+        let receiver;
+        let receivedRequests;
+        let responseStatus;
+
+        before((done) => {
+            // Local HTTP receiver standing in for the subscribers' endpoints
+            receiver = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', (chunk) => { body += chunk; });
+                req.on('end', () => {
+                    receivedRequests.push({ path: req.url, headers: req.headers, body });
+                    res.writeHead(responseStatus);
+                    res.end();
+                });
+            });
+            receiver.listen(0, '127.0.0.1', done);
+        });
+
+        after((done) => {
+            receiver.close(done);
+        });
+
+        beforeEach(() => {
+            receivedRequests = [];
+            responseStatus = 200;
+        });
+
+        const receiverUrl = (path) => `http://127.0.0.1:${receiver.address().port}${path}`;
+
+        const seedTestObjectsForWebhookTests = async () => {
+            const profiles = {};
+            for (const [name, id, type] of [
+                ['client', 1, 'client'],
+                ['contractor', 2, 'contractor'],
+                ['admin', 3, 'admin'],
+                ['otherClient', 4, 'client'],
+            ]) {
+                profiles[name] = await Profile.create({
+                    id,
+                    firstName: 'test',
+                    lastName: 'test',
+                    profession: 'test',
+                    balance: 1000,
+                    type,
+                });
+            }
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: profiles.client.id,
+                ContractorId: profiles.contractor.id,
+            });
+
+            const job1 = await Job.create({ id: 1, description: 'work', price: 100, status: 'approved', ContractId: contract.id });
+            const job2 = await Job.create({ id: 2, description: 'work', price: 400, status: 'approved', ContractId: contract.id });
+
+            return { ...profiles, contract, job1, job2 };
+        };
+
+        const registerEndpoint = async (profile, path, eventTypes) => {
+            const res = await request(app)
+                .post('/webhooks')
+                .set('profile_id', profile.id)
+                .send({ url: receiverUrl(path), eventTypes })
+                .expect(201);
+
+            return res.body;
+        };
+
+        it("should succeed and register an endpoint, only revealing its secret once", async () => {
+            const { client } = await seedTestObjectsForWebhookTests();
+
+            const endpoint = await registerEndpoint(client, '/client', ['job.paid', 'job.paid']);
+            expect(endpoint.secret).to.match(/^whsec_/);
+            expect(endpoint.eventTypes).to.deep.eq(['job.paid']);
+
+            await request(app)
+                .get('/webhooks')
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map(({ id }) => id)).to.deep.eq([endpoint.id]);
+                    expect(res.body[0].secret).to.eq(undefined);
+                });
+
+            for (const invalidEndpoint of [
+                { url: 'not a url', eventTypes: ['job.paid'] },
+                { url: 'ftp://example.com', eventTypes: ['job.paid'] },
+                { url: receiverUrl('/client'), eventTypes: [] },
+                { url: receiverUrl('/client'), eventTypes: ['job.deleted'] },
+            ]) {
+                await request(app)
+                    .post('/webhooks')
+                    .set('profile_id', client.id)
+                    .send(invalidEndpoint)
+                    .expect(400);
+            }
+        });
+
+        it("should succeed and send a signed job.paid event to the parties and admins who subscribed", async () => {
+            const { client, contractor, admin, otherClient, job1 } = await seedTestObjectsForWebhookTests();
+
+            const clientEndpoint = await registerEndpoint(client, '/client', ['job.paid']);
+            await registerEndpoint(contractor, '/contractor', ['job.paid', 'balance.deposited']);
+            await registerEndpoint(admin, '/admin', ['job.paid']);
+            await registerEndpoint(otherClient, '/other-client', ['job.paid']);
+            await registerEndpoint(client, '/client-deposits', ['balance.deposited']);
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            expect(await WebhookEvent.count()).to.eq(1);
+            expect(await WebhookDelivery.count({ where: { status: 'pending' } })).to.eq(3);
+
+            const attemptedDeliveries = await deliverDueWebhooks();
+            expect(attemptedDeliveries.map((delivery) => delivery.status)).to.deep.eq(['delivered', 'delivered', 'delivered']);
+            expect(receivedRequests.map(({ path }) => path).sort()).to.deep.eq(['/admin', '/client', '/contractor']);
+
+            const { headers, body } = receivedRequests.find(({ path }) => path === '/client');
+            const [, timestamp] = /^t=(\d+),v1=[0-9a-f]{64}$/.exec(headers[SIGNATURE_HEADER.toLowerCase()]);
+            expect(headers[SIGNATURE_HEADER.toLowerCase()]).to.eq(signPayload(clientEndpoint.secret, body, timestamp));
+            expect(headers['x-webhook-event']).to.eq('job.paid');
+
+            const event = JSON.parse(body);
+            expect(event.type).to.eq('job.paid');
+            expect(event.data).to.include({ jobId: job1.id, contractId: job1.ContractId, price: 100, amountPaid: 100, currency: 'USD' });
+
+            expect(await deliverDueWebhooks()).to.have.length(0);
+        });
+
+        it("should succeed and record balance.deposited and contract.status_changed events with their changes", async () => {
+            const { client, contractor, contract } = await seedTestObjectsForWebhookTests();
+
+            await registerEndpoint(client, '/client', ['balance.deposited', 'contract.status_changed']);
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 100 })
+                .expect(200);
+
+            await request(app)
+                .post(`/contracts/${contract.id}/terminate`)
+                .set('profile_id', contractor.id)
+                .expect(200);
+
+            await deliverDueWebhooks();
+
+            const events = receivedRequests.map(({ body }) => JSON.parse(body));
+            expect(events.map(({ type }) => type)).to.deep.eq(['balance.deposited', 'contract.status_changed']);
+            expect(events[0].data).to.deep.eq({ profileId: client.id, amount: 100, currency: 'USD', balance: 1100 });
+            expect(events[1].data).to.deep.eq({ contractId: contract.id, previousStatus: 'in_progress', status: 'terminated', terminationReason: 'manual' });
+        });
+
+        it("should not record an event for a change which is rolled back", async () => {
+            const { client, job2 } = await seedTestObjectsForWebhookTests();
+
+            await registerEndpoint(client, '/client', ['job.paid', 'balance.deposited']);
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 1000 })
+                .expect(400);
+
+            await Profile.update({ balance: 10 }, { where: { id: client.id } });
+
+            await request(app)
+                .post(`/jobs/${job2.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(400);
+
+            expect(await WebhookEvent.count()).to.eq(0);
+            expect(await WebhookDelivery.count()).to.eq(0);
+        });
+
+        it("should succeed and retry a failing endpoint with exponential backoff until it is dead lettered", async () => {
+            const { client, contractor, job1 } = await seedTestObjectsForWebhookTests();
+
+            await registerEndpoint(client, '/client', ['job.paid']);
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            responseStatus = 500;
+            let now = new Date();
+            const retryDelays = [];
+            for (let attempt = 1; attempt <= MAX_DELIVERY_ATTEMPTS; attempt++) {
+                const [delivery] = await deliverDueWebhooks(now);
+                expect(delivery.attempts).to.eq(attempt);
+                expect(delivery.lastResponseStatus).to.eq(500);
+
+                // Nothing is retried before the backoff has passed
+                expect(await deliverDueWebhooks(new Date(now.getTime() + 1000))).to.have.length(0);
+
+                if (delivery.nextAttemptAt) {
+                    retryDelays.push(delivery.nextAttemptAt.getTime() - now.getTime());
+                    now = delivery.nextAttemptAt;
+                }
+            }
+
+            expect(retryDelays).to.deep.eq([30, 60, 120, 240, 480, 960, 1920].map((seconds) => seconds * 1000));
+            expect(receivedRequests).to.have.length(MAX_DELIVERY_ATTEMPTS);
+
+            let deadLetterId;
+            await request(app)
+                .get('/webhooks/dead-letters')
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.have.length(1);
+                    expect(res.body[0].status).to.eq('dead_lettered');
+                    expect(res.body[0].lastError).to.eq('The endpoint responded with status 500');
+                    expect(res.body[0].WebhookEvent.type).to.eq('job.paid');
+                    deadLetterId = res.body[0].id;
+                });
+
+            await request(app)
+                .post(`/webhooks/deliveries/${deadLetterId}/retry`)
+                .set('profile_id', contractor.id)
+                .expect(404);
+
+            await request(app)
+                .post(`/webhooks/deliveries/${deadLetterId}/retry`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.status).to.eq('pending');
+                    expect(res.body.attempts).to.eq(0);
+                });
+
+            responseStatus = 204;
+            const [delivery] = await deliverDueWebhooks();
+            expect(delivery.status).to.eq('delivered');
+
+            await request(app)
+                .post(`/webhooks/deliveries/${deadLetterId}/retry`)
+                .set('profile_id', client.id)
+                .expect(409);
+        });
+
+        it("should succeed and schedule a retry when the endpoint cannot be reached", async () => {
+            const { client, job1 } = await seedTestObjectsForWebhookTests();
+
+            const endpoint = await registerEndpoint(client, '/client', ['job.paid']);
+            const closedServer = http.createServer();
+            await new Promise((resolve) => closedServer.listen(0, '127.0.0.1', resolve));
+            const closedUrl = `http://127.0.0.1:${closedServer.address().port}/`;
+            await new Promise((resolve) => closedServer.close(resolve));
+            await WebhookEndpoint.update({ url: closedUrl }, { where: { id: endpoint.id } });
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            const [delivery] = await deliverDueWebhooks();
+            expect(delivery.status).to.eq('pending');
+            expect(delivery.lastResponseStatus).to.eq(null);
+            expect(delivery.lastError).to.match(/ECONNREFUSED/);
+        });
+
+        it("should fail to register an endpoint on a loopback, private, link-local or metadata address", async () => {
+            const { client, admin } = await seedTestObjectsForWebhookTests();
+
+            app.set('allowPrivateWebhookUrls', false);
+            try {
+                for (const url of [
+                    receiverUrl('/client'),
+                    'http://localhost/hook',
+                    'http://10.0.0.5/hook',
+                    'http://172.16.0.1/hook',
+                    'http://192.168.1.1/hook',
+                    'http://169.254.169.254/latest/meta-data',
+                    'http://0.0.0.0/hook',
+                    'http://0x7f.1/hook',
+                    'http://[::1]/hook',
+                    'http://[::ffff:127.0.0.1]/hook',
+                    'http://[fd00:ec2::254]/hook',
+                    'http://[fe80::1]/hook',
+                    'http://host.invalid/hook',
+                ]) {
+                    for (const profile of [client, admin]) {
+                        await request(app)
+                            .post('/webhooks')
+                            .set('profile_id', profile.id)
+                            .send({ url, eventTypes: ['job.paid'] })
+                            .expect(400)
+                            .then((res) => {
+                                expect(res.body.error.details, url).to.deep.eq({ field: 'url' });
+                            });
+                    }
+                }
+            } finally {
+                app.set('allowPrivateWebhookUrls', true);
+            }
+
+            expect(await WebhookEndpoint.count()).to.eq(0);
+        });
+
+        it("should fail a delivery to a private address without sending it", async () => {
+            const { client, job1 } = await seedTestObjectsForWebhookTests();
+
+            await registerEndpoint(client, '/client', ['job.paid']);
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            const [delivery] = await deliverDueWebhooks(new Date(), 100, false);
+            expect(delivery.status).to.eq('pending');
+            expect(delivery.lastResponseStatus).to.eq(null);
+            expect(delivery.lastError).to.eq('Webhooks cannot be sent to loopback, private or link-local addresses');
+            expect(receivedRequests).to.have.length(0);
+        });
+
+        it("should succeed and delete an endpoint along with its deliveries", async () => {
+            const { client, contractor, job1 } = await seedTestObjectsForWebhookTests();
+
+            const endpoint = await registerEndpoint(client, '/client', ['job.paid']);
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .delete(`/webhooks/${endpoint.id}`)
+                .set('profile_id', contractor.id)
+                .expect(404);
+
+            await request(app)
+                .delete(`/webhooks/${endpoint.id}`)
+                .set('profile_id', client.id)
+                .expect(204);
+
+            expect(await WebhookDelivery.count()).to.eq(0);
+            expect(await deliverDueWebhooks()).to.have.length(0);
+            expect(receivedRequests).to.have.length(0);
+        });
+    });
+
+    describe("Audit log | Hash-chained record of every mutating request", () => {
+        const seedTestObjectsForAuditTests = async () => {
+            const profiles = {};
+            for (const [name, id, type] of [
+                ['client', 1, 'client'],
+                ['contractor', 2, 'contractor'],
+                ['admin', 3, 'admin'],
+            ]) {
+                profiles[name] = await Profile.create({
+                    id,
+                    firstName: 'test',
+                    lastName: 'test',
+                    profession: 'test',
+                    balance: 1000,
+                    type,
+                });
+            }
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: profiles.client.id,
+                ContractorId: profiles.contractor.id,
+            });
+
+            const job1 = await Job.create({ id: 1, description: 'work', price: 100, status: 'approved', ContractId: contract.id });
+            const job2 = await Job.create({ id: 2, description: 'work', price: 400, status: 'open', ContractId: contract.id });
+
+            return { ...profiles, contract, job1, job2 };
+        };
+
+        it("should succeed and record a payment with its actor, target, changes and request metadata", async () => {
+            const { client, job1 } = await seedTestObjectsForAuditTests();
+
+            let requestId;
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .set('User-Agent', 'audit-test')
+                .expect(200)
+                .then((res) => {
+                    requestId = res.get('X-Request-Id');
+                });
+
+            const entries = await AuditEntry.findAll();
+            expect(entries).to.have.length(1);
+
+            const [entry] = entries;
+            expect(entry.requestId).to.eq(requestId);
+            expect(entry.actorId).to.eq(client.id);
+            expect(entry.actorType).to.eq('client');
+            expect(entry.action).to.eq('POST /jobs/:job_id/pay');
+            expect(entry.path).to.eq(`/jobs/${job1.id}/pay`);
+            expect(entry.targetType).to.eq('Job');
+            expect(entry.targetId).to.eq(String(job1.id));
+            expect(entry.outcome).to.eq('succeeded');
+            expect(entry.statusCode).to.eq(200);
+            expect(entry.errorCode).to.eq(null);
+            expect(entry.userAgent).to.eq('audit-test');
+            expect(entry.ip).to.be.a('string');
+
+            const jobChange = entry.changes.find((change) => change.model === 'Job');
+            expect(jobChange.operation).to.eq('update');
+            expect(jobChange.id).to.eq(job1.id);
+            expect(jobChange.before.paid).to.not.be.ok;
+            expect(jobChange.after.paid).to.eq(true);
+
+            const balanceChanges = entry.changes.filter((change) => change.model === 'Profile');
+            expect(balanceChanges.map((change) => [change.id, change.before.balance, change.after.balance])).to.have.deep.members([
+                [1, 1000, 900],
+                [2, 1000, 1100],
+            ]);
+            expect(entry.changes.filter((change) => change.model === 'LedgerEntry' && change.after.kind === 'job_payment')).to.have.length(2);
+        });
+
+        it("should succeed and record rejected and unauthenticated requests without their changes", async () => {
+            const { client, contractor, job2 } = await seedTestObjectsForAuditTests();
+
+            await request(app)
+                .post(`/jobs/${job2.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(400);
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', contractor.id)
+                .send({ depositAmount: 10 })
+                .expect(403);
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .send({ depositAmount: 10 })
+                .expect(401);
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .set('Content-Type', 'application/json')
+                .send('{"amount":')
+                .expect(400);
+
+            const entries = await AuditEntry.findAll({ order: [['id', 'ASC']] });
+            expect(entries.map((entry) => [entry.actorId, entry.outcome, entry.statusCode, entry.errorCode, entry.targetType])).to.deep.eq([
+                [client.id, 'failed', 400, 'JOB_NOT_APPROVED', 'Job'],
+                [contractor.id, 'failed', 403, 'FORBIDDEN', 'Profile'],
+                [null, 'failed', 401, 'UNAUTHENTICATED', null],
+                [null, 'failed', 400, 'VALIDATION_ERROR', null],
+            ]);
+            expect(entries.every((entry) => entry.changes.length === 0)).to.eq(true);
+            expect((await Job.findOne({ where: { id: job2.id } })).paid).to.not.be.ok;
+        });
+
+        it("should not record requests which change nothing", async () => {
+            const { client } = await seedTestObjectsForAuditTests();
+
+            await request(app)
+                .get('/contracts')
+                .set('profile_id', client.id)
+                .expect(200);
+
+            expect(await AuditEntry.count()).to.eq(0);
+        });
+
+        it("should redact credentials from the recorded changes", async () => {
+            const { client } = await seedTestObjectsForAuditTests();
+
+            await request(app)
+                .post('/webhooks')
+                .set('profile_id', client.id)
+                .send({ url: 'http://127.0.0.1:1/hook', eventTypes: ['job.paid'] })
+                .expect(201);
+
+            const [entry] = await AuditEntry.findAll();
+            const [change] = entry.changes;
+            expect(change.model).to.eq('WebhookEndpoint');
+            expect(change.after.secret).to.eq('[REDACTED]');
+            expect(JSON.stringify(entry.changes)).to.not.match(/whsec_/);
+        });
+
+        it("should succeed and chain every entry to the one before it", async () => {
+            const { client, admin, job1 } = await seedTestObjectsForAuditTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 10 })
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(400);
+
+            const entries = await AuditEntry.findAll({ order: [['id', 'ASC']] });
+            expect(entries[0].previousHash).to.eq('0'.repeat(64));
+            expect(entries[1].previousHash).to.eq(entries[0].hash);
+            expect(entries[2].previousHash).to.eq(entries[1].hash);
+
+            await request(app)
+                .get('/admin/audit/verify')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq({ valid: true, entriesChecked: 3, latestHash: entries[2].hash, invalidEntryId: null, reason: null });
+                });
+        });
+
+        it("should detect an entry which was tampered with", async () => {
+            const { client, admin, job1 } = await seedTestObjectsForAuditTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 10 })
+                .expect(200);
+
+            const [first, second] = await AuditEntry.findAll({ order: [['id', 'ASC']] });
+
+            try {
+                await first.update({ actorId: admin.id });
+                expect.fail('Audit entries must be immutable');
+            } catch (error) {
+                expect(error.message).to.eq('Audit entries are immutable');
+            }
+
+            await sequelize.query('UPDATE AuditEntries SET actorId = ? WHERE id = ?', { replacements: [admin.id, first.id] });
+
+            await request(app)
+                .get('/admin/audit/verify')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.valid).to.eq(false);
+                    expect(res.body.invalidEntryId).to.eq(first.id);
+                    expect(res.body.entriesChecked).to.eq(0);
+                });
+
+            await sequelize.query('UPDATE AuditEntries SET actorId = ? WHERE id = ?', { replacements: [client.id, first.id] });
+            await sequelize.query('DELETE FROM AuditEntries WHERE id = ?', { replacements: [first.id] });
+
+            await request(app)
+                .get('/admin/audit/verify')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.valid).to.eq(false);
+                    expect(res.body.invalidEntryId).to.eq(second.id);
+                    expect(res.body.reason).to.eq('The entry does not chain to the hash of the entry before it');
+                });
+        });
+
+        it("should succeed and filter and page through the audit log", async () => {
+            const { client, contractor, admin, job1, job2 } = await seedTestObjectsForAuditTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${job2.id}/deliver`)
+                .set('profile_id', contractor.id)
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${job2.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(400);
+
+            await request(app)
+                .get('/admin/audit')
+                .set('profile_id', admin.id)
+                .query({ actorId: client.id })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((entry) => entry.targetId)).to.deep.eq([String(job2.id), String(job1.id)]);
+                });
+
+            await request(app)
+                .get('/admin/audit')
+                .set('profile_id', admin.id)
+                .query({ targetType: 'Job', targetId: job2.id })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((entry) => entry.action)).to.deep.eq(['POST /jobs/:job_id/pay', 'POST /jobs/:job_id/deliver']);
+                });
+
+            await request(app)
+                .get('/admin/audit')
+                .set('profile_id', admin.id)
+                .query({ action: 'POST /jobs/:job_id/pay', outcome: 'failed' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.have.length(1);
+                    expect(res.body[0].errorCode).to.eq('JOB_NOT_APPROVED');
+                });
+
+            await request(app)
+                .get('/admin/audit')
+                .set('profile_id', admin.id)
+                .query({ end: '2000-01-01' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.have.length(0);
+                });
+
+            let cursor;
+            await request(app)
+                .get('/admin/audit')
+                .set('profile_id', admin.id)
+                .query({ limit: 2 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.have.length(2);
+                    cursor = res.get('X-Next-Cursor');
+                });
+
+            await request(app)
+                .get('/admin/audit')
+                .set('profile_id', admin.id)
+                .query({ limit: 2, cursor })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.have.length(1);
+                    expect(res.body[0].action).to.eq('POST /jobs/:job_id/pay');
+                    expect(res.body[0].targetId).to.eq(String(job1.id));
+                });
+
+            await request(app)
+                .get('/admin/audit')
+                .set('profile_id', admin.id)
+                .query({ outcome: 'maybe' })
+                .expect(400);
+        });
+    });
+
+    describe("GET /admin/reports/earnings | Earnings over time by day, week or month", () => {
+        const seedTestObjectsForReportTests = async () => {
+            const profiles = {};
+            for (const [name, id, type, profession, firstName] of [
+                ['client', 1, 'client', 'Buyer', 'Alice'],
+                ['contractor', 2, 'contractor', 'Programmer', 'Bob'],
+                ['admin', 3, 'admin', 'Admin', 'Carol'],
+                ['otherClient', 4, 'client', 'Buyer', 'Dave'],
+                ['otherContractor', 5, 'contractor', 'Musician', 'Erin'],
+            ]) {
+                profiles[name] = await Profile.create({
+                    id,
+                    firstName,
+                    lastName: 'test',
+                    profession,
+                    balance: 1000,
+                    type,
+                });
+            }
+
+            await ExchangeRate.create({ baseCurrency: 'EUR', quoteCurrency: 'USD', rate: 1.1, effectiveFrom: new Date('2020-01-01T00:00:00.000Z') });
+
+            const contract1 = await Contract.create({ id: 1, terms: 'bla bla bla', status: 'in_progress', ClientId: 1, ContractorId: 2 });
+            const contract2 = await Contract.create({ id: 2, terms: 'bla bla bla', status: 'in_progress', currency: 'EUR', ClientId: 4, ContractorId: 5 });
+
+            for (const [id, price, paymentDate, ContractId] of [
+                [1, 100, '2024-01-05T12:00:00.000Z', contract1.id],
+                [2, 200, '2024-01-20T12:00:00.000Z', contract1.id],
+                // Still the 31st of January in New York
+                [3, 30, '2024-02-01T02:00:00.000Z', contract1.id],
+                [4, 50, '2024-03-10T12:00:00.000Z', contract2.id],
+            ]) {
+                await Job.create({ id, description: 'work', price, amountPaid: price, paid: true, paymentDate: new Date(paymentDate), status: 'approved', ContractId });
+            }
+            await Job.create({ id: 5, description: 'work', price: 999, status: 'approved', ContractId: contract1.id });
+
+            return profiles;
+        };
+
+        it("should succeed and total payments by month, with zeros for months without payments", async () => {
+            const { admin } = await seedTestObjectsForReportTests();
+
+            await request(app)
+                .get('/admin/reports/earnings')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq({
+                        interval: 'month',
+                        timeZone: 'UTC',
+                        currency: 'USD',
+                        groupBy: null,
+                        total: 385,
+                        count: 4,
+                        average: 96.25,
+                        periods: [
+                            { period: '2024-01-01', total: 300, count: 2, average: 150 },
+                            { period: '2024-02-01', total: 30, count: 1, average: 30 },
+                            { period: '2024-03-01', total: 55, count: 1, average: 55 },
+                        ],
+                    });
+                });
+        });
+
+        it("should succeed and count each payment towards a job in the period it was made in", async () => {
+            const { admin } = await seedTestObjectsForReportTests();
+
+            // A job paid in full in two payments, and a job with one partial payment so far
+            await Job.create({ id: 6, description: 'work', price: 120, amountPaid: 120, paid: true, paymentDate: new Date('2024-03-02T12:00:00.000Z'), status: 'approved', ContractId: 1 });
+            await Job.create({ id: 7, description: 'work', price: 100, amountPaid: 40, status: 'approved', ContractId: 2 });
+            for (const [JobId, amount, currency, createdAt] of [
+                [6, 70, 'USD', '2024-02-10T12:00:00.000Z'],
+                [6, 50, 'USD', '2024-03-02T12:00:00.000Z'],
+                [7, 40, 'EUR', '2024-01-15T12:00:00.000Z'],
+            ]) {
+                const payment = await JobPayment.create({ JobId, amount, currency, clientAmount: amount, clientCurrency: currency, clientExchangeRate: 1, contractorAmount: amount, contractorCurrency: currency, contractorExchangeRate: 1 });
+                await sequelize.query('UPDATE "JobPayments" SET "createdAt" = :createdAt WHERE "id" = :id', { replacements: { createdAt: new Date(createdAt), id: payment.id } });
+            }
+
+            await request(app)
+                .get('/admin/reports/earnings')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.include({ total: 549, count: 7 });
+                    expect(res.body.periods).to.deep.eq([
+                        { period: '2024-01-01', total: 344, count: 3, average: 114.67 },
+                        { period: '2024-02-01', total: 100, count: 2, average: 50 },
+                        { period: '2024-03-01', total: 105, count: 2, average: 52.5 },
+                    ]);
+                });
+        });
+
+        it("should succeed and place period boundaries at midnight in the given time zone", async () => {
+            const { admin } = await seedTestObjectsForReportTests();
+
+            await request(app)
+                .get('/admin/reports/earnings')
+                .set('profile_id', admin.id)
+                .query({ timeZone: 'America/New_York' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.periods).to.deep.eq([
+                        { period: '2024-01-01', total: 330, count: 3, average: 110 },
+                        { period: '2024-02-01', total: 0, count: 0, average: 0 },
+                        { period: '2024-03-01', total: 55, count: 1, average: 55 },
+                    ]);
+                });
+
+            // A calendar date covers the whole day in the time zone
+            await request(app)
+                .get('/admin/reports/earnings')
+                .set('profile_id', admin.id)
+                .query({ interval: 'day', timeZone: 'America/New_York', start: '2024-01-31', end: '2024-01-31' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.periods).to.deep.eq([{ period: '2024-01-31', total: 30, count: 1, average: 30 }]);
+                });
+        });
+
+        it("should succeed and total payments by week across the whole range given", async () => {
+            const { admin } = await seedTestObjectsForReportTests();
+
+            await request(app)
+                .get('/admin/reports/earnings')
+                .set('profile_id', admin.id)
+                .query({ interval: 'week', start: '2024-01-01', end: '2024-01-28' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.total).to.eq(300);
+                    expect(res.body.periods).to.deep.eq([
+                        { period: '2024-01-01', total: 100, count: 1, average: 100 },
+                        { period: '2024-01-08', total: 0, count: 0, average: 0 },
+                        { period: '2024-01-15', total: 200, count: 1, average: 200 },
+                        { period: '2024-01-22', total: 0, count: 0, average: 0 },
+                    ]);
+                });
+
+            await request(app)
+                .get('/admin/reports/earnings')
+                .set('profile_id', admin.id)
+                .query({ interval: 'day', start: '2023-06-01', end: '2023-06-03' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.count).to.eq(0);
+                    expect(res.body.periods.map(({ period, total }) => [period, total])).to.deep.eq([
+                        ['2023-06-01', 0],
+                        ['2023-06-02', 0],
+                        ['2023-06-03', 0],
+                    ]);
+                });
+        });
+
+        it("should succeed and break each period down by profession, client or contractor", async () => {
+            const { admin } = await seedTestObjectsForReportTests();
+
+            await request(app)
+                .get('/admin/reports/earnings')
+                .set('profile_id', admin.id)
+                .query({ groupBy: 'profession' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.groupBy).to.eq('profession');
+                    expect(res.body.periods[0].groups).to.deep.eq([
+                        { profession: 'Programmer', total: 300, count: 2, average: 150 },
+                        { profession: 'Musician', total: 0, count: 0, average: 0 },
+                    ]);
+                    expect(res.body.periods[2].groups).to.deep.eq([
+                        { profession: 'Programmer', total: 0, count: 0, average: 0 },
+                        { profession: 'Musician', total: 55, count: 1, average: 55 },
+                    ]);
+                });
+
+            await request(app)
+                .get('/admin/reports/earnings')
+                .set('profile_id', admin.id)
+                .query({ groupBy: 'client', currency: 'EUR' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.currency).to.eq('EUR');
+                    expect(res.body.periods[2].groups).to.deep.eq([
+                        { id: 1, fullName: 'Alice test', total: 0, count: 0, average: 0 },
+                        { id: 4, fullName: 'Dave test', total: 50, count: 1, average: 50 },
+                    ]);
+                });
+
+            await request(app)
+                .get('/admin/reports/earnings')
+                .set('profile_id', admin.id)
+                .query({ groupBy: 'contractor', interval: 'week', start: '2024-01-15', end: '2024-01-21' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.periods).to.deep.eq([{
+                        period: '2024-01-15',
+                        total: 200,
+                        count: 1,
+                        average: 200,
+                        groups: [{ id: 2, fullName: 'Bob test', total: 200, count: 1, average: 200 }],
+                    }]);
+                });
+        });
+
+        it("should fail with invalid parameters", async () => {
+            const { admin } = await seedTestObjectsForReportTests();
+
+            for (const query of [
+                { interval: 'year' },
+                { groupBy: 'country' },
+                { timeZone: 'Mars/Olympus_Mons' },
+                { currency: 'dollars' },
+                { start: 'yesterday' },
+                { start: '2024-02-01', end: '2024-01-01' },
+                { interval: 'day', start: '2000-01-01', end: '2024-01-01' },
+            ]) {
+                await request(app)
+                    .get('/admin/reports/earnings')
+                    .set('profile_id', admin.id)
+                    .query(query)
+                    .expect(400)
+                    .then((res) => {
+                        expect(res.body.error.code).to.eq('VALIDATION_ERROR');
+                    });
+            }
+        });
+    });
+
+    describe("Exports | Stream statements, reports and listings as CSV or JSON", () => {
+        const seedTestObjectsForExportTests = async () => {
+            const profiles = {};
+            for (const [name, id, type, profession, firstName] of [
+                ['client', 1, 'client', 'Buyer', 'Alice'],
+                ['contractor', 2, 'contractor', 'Programmer', 'Bob'],
+                ['admin', 3, 'admin', 'Admin', 'Carol'],
+                ['otherClient', 4, 'client', 'Buyer', 'Dave'],
+            ]) {
+                profiles[name] = await Profile.create({
+                    id,
+                    firstName,
+                    lastName: 'test',
+                    profession,
+                    balance: 1000,
+                    type,
+                });
+            }
+
+            const contract1 = await Contract.create({ id: 1, terms: '=HYPERLINK("http://example.com")', status: 'in_progress', ClientId: 1, ContractorId: 2 });
+            const contract2 = await Contract.create({ id: 2, terms: 'design, "phase 2"', status: 'in_progress', ClientId: 4, ContractorId: 2 });
+
+            await Job.create({ id: 1, description: 'build', price: 100, amountPaid: 100, paid: true, paymentDate: new Date('2024-01-20T12:00:00.000Z'), status: 'approved', ContractId: contract1.id });
+            await Job.create({ id: 2, description: 'test', price: 200, amountPaid: 200, paid: true, paymentDate: new Date('2024-01-05T12:00:00.000Z'), status: 'approved', ContractId: contract1.id });
+            await Job.create({ id: 3, description: 'design', price: 300, amountPaid: 300, paid: true, paymentDate: new Date('2024-02-05T12:00:00.000Z'), status: 'approved', ContractId: contract2.id });
+            await Job.create({ id: 4, description: 'deploy', price: 50, status: 'approved', ContractId: contract1.id });
+
+            return profiles;
+        };
+
+        it("should succeed and export a statement of paid jobs as CSV, in the order they were paid", async () => {
+            const { client, contractor } = await seedTestObjectsForExportTests();
+
+            await request(app)
+                .get(`/exports/statement/${client.id}/jobs`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .expect('Content-Type', /text\/csv/)
+                .expect('Content-Disposition', `attachment; filename="statement-${client.id}-jobs.csv"`)
+                .then((res) => {
+                    expect(res.text).to.eq([
+                        'id,paymentDate,ContractId,counterpartyId,description,price,amountPaid,currency',
+                        '2,2024-01-05T12:00:00.000Z,1,2,test,200,200,USD',
+                        '1,2024-01-20T12:00:00.000Z,1,2,build,100,100,USD',
+                        '',
+                    ].join('\r\n'));
+                });
+
+            await request(app)
+                .get(`/exports/statement/${contractor.id}/jobs`)
+                .set('profile_id', contractor.id)
+                .query({ format: 'json', start: '2024-01-10', end: '2024-02-05' })
+                .expect(200)
+                .expect('Content-Type', /application\/json/)
+                .then((res) => {
+                    expect(res.body.map((job) => [job.id, job.counterpartyId])).to.deep.eq([[1, client.id], [3, 4]]);
+                });
+
+            await request(app)
+                .get(`/exports/statement/${client.id}/jobs`)
+                .set('profile_id', client.id)
+                .query({ format: 'xlsx' })
+                .expect(400);
+        });
+
+        it("should succeed and export the movements of a balance with the running balance", async () => {
+            const { client, admin } = await seedTestObjectsForExportTests();
+
+            await request(app)
+                .post('/jobs/4/pay')
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .get(`/exports/statement/${client.id}/balance`)
+                .set('profile_id', admin.id)
+                .query({ format: 'json' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((entry) => [entry.kind, entry.direction, entry.amount, entry.runningBalance])).to.deep.eq([
+                        ['opening_balance', 'credit', 1000, 1000],
+                        ['job_payment', 'debit', 50, 950],
+                    ]);
+                });
+
+            // Movements before the range still count towards the running balance
+            await request(app)
+                .get(`/exports/statement/${client.id}/balance`)
+                .set('profile_id', client.id)
+                .query({ start: new Date(Date.now() + 60 * 1000).toISOString() })
+                .expect(200)
+                .then((res) => {
+                    expect(res.text).to.eq('id,createdAt,kind,direction,amount,currency,runningBalance,JobId,transferId\r\n');
+                });
+        });
+
+        it("should succeed and export contracts with fields escaped for spreadsheets", async () => {
+            const { client, contractor } = await seedTestObjectsForExportTests();
+
+            await request(app)
+                .get('/exports/contracts')
+                .set('profile_id', contractor.id)
+                .expect(200)
+                .then((res) => {
+                    const [header, ...lines] = res.text.split('\r\n');
+                    expect(header.split(',').slice(0, 4)).to.deep.eq(['id', 'status', 'terms', 'currency']);
+                    expect(lines[0]).to.match(/^1,in_progress,"'=HYPERLINK\(""http:\/\/example.com""\)",USD,1,2,manual,/);
+                    expect(lines[1]).to.match(/^2,in_progress,"design, ""phase 2""",USD,4,2,manual,/);
+                    expect(lines[2]).to.eq('');
+                });
+
+            await request(app)
+                .get('/exports/contracts')
+                .set('profile_id', client.id)
+                .query({ format: 'json' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((contract) => contract.id)).to.deep.eq([1]);
+                    expect(res.body[0].terms).to.eq('=HYPERLINK("http://example.com")');
+                    expect(res.body[0].endDate).to.eq(null);
+                });
+        });
+
+        it("should succeed and export more jobs than fit in one batch", async () => {
+            const { client, admin } = await seedTestObjectsForExportTests();
+
+            const jobCount = EXPORT_BATCH_SIZE * 2 + 10;
+            await Job.bulkCreate(Array.from({ length: jobCount }, (value, index) => ({
+                id: 100 + index,
+                description: `job ${index}`,
+                price: 1,
+                status: 'open',
+                ContractId: 1,
+            })));
+
+            await request(app)
+                .get('/exports/jobs')
+                .set('profile_id', client.id)
+                .query({ paid: 'false' })
+                .expect(200)
+                .then((res) => {
+                    const lines = res.text.trim().split('\r\n');
+                    expect(lines).to.have.length(jobCount + 2);
+                    expect(lines[1]).to.match(/^4,1,deploy,50,0,50,USD,false,,approved,\d{4}-/);
+                    expect(new Set(lines.map((line) => line.split(',')[0])).size).to.eq(jobCount + 2);
+                });
+
+            await request(app)
+                .get('/exports/jobs')
+                .set('profile_id', admin.id)
+                .query({ format: 'json', paid: 'true' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((job) => job.id)).to.deep.eq([1, 2, 3]);
+                    expect(res.body[0].paid).to.eq(true);
+                });
+        });
+
+        it("should succeed and export the admin reports", async () => {
+            const { admin } = await seedTestObjectsForExportTests();
+
+            await request(app)
+                .get('/admin/best-clients')
+                .set('profile_id', admin.id)
+                .query({ format: 'csv', limit: 1 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.text).to.eq('id,fullName,paid,currency\r\n1,Alice test,300,USD\r\n');
+                });
+
+            // Exports include every client unless a limit is given
+            await request(app)
+                .get('/admin/best-clients')
+                .set('profile_id', admin.id)
+                .query({ format: 'json' })
+                .expect(200)
+                .expect('Content-Disposition', 'attachment; filename="best-clients.json"')
+                .then((res) => {
+                    expect(res.body).to.deep.eq([
+                        { id: 1, fullName: 'Alice test', paid: 300, currency: 'USD' },
+                        { id: 4, fullName: 'Dave test', paid: 300, currency: 'USD' },
+                    ]);
+                });
+
+            await request(app)
+                .get('/admin/best-profession')
+                .set('profile_id', admin.id)
+                .query({ format: 'csv' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.text).to.eq('profession\r\nProgrammer\r\n');
+                });
+
+            await request(app)
+                .get('/admin/best-profession')
+                .set('profile_id', admin.id)
+                .query({ format: 'csv', end: '2000-01-01' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.text).to.eq('profession\r\n');
+                });
+
+            await request(app)
+                .get('/admin/reports/earnings')
+                .set('profile_id', admin.id)
+                .query({ format: 'csv', groupBy: 'client' })
+                .expect(200)
+                .expect('Content-Disposition', 'attachment; filename="earnings-by-month.csv"')
+                .then((res) => {
+                    expect(res.text).to.eq([
+                        'period,id,fullName,total,count,average,currency',
+                        '2024-01-01,1,Alice test,300,2,150,USD',
+                        '2024-01-01,4,Dave test,0,0,0,USD',
+                        '2024-02-01,1,Alice test,0,0,0,USD',
+                        '2024-02-01,4,Dave test,300,1,300,USD',
+                        '',
+                    ].join('\r\n'));
+                });
+
+            await request(app)
+                .get('/admin/best-clients')
+                .set('profile_id', admin.id)
+                .query({ format: 'pdf' })
+                .expect(400);
+        });
+
+        it("should fail and return an error for an unknown status or paid filter", async () => {
+            const { client } = await seedTestObjectsForExportTests();
+
+            for (const [path, query, parameter] of [
+                ['/exports/contracts', { status: 'finished' }, 'status'],
+                ['/exports/jobs', { status: 'paid' }, 'status'],
+                ['/exports/jobs', { paid: 'yes' }, 'paid'],
+            ]) {
+                await request(app)
+                    .get(path)
+                    .set('profile_id', client.id)
+                    .query(query)
+                    .expect(400)
+                    .then((res) => {
+                        expect(res.body.error.code).to.eq('VALIDATION_ERROR');
+                        expect(res.body.error.details.parameter).to.eq(parameter);
+                    });
+            }
+
+            await request(app)
+                .get('/exports/jobs')
+                .set('profile_id', client.id)
+                .query({ format: 'json', status: 'approved' })
+                .expect(200);
+        });
+    });
+
+    describe("Invoices | Numbered invoices and receipts for every job payment", () => {
+        const seedTestObjectsForInvoiceTests = async () => {
+            const client = await Profile.create({
+                id: 1,
+                firstName: 'Alice',
+                lastName: 'Smith',
+                profession: 'test',
+                email: 'alice@example.com',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contractor = await Profile.create({
+                id: 2,
+                firstName: 'Bob',
+                lastName: 'Jones',
+                profession: 'Programmer',
+                email: 'bob@example.com',
+                balance: 0,
+                type: 'contractor'
+            });
+
+            const otherClient = await Profile.create({
+                id: 3,
+                firstName: 'test',
+                lastName: 'test',
+                profession: 'test',
+                balance: 1000,
+                type: 'client'
+            });
+
+            const contract = await Contract.create({
+                id: 1,
+                terms: 'bla bla bla',
+                status: 'in_progress',
+                ClientId: client.id,
+                ContractorId: contractor.id,
+            });
+
+            const job1 = await Job.create({ id: 1, description: 'Build the <login> page & "more"', price: 200, status: 'approved', ContractId: contract.id });
+            const job2 = await Job.create({ id: 2, description: 'work', price: 100, status: 'approved', ContractId: contract.id });
+            const job3 = await Job.create({ id: 3, description: 'work', price: 50, status: 'approved', ContractId: contract.id });
+
+            return { client, contractor, otherClient, contract, job1, job2, job3 };
+        };
+
+        const collectBuffer = (res, callback) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+        };
+
+        it("should issue a sequentially numbered invoice for every payment", async () => {
+            const { client, contractor, job1, job2, job3 } = await seedTestObjectsForInvoiceTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: 50 })
+                .expect(200);
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .post('/jobs/pay-batch')
+                .set('profile_id', client.id)
+                .send({ jobIds: [job2.id, job3.id] })
+                .expect(200);
+
+            await request(app)
+                .get(`/jobs/${job1.id}/invoices`)
+                .set('profile_id', contractor.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((invoice) => invoice.invoiceNumber)).to.deep.eq(['INV-000001', 'INV-000002']);
+                    expect(res.body.map((invoice) => invoice.amount)).to.deep.eq([50, 150]);
+                    expect(res.body.map((invoice) => invoice.amountOutstanding)).to.deep.eq([150, 0]);
+                    expect(res.body[0]).to.include({
+                        clientName: 'Alice Smith',
+                        clientEmail: 'alice@example.com',
+                        contractorName: 'Bob Jones',
+                        contractorProfession: 'Programmer',
+                        contractorEmail: 'bob@example.com',
+                        description: 'Build the <login> page & "more"',
+                        currency: 'USD',
+                        jobPrice: 200,
+                        ContractId: 1,
+                    });
+                });
+
+            const invoices = await Invoice.findAll({ order: [['number', 'ASC']] });
+            expect(invoices.map((invoice) => [invoice.number, invoice.JobId])).to.deep.eq([[1, 1], [2, 1], [3, 2], [4, 3]]);
+            expect(await JobPayment.count()).to.eq(4);
+            expect(invoices.every((invoice) => invoice.JobPaymentId)).to.eq(true);
+        });
+
+        it("should not issue an invoice for a payment which fails", async () => {
+            const { client, otherClient, job1 } = await seedTestObjectsForInvoiceTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .send({ amount: 5000 })
+                .expect(400);
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', otherClient.id)
+                .expect(404);
+
+            expect(await Invoice.count()).to.eq(0);
+        });
+
+        it("should render an invoice as HTML for the client and a receipt for the contractor", async () => {
+            const { client, contractor, job1 } = await seedTestObjectsForInvoiceTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .get('/invoices/1')
+                .set('profile_id', client.id)
+                .expect(200)
+                .expect('Content-Type', /text\/html/)
+                .then((res) => {
+                    expect(res.text).to.include('<title>Invoice INV-000001</title>');
+                    expect(res.text).to.include('Alice Smith');
+                    expect(res.text).to.include('bob@example.com');
+                    expect(res.text).to.include('Contract #1 &middot; Job #1');
+                    expect(res.text).to.include('Build the &lt;login&gt; page &amp; &quot;more&quot;');
+                    expect(res.text).to.include('200.00 USD');
+                    expect(res.text).to.not.include('{{');
+                });
+
+            await request(app)
+                .get('/invoices/1')
+                .set('profile_id', contractor.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.text).to.include('<title>Receipt INV-000001</title>');
+                });
+        });
+
+        it("should download an invoice as a PDF document", async () => {
+            const { client, contractor, job1 } = await seedTestObjectsForInvoiceTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .get('/invoices/1')
+                .set('profile_id', contractor.id)
+                .query({ format: 'pdf' })
+                .buffer(true)
+                .parse(collectBuffer)
+                .expect(200)
+                .expect('Content-Type', 'application/pdf')
+                .expect('Content-Disposition', 'attachment; filename="receipt-INV-000001.pdf"')
+                .then((res) => {
+                    const pdf = res.body.toString('latin1');
+                    expect(pdf.startsWith('%PDF-1.4')).to.eq(true);
+                    expect(pdf.trimEnd().endsWith('%%EOF')).to.eq(true);
+                    expect(pdf).to.include('(Receipt INV-000001)');
+                    expect(pdf).to.include('(Build the <login> page & "more")');
+                    expect(pdf).to.include('200.00 USD');
+
+                    // The cross-reference table must point at each object
+                    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+                    expect(pdf.slice(xrefOffset).startsWith('xref')).to.eq(true);
+                    const offsets = pdf.slice(xrefOffset).match(/^\d{10} 00000 n $/gm).map((line) => Number(line.slice(0, 10)));
+                    offsets.forEach((offset, index) => {
+                        expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).to.eq(true);
+                    });
+                });
+
+            await request(app)
+                .get('/invoices/1')
+                .set('profile_id', client.id)
+                .query({ format: 'docx' })
+                .expect(400);
+        });
+
+        it("should hide invoices from other profiles", async () => {
+            const { client, otherClient, job1 } = await seedTestObjectsForInvoiceTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            await request(app)
+                .get('/invoices/1')
+                .set('profile_id', otherClient.id)
+                .expect(404);
+
+            await request(app)
+                .get(`/jobs/${job1.id}/invoices`)
+                .set('profile_id', otherClient.id)
+                .expect(404);
+        });
+
+        it("should not allow an invoice to be changed once issued", async () => {
+            const { client, job1 } = await seedTestObjectsForInvoiceTests();
+
+            await request(app)
+                .post(`/jobs/${job1.id}/pay`)
+                .set('profile_id', client.id)
+                .expect(200);
+
+            const invoice = await Invoice.findOne();
+            invoice.amount = 1;
+
+            await invoice.save().then(() => expect.fail(), (error) => expect(error.message).to.eq('Invoices are immutable'));
+            await invoice.destroy().then(() => expect.fail(), (error) => expect(error.message).to.eq('Invoices are immutable'));
+        });
+    });
+
+    describe("Admin analytics | Best professions and clients totalled by the database", () => {
+        const seedTestObjectsForAnalyticsTests = async () => {
+            const admin = await Profile.create({ id: 1, firstName: 'test', lastName: 'test', profession: 'test', type: 'admin' });
+
+            for (const [id, firstName] of [[2, 'Alice'], [3, 'Bob'], [4, 'Carol']]) {
+                await Profile.create({ id, firstName, lastName: 'test', profession: 'test', balance: 0, type: 'client' });
+            }
+
+            for (const [id, profession] of [[5, 'Programmer'], [6, 'Designer'], [7, 'Programmer'], [8, 'Writer']]) {
+                await Profile.create({ id, firstName: 'test', lastName: 'test', profession, balance: 0, type: 'contractor' });
+            }
+
+            const createContract = (id, ClientId, ContractorId, currency = 'USD') => Contract.create({ id, terms: 'bla bla bla', status: 'in_progress', currency, ClientId, ContractorId });
+            await createContract(1, 2, 5);
+            await createContract(2, 3, 6);
+            await createContract(3, 4, 7);
+            await createContract(4, 2, 8);
+
+            const createPaidJob = (ContractId, price, paymentDate) => Job.create({ description: 'work', price, paid: true, amountPaid: price, paymentDate: new Date(paymentDate), status: 'approved', ContractId });
+            // Programmers earn 300, designers 300 and writers 100 in January; only designers are paid in February
+            await createPaidJob(1, 100.1, '2024-01-05');
+            await createPaidJob(3, 199.9, '2024-01-20');
+            await createPaidJob(2, 300, '2024-01-10');
+            await createPaidJob(4, 100, '2024-01-15');
+            await createPaidJob(2, 50, '2024-02-01');
+            await Job.create({ description: 'work', price: 1000, status: 'approved', ContractId: 1 });
+
+            return { admin };
+        };
+
+        it("should succeed and return every profession tied for the highest earnings within the range", async () => {
+            const { admin } = await seedTestObjectsForAnalyticsTests();
+
+            await request(app)
+                .get('/admin/best-profession')
+                .set('profile_id', admin.id)
+                .query({ start: '2024-01-01', end: '2024-01-31' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq(['Programmer', 'Designer']);
+                });
+
+            await request(app)
+                .get('/admin/best-profession')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq(['Designer']);
+                });
+
+            await request(app)
+                .get('/admin/best-profession')
+                .set('profile_id', admin.id)
+                .query({ start: '2024-01-12', end: '2024-01-31' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq(['Programmer']);
+                });
+
+            await request(app)
+                .get('/admin/best-profession')
+                .set('profile_id', admin.id)
+                .query({ start: '2030-01-01' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq([]);
+                });
+        });
+
+        it("should succeed and cover whole days with calendar dates and reject invalid ranges", async () => {
+            const { admin } = await seedTestObjectsForAnalyticsTests();
+
+            // Paid in the evening of the 1st of February, after the designers were paid at midnight
+            await Job.create({ description: 'work', price: 100, paid: true, amountPaid: 100, paymentDate: new Date('2024-02-01T18:00:00.000Z'), status: 'approved', ContractId: 4 });
+
+            await request(app)
+                .get('/admin/best-profession')
+                .set('profile_id', admin.id)
+                .query({ start: '2024-02-01', end: '2024-02-01' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq(['Writer']);
+                });
+
+            await request(app)
+                .get('/admin/best-clients')
+                .set('profile_id', admin.id)
+                .query({ start: '2024-02-01', end: '2024-02-01' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq([
+                        { id: 2, fullName: 'Alice test', paid: 100, currency: 'USD' },
+                        { id: 3, fullName: 'Bob test', paid: 50, currency: 'USD' },
+                    ]);
+                });
+
+            for (const path of ['/admin/best-profession', '/admin/best-clients']) {
+                for (const query of [{ start: 'yesterday' }, { end: 'tomorrow' }, { start: '2024-02-01', end: '2024-01-01' }]) {
+                    await request(app)
+                        .get(path)
+                        .set('profile_id', admin.id)
+                        .query(query)
+                        .expect(400)
+                        .then((res) => {
+                            expect(res.body.error.code).to.eq('VALIDATION_ERROR');
+                        });
+                }
+            }
+        });
+
+        it("should succeed and rank the clients by how much they paid, paging across ties", async () => {
+            const { admin } = await seedTestObjectsForAnalyticsTests();
+
+            await request(app)
+                .get('/admin/best-clients')
+                .set('profile_id', admin.id)
+                .query({ end: '2024-01-31', limit: 1 })
+                .expect(200)
+                .then((res) => {
+                    // Alice and Bob both paid 300 in January, so the lower id ranks first
+                    expect(res.body).to.deep.eq([{ id: 3, fullName: 'Bob test', paid: 300, currency: 'USD' }]);
+                    expect(res.headers['x-next-cursor']).to.be.a('string');
+                });
+
+            await request(app)
+                .get('/admin/best-clients')
+                .set('profile_id', admin.id)
+                .query({ limit: 5 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq([
+                        { id: 3, fullName: 'Bob test', paid: 350, currency: 'USD' },
+                        { id: 2, fullName: 'Alice test', paid: 200.1, currency: 'USD' },
+                        { id: 4, fullName: 'Carol test', paid: 199.9, currency: 'USD' },
+                    ]);
+                    expect(res.headers['x-next-cursor']).to.eq(undefined);
+                });
+
+            const pages = [];
+            let cursor;
+            do {
+                const res = await request(app)
+                    .get('/admin/best-clients')
+                    .set('profile_id', admin.id)
+                    .query({ limit: 1, end: '2024-01-31', ...(cursor ? { cursor } : {}) })
+                    .expect(200);
+                pages.push(res.body.map((client) => client.id));
+                cursor = res.headers['x-next-cursor'];
+            } while (cursor);
+
+            expect(pages).to.deep.eq([[3], [2], [4]]);
+        });
+
+        it("should succeed and convert each job to the cent before adding them up", async () => {
+            const { admin } = await seedTestObjectsForAnalyticsTests();
+
+            await ExchangeRate.bulkCreate([
+                { baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 0.5, effectiveFrom: new Date('2024-01-01') },
+                { baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 0.25, effectiveFrom: new Date('2024-02-01') },
+            ]);
+
+            await Contract.create({ id: 5, terms: 'bla bla bla', status: 'in_progress', currency: 'EUR', ClientId: 4, ContractorId: 8 });
+            for (const paymentDate of ['2024-03-01', '2024-03-02', '2024-03-03']) {
+                await Job.create({ description: 'work', price: 0.05, paid: true, amountPaid: 0.05, paymentDate: new Date(paymentDate), status: 'approved', ContractId: 5 });
+            }
+
+            // Each 0.05 EUR job is 0.20 USD through the inverse of the rate in effect, not an earlier one
+            await request(app)
+                .get('/admin/best-clients')
+                .set('profile_id', admin.id)
+                .query({ start: '2024-03-01' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq([{ id: 4, fullName: 'Carol test', paid: 0.6, currency: 'USD' }]);
+                });
+
+            // Each job is 0.0125 USD, rounded to 0.01 before the three are added up
+            await request(app)
+                .get('/admin/best-clients')
+                .set('profile_id', admin.id)
+                .query({ start: '2024-03-01', currency: 'EUR' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq([{ id: 4, fullName: 'Carol test', paid: 0.15, currency: 'EUR' }]);
+                });
+
+            await request(app)
+                .get('/admin/best-clients')
+                .set('profile_id', admin.id)
+                .query({ start: '2024-01-01', end: '2024-01-31', currency: 'EUR', limit: 5 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map((client) => client.paid)).to.deep.eq([150, 100.05, 99.95]);
+                });
+
+            await request(app)
+                .get('/admin/best-profession')
+                .set('profile_id', admin.id)
+                .query({ currency: 'EUR' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq(['Designer']);
+                });
+        });
+
+        it("should total exactly what converting each job with convertCurrency adds up to, whatever the rates", async () => {
+            const { admin } = await seedTestObjectsForAnalyticsTests();
+
+            await ExchangeRate.bulkCreate([
+                // Only recorded in the opposite direction, so jobs in these currencies are converted by dividing
+                { baseCurrency: 'USD', quoteCurrency: 'GBP', rate: 6, effectiveFrom: new Date('2024-01-01') },
+                { baseCurrency: 'USD', quoteCurrency: 'JPY', rate: 1.23456789, effectiveFrom: new Date('2024-01-01') },
+                { baseCurrency: 'CHF', quoteCurrency: 'USD', rate: 0.33333333, effectiveFrom: new Date('2024-01-01') },
+            ]);
+
+            const jobs = [];
+            for (const [id, ClientId, currency] of [[5, 2, 'GBP'], [6, 3, 'JPY'], [7, 4, 'CHF']]) {
+                await Contract.create({ id, terms: 'bla bla bla', status: 'in_progress', currency, ClientId, ContractorId: 8 });
+                for (const price of [0.03, 0.01, 0.07, 0.09, 12.34, 99.99]) {
+                    jobs.push(await Job.create({ description: 'work', price, paid: true, amountPaid: price, paymentDate: new Date('2024-03-01'), status: 'approved', ContractId: id }));
+                }
+            }
+
+            // 0.03 GBP is exactly half a cent, which rounds up; multiplying by the rounded inverse of 6 rounded it down
+            expect(await convertCurrency(0.03, 'GBP', 'USD', new Date('2024-03-01'))).to.include({ amount: 0.01 });
+
+            const expectedTotals = new Map();
+            for (const job of jobs) {
+                const contract = await Contract.findByPk(job.ContractId);
+                const { amount } = await convertCurrency(job.price, contract.currency, 'USD', job.paymentDate);
+                expectedTotals.set(contract.ClientId, Money.of(expectedTotals.get(contract.ClientId) || 0).plus(amount).toNumber());
+            }
+
+            await request(app)
+                .get('/admin/best-clients')
+                .set('profile_id', admin.id)
+                .query({ start: '2024-03-01', limit: 5 })
+                .expect(200)
+                .then((res) => {
+                    expect(Object.fromEntries(res.body.map(({ id, paid }) => [id, paid]))).to.deep.eq(Object.fromEntries(expectedTotals));
+                });
+        });
+
+        it("should fail and return an error when a paid job cannot be converted into the reporting currency", async () => {
+            const { admin } = await seedTestObjectsForAnalyticsTests();
+
+            for (const path of ['/admin/best-profession', '/admin/best-clients']) {
+                await request(app)
+                    .get(path)
+                    .set('profile_id', admin.id)
+                    .query({ currency: 'GBP' })
+                    .expect(400)
+                    .then((res) => {
+                        expect(res.body.error.code).to.eq('EXCHANGE_RATE_NOT_FOUND');
+                        expect(res.body.error.details).to.include({ fromCurrency: 'USD', toCurrency: 'GBP' });
+                    });
+            }
+        });
+
+        it("should index paid jobs by payment date and contracts by their parties", async () => {
+            const indexedFields = async (tableName) => (await sequelize.getQueryInterface().showIndex(tableName))
+                .map((index) => index.fields.map((field) => field.attribute).join(','));
+
+            expect(await indexedFields('Jobs')).to.include.members(['paid,paymentDate', 'ContractId']);
+            expect(await indexedFields('Contracts')).to.include.members(['ClientId', 'ContractorId']);
+        });
+    });
+
+    describe("Migrations | Versioned schema changes which keep the data", () => {
+        // Tables, columns, foreign keys and indexes, independent of the order they were created in
+        const describeSchema = async () => {
+            const [tables] = await sequelize.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT IN ('sqlite_sequence', 'SchemaMigrations') ORDER BY name");
+
+            const schema = {};
+            for (const { name } of tables) {
+                const [columns] = await sequelize.query(`SELECT * FROM pragma_table_info('${name}')`);
+                const [foreignKeys] = await sequelize.query(`SELECT * FROM pragma_foreign_key_list('${name}')`);
+                const [indexes] = await sequelize.query(`SELECT * FROM pragma_index_list('${name}')`);
+
+                const indexedColumns = [];
+                for (const index of indexes) {
+                    const [indexColumns] = await sequelize.query(`SELECT * FROM pragma_index_info('${index.name}')`);
+                    indexedColumns.push(`${index.origin === 'c' ? index.name : 'constraint'} ${index.unique ? 'unique ' : ''}(${indexColumns.map((column) => column.name).join(', ')})`);
+                }
+
+                schema[name] = {
+                    columns: columns
+                        .map(({ name: column, type, notnull, dflt_value, pk }) => `${column} ${type}${notnull ? ' NOT NULL' : ''}${dflt_value === null ? '' : ` DEFAULT ${dflt_value}`}${pk ? ' PRIMARY KEY' : ''}`)
+                        .sort(),
+                    foreignKeys: foreignKeys.map((key) => `${key.from} -> ${key.table}.${key.to} ON DELETE ${key.on_delete} ON UPDATE ${key.on_update}`).sort(),
+                    indexes: indexedColumns.sort(),
+                };
+            }
+
+            return schema;
+        };
+
+        const ADD_TAGS_MIGRATION = {
+            version: '9001',
+            name: 'add-job-tags',
+            up: ({ queryInterface, Sequelize, transaction }) => queryInterface.addColumn('Jobs', 'tags', { type: Sequelize.TEXT }, { transaction }),
+            down: ({ queryInterface, transaction }) => queryInterface.removeColumn('Jobs', 'tags', { transaction }),
+        };
+
+        const FAILING_MIGRATION = {
+            version: '9002',
+            name: 'fails-part-way',
+            up: async ({ queryInterface, Sequelize, transaction }) => {
+                await queryInterface.createTable('Tags', { name: { type: Sequelize.STRING, primaryKey: true } }, { transaction });
+                throw new Error('Something went wrong');
+            },
+            down: ({ queryInterface, transaction }) => queryInterface.dropTable('Tags', { transaction }),
+        };
+
+        it("should build the same schema as the models describe", async () => {
+            const migratedSchema = await describeSchema();
+
+            await sequelize.getQueryInterface().dropAllTables();
+            await sequelize.sync();
+
+            expect(migratedSchema).to.deep.eq(await describeSchema());
+            expect(Object.keys(migratedSchema)).to.include.members(['Profiles', 'Contracts', 'Jobs']);
+        });
+
+        it("should apply migrations in order, record them and roll them back", async () => {
+            const migrations = [...loadMigrations(), ADD_TAGS_MIGRATION];
+            const versions = migrations.map((migration) => migration.version);
+            expect(versions[0]).to.eq('0001');
+
+            expect((await getMigrationStatus({ migrations })).map(({ version, appliedAt }) => [version, !!appliedAt]))
+                .to.deep.eq(versions.map((version) => [version, version !== '9001']));
+
+            expect(await migrate({ migrations })).to.deep.eq(['9001']);
+            expect(await migrate({ migrations })).to.deep.eq([]);
+            expect(await sequelize.getQueryInterface().describeTable('Jobs')).to.have.property('tags');
+            expect((await SchemaMigration.findAll({ order: [['version', 'ASC']] })).map((migration) => migration.name))
+                .to.deep.eq(migrations.map((migration) => migration.name));
+
+            const job = await Job.create({ description: 'work', price: 100 });
+
+            expect(await rollback({ migrations })).to.deep.eq(['9001']);
+            expect(await sequelize.getQueryInterface().describeTable('Jobs')).to.not.have.property('tags');
+            expect((await Job.findOne({ where: { id: job.id } })).description).to.eq('work');
+
+            await migrate({ migrations });
+            expect(await rollback({ migrations, to: '0' })).to.deep.eq([...versions].reverse());
+            expect(await sequelize.getQueryInterface().showAllTables()).to.deep.eq(['SchemaMigrations']);
+            expect((await getMigrationStatus({ migrations })).every(({ appliedAt }) => appliedAt === null)).to.eq(true);
+
+            expect(await migrate({ migrations, to: '0001' })).to.deep.eq(['0001']);
+            expect(await migrate({ migrations })).to.deep.eq(versions.slice(1));
+            expect(await rollback({ migrations, steps: 2 })).to.deep.eq(versions.slice(-2).reverse());
+
+            await migrate({ migrations, to: '9999' }).then(() => expect.fail(), (error) => expect(error.message).to.eq('There is no migration with version 9999'));
+        });
+
+        it("should leave the schema as it was when a migration fails", async () => {
+            const migrations = [...loadMigrations(), ADD_TAGS_MIGRATION, FAILING_MIGRATION];
+
+            await migrate({ migrations }).then(() => expect.fail(), (error) => expect(error.message).to.eq('Something went wrong'));
+
+            expect(await sequelize.getQueryInterface().showAllTables()).to.not.include('Tags');
+            expect((await getMigrationStatus({ migrations })).map(({ version, appliedAt }) => [version, !!appliedAt]))
+                .to.deep.eq(migrations.map(({ version }) => [version, version !== '9002']));
+        });
+
+        it("should adopt a database built before migrations without losing its data", async () => {
+            await sequelize.getQueryInterface().dropAllTables();
+            await sequelize.sync();
+            await sequelize.getQueryInterface().dropTable('SchemaMigrations');
+            await sequelize.getQueryInterface().removeIndex('Jobs', ['paid', 'paymentDate']);
+
+            await Profile.create({ id: 1, firstName: 'test', lastName: 'test', profession: 'test', balance: 100, type: 'client' });
+
+            expect(await migrate({ to: '0001' })).to.deep.eq(['0001']);
+
+            expect((await Profile.findOne({ where: { id: 1 } })).balance).to.eq(100);
+            const indexes = await sequelize.getQueryInterface().showIndex('Jobs');
+            expect(indexes.map((index) => index.fields.map((field) => field.attribute).join(','))).to.include('paid,paymentDate');
+        });
+
+        it("should refuse to adopt a database built by an older version which lacks columns", async () => {
+            const queryInterface = sequelize.getQueryInterface();
+            await queryInterface.dropAllTables();
+            await sequelize.sync();
+            await queryInterface.dropTable('SchemaMigrations');
+            await queryInterface.removeColumn('Jobs', 'amountPaid');
+            await queryInterface.removeColumn('Contracts', 'currency');
+
+            await migrate({ to: '0001' }).then(() => expect.fail(), (error) => {
+                expect(error.message).to.eq('The existing database was built by an older version and cannot be adopted; it is missing the columns Contracts.currency, Jobs.amountPaid');
+            });
+
+            expect((await getMigrationStatus()).every(({ appliedAt }) => appliedAt === null)).to.eq(true);
+            expect(await queryInterface.describeTable('Jobs')).to.not.have.property('amountPaid');
+        });
+    });
+
+    describe("Configuration | Defaults, a config file and environment variables, validated at startup", () => {
+        const CONFIG_FILE = './test/tmp/config.json';
+
+        const writeConfigFile = (contents) => {
+            fs.writeFileSync(CONFIG_FILE, typeof contents === 'string' ? contents : JSON.stringify(contents));
+            return CONFIG_FILE;
+        };
+
+        const expectConfigurationError = (options, problems) => {
+            expect(() => loadConfig(options)).to.throw(ConfigurationError)
+                .that.satisfies((error) => {
+                    expect(error.problems).to.deep.eq(problems);
+                    expect(error.message).to.eq(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+                    return true;
+                });
+        };
+
+        // Leave the app configured as it was for the rest of the suite
+        const originalLimits = app.get('limits');
+        afterEach(() => {
+            app.set('limits', originalLimits);
+        });
+
+        it("should use the defaults for the environment when nothing else is given", () => {
+            const config = loadConfig({ env: {}, file: writeConfigFile({}) });
+
+            expect(config).to.deep.eq({
+                environment: 'development',
+                database: { storage: './database.sqlite3', logging: true },
+                server: { port: 3001 },
+                auth: { tokenSecret: 'insecure-development-secret', allowProfileIdHeader: false },
+                webhooks: { allowPrivateUrls: false },
+                limits: {
+                    depositLimitRatio: '0.25',
+                    depositWindowHours: 24,
+                    minimumDeposit: null,
+                    maximumDeposit: null,
+                    depositWindowLimit: null,
+                    maxBatchPaymentSize: 100,
+                    disputeWindowDays: 30,
+                },
+            });
+            expect(Object.isFrozen(config.limits)).to.eq(true);
+
+            expect(loadConfig({ env: { NODE_ENV: 'test' }, file: writeConfigFile({}) }).database)
+                .to.deep.eq({ storage: './test/tmp/test-database.sqlite3', logging: false });
+        });
+
+        it("should let the config file override the defaults and environment variables override both", () => {
+            const file = writeConfigFile({
+                database: { storage: './data/contracts.sqlite3', logging: false },
+                server: { port: 8080 },
+                limits: { depositLimitRatio: 0.5, maxBatchPaymentSize: 20 },
+            });
+
+            const config = loadConfig({ env: { PORT: '9000', MAX_BATCH_PAYMENT_SIZE: '10', AUTH_TOKEN_SECRET: 'a-much-longer-secret', ALLOW_PROFILE_ID_HEADER: 'true' }, file });
+
+            expect(config.database).to.deep.eq({ storage: './data/contracts.sqlite3', logging: false });
+            expect(config.server.port).to.eq(9000);
+            expect(config.auth).to.deep.eq({ tokenSecret: 'a-much-longer-secret', allowProfileIdHeader: true });
+            expect(config.limits).to.include({ depositLimitRatio: '0.5', maxBatchPaymentSize: 10 });
+        });
+
+        it("should fail listing every invalid setting and where it came from", () => {
+            const file = writeConfigFile({ server: { port: 70000 }, limits: { depositLimitRatio: '1.5', maxDeposit: 10 }, auth: true });
+
+            expectConfigurationError({ env: { DATABASE_LOGGING: 'yes', MAX_BATCH_PAYMENT_SIZE: '0', AUTH_TOKEN_SECRET: 'short' }, file }, [
+                'limits.maxDeposit in the config file is not a known setting',
+                'auth in the config file must be an object of settings',
+                'DATABASE_LOGGING must be true or false, but is "yes"',
+                'server.port in the config file must be a whole number between 1 and 65535, but is 70000',
+                'AUTH_TOKEN_SECRET must be a string of at least 16 characters, but is "short"',
+                'limits.depositLimitRatio in the config file must be a decimal number greater than 0 and at most 1, with at most 4 decimal places, but is "1.5"',
+                'MAX_BATCH_PAYMENT_SIZE must be a whole number of at least 1, but is "0"',
+            ]);
+        });
+
+        it("should fail when the config file cannot be read or is not an object", () => {
+            expect(() => loadConfig({ env: {}, file: './test/tmp/missing-config.json' })).to.throw(ConfigurationError, 'The config file ./test/tmp/missing-config.json could not be read');
+            expect(() => loadConfig({ env: {}, file: writeConfigFile('{ "server": ') })).to.throw(ConfigurationError, `The config file ${CONFIG_FILE} could not be read`);
+            expectConfigurationError({ env: {}, file: writeConfigFile([]) }, [`The config file ${CONFIG_FILE} must contain a JSON object`]);
+        });
+
+        it("should require a token secret in production", () => {
+            expectConfigurationError({ env: { NODE_ENV: 'production' }, file: writeConfigFile({}) }, ['AUTH_TOKEN_SECRET must be set in production']);
+
+            expect(loadConfig({ env: { NODE_ENV: 'production' }, file: writeConfigFile({ auth: { tokenSecret: 'a-much-longer-secret' } }) }).auth.tokenSecret)
+                .to.eq('a-much-longer-secret');
+        });
+
+        it("should limit deposits and batch payments to the configured limits", async () => {
+            const client = await Profile.create({ id: 1, firstName: 'test', lastName: 'test', profession: 'test', balance: 1000, type: 'client' });
+            const contractor = await Profile.create({ id: 2, firstName: 'test', lastName: 'test', profession: 'test', balance: 0, type: 'contractor' });
+            const contract = await Contract.create({ id: 1, terms: 'bla bla bla', status: 'in_progress', ClientId: client.id, ContractorId: contractor.id });
+            const jobs = await Job.bulkCreate([
+                { description: 'work', price: 100, status: 'approved', ContractId: contract.id },
+                { description: 'work', price: 100, status: 'approved', ContractId: contract.id },
+            ]);
+
+            app.set('limits', { ...originalLimits, depositLimitRatio: '0.5', maxBatchPaymentSize: 1 });
+
+            // Half of the 200 outstanding
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 100.01 })
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('DEPOSIT_LIMIT_EXCEEDED');
+                });
+
+            await request(app)
+                .post(`/balances/deposit/${client.id}`)
+                .set('profile_id', client.id)
+                .send({ depositAmount: 100 })
+                .expect(200);
+
+            await request(app)
+                .post('/jobs/pay-batch')
+                .set('profile_id', client.id)
+                .send({ jobIds: jobs.map((job) => job.id) })
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.message).to.eq('jobIds must be a list of between 1 and 1 job ids');
+                });
+
+            await request(app)
+                .post('/jobs/pay-batch')
+                .set('profile_id', client.id)
+                .send({ jobIds: [jobs[0].id] })
+                .expect(200);
+        });
+    });
+
+    describe("Deposit policies | Cumulative, per-client limits on deposits", () => {
+        const seedTestObjectsForDepositPolicyTests = async () => {
+            const client = await Profile.create({ id: 1, firstName: 'test', lastName: 'test', profession: 'test', balance: 1000, type: 'client' });
+            const contractor = await Profile.create({ id: 2, firstName: 'test', lastName: 'test', profession: 'test', balance: 0, type: 'contractor' });
+            const admin = await Profile.create({ id: 3, firstName: 'test', lastName: 'test', profession: 'test', balance: 0, type: 'admin' });
+            const otherClient = await Profile.create({ id: 4, firstName: 'test', lastName: 'test', profession: 'test', balance: 1000, type: 'client' });
+
+            await Contract.create({ id: 1, terms: 'bla bla bla', status: 'in_progress', ClientId: client.id, ContractorId: contractor.id });
+            await Contract.create({ id: 2, terms: 'bla bla bla', status: 'in_progress', ClientId: otherClient.id, ContractorId: contractor.id });
+            await Job.create({ description: 'work', price: 400, status: 'approved', ContractId: 1 });
+            await Job.create({ description: 'work', price: 400, status: 'approved', ContractId: 2 });
+
+            return { client, contractor, admin, otherClient };
+        };
+
+        const deposit = (client, depositAmount) => request(app)
+            .post(`/balances/deposit/${client.id}`)
+            .set('profile_id', client.id)
+            .send({ depositAmount });
+
+        const expectRejectedDeposit = (res, details) => {
+            expect(res.status).to.eq(400);
+            expect(res.body.error.code).to.eq('DEPOSIT_LIMIT_EXCEEDED');
+            expect(res.body.error.details).to.deep.eq(details);
+        };
+
+        // Leave the app configured as it was for the rest of the suite
+        const originalLimits = app.get('limits');
+        afterEach(() => {
+            app.set('limits', originalLimits);
+        });
+
+        it("should limit the deposits made within the window to a share of the outstanding jobs in total", async () => {
+            const { client } = await seedTestObjectsForDepositPolicyTests();
+
+            // 25% of the 400 outstanding, however it is split up
+            await deposit(client, 60).expect(200);
+
+            const res = await deposit(client, 60);
+            expectRejectedDeposit(res, { rule: 'outstanding_share', limit: 100, depositedInWindow: 60, maximumDeposit: 40, depositAmount: 60 });
+            expect(res.body.error.message).to.eq('The deposit would take your recent deposits over their share of your outstanding jobs');
+
+            await deposit(client, 40).expect(200);
+            expectRejectedDeposit(await deposit(client, 0.01), { rule: 'outstanding_share', limit: 100, depositedInWindow: 100, maximumDeposit: 0, depositAmount: 0.01 });
+
+            // Deposits older than the window no longer count
+            await sequelize.getQueryInterface().bulkUpdate('LedgerEntries', { createdAt: new Date(Date.now() - 25 * 60 * 60 * 1000) }, { kind: 'deposit' });
+            await deposit(client, 100).expect(200);
+
+            await client.reload();
+            expect(client.balance).to.eq(1200);
+        });
+
+        it("should enforce the configured minimum, maximum and window limit in that order", async () => {
+            const { client } = await seedTestObjectsForDepositPolicyTests();
+
+            app.set('limits', { ...originalLimits, minimumDeposit: 10, maximumDeposit: 50, depositWindowLimit: 70 });
+
+            expectRejectedDeposit(await deposit(client, 5), { rule: 'minimum_deposit', limit: 10, depositedInWindow: 0, maximumDeposit: 50, depositAmount: 5 });
+            expectRejectedDeposit(await deposit(client, 60), { rule: 'maximum_deposit', limit: 50, depositedInWindow: 0, maximumDeposit: 50, depositAmount: 60 });
+
+            await deposit(client, 50).expect(200);
+
+            expectRejectedDeposit(await deposit(client, 30), { rule: 'window_limit', limit: 70, depositedInWindow: 50, maximumDeposit: 20, depositAmount: 30 });
+            await deposit(client, 20).expect(200);
+        });
+
+        it("should let admins override the limits for one client and go back to the defaults", async () => {
+            const { client, admin, otherClient } = await seedTestObjectsForDepositPolicyTests();
+
+            const defaultPolicy = { depositLimitRatio: 0.25, depositWindowHours: 24, minimumDeposit: null, maximumDeposit: null, depositWindowLimit: null };
+
+            await request(app)
+                .get(`/admin/deposit-policies/${client.id}`)
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq({ ProfileId: client.id, override: null, policy: defaultPolicy });
+                });
+
+            await request(app)
+                .put(`/admin/deposit-policies/${client.id}`)
+                .set('profile_id', admin.id)
+                .send({ depositLimitRatio: 0.5, maximumDeposit: '150', reason: 'Trusted client' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.override).to.include({ ProfileId: client.id, depositLimitRatio: 0.5, maximumDeposit: 150, minimumDeposit: null, reason: 'Trusted client' });
+                    expect(res.body.policy).to.deep.eq({ ...defaultPolicy, depositLimitRatio: 0.5, maximumDeposit: 150 });
+                });
+
+            // Half of the 400 outstanding, at most 150 at once
+            expectRejectedDeposit(await deposit(client, 160), { rule: 'maximum_deposit', limit: 150, depositedInWindow: 0, maximumDeposit: 150, depositAmount: 160 });
+            await deposit(client, 150).expect(200);
+            expectRejectedDeposit(await deposit(client, 60), { rule: 'outstanding_share', limit: 200, depositedInWindow: 150, maximumDeposit: 50, depositAmount: 60 });
+
+            // Other clients keep the defaults
+            expectRejectedDeposit(await deposit(otherClient, 150), { rule: 'outstanding_share', limit: 100, depositedInWindow: 0, maximumDeposit: 100, depositAmount: 150 });
+
+            // Settings not given are left as they are and null goes back to the default
+            await request(app)
+                .put(`/admin/deposit-policies/${client.id}`)
+                .set('profile_id', admin.id)
+                .send({ maximumDeposit: null, depositWindowHours: 1 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.policy).to.deep.eq({ ...defaultPolicy, depositLimitRatio: 0.5, depositWindowHours: 1 });
+                    expect(res.body.override.reason).to.eq('Trusted client');
+                });
+            expect(await DepositPolicy.count()).to.eq(1);
+
+            await request(app)
+                .delete(`/admin/deposit-policies/${client.id}`)
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.deep.eq({ ProfileId: client.id, override: null, policy: defaultPolicy });
+                });
+            expectRejectedDeposit(await deposit(client, 60), { rule: 'outstanding_share', limit: 100, depositedInWindow: 150, maximumDeposit: 0, depositAmount: 60 });
+        });
+
+        it("should fail to set an invalid override or one for a profile which is not a client", async () => {
+            const { client, contractor, admin } = await seedTestObjectsForDepositPolicyTests();
+
+            for (const [body, field] of [[{ depositLimitRatio: 2 }, 'depositLimitRatio'], [{ depositWindowHours: 0.5 }, 'depositWindowHours'], [{ minimumDeposit: -1 }, 'minimumDeposit'], [{ reason: 1 }, 'reason']]) {
+                await request(app)
+                    .put(`/admin/deposit-policies/${client.id}`)
+                    .set('profile_id', admin.id)
+                    .send(body)
+                    .expect(400)
+                    .then((res) => {
+                        expect(res.body.error.details).to.deep.eq({ field });
+                    });
+            }
+
+            await request(app)
+                .put(`/admin/deposit-policies/${client.id}`)
+                .set('profile_id', admin.id)
+                .send({})
+                .expect(400);
+
+            await request(app)
+                .put(`/admin/deposit-policies/${contractor.id}`)
+                .set('profile_id', admin.id)
+                .send({ maximumDeposit: 10 })
+                .expect(404);
+
+            expect(await DepositPolicy.count()).to.eq(0);
+        });
+    });
+
+    describe("Disputes | Clients dispute paid jobs and admins resolve them", () => {
+        const seedTestObjectsForDisputeTests = async () => {
+            const client = await Profile.create({ id: 1, firstName: 'test', lastName: 'test', profession: 'test', balance: 1000, type: 'client' });
+            const contractor = await Profile.create({ id: 2, firstName: 'test', lastName: 'test', profession: 'test', balance: 0, type: 'contractor' });
+            const admin = await Profile.create({ id: 3, firstName: 'test', lastName: 'test', profession: 'test', balance: 0, type: 'admin' });
+            const otherClient = await Profile.create({ id: 4, firstName: 'test', lastName: 'test', profession: 'test', balance: 1000, type: 'client' });
+            const otherContractor = await Profile.create({ id: 5, firstName: 'test', lastName: 'test', profession: 'test', balance: 0, type: 'contractor' });
+
+            const contract = await Contract.create({ id: 1, terms: 'bla bla bla', status: 'in_progress', ClientId: client.id, ContractorId: contractor.id });
+            const job = await Job.create({ id: 1, description: 'work', price: 200, status: 'approved', ContractId: contract.id });
+
+            return { client, contractor, admin, otherClient, otherContractor, job };
+        };
+
+        // Pays the job in full and disputes it
+        const seedDisputedJob = async () => {
+            const seeded = await seedTestObjectsForDisputeTests();
+            const { client, job } = seeded;
+
+            await request(app).post(`/jobs/${job.id}/pay`).set('profile_id', client.id).expect(200);
+
+            const res = await request(app)
+                .post(`/jobs/${job.id}/disputes`)
+                .set('profile_id', client.id)
+                .send({ reason: 'The work was never delivered' })
+                .expect(201);
+
+            return { ...seeded, dispute: res.body };
+        };
+
+        const resolve = (admin, dispute, body) => request(app)
+            .post(`/admin/disputes/${dispute.id}/resolve`)
+            .set('profile_id', admin.id)
+            .send(body);
+
+        it("should let a client dispute a job once it has been paid in full", async () => {
+            const { client, job } = await seedTestObjectsForDisputeTests();
+
+            await request(app)
+                .post(`/jobs/${job.id}/disputes`)
+                .set('profile_id', client.id)
+                .send({ reason: 'The work was never delivered' })
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('JOB_NOT_PAID');
+                });
+
+            await request(app).post(`/jobs/${job.id}/pay`).set('profile_id', client.id).expect(200);
+
+            await request(app)
+                .post(`/jobs/${job.id}/disputes`)
+                .set('profile_id', client.id)
+                .send({ reason: '  ' })
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.details).to.deep.eq({ field: 'reason' });
+                });
+
+            const dispute = await request(app)
+                .post(`/jobs/${job.id}/disputes`)
+                .set('profile_id', client.id)
+                .send({ reason: 'The work was never delivered' })
+                .expect(201)
+                .then((res) => {
+                    expect(res.body).to.include({ status: 'open', reason: 'The work was never delivered', amount: 200, currency: 'USD', JobId: job.id, ContractId: 1 });
+                    return res.body;
+                });
+
+            await request(app)
+                .post(`/jobs/${job.id}/disputes`)
+                .set('profile_id', client.id)
+                .send({ reason: 'Again' })
+                .expect(409)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('DISPUTE_EXISTS');
+                    expect(res.body.error.details).to.deep.eq({ disputeId: dispute.id });
+                });
+        });
+
+        it("should only let a job be disputed within the dispute window after it was paid", async () => {
+            const { client, job } = await seedTestObjectsForDisputeTests();
+
+            await request(app).post(`/jobs/${job.id}/pay`).set('profile_id', client.id).expect(200);
+
+            const paymentDate = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+            await job.reload();
+            await job.update({ paymentDate });
+
+            await request(app)
+                .post(`/jobs/${job.id}/disputes`)
+                .set('profile_id', client.id)
+                .send({ reason: 'The work was never delivered' })
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('DISPUTE_WINDOW_CLOSED');
+                    expect(res.body.error.details.disputeDeadline).to.eq(new Date(paymentDate.getTime() + 30 * 24 * 60 * 60 * 1000).toISOString());
+                });
+
+            const originalLimits = app.get('limits');
+            app.set('limits', { ...originalLimits, disputeWindowDays: 60 });
+            try {
+                await request(app)
+                    .post(`/jobs/${job.id}/disputes`)
+                    .set('profile_id', client.id)
+                    .send({ reason: 'The work was never delivered' })
+                    .expect(201);
+            } finally {
+                app.set('limits', originalLimits);
+            }
+        });
+
+        it("should let the contractor respond to a dispute once", async () => {
+            const { client, contractor, otherContractor, dispute } = await seedDisputedJob();
+
+            await request(app)
+                .post(`/disputes/${dispute.id}/respond`)
+                .set('profile_id', otherContractor.id)
+                .send({ response: 'It was delivered' })
+                .expect(404);
+
+            await request(app)
+                .post(`/disputes/${dispute.id}/respond`)
+                .set('profile_id', client.id)
+                .send({ response: 'It was delivered' })
+                .expect(403);
+
+            await request(app)
+                .post(`/disputes/${dispute.id}/respond`)
+                .set('profile_id', contractor.id)
+                .send({ response: 'It was delivered' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.include({ status: 'responded', response: 'It was delivered' });
+                    expect(res.body.respondedAt).to.be.a('string');
+                });
+
+            await request(app)
+                .post(`/disputes/${dispute.id}/respond`)
+                .set('profile_id', contractor.id)
+                .send({ response: 'Really' })
+                .expect(409)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('INVALID_TRANSITION');
+                });
+        });
+
+        it("should queue the unresolved disputes for admins, oldest first", async () => {
+            const { client, contractor, admin, dispute } = await seedDisputedJob();
+
+            const secondJob = await Job.create({ id: 2, description: 'work', price: 100, status: 'approved', ContractId: 1 });
+            await request(app).post(`/jobs/${secondJob.id}/pay`).set('profile_id', client.id).expect(200);
+            const secondDispute = await request(app)
+                .post(`/jobs/${secondJob.id}/disputes`)
+                .set('profile_id', client.id)
+                .send({ reason: 'Poor quality' })
+                .expect(201)
+                .then((res) => res.body);
+
+            await request(app).post(`/disputes/${secondDispute.id}/respond`).set('profile_id', contractor.id).send({ response: 'It is fine' }).expect(200);
+
+            await request(app)
+                .get('/admin/disputes')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map(({ id, status }) => ({ id, status }))).to.deep.eq([
+                        { id: dispute.id, status: 'open' },
+                        { id: secondDispute.id, status: 'responded' },
+                    ]);
+                });
+
+            await request(app)
+                .get('/admin/disputes?limit=1')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map(({ id }) => id)).to.deep.eq([dispute.id]);
+                    expect(res.headers['x-next-cursor']).to.be.a('string');
+                });
+
+            await resolve(admin, dispute, { outcome: 'contractor' }).expect(200);
+
+            await request(app)
+                .get('/admin/disputes')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map(({ id }) => id)).to.deep.eq([secondDispute.id]);
+                });
+
+            await request(app)
+                .get('/admin/disputes?status=resolved')
+                .set('profile_id', admin.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map(({ id }) => id)).to.deep.eq([dispute.id]);
+                });
+
+            await request(app).get('/admin/disputes?status=closed').set('profile_id', admin.id).expect(400);
+        });
+
+        it("should refund everything disputed to the client when resolved in their favour", async () => {
+            const { client, contractor, admin, job, dispute } = await seedDisputedJob();
+
+            await resolve(admin, dispute, { outcome: 'client', note: 'No evidence of delivery' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.include({ status: 'resolved', outcome: 'client', refundAmount: 200, resolutionNote: 'No evidence of delivery', ResolvedById: admin.id });
+                    expect(res.body.resolvedAt).to.be.a('string');
+                });
+
+            await client.reload();
+            await contractor.reload();
+            expect(client.balance).to.eq(1000);
+            expect(contractor.balance).to.eq(0);
+
+            const refunds = await LedgerEntry.findAll({ where: { kind: 'dispute_refund' }, order: [['id', 'ASC']] });
+            expect(refunds.map(({ ProfileId, direction, amount, JobId }) => ({ ProfileId, direction, amount, JobId }))).to.have.deep.members([
+                { ProfileId: contractor.id, direction: 'debit', amount: 200, JobId: job.id },
+                { ProfileId: client.id, direction: 'credit', amount: 200, JobId: job.id },
+            ]);
+
+            await resolve(admin, dispute, { outcome: 'client' })
+                .expect(409)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('INVALID_TRANSITION');
+                });
+        });
+
+        it("should split the payment or leave it with the contractor", async () => {
+            const { client, contractor, admin, dispute } = await seedDisputedJob();
+
+            for (const refundAmount of [undefined, 0, 200, 250, 'abc']) {
+                await resolve(admin, dispute, { outcome: 'split', refundAmount })
+                    .expect(400)
+                    .then((res) => {
+                        expect(res.body.error.details).to.deep.eq({ field: 'refundAmount' });
+                    });
+            }
+
+            await resolve(admin, dispute, { outcome: 'everyone' }).expect(400);
+
+            await resolve(admin, dispute, { outcome: 'split', refundAmount: 75.5 })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.include({ status: 'resolved', outcome: 'split', refundAmount: 75.5 });
+                });
+
+            await client.reload();
+            await contractor.reload();
+            expect(client.balance).to.eq(875.5);
+            expect(contractor.balance).to.eq(124.5);
+
+            const secondJob = await Job.create({ id: 2, description: 'work', price: 100, status: 'approved', ContractId: 1 });
+            await request(app).post(`/jobs/${secondJob.id}/pay`).set('profile_id', client.id).expect(200);
+            const secondDispute = await request(app)
+                .post(`/jobs/${secondJob.id}/disputes`)
+                .set('profile_id', client.id)
+                .send({ reason: 'Poor quality' })
+                .expect(201)
+                .then((res) => res.body);
+
+            await resolve(admin, secondDispute, { outcome: 'contractor' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body).to.include({ status: 'resolved', outcome: 'contractor', refundAmount: 0 });
+                });
+
+            await client.reload();
+            await contractor.reload();
+            expect(client.balance).to.eq(775.5);
+            expect(contractor.balance).to.eq(224.5);
+        });
+
+        it("should change nothing if the contractor's balance does not cover the refund", async () => {
+            const { client, contractor, admin, dispute } = await seedDisputedJob();
+
+            await Profile.update({ balance: 150 }, { where: { id: contractor.id } });
+
+            await resolve(admin, dispute, { outcome: 'client' })
+                .expect(400)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('INSUFFICIENT_BALANCE');
+                    expect(res.body.error.message).to.eq("The contractor's balance does not cover the refund");
+                });
+
+            await client.reload();
+            await contractor.reload();
+            expect(client.balance).to.eq(800);
+            expect(contractor.balance).to.eq(150);
+            expect(await LedgerEntry.count({ where: { kind: 'dispute_refund' } })).to.eq(0);
+            expect((await Dispute.findByPk(dispute.id)).status).to.eq('open');
+        });
+
+        it("should let a job be disputed again once resolved, for whatever was not refunded", async () => {
+            const { client, contractor, admin, job, dispute } = await seedDisputedJob();
+
+            await resolve(admin, dispute, { outcome: 'split', refundAmount: 50 }).expect(200);
+
+            const secondDispute = await request(app)
+                .post(`/jobs/${job.id}/disputes`)
+                .set('profile_id', client.id)
+                .send({ reason: 'Still not delivered' })
+                .expect(201)
+                .then((res) => {
+                    expect(res.body).to.include({ status: 'open', amount: 150 });
+                    return res.body;
+                });
+
+            await request(app)
+                .post(`/jobs/${job.id}/disputes`)
+                .set('profile_id', client.id)
+                .send({ reason: 'Again' })
+                .expect(409)
+                .then((res) => {
+                    expect(res.body.error.details).to.deep.eq({ disputeId: secondDispute.id });
+                });
+
+            await resolve(admin, secondDispute, { outcome: 'client' })
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.refundAmount).to.eq(150);
+                });
+
+            await client.reload();
+            await contractor.reload();
+            expect(client.balance).to.eq(1000);
+            expect(contractor.balance).to.eq(0);
+
+            await request(app)
+                .post(`/jobs/${job.id}/disputes`)
+                .set('profile_id', client.id)
+                .send({ reason: 'Again' })
+                .expect(409)
+                .then((res) => {
+                    expect(res.body.error.code).to.eq('JOB_FULLY_REFUNDED');
+                });
+
+            await request(app)
+                .get(`/jobs/${job.id}/disputes`)
+                .set('profile_id', client.id)
+                .expect(200)
+                .then((res) => {
+                    expect(res.body.map(({ id, refundAmount }) => ({ id, refundAmount }))).to.deep.eq([
+                        { id: dispute.id, refundAmount: 50 },
+                        { id: secondDispute.id, refundAmount: 150 },
+                    ]);
+                });
+        });
+
+        it("should refund at the exchange rates the job was paid at", async () => {
+            const { client, contractor, admin, job } = await seedTestObjectsForDisputeTests();
+
+            await Profile.update({ currency: 'EUR' }, { where: { id: client.id } });
+            await Profile.update({ currency: 'GBP' }, { where: { id: contractor.id } });
+            await Job.create({ id: 2, description: 'work', price: 100, status: 'approved', ContractId: job.ContractId });
+            await ExchangeRate.bulkCreate([
+                { baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 0.9, effectiveFrom: new Date('2020-01-01') },
+                { baseCurrency: 'USD', quoteCurrency: 'GBP', rate: 0.8, effectiveFrom: new Date('2020-01-01') },
+            ]);
+
+            await request(app).post('/jobs/2/pay').set('profile_id', client.id).expect(200);
+
+            // The rates have moved since the job was paid
+            await ExchangeRate.bulkCreate([
+                { baseCurrency: 'USD', quoteCurrency: 'EUR', rate: 2, effectiveFrom: new Date() },
+                { baseCurrency: 'USD', quoteCurrency: 'GBP', rate: 3, effectiveFrom: new Date() },
+            ]);
+
+            const openJobDispute = (reason) => request(app)
+                .post('/jobs/2/disputes')
+                .set('profile_id', client.id)
+                .send({ reason })
+                .expect(201)
+                .then((res) => res.body);
+
+            await resolve(admin, await openJobDispute('Half done'), { outcome: 'split', refundAmount: 25 }).expect(200);
+
+            await client.reload();
+            await contractor.reload();
+            expect(client.balance).to.eq(932.5);
+            expect(contractor.balance).to.eq(60);
+
+            await resolve(admin, await openJobDispute('Not done at all'), { outcome: 'client' }).expect(200);
+
+            // Everything the payment moved is given back, whatever the rates are now
+            await client.reload();
+            await contractor.reload();
+            expect(client.balance).to.eq(1000);
+            expect(contractor.balance).to.eq(0);
+        });
+
+        it("should never give back more than a payment moved over several partial refunds at inverse rates", async () => {
+            const { client, contractor, admin } = await seedTestObjectsForDisputeTests();
+
+            await Profile.update({ currency: 'EUR' }, { where: { id: client.id } });
+            await Profile.update({ currency: 'GBP' }, { where: { id: contractor.id } });
+            await Job.create({ id: 2, description: 'work', price: 100, status: 'approved', ContractId: 1 });
+            // Only the rates into USD are known, so paying converts at their inverses: 33.33 EUR and 66.67 GBP
+            await ExchangeRate.bulkCreate([
+                { baseCurrency: 'EUR', quoteCurrency: 'USD', rate: 3, effectiveFrom: new Date('2020-01-01') },
+                { baseCurrency: 'GBP', quoteCurrency: 'USD', rate: 1.5, effectiveFrom: new Date('2020-01-01') },
+            ]);
+
+            await request(app).post('/jobs/2/pay').set('profile_id', client.id).expect(200);
+
+            await client.reload();
+            await contractor.reload();
+            expect(client.balance).to.eq(966.67);
+            expect(contractor.balance).to.eq(66.67);
+
+            const openJobDispute = (reason) => request(app)
+                .post('/jobs/2/disputes')
+                .set('profile_id', client.id)
+                .send({ reason })
+                .expect(201)
+                .then((res) => res.body);
+
+            const refunds = [
+                { resolution: { outcome: 'split', refundAmount: 30 }, clientBalance: 976.67, contractorBalance: 46.67 },
+                { resolution: { outcome: 'split', refundAmount: 20 }, clientBalance: 983.34, contractorBalance: 33.33 },
+                { resolution: { outcome: 'client' }, clientBalance: 1000, contractorBalance: 0 },
+            ];
+            for (const { resolution, clientBalance, contractorBalance } of refunds) {
+                await resolve(admin, await openJobDispute('Not done'), resolution).expect(200);
+
+                await client.reload();
+                await contractor.reload();
+                expect(client.balance).to.eq(clientBalance);
+                expect(contractor.balance).to.eq(contractorBalance);
+            }
+        });
+
+        it("should dispute the price of a job paid before partial payments were recorded", async () => {
+            const { client, contractor, admin } = await seedTestObjectsForDisputeTests();
+
+            await Profile.update({ balance: 200 }, { where: { id: contractor.id } });
+            await Job.create({ id: 2, description: 'work', price: 200, paid: true, paymentDate: new Date(), status: 'approved', ContractId: 1 });
+
+            const dispute = await request(app)
+                .post('/jobs/2/disputes')
+                .set('profile_id', client.id)
+                .send({ reason: 'The work was never delivered' })
+                .expect(201)
+                .then((res) => {
+                    expect(res.body.amount).to.eq(200);
+                    return res.body;
+                });
+
+            await resolve(admin, dispute, { outcome: 'client' }).expect(200);
+
+            await client.reload();
+            await contractor.reload();
+            expect(client.balance).to.eq(1200);
+            expect(contractor.balance).to.eq(0);
+        });
+
+        it("should show a job's dispute history to both parties and admins only", async () => {
+            const { contractor, admin, otherClient, otherContractor, client, job, dispute } = await seedDisputedJob();
+
+            await request(app).post(`/disputes/${dispute.id}/respond`).set('profile_id', contractor.id).send({ response: 'It was delivered' }).expect(200);
+            await resolve(admin, dispute, { outcome: 'contractor', note: 'Delivery confirmed' }).expect(200);
+
+            for (const profile of [client, contractor, admin]) {
+                await request(app)
+                    .get(`/jobs/${job.id}/disputes`)
+                    .set('profile_id', profile.id)
+                    .expect(200)
+                    .then((res) => {
+                        expect(res.body).to.have.length(1);
+                        expect(res.body[0]).to.include({
+                            id: dispute.id,
+                            reason: 'The work was never delivered',
+                            response: 'It was delivered',
+                            status: 'resolved',
+                            outcome: 'contractor',
+                            resolutionNote: 'Delivery confirmed',
+                        });
+                    });
+            }
+
+            for (const profile of [otherClient, otherContractor]) {
+                await request(app).get(`/jobs/${job.id}/disputes`).set('profile_id', profile.id).expect(404);
+            }
+        });
+    });
 });
\ No newline at end of file